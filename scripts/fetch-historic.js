@@ -3,6 +3,7 @@ import path from 'node:path'
 import { fileURLToPath } from 'node:url'
 import { ProxyAgent } from 'undici'
 import { stationMapping } from '../src/config/station-mapping.js'
+import { buildTiers } from '../src/client/javascripts/aggregation.js'
 
 const dirname = path.dirname(fileURLToPath(import.meta.url))
 const projectRoot = path.resolve(dirname, '..')
@@ -41,20 +42,9 @@ function getDateRange() {
   }
 }
 
-function downsampleToThirtyMinutes(readings) {
-  const bucketMap = new Map()
-
-  for (const reading of readings) {
-    const date = new Date(reading.dateTime)
-    const minutes = date.getMinutes() < 30 ? '00' : '30'
-    const bucketKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}T${String(date.getHours()).padStart(2, '0')}:${minutes}:00`
-
-    if (!bucketMap.has(bucketKey)) {
-      bucketMap.set(bucketKey, { dateTime: reading.dateTime, value: reading.value })
-    }
-  }
-
-  return Array.from(bucketMap.values())
+function toStoredReadings(readings) {
+  return readings
+    .map(({ dateTime, value }) => ({ dateTime, value }))
     .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
 }
 
@@ -78,8 +68,10 @@ async function fetchStationData(rloiId, stationConfig) {
   const rawReadings = data.items || []
   console.log(`  Raw readings: ${rawReadings.length}`)
 
-  const thirtyMinReadings = downsampleToThirtyMinutes(rawReadings)
-  console.log(`  30-minute readings: ${thirtyMinReadings.length}`)
+  // Stored with every aggregation tier, the same as the server's own fetch (see buildHistoricData)
+  const readings = toStoredReadings(rawReadings)
+  const { hourly, daily, weekly } = buildTiers(readings)
+  console.log(`  Hourly / daily / weekly readings: ${hourly.length} / ${daily.length} / ${weekly.length}`)
 
   return {
     meta: {
@@ -90,9 +82,10 @@ async function fetchStationData(rloiId, stationConfig) {
       startDate,
       endDate,
       rawPointCount: rawReadings.length,
-      thirtyMinPointCount: thirtyMinReadings.length
+      tierPointCounts: { raw: readings.length, hourly: hourly.length, daily: daily.length, weekly: weekly.length }
     },
-    readings: thirtyMinReadings
+    readings,
+    tiers: { hourly, daily, weekly }
   }
 }
 
@@ -0,0 +1,150 @@
+import { toNumber } from './utils.js'
+
+// Aggregation tiers for long series of readings: the min, mean and max of the readings in each UTC hour, day or week.
+// Historic readings are stored with every tier (see buildTiers), and each chart time range is drawn from one
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+// raw is every reading
+export const TIERS = ['raw', 'hourly', 'daily', 'weekly']
+
+// The tier each chart time range is drawn from, giving a few hundred to a few thousand points
+export const TIER_BY_RANGE = {
+  '5d': 'raw',
+  '1m': 'raw',
+  '6m': 'hourly',
+  '1y': 'hourly',
+  '3y': 'daily',
+  '5y': 'weekly'
+}
+
+// How many days each chart time range covers, shortest first (see filterDataByTimeRange)
+const RANGE_DAYS = { '5d': 5, '1m': 30, '6m': 180, '1y': 365, '3y': 3 * 365, '5y': 5 * 365 }
+
+const BUCKET_STARTS = {
+  hourly: (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours()),
+  daily: (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  // Weeks run Sunday to Saturday
+  weekly: (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) - (date.getUTCDay() * MS_PER_DAY)
+}
+
+// Readings oldest first with their times as numbers, without those that have no value. Readings that are already
+// aggregated keep their min, max and count
+function toReadings(readings) {
+  return readings
+    .map(reading => {
+      const value = toNumber(reading.value)
+      return {
+        time: new Date(reading.dateTime).getTime(),
+        value,
+        min: toNumber(reading.min) ?? value,
+        max: toNumber(reading.max) ?? value,
+        count: toNumber(reading.count) ?? 1
+      }
+    })
+    .filter(reading => reading.value !== null && Number.isFinite(reading.time))
+    .sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Tier a chart time range is drawn from (see TIER_BY_RANGE), raw for a range it doesn't know
+ */
+export function getTierForRange(range) {
+  return TIER_BY_RANGE[range] ?? 'raw'
+}
+
+/**
+ * Tier for a window of readings days long: that of the shortest chart time range covering it (see TIER_BY_RANGE), or
+ * of the longest range for a longer window
+ */
+export function getTierForWindow(days) {
+  const ranges = Object.keys(RANGE_DAYS)
+  return getTierForRange(ranges.find(range => days <= RANGE_DAYS[range]) ?? ranges.at(-1))
+}
+
+/**
+ * Start of the tier's bucket a time falls in, as a Date. Raw readings are each their own bucket
+ */
+export function getBucketStart(date, tier) {
+  const time = new Date(date)
+  return BUCKET_STARTS[tier] ? new Date(BUCKET_STARTS[tier](time)) : time
+}
+
+/**
+ * Readings oldest first in a tier (see TIERS), without readings that have no value
+ * Raw readings are { dateTime, value }. Hourly, daily and weekly readings are one per UTC bucket with any readings,
+ * dated at the start of the bucket, with value the mean and min, max and count of the readings in it. Readings that
+ * are already aggregated count as the readings they stand for, so a coarser tier can be built from a finer one
+ */
+export function aggregateReadings(readings = [], tier = 'raw') {
+  const sorted = toReadings(readings)
+
+  if (!BUCKET_STARTS[tier]) {
+    return sorted.map(({ time, value }) => ({ dateTime: new Date(time).toISOString(), value }))
+  }
+
+  const buckets = new Map()
+  for (const { time, value, min, max, count } of sorted) {
+    const start = BUCKET_STARTS[tier](new Date(time))
+    const bucket = buckets.get(start) ?? { min, max, total: 0, count: 0 }
+    bucket.min = Math.min(bucket.min, min)
+    bucket.max = Math.max(bucket.max, max)
+    bucket.total += value * count
+    bucket.count += count
+    buckets.set(start, bucket)
+  }
+
+  return [...buckets].map(([start, bucket]) => ({
+    dateTime: new Date(start).toISOString(),
+    value: bucket.total / bucket.count,
+    min: bucket.min,
+    max: bucket.max,
+    count: bucket.count
+  }))
+}
+
+/**
+ * Every tier of a series of readings (see aggregateReadings), each coarser tier built from the one before
+ */
+export function buildTiers(readings = []) {
+  const tiers = {}
+  let previous = readings
+
+  for (const tier of TIERS) {
+    tiers[tier] = aggregateReadings(previous, tier)
+    previous = tiers[tier]
+  }
+
+  return tiers
+}
+
+/**
+ * Chart readings from aggregated readings: each is drawn at its lowest and its highest, so troughs are kept as well as
+ * peaks, the nearer to the reading before it first so the line doesn't double back. The first of the two carries how many
+ * readings it stands for
+ */
+export function toChartReadings(readings = []) {
+  const chartReadings = []
+
+  for (const reading of readings) {
+    const { dateTime, min, max } = reading
+    const count = reading.count ?? 1
+
+    if (min === undefined || max === undefined || min === max) {
+      chartReadings.push({ dateTime, value: max ?? reading.value, count })
+      continue
+    }
+
+    const previous = chartReadings.at(-1)?.value ?? min
+    const [first, second] = Math.abs(previous - min) <= Math.abs(previous - max) ? [min, max] : [max, min]
+    chartReadings.push({ dateTime, value: first, count }, { dateTime, value: second, count: 0 })
+  }
+
+  return chartReadings
+}
+
+/**
+ * How many readings chart readings stand for, e.g. to estimate the size of a CSV of them
+ */
+export function countReadings(readings = []) {
+  return readings.reduce((total, reading) => total + (reading.count ?? 1), 0)
+}
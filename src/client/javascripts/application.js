@@ -1,5 +1,5 @@
 import { initAll } from 'govuk-frontend'
-import './utils.js'
+import { formatFileSize, formatValue, getUnit } from './utils.js'
 import './toggletip.js'
 import { lineChart } from './line-chart.js'
 import {
@@ -8,6 +8,11 @@ import {
   getTimeRangeLabel,
   downsampleForStyleB
 } from './historic-data.js'
+import { DEFAULT_RAINFALL_PERIOD, fitRainfallPeriod } from './rainfall.js'
+import { initStationSuggestions } from './station-suggestions.js'
+import { comparisonChart } from './comparison-chart.js'
+import { createHistoricLoader } from './historic-loader.js'
+import { countReadings } from './aggregation.js'
 
 initAll()
 
@@ -16,134 +21,120 @@ const LINE_CHART_ID = 'line-chart'
 const DEFAULT_FILTER = '5d'
 const TIME_FILTER_LINK_SELECTOR = '.time-filter-link'
 const TIME_FILTER_LINK_DISABLED_CLASS = 'time-filter-link--disabled'
+const TIME_FILTER_LINK_LOADING_CLASS = 'time-filter-link--loading'
+const TIME_FILTER_LINK_ERROR_CLASS = 'time-filter-link--error'
+const TIME_FILTER_STATUS_ID = 'time-filter-status'
 const ARIA_DISABLED = 'aria-disabled'
 const ARIA_CURRENT = 'aria-current'
+const ARIA_BUSY = 'aria-busy'
 const CHART_STYLE_C = 'styleC'
 const CHART_STYLE_B = 'styleB'
 const DOWNLOAD_CSV_BTN_ID = 'download-csv-btn'
-const DEFAULT_CURRENT_LEVEL = 0.28
-const DEFAULT_HIGHEST_LEVEL = 0.64
-const DEFAULT_TOP_NORMAL_LEVEL = 0.5
+const DOWNLOAD_CSV_TEXT_SELECTOR = '.defra-button-secondary__text'
 const THRESHOLD_CURRENT_LEVEL_ID = 'current-level'
 const THRESHOLD_HIGHEST_LEVEL_ID = 'highest-level'
 const THRESHOLD_TOP_NORMAL_ID = 'top-normal'
+const THRESHOLD_INPUT_SELECTOR = '[data-threshold-id]'
+// When the active reference line is turned off, the first of these still shown takes over
+const THRESHOLD_PRIORITY = [THRESHOLD_TOP_NORMAL_ID, 'max-on-record', 'highest-recent', THRESHOLD_HIGHEST_LEVEL_ID, 'min-on-record', THRESHOLD_CURRENT_LEVEL_ID]
+const RAINFALL_PERIOD_SELECT_ID = 'rainfall-period'
+const RAINFALL_CUMULATIVE_ID = 'rainfall-cumulative'
+const COMPARISON_CHART_ID = 'comparison-chart'
+const COMPARISON_LEGEND_ID = 'comparison-legend'
+const COMPARISON_PALETTE_SELECT_ID = 'comparison-palette'
+const COMPARISON_NORMALISE_ID = 'comparison-normalise'
+
+function getUnitName() {
+  return globalThis.flood?.model?.telemetry?.unitName
+}
 
-const THRESHOLD_CONTROL_CONFIG = {
-  [THRESHOLD_CURRENT_LEVEL_ID]: {
-    inputId: 'threshold-current-level',
-    labelId: 'threshold-current-level-label'
-  },
-  [THRESHOLD_HIGHEST_LEVEL_ID]: {
-    inputId: 'threshold-highest-level',
-    labelId: 'threshold-highest-level-label'
-  },
-  [THRESHOLD_TOP_NORMAL_ID]: {
-    inputId: 'threshold-top-normal',
-    labelId: 'threshold-top-normal-label'
-  }
+// How many points the chart draws as SVG paths before switching to canvas (see CHART_CANVAS_POINT_THRESHOLD), or the
+// chart's own default where the page doesn't give it
+function getCanvasPointThreshold() {
+  const threshold = globalThis.flood?.model?.canvasPointThreshold
+  return Number.isFinite(threshold) ? threshold : undefined
+}
+
+function formatReading(value, decimals = 2) {
+  return formatValue(value, getUnitName(), decimals)
 }
 
-function formatMetres(value, decimals = 2) {
-  return `${Number(value).toFixed(decimals)}m`
+function capitalise(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1)
 }
 
 function getDefaultActiveThresholdId(thresholdState) {
-  if (thresholdState[THRESHOLD_TOP_NORMAL_ID]) {
-    return THRESHOLD_TOP_NORMAL_ID
+  return THRESHOLD_PRIORITY.find(thresholdId => thresholdState[thresholdId]) ?? null
+}
+
+/**
+ * Levels the chart can draw as reference lines: the current and highest values in the data, the top of the normal
+ * range and the stage scale's levels (see station-state.js). Levels the station doesn't have are left out rather than
+ * drawn at a made-up value
+ */
+function getReferenceLevels(observed = []) {
+  const { noun } = getUnit(getUnitName())
+  const model = globalThis.flood?.model
+  const values = observed.map(point => Number(point.value)).filter(Number.isFinite)
+  const typicalRangeHigh = model?.typicalRangeHigh
+  const levels = []
+
+  if (values.length) {
+    const current = values.at(-1)
+    // The page gives the highest of the historic readings, which are only loaded for longer ranges
+    const historicHighest = Number.isFinite(model?.historicHighest) ? model.historicHighest : Number.NEGATIVE_INFINITY
+    const highest = values.reduce((max, value) => Math.max(max, value), historicHighest)
+
+    levels.push(
+      { id: THRESHOLD_CURRENT_LEVEL_ID, name: `current ${noun}`, value: current, controlLabel: `Show current ${noun} (${formatReading(current)})`, dismissible: false },
+      { id: THRESHOLD_HIGHEST_LEVEL_ID, name: `highest ${noun}`, value: highest, controlLabel: `Show highest ${noun} recorded at this measuring station (${formatReading(highest)})`, dismissible: false }
+    )
   }
 
-  if (thresholdState[THRESHOLD_HIGHEST_LEVEL_ID]) {
-    return THRESHOLD_HIGHEST_LEVEL_ID
+  if (typicalRangeHigh !== null && typicalRangeHigh !== undefined && Number.isFinite(Number(typicalRangeHigh))) {
+    const topNormal = Number(typicalRangeHigh)
+    levels.push({ id: THRESHOLD_TOP_NORMAL_ID, name: 'top of normal range', value: topNormal, controlLabel: `Show top of normal range (${formatReading(topNormal)}). Low-lying land flooding possible above this level`, dismissible: true })
   }
 
-  if (thresholdState[THRESHOLD_CURRENT_LEVEL_ID]) {
-    return THRESHOLD_CURRENT_LEVEL_ID
+  for (const level of model?.stageLevels || []) {
+    const when = level.month ? `, ${level.month}` : ''
+    levels.push({ id: level.id, name: level.label, value: level.value, controlLabel: `Show ${level.label} (${formatReading(level.value)}${when})`, dismissible: true })
   }
 
-  return null
+  return levels
 }
 
-function getThresholdMetrics(observed = []) {
-  const latestValue = observed.length > 0
-    ? Number(observed[observed.length - 1].value)
-    : DEFAULT_CURRENT_LEVEL
-
-  const highestValue = observed.length > 0
-    ? observed.reduce((max, point) => Math.max(max, Number(point.value)), Number.NEGATIVE_INFINITY)
-    : DEFAULT_HIGHEST_LEVEL
-
-  const typicalRangeHigh = globalThis.flood?.model?.typicalRangeHigh
-
-  return {
-    currentLevel: Number.isFinite(latestValue) ? latestValue : DEFAULT_CURRENT_LEVEL,
-    highestLevel: Number.isFinite(highestValue) ? highestValue : DEFAULT_HIGHEST_LEVEL,
-    topNormal: (typicalRangeHigh != null && Number.isFinite(Number(typicalRangeHigh))) ? Number(typicalRangeHigh) : DEFAULT_TOP_NORMAL_LEVEL
-  }
+function buildThresholds(levels, thresholdState) {
+  return levels.map(level => ({
+    id: level.id,
+    label: `${level.name} (${formatReading(level.value)})`,
+    shortLabel: `${formatReading(level.value)} ${capitalise(level.name)}`,
+    value: level.value,
+    enabled: !!thresholdState[level.id],
+    showLabel: !!thresholdState[level.id],
+    dismissible: level.dismissible
+  }))
 }
 
-function buildThresholds(metrics, thresholdState) {
-  return [
-    {
-      id: THRESHOLD_CURRENT_LEVEL_ID,
-      label: `current level (${formatMetres(metrics.currentLevel)})`,
-      shortLabel: `${formatMetres(metrics.currentLevel)} Current level`,
-      value: metrics.currentLevel,
-      enabled: thresholdState[THRESHOLD_CURRENT_LEVEL_ID],
-      showLabel: thresholdState[THRESHOLD_CURRENT_LEVEL_ID],
-      dismissible: false
-    },
-    {
-      id: THRESHOLD_HIGHEST_LEVEL_ID,
-      label: `highest level (${formatMetres(metrics.highestLevel)})`,
-      shortLabel: `${formatMetres(metrics.highestLevel)} Highest level`,
-      value: metrics.highestLevel,
-      enabled: thresholdState[THRESHOLD_HIGHEST_LEVEL_ID],
-      showLabel: thresholdState[THRESHOLD_HIGHEST_LEVEL_ID],
-      dismissible: false
-    },
-    {
-      id: THRESHOLD_TOP_NORMAL_ID,
-      label: `top of normal range (${formatMetres(metrics.topNormal)})`,
-      shortLabel: `${formatMetres(metrics.topNormal)} Top of normal range`,
-      value: metrics.topNormal,
-      enabled: thresholdState[THRESHOLD_TOP_NORMAL_ID],
-      showLabel: thresholdState[THRESHOLD_TOP_NORMAL_ID],
-      dismissible: true
+function updateThresholdControls(levels, thresholdState) {
+  for (const level of levels) {
+    const label = document.getElementById(`threshold-${level.id}-label`)
+    if (label) {
+      label.textContent = level.controlLabel
     }
-  ]
-}
-
-function updateThresholdControls(metrics, thresholdState) {
-  const currentLabel = document.getElementById(THRESHOLD_CONTROL_CONFIG[THRESHOLD_CURRENT_LEVEL_ID].labelId)
-  const highestLabel = document.getElementById(THRESHOLD_CONTROL_CONFIG[THRESHOLD_HIGHEST_LEVEL_ID].labelId)
-  const topNormalLabel = document.getElementById(THRESHOLD_CONTROL_CONFIG[THRESHOLD_TOP_NORMAL_ID].labelId)
-
-  if (currentLabel) {
-    currentLabel.textContent = `Show current level (${formatMetres(metrics.currentLevel)})`
   }
 
-  if (highestLabel) {
-    highestLabel.textContent = `Show highest level recorded at this measuring station (${formatMetres(metrics.highestLevel)})`
-  }
-
-  if (topNormalLabel) {
-    topNormalLabel.textContent = `Show top of normal range (${formatMetres(metrics.topNormal)}). Low-lying land flooding possible above this level`
-  }
-
-  for (const thresholdId of Object.keys(THRESHOLD_CONTROL_CONFIG)) {
-    const checkbox = document.getElementById(THRESHOLD_CONTROL_CONFIG[thresholdId].inputId)
-    if (checkbox) {
-      checkbox.checked = !!thresholdState[thresholdId]
-    }
-  }
+  document.querySelectorAll(THRESHOLD_INPUT_SELECTOR).forEach(checkbox => {
+    checkbox.checked = !!thresholdState[checkbox.dataset.thresholdId]
+  })
 }
 
 function setupThresholdControlHandlers(thresholdState, activeThresholdRef, renderChart) {
-  for (const thresholdId of Object.keys(THRESHOLD_CONTROL_CONFIG)) {
-    const checkbox = document.getElementById(THRESHOLD_CONTROL_CONFIG[thresholdId].inputId)
+  document.querySelectorAll(THRESHOLD_INPUT_SELECTOR).forEach(checkbox => {
+    const thresholdId = checkbox.dataset.thresholdId
 
-    if (!checkbox || checkbox.dataset.listenersBound === 'true') {
-      continue
+    if (checkbox.dataset.listenersBound === 'true') {
+      return
     }
 
     checkbox.dataset.listenersBound = 'true'
@@ -160,20 +151,33 @@ function setupThresholdControlHandlers(thresholdState, activeThresholdRef, rende
 
       renderChart()
     })
-  }
+  })
 }
 
 /**
- * Enable or disable the download CSV button based on the current time filter
+ * Point the download CSV button at the current time filter and re-estimate its size
+ * Disabled when there is no data in the selected range
  */
-function updateDownloadCsvState(currentFilter) {
+function updateDownloadCsvState(stationId, currentFilter, pointCount) {
   const downloadBtn = document.getElementById(DOWNLOAD_CSV_BTN_ID)
 
   if (!downloadBtn) {
     return
   }
 
-  if (currentFilter === DEFAULT_FILTER) {
+  const measure = downloadBtn.dataset.measure
+  const measureQuery = measure ? `&measure=${encodeURIComponent(measure)}` : ''
+  downloadBtn.setAttribute('href', `/station-csv/${encodeURIComponent(stationId)}?range=${currentFilter}${measureQuery}`)
+
+  const headerBytes = Number(downloadBtn.dataset.csvHeaderBytes)
+  const rowBytes = Number(downloadBtn.dataset.csvRowBytes)
+  const label = downloadBtn.querySelector(DOWNLOAD_CSV_TEXT_SELECTOR)
+
+  if (label && Number.isFinite(headerBytes) && rowBytes > 0) {
+    label.textContent = `Download data CSV (${formatFileSize(headerBytes + (rowBytes * pointCount))})`
+  }
+
+  if (pointCount > 0) {
     downloadBtn.classList.remove('defra-button-secondary--disabled')
     downloadBtn.removeAttribute(ARIA_DISABLED)
     downloadBtn.removeAttribute('tabindex')
@@ -184,14 +188,21 @@ function updateDownloadCsvState(currentFilter) {
   }
 }
 
+/**
+ * Time range shown first: the page's default (a year for boreholes), otherwise DEFAULT_FILTER
+ */
+function getDefaultFilter() {
+  return globalThis.flood?.model?.defaultTimeRange || DEFAULT_FILTER
+}
+
 /**
  * Update filter link states based on historic data availability
  */
-function updateFilterButtonStates(hasHistoricData) {
+function updateFilterButtonStates(hasHistoricData, defaultFilter) {
   document.querySelectorAll(TIME_FILTER_LINK_SELECTOR).forEach(link => {
     const filter = link.dataset.filter
-    // Mark all filters except 5d as disabled if no historic data
-    if (filter !== DEFAULT_FILTER) {
+    // Mark all filters except the default as disabled if no historic data
+    if (filter !== defaultFilter) {
       if (hasHistoricData) {
         link.removeAttribute(ARIA_DISABLED)
         link.classList.remove(TIME_FILTER_LINK_DISABLED_CLASS)
@@ -202,7 +213,7 @@ function updateFilterButtonStates(hasHistoricData) {
         link.setAttribute('tabindex', '-1')
       }
     } else {
-      // Default filter (5d) is always enabled
+      // Default filter is always enabled, as the page's own readings cover it
       link.removeAttribute(ARIA_DISABLED)
       link.classList.remove(TIME_FILTER_LINK_DISABLED_CLASS)
       link.removeAttribute('tabindex')
@@ -223,6 +234,37 @@ function updateTimeRangeLabel(filter) {
   timeRangeLabel.textContent = getTimeRangeLabel(filter)
 }
 
+/**
+ * Show on the time filter links, and in the status under them, that a range's historic readings are loading or could
+ * not be loaded. With no state given, clear both
+ */
+function updateTimeFilterStatus(link = null, state = null) {
+  const status = document.getElementById(TIME_FILTER_STATUS_ID)
+  const rangeLabel = link ? getTimeRangeLabel(link.dataset.filter) : ''
+  const messages = {
+    loading: `Loading readings for the ${rangeLabel}`,
+    error: `Readings for the ${rangeLabel} could not be loaded. Select ${link?.textContent.trim()} to try again.`
+  }
+
+  document.querySelectorAll(TIME_FILTER_LINK_SELECTOR).forEach(filterLink => {
+    filterLink.classList.remove(TIME_FILTER_LINK_LOADING_CLASS, TIME_FILTER_LINK_ERROR_CLASS)
+    filterLink.removeAttribute(ARIA_BUSY)
+  })
+
+  if (state === 'loading') {
+    link.classList.add(TIME_FILTER_LINK_LOADING_CLASS)
+    link.setAttribute(ARIA_BUSY, 'true')
+  } else if (state === 'error') {
+    link.classList.add(TIME_FILTER_LINK_ERROR_CLASS)
+  } else {
+    // No state to show
+  }
+
+  if (status) {
+    status.textContent = messages[state] ?? ''
+  }
+}
+
 /**
  * Update active link state
  */
@@ -307,12 +349,32 @@ function setupZoomControls() {
 }
 
 
+function isRainfall(telemetry) {
+  return telemetry?.type === 'rainfall'
+}
+
+/**
+ * Rainfall is drawn as bars totalled over the selected accumulation period
+ * A period too fine for the time range is swapped for a coarser one, and the select shows the one in use
+ */
+function withRainfallOptions(telemetry, observed, rainfallState) {
+  const accumulationPeriod = fitRainfallPeriod(rainfallState.period, observed)
+  const periodSelect = document.getElementById(RAINFALL_PERIOD_SELECT_ID)
+
+  if (periodSelect) {
+    periodSelect.value = accumulationPeriod
+  }
+
+  return { ...telemetry, accumulationPeriod, showCumulative: rainfallState.showCumulative }
+}
+
 /**
  * Render chart for Style C (zoom/pan)
+ * Rainfall is never downsampled, as dropping readings would change the totals
  */
 function renderStyleCChart(stationId, realtimeTelemetry, mergedObserved, currentFilter, thresholds, onThresholdDismiss, activeThresholdRef) {
   const filteredObserved = filterDataByTimeRange(mergedObserved, currentFilter)
-  const processedObserved = currentFilter === '3y'
+  const processedObserved = currentFilter === '3y' && !isRainfall(realtimeTelemetry)
     ? downsampleForStyleB(filteredObserved, currentFilter)
     : filteredObserved
 
@@ -323,11 +385,12 @@ function renderStyleCChart(stationId, realtimeTelemetry, mergedObserved, current
 
   updateTimeRangeLabel(currentFilter)
   updateActiveButtonState(currentFilter)
-  updateDownloadCsvState(currentFilter)
+  updateDownloadCsvState(stationId, currentFilter, countReadings(filteredObserved))
 
   lineChart(LINE_CHART_ID, stationId, fullTelemetry, {
     timeRange: currentFilter,
     enableZoom: true,
+    canvasPointThreshold: getCanvasPointThreshold(),
     thresholds,
     activeThresholdId: activeThresholdRef.value,
     onThresholdDismiss,
@@ -347,7 +410,7 @@ function renderFilteredChart(stationId, realtimeTelemetry, mergedObserved, curre
   const filteredObserved = filterDataByTimeRange(mergedObserved, currentFilter)
 
   // Apply downsampling for chart style B to improve performance
-  const processedObserved = chartStyle === CHART_STYLE_B
+  const processedObserved = chartStyle === CHART_STYLE_B && !isRainfall(realtimeTelemetry)
     ? downsampleForStyleB(filteredObserved, currentFilter)
     : filteredObserved
 
@@ -359,16 +422,16 @@ function renderFilteredChart(stationId, realtimeTelemetry, mergedObserved, curre
 
   updateTimeRangeLabel(currentFilter)
   updateActiveButtonState(currentFilter)
-  updateDownloadCsvState(currentFilter)
+  updateDownloadCsvState(stationId, currentFilter, countReadings(filteredObserved))
 
   // Render the chart with filtered telemetry and time range
-  lineChart(LINE_CHART_ID, stationId, filteredTelemetry, { timeRange: currentFilter })
+  lineChart(LINE_CHART_ID, stationId, filteredTelemetry, { timeRange: currentFilter, canvasPointThreshold: getCanvasPointThreshold() })
 }
 
 /**
  * Render the chart with current filter and data
  */
-function createRenderChart(stationId, realtimeTelemetry, historicDataRef, currentFilter, thresholdState, activeThresholdRef) {
+function createRenderChart(stationId, realtimeTelemetry, historicDataRef, currentFilter, thresholdState, activeThresholdRef, rainfallState) {
   return () => {
     // Get the observed data array from telemetry
     const realtimeObserved = realtimeTelemetry?.observed || []
@@ -376,28 +439,55 @@ function createRenderChart(stationId, realtimeTelemetry, historicDataRef, curren
     // Merge historic and realtime observed data
     const mergedObserved = mergeData(historicDataRef.data, realtimeObserved) || []
 
+    const telemetry = isRainfall(realtimeTelemetry)
+      ? withRainfallOptions(realtimeTelemetry, filterDataByTimeRange(mergedObserved, currentFilter.value), rainfallState)
+      : realtimeTelemetry
+
     // Get chart style
     const chartStyle = globalThis.flood?.model?.chartStyle
 
     // Handle Chart Style C (zoom/pan) differently
     if (chartStyle === CHART_STYLE_C) {
-      const thresholdMetrics = getThresholdMetrics(mergedObserved)
-      const thresholds = buildThresholds(thresholdMetrics, thresholdState)
+      const referenceLevels = getReferenceLevels(mergedObserved)
+      // Level reference lines mean nothing against rainfall totals
+      const thresholds = isRainfall(telemetry) ? [] : buildThresholds(referenceLevels, thresholdState)
       const onThresholdDismiss = (thresholdId) => {
         thresholdState[thresholdId] = false
         if (activeThresholdRef.value === thresholdId) {
           activeThresholdRef.value = getDefaultActiveThresholdId(thresholdState)
         }
-        updateThresholdControls(thresholdMetrics, thresholdState)
+        updateThresholdControls(referenceLevels, thresholdState)
       }
 
-      updateThresholdControls(thresholdMetrics, thresholdState)
-      renderStyleCChart(stationId, realtimeTelemetry, mergedObserved, currentFilter.value, thresholds, onThresholdDismiss, activeThresholdRef)
+      updateThresholdControls(referenceLevels, thresholdState)
+      renderStyleCChart(stationId, telemetry, mergedObserved, currentFilter.value, thresholds, onThresholdDismiss, activeThresholdRef)
       return
     }
 
     // For Style A and B, use existing filter logic
-    renderFilteredChart(stationId, realtimeTelemetry, mergedObserved, currentFilter.value, chartStyle)
+    renderFilteredChart(stationId, telemetry, mergedObserved, currentFilter.value, chartStyle)
+  }
+}
+
+/**
+ * Setup rainfall accumulation period and cumulative total handlers
+ */
+function setupRainfallControlHandlers(rainfallState, renderChart) {
+  const periodSelect = document.getElementById(RAINFALL_PERIOD_SELECT_ID)
+  const cumulativeCheckbox = document.getElementById(RAINFALL_CUMULATIVE_ID)
+
+  if (periodSelect) {
+    periodSelect.addEventListener('change', function () {
+      rainfallState.period = this.value
+      renderChart()
+    })
+  }
+
+  if (cumulativeCheckbox) {
+    cumulativeCheckbox.addEventListener('change', function () {
+      rainfallState.showCumulative = this.checked
+      renderChart()
+    })
   }
 }
 
@@ -416,10 +506,48 @@ function setupDownloadCsvHandler() {
   }
 }
 
+/**
+ * Show a time range, first loading its historic readings when the page doesn't have them (see createHistoricLoader)
+ * The chart stays on the current range until they arrive, and a range picked while another loads wins
+ */
+async function showTimeFilter(link, currentFilter, historicDataRef, renderChart) {
+  const filter = link.dataset.filter
+  const { loader } = historicDataRef
+  historicDataRef.requested = filter
+
+  if (!loader || filter === getDefaultFilter()) {
+    updateTimeFilterStatus()
+    historicDataRef.data = []
+    currentFilter.value = filter
+    renderChart()
+    return
+  }
+
+  const loaded = loader.get(filter)
+  updateTimeFilterStatus(link, loaded ? null : 'loading')
+
+  try {
+    const readings = loaded ?? await loader.load(filter)
+
+    if (historicDataRef.requested === filter) {
+      updateTimeFilterStatus()
+      historicDataRef.data = readings
+      currentFilter.value = filter
+      renderChart()
+    }
+  } catch (error) {
+    console.warn(`Historic readings for ${filter} could not be loaded`, error)
+
+    if (historicDataRef.requested === filter) {
+      updateTimeFilterStatus(link, 'error')
+    }
+  }
+}
+
 /**
  * Setup time filter link handlers
  */
-function setupTimeFilterHandlers(currentFilter, renderChart) {
+function setupTimeFilterHandlers(currentFilter, historicDataRef, renderChart) {
   document.querySelectorAll(TIME_FILTER_LINK_SELECTOR).forEach(link => {
     link.addEventListener('click', function (e) {
       e.preventDefault()
@@ -428,8 +556,7 @@ function setupTimeFilterHandlers(currentFilter, renderChart) {
         return
       }
 
-      currentFilter.value = this.dataset.filter
-      renderChart()
+      showTimeFilter(this, currentFilter, historicDataRef, renderChart)
     })
   })
 }
@@ -448,37 +575,63 @@ function initializeChartApp() {
   }
 
   // Current filter state (using object to allow mutation in closure)
-  const currentFilter = { value: DEFAULT_FILTER }
+  const currentFilter = { value: getDefaultFilter() }
   const thresholdState = {
     [THRESHOLD_CURRENT_LEVEL_ID]: false,
     [THRESHOLD_HIGHEST_LEVEL_ID]: false,
     [THRESHOLD_TOP_NORMAL_ID]: true
   }
   const activeThresholdRef = { value: THRESHOLD_TOP_NORMAL_ID }
+  const rainfallState = {
+    period: document.getElementById(RAINFALL_PERIOD_SELECT_ID)?.value || DEFAULT_RAINFALL_PERIOD,
+    showCumulative: !!document.getElementById(RAINFALL_CUMULATIVE_ID)?.checked
+  }
 
-  const historicDataRef = { data: globalThis.flood?.model?.historicData || [] }
+  // Historic readings for the range shown, loaded on demand; the default range is covered by the page's own readings
+  const historicUrl = globalThis.flood?.model?.historicUrl
+  const historicDataRef = { data: [], loader: historicUrl ? createHistoricLoader(historicUrl) : null, requested: currentFilter.value }
 
   // Create render function
-  const renderChart = createRenderChart(stationId, realtimeTelemetry, historicDataRef, currentFilter, thresholdState, activeThresholdRef)
+  const renderChart = createRenderChart(stationId, realtimeTelemetry, historicDataRef, currentFilter, thresholdState, activeThresholdRef, rainfallState)
 
-  // Initial render with default filter (5 days)
+  // Initial render with default filter
   renderChart()
 
   // Set initial button states based on historic data availability
-  const hasHistoricData = historicDataRef.data && historicDataRef.data.length > 0
-  updateFilterButtonStates(hasHistoricData)
+  updateFilterButtonStates(!!historicDataRef.loader, currentFilter.value)
 
   // Setup event handlers
-  setupTimeFilterHandlers(currentFilter, renderChart)
+  setupTimeFilterHandlers(currentFilter, historicDataRef, renderChart)
   setupThresholdControlHandlers(thresholdState, activeThresholdRef, renderChart)
+  setupRainfallControlHandlers(rainfallState, renderChart)
   setupDownloadCsvHandler()
 }
 
+/**
+ * Initialize the station comparison chart, with its palette and normalise controls
+ */
+function initializeComparisonApp() {
+  const paletteSelect = document.getElementById(COMPARISON_PALETTE_SELECT_ID)
+  const normaliseInput = document.getElementById(COMPARISON_NORMALISE_ID)
+  const chart = comparisonChart(COMPARISON_CHART_ID, globalThis.flood.comparison.series, {
+    legendId: COMPARISON_LEGEND_ID,
+    palette: paletteSelect?.value,
+    normalise: !!normaliseInput?.checked
+  })
+
+  paletteSelect?.addEventListener('change', () => chart.setPalette(paletteSelect.value))
+  normaliseInput?.addEventListener('change', () => chart.setNormalise(normaliseInput.checked))
+}
+
 // Initialize chart with historic data support
 if (typeof document !== 'undefined' && typeof globalThis !== 'undefined') {
   const chartElement = document.getElementById(LINE_CHART_ID)
   if (chartElement && globalThis.flood?.model) {
     initializeChartApp()
   }
+  if (document.getElementById(COMPARISON_CHART_ID) && globalThis.flood?.comparison) {
+    initializeComparisonApp()
+  }
+  initStationSuggestions()
 }
 
@@ -15,7 +15,8 @@ const ZOOM_MAX_SCALE = 100
 export function createZoomHandler(config) {
   const { svg, baseXScale, baseYScale, width, height, timeRange, dataCache,
     significantContainer, timeLine, timeLabel, isMobile, tooltipManager, container,
-    processData, renderAxes, renderGridLines, renderLines, renderSignificantPoints,
+    processData, renderAxes, renderGridLines, renderLines, renderBars, renderSignificantPoints,
+    renderTideMarkers, tideMarkersContainer, tideExtremes, renderEnvelope, envelopeContainer, envelopePoints,
     renderThresholds, updateTimeIndicator, hideOverlappingTicks,
     thresholds, onThresholdDismiss, onThresholdActivate, getActiveThresholdId } = config
 
@@ -32,7 +33,7 @@ export function createZoomHandler(config) {
 
     // Re-render with appropriate level of detail
     const zoomLevel = transform.k
-    const processedData = processData(dataCache, zoomLevel)
+    const processedData = processData(dataCache, zoomLevel, width)
     const newObservedPoints = processedData.observedPoints
     const newForecastPoints = processedData.forecastPoints
     const newLines = processedData.lines
@@ -40,7 +41,16 @@ export function createZoomHandler(config) {
     // Re-render axes and chart elements
     renderAxes(svg, { xScale: newXScale, yScale: newYScale, width, height, timeRange })
     renderGridLines(svg, newXScale, newYScale, height, width, baseXScale.domain(), timeRange)
-    renderLines(svg, newObservedPoints, newForecastPoints, newXScale, newYScale, height, dataCache.type)
+    renderEnvelope(envelopeContainer, envelopePoints, newXScale, newYScale)
+    if (dataCache.type === 'rainfall') {
+      renderBars(svg, newObservedPoints, newXScale, newYScale, height, { showCumulative: dataCache.showCumulative, unitName: dataCache.unitName })
+    } else {
+      renderLines(svg, newObservedPoints, newForecastPoints, newXScale, newYScale, height, dataCache.type, dataCache.unitName)
+    }
+
+    if (dataCache.type === 'tide') {
+      renderTideMarkers(tideMarkersContainer, tideExtremes, newXScale, newYScale, dataCache.unitName)
+    }
     renderThresholds(
       svg.select('.thresholds'),
       width,
@@ -50,7 +60,7 @@ export function createZoomHandler(config) {
       typeof getActiveThresholdId === 'function' ? getActiveThresholdId() : null,
       thresholds
     )
-    renderSignificantPoints(significantContainer, newObservedPoints, newForecastPoints, newXScale, newYScale, timeRange)
+    renderSignificantPoints(significantContainer, newObservedPoints, newForecastPoints, newXScale, newYScale, timeRange, dataCache.unitName)
     updateTimeIndicator(svg, timeLabel, timeLine, newXScale, height, isMobile, timeRange)
     hideOverlappingTicks(timeLabel, timeRange)
 
@@ -0,0 +1,311 @@
+import { select, pointer } from 'd3-selection'
+import { line as d3Line, curveMonotoneX } from 'd3-shape'
+import { scaleLinear } from 'd3-scale'
+import { bisector, extent } from 'd3-array'
+import { createXScale, createYScale, renderAxes, renderGridLines } from './line-chart-layout.js'
+import {
+  ARIA_HIDDEN,
+  ARIA_HIDDEN_STRING,
+  MARGIN_TOP,
+  MARGIN_BOTTOM,
+  MARGIN_LEFT,
+  DESKTOP_MARGIN_RIGHT_BASE,
+  MARGIN_CHAR_MULTIPLIER,
+  DEFAULT_WIDTH,
+  DEFAULT_HEIGHT,
+  Y_AXIS_NICE_TICKS
+} from './line-chart-constants.js'
+import { formatValue, formatTime, formatDay, getRangePercent } from './utils.js'
+import { COMPARISON_PALETTES, DEFAULT_PALETTE } from './comparison-palettes.js'
+
+const MS_PER_HOUR = 60 * 60 * 1000
+const MS_PER_DAY = 24 * MS_PER_HOUR
+// Room for y axis labels such as 100.0
+const Y_LABEL_CHARACTERS = 5
+// A series without a reading this close to the hovered time shows no value there
+const MAX_TOOLTIP_GAP_MS = 2 * MS_PER_HOUR
+const NORMAL_RANGE_BOTTOM = 0
+const NORMAL_RANGE_TOP = 100
+// Not a river type, so the y axis isn't held at zero for tidal levels below datum
+const COMPARISON_DATA_TYPE = 'comparison'
+
+// Lines also differ by dash, so they can be told apart without colour
+const SERIES_DASHES = [null, '8 4', '2 4', '8 4 2 4', '12 4', '4 4']
+
+// Time ranges the shared axis formats its ticks for, by how much time the series cover
+function getTimeRange(xExtent) {
+  const days = (xExtent[1] - xExtent[0]) / MS_PER_DAY
+
+  if (days <= 7) {
+    return '5d'
+  }
+
+  if (days <= 45) {
+    return '1m'
+  }
+
+  return days <= 200 ? '6m' : '1y'
+}
+
+/**
+ * Colour and dash pattern for the series at an index
+ */
+export function getSeriesStyle(index, paletteId = DEFAULT_PALETTE) {
+  const { colours } = COMPARISON_PALETTES[paletteId] ?? COMPARISON_PALETTES[DEFAULT_PALETTE]
+
+  return {
+    colour: colours[index % colours.length],
+    dash: SERIES_DASHES[index % SERIES_DASHES.length]
+  }
+}
+
+/**
+ * Points to draw for each station, sorted by time. Normalised, each value is a percentage of the station's typical
+ * range (see getRangePercent), and a station without one has no points and is flagged canNormalise: false
+ */
+export function toChartSeries(series, { normalise = false } = {}) {
+  return series.map(station => {
+    const canNormalise = getRangePercent(0, station.typicalRangeLow, station.typicalRangeHigh) !== null
+    const points = normalise && !canNormalise
+      ? []
+      : station.observed
+        .map(point => ({
+          time: new Date(point.dateTime).getTime(),
+          value: normalise ? getRangePercent(point.value, station.typicalRangeLow, station.typicalRangeHigh) : Number(point.value)
+        }))
+        .filter(point => Number.isFinite(point.time) && Number.isFinite(point.value))
+        .sort((a, b) => a.time - b.time)
+
+    return { id: station.id, name: station.name, unitName: station.unitName, canNormalise, points }
+  })
+}
+
+const bisectTime = bisector(point => point.time).center
+
+/**
+ * Each series' value nearest to a time, or null where it has no reading close enough
+ */
+export function getValuesAt(chartSeries, time, maxGapMs = MAX_TOOLTIP_GAP_MS) {
+  return chartSeries.map(series => {
+    const nearest = series.points.length ? series.points[bisectTime(series.points, time)] : null
+    const isClose = nearest && Math.abs(nearest.time - time) <= maxGapMs
+
+    return { id: series.id, name: series.name, unitName: series.unitName, value: isClose ? nearest.value : null }
+  })
+}
+
+/**
+ * A value as the tooltip gives it: with its unit, or as a percentage of the typical range when normalised
+ */
+export function formatComparisonValue(value, unitName, normalise) {
+  if (value === null) {
+    return 'No reading'
+  }
+
+  return normalise ? `${Math.round(value)}% of normal range` : formatValue(value, unitName)
+}
+
+function initializeComparisonSVG(container) {
+  container.innerHTML = ''
+
+  const svg = select(container)
+    .append('svg')
+    .attr('id', `${container.id}-visualisation`)
+    .attr(ARIA_HIDDEN_STRING, ARIA_HIDDEN)
+    .attr('focusable', 'false')
+  const mainGroup = svg.append('g').attr('class', 'chart-main')
+
+  svg.append('defs').append('clipPath').attr('id', `${container.id}-clip`).append('rect').attr('class', 'clip-rect')
+  mainGroup.append('g').attr('class', 'y grid')
+  mainGroup.append('g').attr('class', 'x grid')
+  mainGroup.append('g').attr('class', 'x axis')
+  mainGroup.append('g').attr('class', 'y axis')
+
+  const inner = mainGroup.append('g').attr('class', 'inner').attr('clip-path', `url(#${container.id}-clip)`)
+  inner.append('rect').attr('class', 'comparison-normal-range')
+  inner.append('g').attr('class', 'comparison-lines')
+  inner.append('line').attr('class', 'locator__line')
+
+  const tooltip = select(container).append('div').attr('class', 'defra-comparison-chart__tooltip').attr(ARIA_HIDDEN_STRING, ARIA_HIDDEN)
+
+  return { svg, mainGroup, inner, tooltip }
+}
+
+function renderLegend(legend, chartSeries, state, onToggle) {
+  legend.innerHTML = ''
+
+  chartSeries.forEach((series, index) => {
+    const { colour, dash } = getSeriesStyle(index, state.palette)
+    const item = document.createElement('li')
+    const button = document.createElement('button')
+    const isUnavailable = state.normalise && !series.canNormalise
+
+    button.type = 'button'
+    button.className = 'defra-comparison-chart__legend-button'
+    button.setAttribute('aria-pressed', String(!state.hidden.has(series.id) && !isUnavailable))
+    button.disabled = isUnavailable
+    button.dataset.seriesId = series.id
+    button.innerHTML = `<svg class="defra-comparison-chart__swatch" width="24" height="8" aria-hidden="true" focusable="false"><line x1="0" y1="4" x2="24" y2="4" stroke="${colour}" stroke-width="3"${dash ? ` stroke-dasharray="${dash}"` : ''}></line></svg>`
+    button.append(isUnavailable ? `${series.name} (no normal range)` : series.name)
+    button.addEventListener('click', () => onToggle(series.id))
+
+    item.appendChild(button)
+    legend.appendChild(item)
+  })
+}
+
+function createYScaleFor(points, normalise, height, unitName) {
+  if (!normalise) {
+    return createYScale(points.length ? points : [{ value: 0 }], COMPARISON_DATA_TYPE, height, unitName)
+  }
+
+  // The normal range is always in view, so levels read against it
+  const [low, high] = extent(points.concat({ value: NORMAL_RANGE_BOTTOM }, { value: NORMAL_RANGE_TOP }), point => point.value)
+  const padding = (high - low) / 10
+
+  return scaleLinear().domain([low - padding, high + padding]).range([height, 0]).nice(Y_AXIS_NICE_TICKS)
+}
+
+// Station names come from the API, so the tooltip is built from text nodes rather than HTML
+function renderTooltip(tooltip, values, time, state, styles) {
+  tooltip.selectAll('*').remove()
+  tooltip.append('p').attr('class', 'defra-comparison-chart__tooltip-time').text(`${formatTime(time)}, ${formatDay(time)}`)
+
+  const rows = tooltip.append('ul').attr('class', 'defra-comparison-chart__tooltip-list')
+    .selectAll('li')
+    .data(values.filter(({ id }) => !state.hidden.has(id)))
+    .join('li')
+    .attr('class', 'defra-comparison-chart__tooltip-row')
+
+  rows.append('span').attr('class', 'defra-comparison-chart__tooltip-swatch').style('background-color', ({ id }) => styles.get(id).colour)
+  rows.append('span').text(({ name }) => `${name}: `)
+  rows.append('strong').text(({ unitName, value }) => formatComparisonValue(value, unitName, state.normalise))
+}
+
+/**
+ * Chart several stations' observed levels on a shared time axis, one line each, with a legend that shows and hides
+ * each line and a tooltip listing every shown station's value at the hovered time. Levels can be normalised to each
+ * station's typical range (see toChartSeries) to compare stations measured from different datums
+ * Returns controls to change the palette and normalising, or null without a container
+ */
+export function comparisonChart(containerId, series, options = {}) {
+  const container = document.getElementById(containerId)
+  const legend = options.legendId ? document.getElementById(options.legendId) : null
+
+  if (!container) {
+    console.error('ComparisonChart: Container not found:', containerId)
+    return null
+  }
+
+  const state = {
+    palette: options.palette ?? DEFAULT_PALETTE,
+    normalise: !!options.normalise,
+    hidden: new Set(),
+    chartSeries: [],
+    xScale: null,
+    width: DEFAULT_WIDTH,
+    height: DEFAULT_HEIGHT
+  }
+  const { svg, mainGroup, inner, tooltip } = initializeComparisonSVG(container)
+  const margin = { top: MARGIN_TOP, bottom: MARGIN_BOTTOM, left: MARGIN_LEFT, right: DESKTOP_MARGIN_RIGHT_BASE + (Y_LABEL_CHARACTERS * MARGIN_CHAR_MULTIPLIER) }
+
+  const render = () => {
+    state.chartSeries = toChartSeries(series, { normalise: state.normalise })
+    const styles = new Map(state.chartSeries.map((chartSeries, index) => [chartSeries.id, getSeriesStyle(index, state.palette)]))
+    const shown = state.chartSeries.filter(chartSeries => !state.hidden.has(chartSeries.id))
+    const allPoints = state.chartSeries.flatMap(chartSeries => chartSeries.points)
+    const shownPoints = shown.flatMap(chartSeries => chartSeries.points)
+    const rect = container.getBoundingClientRect()
+
+    state.width = Math.max((Math.floor(rect.width) || DEFAULT_WIDTH) - margin.left - margin.right, 0)
+    state.height = Math.max((Math.floor(rect.height) || DEFAULT_HEIGHT) - margin.top - margin.bottom, 0)
+
+    if (legend) {
+      renderLegend(legend, state.chartSeries, state, toggleSeries)
+    }
+
+    if (!allPoints.length) {
+      console.warn('No data to render')
+      return
+    }
+
+    // The time axis covers every station, shown or not, so hiding a line doesn't move the others
+    const dated = allPoints.map(point => ({ dateTime: new Date(point.time) }))
+    const { scale: xScale, extent: xExtent } = createXScale(dated, [], state.width)
+    const yScale = createYScaleFor(shownPoints, state.normalise, state.height, series[0]?.unitName)
+    const timeRange = getTimeRange(xExtent)
+    state.xScale = xScale
+
+    mainGroup.attr('transform', `translate(${margin.left},${margin.top})`)
+    svg.select('.clip-rect').attr('width', state.width).attr('height', state.height)
+    renderAxes(svg, { xScale, yScale, width: state.width, height: state.height, timeRange })
+    renderGridLines(svg, xScale, yScale, state.height, state.width, xExtent, timeRange)
+
+    inner.select('.comparison-normal-range')
+      .attr('x', 0)
+      .attr('width', state.width)
+      .attr('y', state.normalise ? yScale(NORMAL_RANGE_TOP) : 0)
+      .attr('height', state.normalise ? yScale(NORMAL_RANGE_BOTTOM) - yScale(NORMAL_RANGE_TOP) : 0)
+    inner.select('.locator__line').attr('y1', 0).attr('y2', state.height)
+
+    const line = d3Line()
+      .curve(curveMonotoneX)
+      .x(point => xScale(point.time))
+      .y(point => yScale(point.value))
+
+    inner.select('.comparison-lines')
+      .selectAll('path')
+      .data(state.chartSeries, chartSeries => chartSeries.id)
+      .join('path')
+      .attr('class', chartSeries => `comparison-line comparison-line--${chartSeries.id}`)
+      .classed('comparison-line--hidden', chartSeries => state.hidden.has(chartSeries.id) || !chartSeries.points.length)
+      .attr('stroke', chartSeries => styles.get(chartSeries.id).colour)
+      .attr('stroke-dasharray', chartSeries => styles.get(chartSeries.id).dash)
+      .attr('d', chartSeries => chartSeries.points.length ? line(chartSeries.points) : null)
+
+    svg
+      .on('mousemove', (event) => {
+        const [x] = pointer(event, mainGroup.node())
+        if (x < 0 || x > state.width) {
+          return
+        }
+
+        const time = xScale.invert(x)
+        inner.select('.locator__line').attr('x1', x).attr('x2', x).classed('locator__line--visible', true)
+        renderTooltip(tooltip, getValuesAt(state.chartSeries, time.getTime()), time, state, styles)
+        tooltip
+          .classed('defra-comparison-chart__tooltip--visible', true)
+          .style('left', `${margin.left + x}px`)
+          .classed('defra-comparison-chart__tooltip--left', x > state.width / 2)
+      })
+      .on('mouseleave', () => {
+        inner.select('.locator__line').classed('locator__line--visible', false)
+        tooltip.classed('defra-comparison-chart__tooltip--visible', false)
+      })
+  }
+
+  const toggleSeries = (id) => {
+    if (state.hidden.has(id)) {
+      state.hidden.delete(id)
+    } else {
+      state.hidden.add(id)
+    }
+    render()
+  }
+
+  render()
+  globalThis.addEventListener?.('resize', render)
+
+  return {
+    container,
+    toggleSeries,
+    setPalette(palette) {
+      state.palette = COMPARISON_PALETTES[palette] ? palette : DEFAULT_PALETTE
+      render()
+    },
+    setNormalise(normalise) {
+      state.normalise = !!normalise
+      render()
+    }
+  }
+}
@@ -0,0 +1,11 @@
+// Kept apart from comparison-chart.js, with no imports, so the compare route can list the palettes without loading d3
+
+/**
+ * Palettes that stay distinct with the common colour vision deficiencies, each with a colour per comparable station
+ * Okabe-Ito leaves out its yellow and black, which don't show on the chart's white background and grid
+ */
+export const COMPARISON_PALETTES = {
+  'okabe-ito': { name: 'Okabe-Ito', colours: ['#0072B2', '#D55E00', '#009E73', '#CC79A7', '#E69F00', '#56B4E9'] },
+  'tol-bright': { name: 'Tol bright', colours: ['#4477AA', '#EE6677', '#228833', '#CCBB44', '#66CCEE', '#AA3377'] }
+}
+export const DEFAULT_PALETTE = 'okabe-ito'
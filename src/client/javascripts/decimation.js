@@ -0,0 +1,131 @@
+// Decimation of long series for drawing: fewer points than readings, without losing the peaks and troughs people look
+// for. Points are { dateTime, value } in time order, oldest or newest first, and keep that order
+const MIN_POINTS = 3
+
+// Above this many readings per pixel column, a line through one point per bucket can miss spikes within a column
+export const MIN_MAX_POINTS_PER_PIXEL = 2
+
+function timeOf(point) {
+  return new Date(point.dateTime).getTime()
+}
+
+// The points at indexes, with the series' highest and lowest points added so they are always drawn
+function pickPoints(data, indexes) {
+  let maxIndex = 0
+  let minIndex = 0
+
+  data.forEach((point, index) => {
+    if (point.value > data[maxIndex].value) {
+      maxIndex = index
+    }
+    if (point.value < data[minIndex].value) {
+      minIndex = index
+    }
+  })
+
+  indexes.add(maxIndex).add(minIndex)
+  return [...indexes].sort((a, b) => a - b).map(index => data[index])
+}
+
+/**
+ * Largest-Triangle-Three-Buckets: threshold points, the first and last and one from each bucket of the rest, picking
+ * the point making the largest triangle with the one picked before and the mean of the next bucket. The series'
+ * highest and lowest points are always kept, so there can be two more than threshold
+ */
+export function largestTriangleThreeBuckets(data, threshold) {
+  if (!data || threshold < MIN_POINTS || data.length <= threshold) {
+    return data
+  }
+
+  const times = data.map(timeOf)
+  const indexes = new Set([0, data.length - 1])
+  const bucketSize = (data.length - 2) / (threshold - 2)
+  let previous = 0
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    const start = Math.floor(bucket * bucketSize) + 1
+    const end = Math.floor((bucket + 1) * bucketSize) + 1
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, data.length)
+
+    let nextTime = 0
+    let nextValue = 0
+    for (let index = end; index < nextEnd; index++) {
+      nextTime += times[index]
+      nextValue += data[index].value
+    }
+    nextTime /= nextEnd - end
+    nextValue /= nextEnd - end
+
+    let largestArea = -1
+    let picked = start
+    for (let index = start; index < end; index++) {
+      const area = Math.abs(
+        ((times[previous] - nextTime) * (data[index].value - data[previous].value)) -
+        ((times[previous] - times[index]) * (nextValue - data[previous].value))
+      )
+      if (area > largestArea) {
+        largestArea = area
+        picked = index
+      }
+    }
+
+    indexes.add(picked)
+    previous = picked
+  }
+
+  return pickPoints(data, indexes)
+}
+
+/**
+ * The first and last points, and the highest and lowest in each of columns equal spans of time (a chart's pixel
+ * columns), so the line covers every reading's level in each column
+ */
+export function minMaxDecimate(data, columns) {
+  if (!data || data.length <= columns * 2) {
+    return data
+  }
+
+  const times = data.map(timeOf)
+  const start = times.reduce((earliest, time) => Math.min(earliest, time), Infinity)
+  const span = times.reduce((latest, time) => Math.max(latest, time), -Infinity) - start || 1
+  const buckets = new Map()
+
+  data.forEach((point, index) => {
+    const column = Math.min(Math.floor(((times[index] - start) / span) * columns), columns - 1)
+    const bucket = buckets.get(column)
+
+    if (!bucket) {
+      buckets.set(column, { min: index, max: index })
+    } else if (point.value < data[bucket.min].value) {
+      bucket.min = index
+    } else if (point.value > data[bucket.max].value) {
+      bucket.max = index
+    }
+  })
+
+  const indexes = new Set([0, data.length - 1])
+  for (const { min, max } of buckets.values()) {
+    indexes.add(min).add(max)
+  }
+
+  return pickPoints(data, indexes)
+}
+
+/**
+ * Points to draw of a series width pixels wide, at most about targetPoints unless there are more readings than the
+ * pixels can show. Then each pixel column is drawn from its lowest to its highest reading (see minMaxDecimate);
+ * otherwise points are picked by Largest-Triangle-Three-Buckets. Either way the series' highest and lowest points are kept
+ */
+export function decimate(data, { width, targetPoints }) {
+  if (!data || data.length <= targetPoints) {
+    return data
+  }
+
+  const columns = Math.max(Math.floor(width), 1)
+
+  if (data.length > columns * MIN_MAX_POINTS_PER_PIXEL) {
+    return minMaxDecimate(data, columns)
+  }
+
+  return largestTriangleThreeBuckets(data, targetPoints)
+}
@@ -0,0 +1,43 @@
+/**
+ * Forecast uncertainty
+ * Forecast points may carry lower and upper bounds, the forecaster's likely range around the central value
+ */
+import { timeFormat } from 'd3-time-format'
+import { formatValue, formatTime } from './utils.js'
+
+const formatShortDay = timeFormat('%-e %b')
+const formatTimeAndDay = date => `${formatTime(date)}, ${formatShortDay(date)}`
+
+/**
+ * Whether a forecast point has both bounds
+ */
+export function hasForecastRange(point) {
+  return Number.isFinite(point?.lower) && Number.isFinite(point?.upper)
+}
+
+/**
+ * Text for the chart's visually hidden description: when the forecast runs, its peak and, when there are bounds, its
+ * likely range. Empty without a forecast
+ */
+export function summariseForecast(forecast, unitName) {
+  if (!forecast?.length) {
+    return ''
+  }
+
+  const first = new Date(forecast[0].dateTime)
+  const last = new Date(forecast.at(-1).dateTime)
+  const peak = forecast.reduce((highest, point) => point.value > highest.value ? point : highest)
+  const sentences = [
+    `Forecast from ${formatTimeAndDay(first)} to ${formatTimeAndDay(last)}.`,
+    `The forecast peaks at ${formatValue(peak.value, unitName)} at ${formatTimeAndDay(new Date(peak.dateTime))}.`
+  ]
+
+  const ranged = forecast.filter(hasForecastRange)
+  if (ranged.length) {
+    const lowest = Math.min(...ranged.map(point => point.lower))
+    const highest = Math.max(...ranged.map(point => point.upper))
+    sentences.push(`The forecast is uncertain: the level is likely to stay between ${formatValue(lowest, unitName)} and ${formatValue(highest, unitName)}.`)
+  }
+
+  return sentences.join(' ')
+}
@@ -3,6 +3,8 @@
  * Handles merging, filtering, and downsampling of historic telemetry data
  */
 
+import { aggregateReadings, getTierForRange, toChartReadings } from './aggregation.js'
+
 const DAYS_PER_YEAR = 365
 const HOURS_PER_DAY = 24
 const MINUTES_PER_HOUR = 60
@@ -11,7 +13,6 @@ const MS_PER_SECOND = 1000
 const FIVE_YEARS = 5
 const FIVE_DAYS = 5
 const THIRTY_DAYS = 30
-const THIRTY_MINUTES = 30
 const SIX_MONTHS = 6
 const THREE_YEARS = 3
 const FIVE_YEARS_MS = FIVE_YEARS * DAYS_PER_YEAR * HOURS_PER_DAY * MINUTES_PER_HOUR * SECONDS_PER_MINUTE * MS_PER_SECOND
@@ -94,76 +95,30 @@ export function filterDataByTimeRange(data, range) {
 export function getTimeRangeLabel(range) {
   const labels = {
     '5d': 'last 5 days',
+    '1m': 'last month',
     '6m': 'last 6 months',
     '1y': 'last year',
     '3y': 'last 3 years',
+    '5y': 'last 5 years'
   }
   return labels[range] || 'last 5 days'
 }
 
 /**
  * Downsample data for chart style B to improve performance and readability
- * - 5 days, 1 month: no downsampling (15-min intervals)
- * - 6 months: 30-minute intervals
- * - 1 year: 30-minute intervals
- * - 5 years: daily high points
+ * Each range is drawn from its aggregation tier (see TIER_BY_RANGE): every reading up to a month, hourly lows and highs
+ * for 6 months and a year, daily for 3 years and weekly for 5 years, so neither peaks nor troughs are dropped
  */
 export function downsampleForStyleB(data, range) {
   if (!data || !Array.isArray(data) || data.length === 0) {
     return []
   }
 
-  // No downsampling for 5 days and 1 month
-  if (range === '5d' || range === '1m') {
-    return data
-  }
+  const tier = getTierForRange(range)
 
-  const downsampled = []
-  const THIRTY_MINUTES_MS = THIRTY_MINUTES * SECONDS_PER_MINUTE * MS_PER_SECOND
-
-  if (range === '6m' || range === '1y') {
-    // 30-minute intervals
-    let lastInterval = null
-    data.forEach(item => {
-      const timestamp = new Date(item.dateTime).getTime()
-      const interval = Math.floor(timestamp / THIRTY_MINUTES_MS) * THIRTY_MINUTES_MS
-      if (lastInterval !== interval) {
-        downsampled.push(item)
-        lastInterval = interval
-      }
-    })
-  } else if (range === '3y') {
-    // Daily high points - group by day and keep max value
-    const dailyGroups = new Map()
-    data.forEach(item => {
-      const date = new Date(item.dateTime)
-      const dayKey = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
-      if (!dailyGroups.has(dayKey) || item.value > dailyGroups.get(dayKey).value) {
-        dailyGroups.set(dayKey, item)
-      }
-    })
-    downsampled.push(...dailyGroups.values())
-    downsampled.sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
-  } else if (range === '5y') {
-    // Weekly high points - group by week and keep max value
-    const weeklyGroups = new Map()
-    data.forEach(item => {
-      const date = new Date(item.dateTime)
-      // Get the start of the week (Sunday)
-      const weekStart = new Date(date)
-      weekStart.setDate(date.getDate() - date.getDay())
-      weekStart.setHours(0, 0, 0, 0)
-      const weekKey = weekStart.getTime()
-      if (!weeklyGroups.has(weekKey) || item.value > weeklyGroups.get(weekKey).value) {
-        weeklyGroups.set(weekKey, item)
-      }
-    })
-    downsampled.push(...weeklyGroups.values())
-    downsampled.sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
-  } else {
-    // Unknown range - return original data
+  if (tier === 'raw') {
     return data
   }
 
-  return downsampled
+  return toChartReadings(aggregateReadings(data, tier))
 }
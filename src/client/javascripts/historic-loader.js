@@ -0,0 +1,86 @@
+import { toChartReadings } from './aggregation.js'
+
+// Loads pre-fetched historic readings from the JSON API a chart time range at a time, as the page only carries the
+// readings for its default range
+const STORAGE_PREFIX = 'flood:historic:'
+
+function getSessionStorage() {
+  try {
+    return globalThis.sessionStorage ?? null
+  } catch {
+    // Storage can be blocked by the browser's privacy settings
+    return null
+  }
+}
+
+function readStored(storage, key) {
+  try {
+    const stored = storage?.getItem(key)
+    return stored ? JSON.parse(stored) : null
+  } catch {
+    return null
+  }
+}
+
+function writeStored(storage, key, readings) {
+  try {
+    storage?.setItem(key, JSON.stringify(readings))
+  } catch (error) {
+    // Long ranges can be more than the storage allows; they are still kept for this page
+    console.warn('Could not keep historic readings for the session', error)
+  }
+}
+
+async function fetchReadings(url) {
+  const response = await fetch(url, { headers: { Accept: 'application/json' } })
+
+  if (!response.ok) {
+    throw new Error(`Historic readings request failed: ${response.status}`)
+  }
+
+  const { readings } = await response.json()
+  return toChartReadings(readings)
+}
+
+/**
+ * Loader for a station's historic readings from url (the station's historic API endpoint), by chart time range
+ * get gives the readings for a range already loaded, or null. load resolves to them, asking the API only the first
+ * time in the session; requests for a range already on its way share it, and a failed request can be tried again
+ */
+export function createHistoricLoader(url, { storage = getSessionStorage() } = {}) {
+  const loaded = new Map()
+  const pending = new Map()
+
+  const get = (range) => {
+    if (!loaded.has(range)) {
+      const stored = readStored(storage, `${STORAGE_PREFIX}${url}:${range}`)
+      if (stored) {
+        loaded.set(range, stored)
+      }
+    }
+
+    return loaded.get(range) ?? null
+  }
+
+  const load = (range) => {
+    const readings = get(range)
+
+    if (readings) {
+      return Promise.resolve(readings)
+    }
+
+    if (!pending.has(range)) {
+      pending.set(range, fetchReadings(`${url}?${new URLSearchParams({ range })}`)
+        .then(fetched => {
+          loaded.set(range, fetched)
+          writeStored(storage, `${STORAGE_PREFIX}${url}:${range}`, fetched)
+          return fetched
+        })
+        .finally(() => pending.delete(range)))
+    }
+
+    return pending.get(range)
+  }
+
+  return { get, load }
+}
@@ -0,0 +1,137 @@
+import { createLineShapes, renderLines } from './line-chart-render.js'
+import { hasForecastRange } from './forecast.js'
+import { CANVAS_POINT_THRESHOLD } from './line-chart-constants.js'
+
+// Canvas drawing of the observed and forecast lines for long series, where redrawing SVG paths of thousands of points on
+// every zoom event is slow. The canvas sits under the SVG, so axes, thresholds and the points grid are still drawn over it
+const CANVAS_CLASS = 'defra-line-chart__canvas'
+const SVG_LINES_SELECTOR = '.observed-area, .observed-line, .forecast-area, .forecast-band, .forecast-line'
+
+// The same as the SVG paths' styles in _charts.scss
+const OBSERVED_AREA_STYLE = { fill: 'rgba(29, 112, 184, 0.1)' }
+const OBSERVED_LINE_STYLE = { stroke: '#1d70b8', lineWidth: 3 }
+const FORECAST_AREA_STYLE = { fill: 'rgba(244, 119, 56, 0.2)' }
+const FORECAST_BAND_STYLE = { fill: 'rgba(244, 119, 56, 0.3)' }
+const FORECAST_LINE_STYLE = { stroke: '#f47738', lineWidth: 3, lineDash: [5, 5], lineCap: 'round' }
+
+/**
+ * Canvas for a chart's lines, put in its container before the SVG so it is drawn under it
+ */
+export function createCanvasLayer(container, svg) {
+  const canvas = document.createElement('canvas')
+  canvas.className = CANVAS_CLASS
+  canvas.setAttribute('aria-hidden', 'true')
+  container.insertBefore(canvas, svg.node())
+
+  return { canvas, context: undefined, width: 0, height: 0, ratio: 1 }
+}
+
+// The drawing context is only asked for once the canvas is first needed. It is null where canvas isn't supported
+function getContext(layer) {
+  if (layer.context === undefined) {
+    layer.context = layer.canvas.getContext?.('2d') ?? null
+  }
+
+  return layer.context
+}
+
+// Size and place the canvas over the plot area at the screen's pixel density, leaving it as it is if nothing changed
+function sizeCanvasLayer(layer, width, height, margin) {
+  const ratio = globalThis.devicePixelRatio || 1
+  const { canvas } = layer
+
+  canvas.style.left = `${margin?.left ?? 0}px`
+  canvas.style.top = `${margin?.top ?? 0}px`
+
+  if (layer.width === width && layer.height === height && layer.ratio === ratio) {
+    return
+  }
+
+  canvas.width = Math.round(width * ratio)
+  canvas.height = Math.round(height * ratio)
+  canvas.style.width = `${width}px`
+  canvas.style.height = `${height}px`
+  Object.assign(layer, { width, height, ratio })
+}
+
+function clearCanvasLayer(layer) {
+  if (!layer.context) {
+    return
+  }
+
+  layer.context.setTransform(1, 0, 0, 1, 0, 0)
+  layer.context.clearRect(0, 0, layer.canvas.width, layer.canvas.height)
+}
+
+function drawShape(context, shape, points, style) {
+  context.beginPath()
+  shape.context(context)(points)
+
+  if (style.fill) {
+    context.fillStyle = style.fill
+    context.fill()
+  }
+
+  if (style.stroke) {
+    context.strokeStyle = style.stroke
+    context.lineWidth = style.lineWidth
+    context.lineCap = style.lineCap ?? 'butt'
+    context.setLineDash(style.lineDash ?? [])
+    context.stroke()
+  }
+}
+
+/**
+ * renderLines onto a canvas layer (see createCanvasLayer) for a plot area width by height, placed at margin
+ */
+function renderCanvasLines(layer, { observedPoints, forecastPoints, xScale, yScale, width, height, margin, dataType, unitName }) {
+  const context = getContext(layer)
+  const { area, line, band } = createLineShapes(xScale, yScale, height, dataType, unitName)
+
+  sizeCanvasLayer(layer, width, height, margin)
+  clearCanvasLayer(layer)
+  context.setTransform(layer.ratio, 0, 0, layer.ratio, 0, 0)
+
+  if (observedPoints.length) {
+    drawShape(context, area, observedPoints, OBSERVED_AREA_STYLE)
+    drawShape(context, line, observedPoints, OBSERVED_LINE_STYLE)
+  }
+
+  if (forecastPoints.length) {
+    drawShape(context, area, forecastPoints, FORECAST_AREA_STYLE)
+    if (forecastPoints.some(hasForecastRange)) {
+      drawShape(context, band, forecastPoints, FORECAST_BAND_STYLE)
+    }
+    drawShape(context, line, forecastPoints, FORECAST_LINE_STYLE)
+  }
+}
+
+/**
+ * A renderLines for a chart, with the same arguments, that draws on the canvas layer when the observed and forecast
+ * points are more than pointThreshold between them, and as SVG paths otherwise or where canvas isn't supported
+ * getMargin gives the chart's current margins, to place the canvas over the plot area
+ */
+export function createLinesRenderer(layer, { pointThreshold = CANVAS_POINT_THRESHOLD, getMargin = () => null } = {}) {
+  return (svg, observedPoints, forecastPoints, xScale, yScale, height, dataType, unitName) => {
+    const useCanvas = observedPoints.length + forecastPoints.length > pointThreshold && getContext(layer)
+
+    if (!useCanvas) {
+      clearCanvasLayer(layer)
+      renderLines(svg, observedPoints, forecastPoints, xScale, yScale, height, dataType, unitName)
+      return
+    }
+
+    svg.selectAll(SVG_LINES_SELECTOR).attr('d', null)
+    renderCanvasLines(layer, {
+      observedPoints,
+      forecastPoints,
+      xScale,
+      yScale,
+      width: xScale.range()[1],
+      height,
+      margin: getMargin(),
+      dataType,
+      unitName
+    })
+  }
+}
@@ -48,3 +48,6 @@ export const DEFAULT_HEIGHT = 400
 
 export const SEVEN_DAYS = 7
 export const FORECAST_POINTS_RATIO = 0.3
+
+// Above this many points between them, the observed and forecast lines are drawn on a canvas rather than as SVG paths
+export const CANVAS_POINT_THRESHOLD = 1000
@@ -1,8 +1,11 @@
 import { simplify } from './utils.js'
+import { accumulateRainfall } from './rainfall.js'
+import { decimate } from './decimation.js'
 import {
   FORECAST_POINTS_RATIO,
   TOLERANCE_TIDE,
-  TOLERANCE_DEFAULT
+  TOLERANCE_DEFAULT,
+  DEFAULT_WIDTH
 } from './line-chart-constants.js'
 
 const DEFAULT_BASE_POINTS = 500
@@ -13,25 +16,6 @@ const MODERATE_ZOOM_MULTIPLIER = 1.5
 const HIGH_ZOOM_MULTIPLIER = 3
 const MAX_ZOOM_MULTIPLIER = 4
 
-function downsampleData(data, targetPoints) {
-  if (!data || data.length <= targetPoints) {
-    return data
-  }
-
-  const step = Math.ceil(data.length / targetPoints)
-  const result = []
-
-  for (let i = 0; i < data.length; i += step) {
-    result.push(data[i])
-  }
-
-  if (result.at(-1) !== data.at(-1)) {
-    result.push(data.at(-1))
-  }
-
-  return result
-}
-
 function getTargetPointsForZoom(zoomLevel, basePoints = DEFAULT_BASE_POINTS) {
   // Be more conservative with point density, especially at high zoom levels
   // to prevent overlapping labels on mobile screens
@@ -87,7 +71,21 @@ function processForecastData(forecast, dataType, observed) {
   return processed.map(l => ({ ...l, type: 'forecast' }))
 }
 
-export function processData(dataCache, zoomLevel = BASE_ZOOM_LEVEL) {
+// Rainfall is drawn as one bar per accumulation period, so it is totalled rather than simplified or downsampled
+function processRainfallData(dataCache) {
+  const observedPoints = accumulateRainfall(dataCache.observed, dataCache.accumulationPeriod).map(p => ({ ...p, type: 'observed' }))
+  return { lines: observedPoints, observedPoints, forecastPoints: [] }
+}
+
+/**
+ * Points to draw for a chart width pixels wide at a zoom level, decimated so peaks and troughs are kept (see decimate)
+ * Zooming in spreads the series over more pixels, so more of its points are drawn
+ */
+export function processData(dataCache, zoomLevel = BASE_ZOOM_LEVEL, width = DEFAULT_WIDTH) {
+  if (dataCache.type === 'rainfall') {
+    return processRainfallData(dataCache)
+  }
+
   let observedPoints = []
   let forecastPoints = []
 
@@ -100,8 +98,9 @@ export function processData(dataCache, zoomLevel = BASE_ZOOM_LEVEL) {
   }
 
   const targetPoints = getTargetPointsForZoom(zoomLevel)
-  observedPoints = downsampleData(observedPoints, targetPoints)
-  forecastPoints = downsampleData(forecastPoints, Math.floor(targetPoints * FORECAST_POINTS_RATIO))
+  const seriesWidth = width * Math.max(zoomLevel, BASE_ZOOM_LEVEL)
+  observedPoints = decimate(observedPoints, { width: seriesWidth, targetPoints })
+  forecastPoints = decimate(forecastPoints, { width: seriesWidth, targetPoints: Math.floor(targetPoints * FORECAST_POINTS_RATIO) })
 
   const lines = observedPoints.concat(forecastPoints)
   return { lines, observedPoints, forecastPoints }
@@ -1,13 +1,30 @@
 import { timeFormat } from 'd3-time-format'
 import { select } from 'd3-selection'
+import { clampsAtZero, formatValue, formatTime } from './utils.js'
+import { RAINFALL_PERIODS } from './rainfall.js'
+import { hasForecastRange } from './forecast.js'
+import { createTrendCalculator, formatRate } from './trend.js'
 import { TOOLTIP_TEXT_HEIGHT_OFFSET, TOOLTIP_PATH_LENGTH, TOOLTIP_PATH_LENGTH_WIDE, TOOLTIP_MARGIN_TOP, TOOLTIP_MARGIN_BOTTOM_OFFSET, TOOLTIP_VERTICAL_OFFSET } from './line-chart-constants.js'
 
 const THRESHOLD_DETECTION_TOLERANCE_PX = 12
 const TOUCH_EDGE_PAN_THRESHOLD_PX = 16
 const WIDE_TIME_RANGES = new Set(['6m', '1y', '3y', '5y'])
 
-function getPathLength(timeRange) {
-  return WIDE_TIME_RANGES.has(timeRange) ? TOOLTIP_PATH_LENGTH_WIDE : TOOLTIP_PATH_LENGTH
+function getPathLength(timeRange, dataType) {
+  return WIDE_TIME_RANGES.has(timeRange) || dataType === 'rainfall' ? TOOLTIP_PATH_LENGTH_WIDE : TOOLTIP_PATH_LENGTH
+}
+
+// A rainfall bar is a total, so the tooltip gives the period it covers rather than a single time
+function getRainfallTooltipText(dataPoint, unitName, dateFormat) {
+  const period = RAINFALL_PERIODS[dataPoint.period]
+  const periodEnd = new Date(dataPoint.periodEnd)
+  const value = `${formatValue(dataPoint.value, unitName)} in ${period.duration}`
+
+  if (period.id === '1d') {
+    return { value, description: timeFormat(dateFormat)(new Date(dataPoint.periodStart)) }
+  }
+
+  return { value, description: `Ending ${formatTime(periodEnd)}, ${timeFormat(dateFormat)(periodEnd)}` }
 }
 
 function clampTooltipX(x, pathLength, chartWidth) {
@@ -41,7 +58,25 @@ function clampTooltipY(y, tooltipHeight, currentHeight) {
 }
 
 export function createTooltipManager(tooltipConfig) {
-  const { tooltip, tooltipPath, tooltipValue, tooltipDescription, locator, getHeight, getWidth, dataType, latestDateTime, timeRange } = tooltipConfig
+  const { tooltip, tooltipPath, tooltipValue, tooltipDescription, tooltipDetail, locator, getHeight, getWidth, dataType, unitName, latestDateTime, timeRange, observed, trendWindowMinutes } = tooltipConfig
+  const clampAtZero = clampsAtZero(dataType, unitName)
+  // Made once for the chart's readings rather than going through them all on every pointer move
+  const getTrendAt = createTrendCalculator(observed, { windowMinutes: trendWindowMinutes })
+
+  // Third line: the likely range of a forecast point with bounds, or the rate of change up to an observed reading
+  function getTooltipDetail(dataPoint) {
+    if (hasForecastRange(dataPoint)) {
+      return `Likely ${formatValue(dataPoint.lower, unitName)} to ${formatValue(dataPoint.upper, unitName)}`
+    }
+
+    const isObserved = !dataPoint.period && new Date(dataPoint.dateTime) <= new Date(latestDateTime)
+    if (!isObserved || !observed?.length) {
+      return ''
+    }
+
+    const { rate } = getTrendAt(dataPoint.dateTime)
+    return rate === null ? '' : formatRate(rate, unitName)
+  }
 
   function setThresholdHoverState(isHovering) {
     const svgNode = tooltip.node()?.ownerSVGElement
@@ -56,7 +91,7 @@ export function createTooltipManager(tooltipConfig) {
     const currentHeight = getHeight()
     const locatorX = x
     const txtHeight = Math.round(tooltip.select('text').node().getBBox().height) + TOOLTIP_TEXT_HEIGHT_OFFSET
-    const pathLength = getPathLength(timeRange)
+    const pathLength = getPathLength(timeRange, dataType)
 
     tooltipPath.attr('d', `M${pathLength},${txtHeight}l0,-${txtHeight}l-${pathLength},0l0,${txtHeight}l${pathLength},0Z`)
 
@@ -68,8 +103,8 @@ export function createTooltipManager(tooltipConfig) {
     tooltip.classed('tooltip--visible', true)
     tooltip.raise()
 
-    const locatorY = Math.floor(yScaleFunc(dataType === 'river' && dataPoint.value < 0 ? 0 : dataPoint.value))
-    locator.classed('locator--forecast', new Date(dataPoint.dateTime) > new Date(latestDateTime))
+    const locatorY = Math.floor(yScaleFunc(clampAtZero && dataPoint.value < 0 ? 0 : dataPoint.value))
+    locator.classed('locator--forecast', !dataPoint.period && new Date(dataPoint.dateTime) > new Date(latestDateTime))
     locator.attr('transform', `translate(${locatorX.toFixed(0)},0)`)
     locator.select('.locator__line').attr('y2', currentHeight)
     locator.select('.locator-point').attr('transform', `translate(0,${locatorY})`)
@@ -80,13 +115,24 @@ export function createTooltipManager(tooltipConfig) {
       return
     }
 
-    const value = dataType === 'river' && (Math.round(dataPoint.value * 100) / 100) <= 0 ? '0' : dataPoint.value.toFixed(2)
     const dateObj = new Date(dataPoint.dateTime)
     const includeYear = timeRange === '6m' || timeRange === '1y' || timeRange === '3y' || timeRange === '5y'
     const dateFormat = includeYear ? '%e %b %Y' : '%e %b'
 
-    tooltipValue.text(`${value}m`)
-    tooltipDescription.text(`${timeFormat('%-I:%M%p')(dateObj).toLowerCase()}, ${timeFormat(dateFormat)(dateObj)}`)
+    if (dataPoint.period) {
+      const { value, description } = getRainfallTooltipText(dataPoint, unitName, dateFormat)
+      tooltipValue.text(value)
+      tooltipDescription.text(description)
+    } else {
+      const value = clampAtZero && (Math.round(dataPoint.value * 100) / 100) <= 0 ? formatValue(0, unitName, 0) : formatValue(dataPoint.value, unitName)
+      tooltipValue.text(value)
+      tooltipDescription.text(`${formatTime(dateObj)}, ${timeFormat(dateFormat)(dateObj)}`)
+    }
+
+    if (tooltipDetail) {
+      const detail = getTooltipDetail(dataPoint)
+      tooltipDetail.attr('display', detail ? null : 'none').text(detail)
+    }
 
     setThresholdHoverState(true)
     locator.classed('locator--visible', true)
@@ -22,6 +22,7 @@ import {
   generateUniqueYTicks,
   snapTickValuesForRange
 } from './line-chart-tick-utils.js'
+import { formatTime } from './utils.js'
 import {
   DATE_LABEL_MODE,
   TIME_AND_DATE_LABEL_MODE,
@@ -342,7 +343,7 @@ export function updateTimeIndicator(_svg, timeLabel, timeLine, xScale, height, i
     .style('display', isVisible ? null : 'none')
 
   timeLabel.select('.time-now-text__time')
-    .text(timeFormat('%-I:%M%p')(now).toLowerCase())
+    .text(formatTime(now))
 
   timeLabel.select('.time-now-text__date')
     .text(timeFormat('%-e %b')(now))
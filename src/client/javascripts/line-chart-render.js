@@ -1,5 +1,6 @@
 import { area as d3Area, line as d3Line, curveMonotoneX } from 'd3-shape'
 import { select } from 'd3-selection'
+import { scaleLinear } from 'd3-scale'
 import { timeFormat } from 'd3-time-format'
 import {
   ARIA_HIDDEN,
@@ -13,18 +14,28 @@ import {
   TSPAN_DY_OFFSET_LARGE,
   THIRTY_DAYS
 } from './line-chart-constants.js'
+import { clampsAtZero, formatValue, formatTime } from './utils.js'
+import { hasForecastRange } from './forecast.js'
+
+/**
+ * Shape generators for the observed and forecast lines and areas, and the forecast's likely range, drawing SVG paths or
+ * onto a canvas context (see line-chart-canvas.js)
+ */
+export function createLineShapes(xScale, yScale, height, dataType, unitName) {
+  const clampAtZero = clampsAtZero(dataType, unitName)
+  const x = d => xScale(new Date(d.dateTime))
+  const toY = value => yScale(clampAtZero && value < 0 ? 0 : value)
 
-export function renderLines(svg, observedPoints, forecastPoints, xScale, yScale, height, dataType) {
-  const area = d3Area()
-    .curve(curveMonotoneX)
-    .x(d => xScale(new Date(d.dateTime)))
-    .y0(height)
-    .y1(d => yScale(dataType === 'river' && d.value < 0 ? 0 : d.value))
+  return {
+    area: d3Area().curve(curveMonotoneX).x(x).y0(height).y1(d => toY(d.value)),
+    line: d3Line().curve(curveMonotoneX).x(x).y(d => toY(d.value)),
+    // Left open where points have no bounds
+    band: d3Area().curve(curveMonotoneX).defined(hasForecastRange).x(x).y0(d => toY(d.lower)).y1(d => toY(d.upper))
+  }
+}
 
-  const line = d3Line()
-    .curve(curveMonotoneX)
-    .x(d => xScale(new Date(d.dateTime)))
-    .y(d => yScale(dataType === 'river' && d.value < 0 ? 0 : d.value))
+export function renderLines(svg, observedPoints, forecastPoints, xScale, yScale, height, dataType, unitName) {
+  const { area, line, band } = createLineShapes(xScale, yScale, height, dataType, unitName)
 
   if (observedPoints.length) {
     svg.select('.observed-area').datum(observedPoints).attr('d', area)
@@ -35,9 +46,151 @@ export function renderLines(svg, observedPoints, forecastPoints, xScale, yScale,
     svg.select('.forecast-area').datum(forecastPoints).attr('d', area)
     svg.select('.forecast-line').datum(forecastPoints).attr('d', line)
   }
+
+  // Likely range around the forecast line
+  const bandPath = svg.select('.forecast-band')
+
+  if (forecastPoints.some(hasForecastRange)) {
+    bandPath.datum(forecastPoints).attr('d', band)
+  } else {
+    bandPath.attr('d', null)
+  }
+}
+
+const BAR_GAP = 1
+const MIN_BAR_WIDTH = 1
+const CUMULATIVE_LABEL_OFFSET_X = -4
+const CUMULATIVE_LABEL_DY = '1em'
+
+function getBarWidth(xScale, d) {
+  const span = xScale(new Date(d.periodEnd)) - xScale(new Date(d.periodStart))
+  return span > BAR_GAP * 2 ? span - BAR_GAP : Math.max(span, MIN_BAR_WIDTH)
+}
+
+/**
+ * Rainfall bars, one per accumulation period (see accumulateRainfall)
+ * The running total line has its own scale from zero to the period total, labelled with that total at its end
+ */
+export function renderBars(svg, points, xScale, yScale, height, { showCumulative = false, unitName } = {}) {
+  svg.select('.rainfall-bars')
+    .selectAll('.rainfall-bar')
+    .data(points)
+    .join('rect')
+    .attr('class', 'rainfall-bar')
+    .attr('x', d => xScale(new Date(d.periodStart)))
+    .attr('width', d => getBarWidth(xScale, d))
+    .attr('y', d => yScale(d.value))
+    .attr('height', d => Math.max(0, height - yScale(d.value)))
+
+  const cumulativeLine = svg.select('.rainfall-cumulative-line')
+  const cumulativeLabel = svg.select('.rainfall-cumulative-label')
+
+  if (!showCumulative || !points.length) {
+    cumulativeLine.attr('d', null)
+    cumulativeLabel.text('')
+    return
+  }
+
+  const last = points.at(-1)
+  const cumulativeScale = scaleLinear().domain([0, last.cumulative || 1]).range([height, 0])
+  const line = d3Line()
+    .x(d => xScale(new Date(d.periodEnd)))
+    .y(d => cumulativeScale(d.cumulative))
+
+  cumulativeLine.datum(points).attr('d', line)
+  cumulativeLabel
+    .attr('x', xScale(new Date(last.periodEnd)) + CUMULATIVE_LABEL_OFFSET_X)
+    .attr('y', cumulativeScale(last.cumulative))
+    .attr('dy', CUMULATIVE_LABEL_DY)
+    .text(`${formatValue(last.cumulative, unitName, 1)} total`)
+}
+
+const TIDE_MARKER_RADIUS = 4
+const TIDE_LABEL_OFFSET_HIGH = -10
+const TIDE_LABEL_OFFSET_LOW = 20
+// Labels overlap beyond this many turning points in view, so only the markers are drawn
+const MAX_LABELLED_TIDE_MARKERS = 20
+const DATUM_LABEL_X = 4
+const DATUM_LABEL_OFFSET_Y = -6
+
+/**
+ * High and low water markers (see findTideExtremes), for the turning points inside the visible time range
+ */
+export function renderTideMarkers(container, extremes, xScale, yScale, unitName) {
+  container.selectAll('*').remove()
+
+  const [start, end] = xScale.domain()
+  const visible = extremes.filter(turn => {
+    const time = new Date(turn.dateTime)
+    return time >= start && time <= end
+  })
+  const showLabels = visible.length <= MAX_LABELLED_TIDE_MARKERS
+
+  const markers = container
+    .selectAll('.tide-marker')
+    .data(visible)
+    .enter()
+    .append('g')
+    .attr('class', d => `tide-marker tide-marker--${d.kind}`)
+    .attr('transform', d => `translate(${xScale(new Date(d.dateTime))},${yScale(d.value)})`)
+
+  markers.append('circle').attr('r', TIDE_MARKER_RADIUS)
+
+  if (showLabels) {
+    markers.append('text')
+      .attr(TEXT_ANCHOR_ATTR, TEXT_ANCHOR_MIDDLE)
+      .attr('y', d => d.kind === 'high' ? TIDE_LABEL_OFFSET_HIGH : TIDE_LABEL_OFFSET_LOW)
+      .text(d => `${d.kind === 'high' ? 'High' : 'Low'} tide ${formatValue(d.value, unitName)}`)
+  }
+}
+
+/**
+ * Zero line for heights measured from a datum, labelled with the datum, when zero is in view
+ */
+export function renderDatumLine(container, width, yScale, datum) {
+  container.selectAll('*').remove()
+
+  const [min, max] = yScale.domain()
+  if (!datum || min > 0 || max < 0) {
+    return
+  }
+
+  const y = yScale(0)
+
+  container.append('line')
+    .attr('class', 'datum__line')
+    .attr('x1', 0)
+    .attr('x2', width)
+    .attr('y1', y)
+    .attr('y2', y)
+
+  container.append('text')
+    .attr('class', 'datum__label')
+    .attr('x', DATUM_LABEL_X)
+    .attr('y', y + DATUM_LABEL_OFFSET_Y)
+    .text(`0m ${datum}`)
+}
+
+/**
+ * Seasonal envelope behind a groundwater level: the range on record for each day as a band, with the median dashed
+ * Points come from expandEnvelope
+ */
+export function renderEnvelope(container, points, xScale, yScale) {
+  container.selectAll('*').remove()
+
+  if (!points?.length) {
+    return
+  }
+
+  const x = d => xScale(new Date(d.dateTime))
+  const range = d3Area().curve(curveMonotoneX).x(x).y0(d => yScale(d.min)).y1(d => yScale(d.max))
+  const median = d3Line().curve(curveMonotoneX).x(x).y(d => yScale(d.median))
+
+  container.append('path').datum(points).attr('class', 'envelope-range').attr('d', range)
+  container.append('path').datum(points).attr('class', 'envelope-median').attr('d', median)
 }
 
-export function renderSignificantPoints(container, observedPoints, forecastPoints, xScale, yScale, timeRange) {
+export function renderSignificantPoints(container, observedPoints, forecastPoints, xScale, yScale, timeRange, unitName) {
   container.selectAll('*').remove()
 
   const significantObserved = observedPoints.filter(x => x.isSignificant).map(p => ({ ...p, type: 'observed' }))
@@ -69,9 +222,9 @@ export function renderSignificantPoints(container, observedPoints, forecastPoint
     .attr('x', d => xScale(new Date(d.dateTime)))
     .attr('y', d => yScale(d.value))
     .each(function (d) {
-      const value = `${d.value.toFixed(2)}m`
+      const value = formatValue(d.value, unitName)
       const dateObj = new Date(d.dateTime)
-      const time = timeFormat('%-I:%M%p')(dateObj).toLowerCase()
+      const time = formatTime(dateObj)
       const includeYear = timeRange === '1y' || timeRange === '5y'
       const dateFormat = includeYear ? '%e %b %Y' : '%e %b'
       const date = timeFormat(dateFormat)(dateObj)
@@ -359,12 +512,20 @@ export function initializeSVG(containerId) {
   mainGroup.append('g').attr('class', 'y axis').attr(ARIA_HIDDEN_STRING, ARIA_HIDDEN).style(TEXT_ANCHOR_ATTR, TEXT_ANCHOR_START)
 
   const inner = mainGroup.append('g').attr('class', 'inner').attr(ARIA_HIDDEN_STRING, ARIA_HIDDEN).attr('clip-path', 'url(#chart-clip)')
+  const envelopeContainer = inner.append('g').attr('class', 'envelope')
   inner.append('g').attr('class', 'observed observed-focus')
   inner.append('g').attr('class', 'forecast')
   inner.select('.observed').append('path').attr('class', 'observed-area')
   inner.select('.observed').append('path').attr('class', 'observed-line')
   inner.select('.forecast').append('path').attr('class', 'forecast-area')
+  inner.select('.forecast').append('path').attr('class', 'forecast-band')
   inner.select('.forecast').append('path').attr('class', 'forecast-line')
+  inner.append('g').attr('class', 'rainfall-bars')
+  inner.append('path').attr('class', 'rainfall-cumulative-line')
+  inner.append('text').attr('class', 'rainfall-cumulative-label').attr(TEXT_ANCHOR_ATTR, 'end')
+  const tideMarkersContainer = inner.append('g').attr('class', 'tide-markers')
+
+  const datumContainer = mainGroup.append('g').attr('class', 'datum').attr(ARIA_HIDDEN_STRING, ARIA_HIDDEN)
 
   const thresholdsContainer = mainGroup.append('g').attr('class', 'thresholds').attr(ARIA_HIDDEN_STRING, ARIA_HIDDEN)
 
@@ -384,6 +545,7 @@ export function initializeSVG(containerId) {
   const tooltipText = tooltip.append('text').attr('class', 'tooltip-text')
   const tooltipValue = tooltipText.append('tspan').attr('class', 'tooltip-text__strong').attr('x', TOOLTIP_TEXT_X_OFFSET).attr('y', THIRTY_DAYS).attr('dy', 0)
   const tooltipDescription = tooltipText.append('tspan').attr('class', 'tooltip-text').attr('x', TOOLTIP_TEXT_X_OFFSET).attr('dy', TSPAN_DY_OFFSET_LARGE)
+  const tooltipDetail = tooltipText.append('tspan').attr('class', 'tooltip-text__small').attr('x', TOOLTIP_TEXT_X_OFFSET).attr('dy', TSPAN_DY_OFFSET_LARGE)
 
   return {
     svg,
@@ -392,11 +554,16 @@ export function initializeSVG(containerId) {
     timeLine,
     timeLabel,
     thresholdsContainer,
+    tideMarkersContainer,
+    datumContainer,
+    envelopeContainer,
     locator,
     significantContainer,
     tooltip,
     tooltipPath,
     tooltipValue,
-    tooltipDescription
+    tooltipDescription,
+    tooltipDetail,
+    description
   }
 }
@@ -1,6 +1,7 @@
 import { extent } from 'd3-array'
 import { scaleLinear, scaleTime } from 'd3-scale'
 import { getVisibleDurationDays } from './line-chart-tick-utils.js'
+import { clampsAtZero } from './utils.js'
 import {
   RANGE_BUFFER_DIVISOR,
   MIN_RANGE_VALUE,
@@ -35,7 +36,11 @@ export function getLabelModeForExtent(timeRange, xExtent) {
   return MONTH_YEAR_LABEL_MODE
 }
 
-export function calculateYScaleDomain(lines, dataType) {
+function getLowerBound(yRangeLowerBuffered, dataType, unitName) {
+  return clampsAtZero(dataType, unitName) ? Math.max(yRangeLowerBuffered, 0) : yRangeLowerBuffered
+}
+
+export function calculateYScaleDomain(lines, dataType, unitName) {
   const yExtent = extent(lines, (d) => d.value)
   const yExtentDataMin = yExtent[0]
   const yExtentDataMax = yExtent[1]
@@ -47,7 +52,8 @@ export function calculateYScaleDomain(lines, dataType) {
   const yRangeLowerBuffered = yExtentDataMin - (range / RANGE_BUFFER_DIVISOR)
 
   const upperBound = Math.max(yExtentDataMax, yRangeUpperBuffered)
-  const lowerBound = dataType === 'river' ? Math.max(yRangeLowerBuffered, 0) : yRangeLowerBuffered
+  // Rainfall bars always stand on zero
+  const lowerBound = dataType === 'rainfall' ? 0 : getLowerBound(yRangeLowerBuffered, dataType, unitName)
 
   return {
     min: lowerBound,
@@ -67,8 +73,8 @@ export function createXScale(observed, forecast, width) {
   return { scale, extent: xExtent }
 }
 
-export function createYScale(lines, dataType, height) {
-  const domain = calculateYScaleDomain(lines, dataType)
+export function createYScale(lines, dataType, height, unitName) {
+  const domain = calculateYScaleDomain(lines, dataType, unitName)
   return scaleLinear()
     .domain([domain.min, domain.max])
     .range([height, 0])
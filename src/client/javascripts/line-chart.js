@@ -11,8 +11,13 @@ import {
 } from './line-chart-constants.js'
 import { processData } from './line-chart-data.js'
 import { createXScale, createYScale, renderAxes, renderGridLines, updateTimeIndicator, hideOverlappingTicks, getYAxisLabelFormatter } from './line-chart-layout.js'
-import { renderLines, renderSignificantPoints, renderThresholds, initializeSVG } from './line-chart-render.js'
+import { renderBars, renderTideMarkers, renderDatumLine, renderEnvelope, renderSignificantPoints, renderThresholds, initializeSVG } from './line-chart-render.js'
 import { createTooltipManager, setupResponsiveHandlers } from './line-chart-interaction.js'
+import { createCanvasLayer, createLinesRenderer } from './line-chart-canvas.js'
+import { findTideExtremes } from './tide.js'
+import { expandEnvelope } from './seasonal-envelope.js'
+import { hasForecastRange, summariseForecast } from './forecast.js'
+import { getUnit } from './utils.js'
 
 const Y_AXIS_SAMPLE_TICK_COUNT = 6
 const MIN_Y_AXIS_LABEL_LENGTH = 3
@@ -20,6 +25,16 @@ const MOBILE_MARGIN_LEFT = 8
 const MOBILE_MARGIN_RIGHT_BASE = 14
 const MOBILE_Y_LABEL_CHAR_WIDTH = 6
 
+// The envelope's range is part of the y domain, so the band is never cut off above or below the level
+function getEnvelopeValues(envelopePoints) {
+  return envelopePoints.flatMap(point => [{ value: point.min }, { value: point.max }])
+}
+
+// Likewise the forecast's likely range
+function getForecastBoundValues(forecastPoints) {
+  return forecastPoints.filter(hasForecastRange).flatMap(point => [{ value: point.lower }, { value: point.upper }])
+}
+
 function createThresholdDismissHandler(stateRef) {
   return (thresholdId) => {
     if (Array.isArray(stateRef.thresholds)) {
@@ -55,12 +70,15 @@ function initializeZoom(config) {
     dataCache,
     timeRange,
     significantContainer,
+    tideMarkersContainer,
+    envelopeContainer,
     timeLine,
     timeLabel,
     isMobileRef,
     tooltipManager,
     container,
-    zoomRef
+    zoomRef,
+    renderChartLines
   } = config
 
   zoomRef.baseXScaleRef = zoomRef.baseXScaleRef || { current: stateRef.xScale.copy() }
@@ -87,7 +105,14 @@ function initializeZoom(config) {
       processData,
       renderAxes,
       renderGridLines,
-      renderLines,
+      renderLines: renderChartLines,
+      renderBars,
+      renderTideMarkers,
+      tideMarkersContainer,
+      tideExtremes: stateRef.tideExtremes,
+      renderEnvelope,
+      envelopeContainer,
+      envelopePoints: stateRef.envelopePoints,
       renderThresholds,
       renderSignificantPoints,
       updateTimeIndicator,
@@ -230,7 +255,8 @@ function createChartRenderer(config) {
     timeRange,
     isMobileRef,
     stateRef,
-    zoomRef
+    zoomRef,
+    renderChartLines
   } = config
 
   const render = (zoomLevel = 1) => {
@@ -240,7 +266,7 @@ function createChartRenderer(config) {
     const activateThreshold = createActivateThresholdHandler(stateRef, () => render(zoomLevel))
 
     const dismissThreshold = createThresholdDismissHandler(stateRef)
-    const processedData = processData(dataCache, zoomLevel)
+    const processedData = processData(dataCache, zoomLevel, stateRef.width || DEFAULT_WIDTH)
     assignProcessedDataToState(stateRef, processedData)
 
     if (!stateRef.lines || stateRef.lines.length === 0) {
@@ -251,7 +277,8 @@ function createChartRenderer(config) {
     const { scale: xScaleNew, extent: xExtentNew } = createXScale(dataCache.observed, dataCache.forecast, stateRef.width || DEFAULT_WIDTH)
     stateRef.xScale = xScaleNew
     stateRef.xExtent = xExtentNew
-    stateRef.yScale = createYScale(stateRef.lines, dataCache.type, stateRef.height || DEFAULT_HEIGHT)
+    stateRef.envelopePoints = dataCache.type === 'groundwater' ? expandEnvelope(dataCache.envelope, ...stateRef.xScale.domain()) : []
+    stateRef.yScale = createYScale(stateRef.lines.concat(getEnvelopeValues(stateRef.envelopePoints), getForecastBoundValues(stateRef.forecastPoints)), dataCache.type, stateRef.height || DEFAULT_HEIGHT, dataCache.unitName)
 
     const longestYAxisLabelLength = getLongestYAxisLabelLength(stateRef.yScale)
     setChartMargins(stateRef, isMobileRef.current, longestYAxisLabelLength)
@@ -272,7 +299,18 @@ function createChartRenderer(config) {
     renderGridLines(svg, stateRef.xScale, stateRef.yScale, stateRef.height, stateRef.width, stateRef.xExtent, timeRange)
     updateTimeIndicator(svg, svgElements.timeLabel, svgElements.timeLine, stateRef.xScale, stateRef.height, isMobileRef.current, timeRange)
     hideOverlappingTicks(svgElements.timeLabel, timeRange)
-    renderLines(svg, stateRef.observedPoints, stateRef.forecastPoints, stateRef.xScale, stateRef.yScale, stateRef.height, dataCache.type)
+    renderEnvelope(svgElements.envelopeContainer, stateRef.envelopePoints, stateRef.xScale, stateRef.yScale)
+    if (dataCache.type === 'rainfall') {
+      renderBars(svg, stateRef.observedPoints, stateRef.xScale, stateRef.yScale, stateRef.height, { showCumulative: dataCache.showCumulative, unitName: dataCache.unitName })
+    } else {
+      renderChartLines(svg, stateRef.observedPoints, stateRef.forecastPoints, stateRef.xScale, stateRef.yScale, stateRef.height, dataCache.type, dataCache.unitName)
+    }
+
+    // Tidal heights are read against their datum and the turning points of each tide
+    if (dataCache.type === 'tide') {
+      renderTideMarkers(svgElements.tideMarkersContainer, stateRef.tideExtremes, stateRef.xScale, stateRef.yScale, dataCache.unitName)
+      renderDatumLine(svgElements.datumContainer, stateRef.width, stateRef.yScale, getUnit(dataCache.unitName).datum)
+    }
     renderThresholds(
       svgElements.thresholdsContainer,
       stateRef.width,
@@ -282,7 +320,7 @@ function createChartRenderer(config) {
       stateRef.activeThresholdId,
       stateRef.thresholds
     )
-    renderSignificantPoints(svgElements.significantContainer, stateRef.observedPoints, stateRef.forecastPoints, stateRef.xScale, stateRef.yScale, timeRange)
+    renderSignificantPoints(svgElements.significantContainer, stateRef.observedPoints, stateRef.forecastPoints, stateRef.xScale, stateRef.yScale, timeRange, dataCache.unitName)
 
     svgElements.inner.select('.locator__line').attr('y1', 0).attr('y2', stateRef.height)
 
@@ -304,6 +342,8 @@ function createStateRef() {
     lines: null,
     observedPoints: null,
     forecastPoints: null,
+    tideExtremes: [],
+    envelopePoints: [],
     activeThresholdId: null
   }
 }
@@ -324,13 +364,19 @@ function setupChartContext(containerId, data, options) {
     tooltip,
     tooltipPath,
     tooltipValue,
-    tooltipDescription
+    tooltipDescription,
+    tooltipDetail,
+    description
   } = svgElements
 
+  // Screen readers get the forecast and its uncertainty in words, as the band is only drawn
+  description.textContent = summariseForecast(dataCache.forecast, dataCache.unitName)
+
   const mobileMediaQuery = globalThis.matchMedia(MOBILE_BREAKPOINT)
   const isMobileRef = { current: mobileMediaQuery.matches }
   const stateRef = createStateRef()
   stateRef.thresholds = Array.isArray(options.thresholds) ? options.thresholds : []
+  stateRef.tideExtremes = dataCache.type === 'tide' ? findTideExtremes(dataCache.observed) : []
   const initiallyEnabledThresholds = stateRef.thresholds.filter(threshold => threshold.enabled)
   const hasExternalActive = typeof options.activeThresholdId === 'string' &&
     initiallyEnabledThresholds.some(threshold => threshold.id === options.activeThresholdId)
@@ -350,6 +396,13 @@ function setupChartContext(containerId, data, options) {
   stateRef.onThresholdActivate = typeof options.onThresholdActivate === 'function' ? options.onThresholdActivate : null
   const zoomRef = { behavior: null, rect: null }
 
+  // Long series are drawn on a canvas under the SVG, see createLinesRenderer
+  const canvasLayer = createCanvasLayer(document.getElementById(containerId), svg)
+  const renderChartLines = createLinesRenderer(canvasLayer, {
+    pointThreshold: options.canvasPointThreshold,
+    getMargin: () => stateRef.margin
+  })
+
   return {
     dataCache,
     timeRange,
@@ -366,10 +419,12 @@ function setupChartContext(containerId, data, options) {
     tooltipPath,
     tooltipValue,
     tooltipDescription,
+    tooltipDetail,
     mobileMediaQuery,
     isMobileRef,
     stateRef,
-    zoomRef
+    zoomRef,
+    renderChartLines
   }
 }
 
@@ -379,12 +434,16 @@ function setupTooltipManager(context) {
     tooltipPath: context.tooltipPath,
     tooltipValue: context.tooltipValue,
     tooltipDescription: context.tooltipDescription,
+    tooltipDetail: context.tooltipDetail,
     locator: context.locator,
     getHeight: () => context.stateRef.height,
     getWidth: () => context.stateRef.width,
     dataType: context.dataCache.type,
+    unitName: context.dataCache.unitName,
     latestDateTime: context.dataCache.latestDateTime,
-    timeRange: context.timeRange
+    timeRange: context.timeRange,
+    observed: context.dataCache.observed,
+    trendWindowMinutes: context.dataCache.trendWindowMinutes
   })
 }
 
@@ -400,15 +459,23 @@ function initializeZoomIfEnabled(context, container, tooltipManager) {
     dataCache: context.dataCache,
     timeRange: context.timeRange,
     significantContainer: context.significantContainer,
+    tideMarkersContainer: context.svgElements.tideMarkersContainer,
+    envelopeContainer: context.svgElements.envelopeContainer,
     timeLine: context.timeLine,
     timeLabel: context.timeLabel,
     isMobileRef: context.isMobileRef,
     tooltipManager,
     container,
-    zoomRef: context.zoomRef
+    zoomRef: context.zoomRef,
+    renderChartLines: context.renderChartLines
   })
 }
 
+/**
+ * Draw a station's telemetry in the container. Options include timeRange, enableZoom, thresholds and
+ * canvasPointThreshold, the number of observed and forecast points above which the lines are drawn on a canvas
+ * (CANVAS_POINT_THRESHOLD unless given, see line-chart-canvas.js)
+ */
 export function lineChart(containerId, _stationId, data, _options = {}) {
   const container = document.getElementById(containerId)
 
@@ -432,7 +499,8 @@ export function lineChart(containerId, _stationId, data, _options = {}) {
     timeRange: context.timeRange,
     isMobileRef: context.isMobileRef,
     stateRef: context.stateRef,
-    zoomRef: context.zoomRef
+    zoomRef: context.zoomRef,
+    renderChartLines: context.renderChartLines
   })
 
   const tooltipManager = setupTooltipManager(context)
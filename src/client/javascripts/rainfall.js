@@ -0,0 +1,90 @@
+/**
+ * Rainfall accumulation
+ * Totals rain gauge readings into 15 minute, hourly or daily periods for the bar chart, with a running total
+ */
+
+const MS_PER_MINUTE = 60 * 1000
+const MINUTES_PER_QUARTER_HOUR = 15
+const MINUTES_PER_HOUR = 60
+const HOURS_PER_DAY = 24
+const TOTAL_DECIMAL_FACTOR = 1000
+
+// Above this many bars a period is too fine to draw, so the next coarser one is used
+const MAX_RAINFALL_BARS = 1000
+
+export const RAINFALL_PERIODS = {
+  '15m': { id: '15m', ms: MINUTES_PER_QUARTER_HOUR * MS_PER_MINUTE, duration: '15 mins' },
+  '1h': { id: '1h', ms: MINUTES_PER_HOUR * MS_PER_MINUTE, duration: '1 hour' },
+  '1d': { id: '1d', ms: HOURS_PER_DAY * MINUTES_PER_HOUR * MS_PER_MINUTE, duration: '1 day' }
+}
+
+export const DEFAULT_RAINFALL_PERIOD = '1h'
+
+function getPeriod(periodId) {
+  return RAINFALL_PERIODS[periodId] || RAINFALL_PERIODS[DEFAULT_RAINFALL_PERIOD]
+}
+
+// Gauge readings are multiples of the tipping bucket size, so this only trims floating point noise from the sums
+function roundTotal(value) {
+  return Math.round(value * TOTAL_DECIMAL_FACTOR) / TOTAL_DECIMAL_FACTOR
+}
+
+/**
+ * Sum readings into periods, oldest first
+ * Each reading is the rainfall for the interval ending at its timestamp, so it counts towards the period ending at or after it.
+ * Periods are aligned to UTC, so daily totals run midnight to midnight UTC.
+ * dateTime is the middle of the period, so the tooltip and locator sit over the centre of its bar
+ */
+export function accumulateRainfall(observed, periodId = DEFAULT_RAINFALL_PERIOD) {
+  const period = getPeriod(periodId)
+  const totals = new Map()
+
+  for (const reading of observed || []) {
+    const value = Number(reading.value)
+    if (reading.err || !Number.isFinite(value)) {
+      continue
+    }
+
+    const periodEnd = Math.ceil(new Date(reading.dateTime).getTime() / period.ms) * period.ms
+    totals.set(periodEnd, (totals.get(periodEnd) || 0) + value)
+  }
+
+  let cumulative = 0
+
+  return [...totals.keys()].sort((a, b) => a - b).map(periodEnd => {
+    const total = totals.get(periodEnd)
+    cumulative += total
+
+    return {
+      dateTime: new Date(periodEnd - (period.ms / 2)).toISOString(),
+      periodStart: new Date(periodEnd - period.ms).toISOString(),
+      periodEnd: new Date(periodEnd).toISOString(),
+      period: period.id,
+      value: roundTotal(total),
+      cumulative: roundTotal(cumulative)
+    }
+  })
+}
+
+/**
+ * The requested period, or the first coarser one that keeps the bar count drawable for the readings' time span
+ */
+export function fitRainfallPeriod(periodId, observed) {
+  const periodIds = Object.keys(RAINFALL_PERIODS)
+  const requestedIndex = periodIds.indexOf(getPeriod(periodId).id)
+
+  if (!observed || observed.length < 2) {
+    return periodIds[requestedIndex]
+  }
+
+  let earliest = Number.POSITIVE_INFINITY
+  let latest = Number.NEGATIVE_INFINITY
+  for (const reading of observed) {
+    const time = new Date(reading.dateTime).getTime()
+    earliest = Math.min(earliest, time)
+    latest = Math.max(latest, time)
+  }
+
+  const span = latest - earliest
+  return periodIds.slice(requestedIndex).find(id => span / RAINFALL_PERIODS[id].ms <= MAX_RAINFALL_BARS) ?? periodIds.at(-1)
+}
@@ -0,0 +1,39 @@
+/**
+ * Seasonal envelope
+ * Lays the historic range of groundwater levels for each day of the year over the chart's time range
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Zero-based UTC day of the year, 0 to 365
+ */
+export function getDayOfYear(date) {
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  return Math.round((day - Date.UTC(date.getUTCFullYear(), 0, 1)) / MS_PER_DAY)
+}
+
+/**
+ * One point per UTC day from start to end, with the envelope's min, median and max for that day of the year
+ * Days with no envelope entry are left out
+ */
+export function expandEnvelope(envelope, start, end) {
+  if (!envelope?.length) {
+    return []
+  }
+
+  const byDayOfYear = new Map(envelope.map(entry => [entry.dayOfYear, entry]))
+  const first = new Date(start)
+  const points = []
+
+  for (let time = Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), first.getUTCDate()); time <= new Date(end).getTime(); time += MS_PER_DAY) {
+    const day = new Date(time)
+    const entry = byDayOfYear.get(getDayOfYear(day))
+
+    if (entry) {
+      points.push({ dateTime: day.toISOString(), min: entry.min, median: entry.median, max: entry.max })
+    }
+  }
+
+  return points
+}
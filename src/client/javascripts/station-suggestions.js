@@ -0,0 +1,74 @@
+// Type-ahead for station ID inputs, offering stations whose name matches what has been typed
+const SUGGESTIONS_ATTRIBUTE = 'data-station-suggestions'
+const MIN_QUERY_LENGTH = 2
+const DEBOUNCE_MS = 250
+
+/**
+ * Option label for a suggested station, with its river where it has one
+ */
+export function getSuggestionLabel(station) {
+  return station.river ? `${station.river} at ${station.name}` : station.name
+}
+
+function renderSuggestions(list, stations) {
+  list.replaceChildren(...stations.map(station => {
+    const option = document.createElement('option')
+    option.value = station.id
+    option.label = getSuggestionLabel(station)
+    option.textContent = getSuggestionLabel(station)
+    return option
+  }))
+}
+
+/**
+ * Fill the input's datalist with stations matching its text as the user types
+ * Suggestions are optional, so a failed request just leaves the list empty
+ */
+export function setupStationSuggestions(input, { delay = DEBOUNCE_MS } = {}) {
+  const list = document.getElementById(input.getAttribute('list'))
+  const url = input.getAttribute(SUGGESTIONS_ATTRIBUTE)
+  let timeout
+  let latestQuery = null
+
+  if (!list || !url) {
+    return
+  }
+
+  const suggest = async (query) => {
+    latestQuery = query
+
+    try {
+      const response = await fetch(`${url}?${new URLSearchParams({ q: query })}`, { headers: { Accept: 'application/json' } })
+      const { items = [] } = response.ok ? await response.json() : {}
+
+      // A slower response for earlier text mustn't replace the suggestions for what's there now
+      if (query === latestQuery) {
+        renderSuggestions(list, items)
+      }
+    } catch (error) {
+      console.warn('Station suggestions failed', error)
+      renderSuggestions(list, [])
+    }
+  }
+
+  input.addEventListener('input', () => {
+    const query = input.value.trim()
+    clearTimeout(timeout)
+
+    // RLOI IDs are typed in full, so numbers aren't searched for as names
+    if (query.length < MIN_QUERY_LENGTH || /^\d+$/.test(query)) {
+      latestQuery = null
+      renderSuggestions(list, [])
+      return
+    }
+
+    timeout = setTimeout(() => suggest(query), delay)
+  })
+}
+
+/**
+ * Set up type-ahead on every input asking for it
+ */
+export function initStationSuggestions(root = document) {
+  root.querySelectorAll(`[${SUGGESTIONS_ATTRIBUTE}]`).forEach(input => setupStationSuggestions(input))
+}
@@ -0,0 +1,80 @@
+/**
+ * Tide turning points
+ * Finds high and low water in an observed tidal series, for the markers on coastal station charts
+ */
+
+// Share of the tidal range either side of the mid level that readings must pass to start a new high or low
+const HYSTERESIS_RATIO = 0.1
+
+function toReadings(observed) {
+  return (observed || [])
+    .filter(reading => !reading.err && Number.isFinite(Number(reading.value)))
+    .map(reading => ({ dateTime: reading.dateTime, value: Number(reading.value), time: new Date(reading.dateTime).getTime() }))
+    .sort((a, b) => a.time - b.time)
+}
+
+function getKind(value, mid, band) {
+  if (value > mid + band) {
+    return 'high'
+  }
+
+  if (value < mid - band) {
+    return 'low'
+  }
+
+  return null
+}
+
+function isFurther(reading, turn) {
+  return turn.kind === 'high' ? reading.value > turn.value : reading.value < turn.value
+}
+
+/**
+ * High and low water for each tide in the series, oldest first
+ * The series is split into runs above and below its mid level, with a hysteresis band so noise near the mid level
+ * does not start a new run. Each run's highest or lowest reading is its turning point, unless that is the first or
+ * last reading, where the tide may have turned outside the series.
+ */
+export function findTideExtremes(observed) {
+  const readings = toReadings(observed)
+
+  if (readings.length < 3) {
+    return []
+  }
+
+  let min = Number.POSITIVE_INFINITY
+  let max = Number.NEGATIVE_INFINITY
+  for (const reading of readings) {
+    min = Math.min(min, reading.value)
+    max = Math.max(max, reading.value)
+  }
+
+  if (max === min) {
+    return []
+  }
+
+  const mid = (min + max) / 2
+  const band = (max - min) * HYSTERESIS_RATIO
+  const turns = []
+  let current = null
+
+  for (const reading of readings) {
+    const kind = getKind(reading.value, mid, band)
+
+    if (kind && kind !== current?.kind) {
+      current = { ...reading, kind }
+      turns.push(current)
+    } else if (kind && isFurther(reading, current)) {
+      Object.assign(current, reading)
+    } else {
+      // Inside the band, or not past the current turning point
+    }
+  }
+
+  const first = readings[0].time
+  const last = readings.at(-1).time
+
+  return turns
+    .filter(turn => turn.time !== first && turn.time !== last)
+    .map(({ dateTime, value, kind }) => ({ dateTime, value, kind }))
+}
@@ -0,0 +1,121 @@
+/**
+ * Trend
+ * Rate of change of a level from a least-squares line through the readings in a time window
+ */
+import { bisectLeft, bisectRight } from 'd3-array'
+import { formatValue, getUnit } from './utils.js'
+
+const MS_PER_MINUTE = 60 * 1000
+const MINUTES_PER_HOUR = 60
+export const DEFAULT_TREND_WINDOW_MINUTES = 60
+export const INSUFFICIENT_DATA = 'insufficient data'
+// A line through fewer readings, or readings covering less of the window than this, is too easily thrown by one reading
+const MIN_TREND_READINGS = 3
+const MIN_WINDOW_COVERAGE = 0.5
+// Rates smaller than this, in units per hour, are reported as steady
+const STEADY_RATE_PER_HOUR = 0.05
+
+function toPoints(readings) {
+  return (readings || [])
+    .map(reading => ({ time: new Date(reading?.dateTime).getTime(), value: reading?.value }))
+    .filter(point => Number.isFinite(point.time) && point.value !== null && point.value !== undefined && Number.isFinite(Number(point.value)))
+    .map(point => ({ time: point.time, value: Number(point.value) }))
+}
+
+// Least-squares slope in units per hour
+function getSlopePerHour(points) {
+  const meanTime = points.reduce((sum, point) => sum + point.time, 0) / points.length
+  const meanValue = points.reduce((sum, point) => sum + point.value, 0) / points.length
+  let covariance = 0
+  let variance = 0
+
+  for (const point of points) {
+    const hours = (point.time - meanTime) / (MS_PER_MINUTE * MINUTES_PER_HOUR)
+    covariance += hours * (point.value - meanValue)
+    variance += hours * hours
+  }
+
+  return covariance / variance
+}
+
+function getTrendName(rate) {
+  if (Math.abs(rate) < STEADY_RATE_PER_HOUR) {
+    return 'steady'
+  }
+
+  return rate > 0 ? 'rising' : 'falling'
+}
+
+// Trend of the points in a window windowMs long, see calculateTrend
+function getWindowTrend(inWindow, windowMs) {
+  const insufficient = { trend: INSUFFICIENT_DATA, rate: null }
+
+  if (inWindow.length < MIN_TREND_READINGS) {
+    return insufficient
+  }
+
+  const first = inWindow.reduce((earliest, point) => Math.min(earliest, point.time), Infinity)
+  const last = inWindow.reduce((latest, point) => Math.max(latest, point.time), -Infinity)
+  if (last - first < windowMs * MIN_WINDOW_COVERAGE) {
+    return insufficient
+  }
+
+  const rate = getSlopePerHour(inWindow)
+  return { trend: getTrendName(rate), rate }
+}
+
+/**
+ * Trend over the windowMinutes up to end (the latest reading unless given), in any reading order
+ * Returns { trend: 'rising' | 'falling' | 'steady', rate } with rate in units per hour, or { trend: INSUFFICIENT_DATA,
+ * rate: null } when the window has too few readings or they cover too little of it
+ */
+export function calculateTrend(readings, { windowMinutes = DEFAULT_TREND_WINDOW_MINUTES, end = null } = {}) {
+  const points = toPoints(readings)
+
+  if (!points.length) {
+    return { trend: INSUFFICIENT_DATA, rate: null }
+  }
+
+  const windowMs = windowMinutes * MS_PER_MINUTE
+  const endTime = end === null ? points.reduce((latest, point) => Math.max(latest, point.time), -Infinity) : new Date(end).getTime()
+
+  return getWindowTrend(points.filter(point => point.time <= endTime && point.time >= endTime - windowMs), windowMs)
+}
+
+/**
+ * calculateTrend of the same readings up to any end time, for looking up many, e.g. as a chart's pointer moves.
+ * The readings are put in time order once, so each lookup only goes through those in its window
+ */
+export function createTrendCalculator(readings, { windowMinutes = DEFAULT_TREND_WINDOW_MINUTES } = {}) {
+  const points = toPoints(readings).sort((a, b) => a.time - b.time)
+  const times = points.map(point => point.time)
+  const windowMs = windowMinutes * MS_PER_MINUTE
+
+  return (end) => {
+    const endTime = new Date(end).getTime()
+    return getWindowTrend(points.slice(bisectLeft(times, endTime - windowMs), bisectRight(times, endTime)), windowMs)
+  }
+}
+
+/**
+ * Rate with its sign and unit, e.g. +0.12m/hr. Units that are already a rate, like m³/s, are given per hour
+ */
+export function formatRate(rate, unitName) {
+  const rounded = Math.round(rate * 100) / 100
+  const sign = rounded > 0 ? '+' : ''
+  const value = `${sign}${formatValue(rounded === 0 ? 0 : rounded, unitName)}`
+
+  return getUnit(unitName).symbol.includes('/') ? `${value} per hour` : `${value}/hr`
+}
+
+/**
+ * Trend window for page text, e.g. "hour", "3 hours" or "30 minutes"
+ */
+export function formatTrendWindow(windowMinutes) {
+  if (windowMinutes % MINUTES_PER_HOUR !== 0) {
+    return `${windowMinutes} minutes`
+  }
+
+  const hours = windowMinutes / MINUTES_PER_HOUR
+  return hours === 1 ? 'hour' : `${hours} hours`
+}
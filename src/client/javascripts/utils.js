@@ -1,5 +1,7 @@
 'use strict'
 
+import { timeFormat } from 'd3-time-format'
+
 // Utility functions for flood charts
 
 // forEach polyfill
@@ -85,11 +87,81 @@ export const simplify = (points, tolerance) => {
   return simplifyDouglasPeucker(points, sqTolerance)
 }
 
+// Human readable file size, e.g. 12KB or 1.4MB
+const BYTES_PER_KB = 1024
+const BYTES_PER_MB = BYTES_PER_KB * BYTES_PER_KB
+
+export const formatFileSize = (bytes) => {
+  if (bytes >= BYTES_PER_MB) {
+    return `${(bytes / BYTES_PER_MB).toFixed(1)}MB`
+  }
+
+  return `${Math.max(1, Math.round(bytes / BYTES_PER_KB))}KB`
+}
+
+// Display units for telemetry values, keyed by the measure unitName from the flood-monitoring API
+// datum is what a height is measured from, where the unit says
+const METRES = { symbol: 'm', separator: '', quantity: 'Height', noun: 'level', description: 'metres', nonNegative: false, datum: null }
+const CUBIC_METRES_PER_SECOND = { symbol: 'm³/s', separator: ' ', quantity: 'Flow', noun: 'flow', description: 'cubic metres per second', nonNegative: true }
+const MILLIMETRES = { symbol: 'mm', separator: '', quantity: 'Rainfall', noun: 'rainfall', description: 'millimetres', nonNegative: true }
+
+const UNITS = {
+  m: METRES,
+  mASD: { ...METRES, datum: 'station datum' },
+  mAOD: { ...METRES, datum: 'Ordnance Datum' },
+  mBDAT: METRES,
+  'm3/s': CUBIC_METRES_PER_SECOND,
+  'm³/s': CUBIC_METRES_PER_SECOND,
+  mm: MILLIMETRES
+}
+
+// Unknown units are shown as given; a missing unit is treated as metres, as readings were before units were carried
+export const getUnit = (unitName) => {
+  if (!unitName) {
+    return METRES
+  }
+
+  return UNITS[unitName] || { symbol: unitName, separator: ' ', quantity: 'Value', noun: 'value', description: unitName, nonNegative: false }
+}
+
+// A value with its unit symbol, e.g. 0.52m or 12.40 m³/s
+export const formatValue = (value, unitName, decimals = 2) => {
+  const unit = getUnit(unitName)
+  return `${Number(value).toFixed(decimals)}${unit.separator}${unit.symbol}`
+}
+
+const formatHourMinute = timeFormat('%-I:%M%p')
+
+// Times as the service shows them, e.g. 3:05pm, as en-GB locale times give 0:30 pm for half past midday
+export const formatTime = (date) => formatHourMinute(date).toLowerCase()
+
+// Days as the service shows them alongside a time, e.g. 16 January
+export const formatDay = timeFormat('%-e %B')
+
+// River levels, flows and rainfall are never drawn or reported below zero
+export const clampsAtZero = (dataType, unitName) => dataType === 'river' || getUnit(unitName).nonNegative
+
+const isNumber = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value))
+
+// A number from an API value, which can be a numeric string, or null if it isn't one
+export const toNumber = (value) => isNumber(value) ? Number(value) : null
+
+// Where a value sits in a typical range as a percentage: 0 at the bottom of the range, 100 at the top. Null without a range
+export const getRangePercent = (value, typicalRangeLow, typicalRangeHigh) => {
+  if (![value, typicalRangeLow, typicalRangeHigh].every(isNumber) || Number(typicalRangeHigh) <= Number(typicalRangeLow)) {
+    return null
+  }
+
+  return ((value - typicalRangeLow) / (typicalRangeHigh - typicalRangeLow)) * 100
+}
+
 // Make utilities available globally
 if (typeof window !== 'undefined') {
   window.flood = window.flood || {}
   window.flood.utils = {
     forEach,
-    simplify
+    simplify,
+    formatFileSize,
+    formatValue
   }
 }
@@ -0,0 +1,38 @@
+import Boom from '@hapi/boom'
+import { UpstreamError, StationNotFound, MeasureNotFound } from '../../lib/upstream-errors.js'
+
+export const API_PREFIX = '/api/v1'
+
+/**
+ * Whether a request is for the JSON API, whose errors are sent as JSON rather than error pages
+ */
+export function isApiRequest(request) {
+  return !!request.path?.startsWith(`${API_PREFIX}/`)
+}
+
+/**
+ * Boom error for a failure while loading station data for the JSON API, the counterpart of upstreamErrorView
+ * Boom errors are sent as { statusCode, error, message }. Station or measure not found is a 404; other upstream
+ * failures keep their own status
+ */
+export function toApiError(request, error, title) {
+  if (error instanceof StationNotFound || error instanceof MeasureNotFound) {
+    request.logger.warn(error.message)
+    return Boom.notFound(error.message)
+  }
+
+  if (error instanceof UpstreamError) {
+    request.logger.error({ err: error }, title)
+    return new Boom.Boom('The Environment Agency flood monitoring service is not responding at the moment', { statusCode: error.statusCode })
+  }
+
+  request.logger.error({ err: error }, title)
+  return Boom.badImplementation(title)
+}
+
+/**
+ * Validation failAction for the JSON API, sending the validation message rather than a generic one
+ */
+export function failApiValidation(request, h, error) {
+  throw error
+}
@@ -0,0 +1,28 @@
+import { Engine as CatboxRedis } from '@hapi/catbox-redis'
+import { Engine as CatboxMemory } from '@hapi/catbox-memory'
+import { createLogger } from './logging/logger.js'
+import { buildRedisClient } from './redis-client.js'
+import { config } from '../../config/config.js'
+
+/**
+ * Build the catbox engine for the configured cache backend
+ * @param {'redis' | 'memory'} engine
+ */
+export function getCacheEngine(engine) {
+  const logger = createLogger()
+
+  if (engine === 'redis') {
+    logger.info('Using Redis cache')
+    const redisClient = buildRedisClient(config.get('redis'))
+    return new CatboxRedis({ client: redisClient })
+  }
+
+  if (config.get('isProduction')) {
+    logger.error(
+      'Catbox Memory is for local development only, it should not be used in production!'
+    )
+  }
+
+  logger.info('Using Catbox Memory cache')
+  return new CatboxMemory()
+}
@@ -1,11 +1,13 @@
 import http2 from 'node:http2'
+import { isApiRequest } from './api-error.js'
 
 const { constants: httpConstants } = http2
 
 export function catchAll (request, h) {
   const { response } = request
 
-  if (!('isBoom' in response)) {
+  // The JSON API sends Boom's own { statusCode, error, message } body
+  if (!('isBoom' in response) || isApiRequest(request)) {
     return h.continue
   }
 
@@ -8,7 +8,7 @@ const logger = createLogger()
 /**
  * If HTTP_PROXY is set setupProxy() will enable it globally
  * for a number of http clients.
- * Node Fetch will still need to pass a ProxyAgent in on each call.
+ * Upstream API calls through proxyFetch use the shared dispatcher from lib/http-dispatcher.js.
  */
 export function setupProxy () {
   const proxyUrl = config.get('httpProxy')
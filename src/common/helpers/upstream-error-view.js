@@ -0,0 +1,41 @@
+import http2 from 'node:http2'
+import { UpstreamError, StationNotFound, MeasureNotFound } from '../../lib/upstream-errors.js'
+
+const { constants: httpConstants } = http2
+
+/**
+ * Render error.njk for a failure while loading station data
+ * Station or measure not found is a 404; other upstream failures use their own status and offer a retry link
+ */
+export function upstreamErrorView(request, h, error, title) {
+  if (error instanceof StationNotFound) {
+    request.logger.warn(error.message)
+    return h.view('error.njk', {
+      error: 'Station not found',
+      message: error.message
+    }).code(error.statusCode)
+  }
+
+  if (error instanceof MeasureNotFound) {
+    request.logger.warn(error.message)
+    return h.view('error.njk', {
+      error: 'Measure not found',
+      message: error.message
+    }).code(error.statusCode)
+  }
+
+  if (error instanceof UpstreamError) {
+    request.logger.error({ err: error }, title)
+    return h.view('error.njk', {
+      error: title,
+      message: 'The Environment Agency flood monitoring service is not responding at the moment.',
+      retryUrl: request.url.pathname + request.url.search
+    }).code(error.statusCode)
+  }
+
+  request.logger.error({ err: error }, title)
+  return h.view('error.njk', {
+    error: title,
+    message: error.message
+  }).code(httpConstants.HTTP_STATUS_INTERNAL_SERVER_ERROR)
+}
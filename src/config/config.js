@@ -7,6 +7,8 @@ import 'dotenv/config'
 const dirname = path.dirname(fileURLToPath(import.meta.url))
 
 const oneWeekMs = 604800000
+const oneMinuteMs = 60000
+const oneHourMs = 3600000
 
 const isProduction = process.env.NODE_ENV === 'production'
 const isTest = process.env.NODE_ENV === 'test'
@@ -111,6 +113,142 @@ export const config = convict({
     default: null,
     env: 'HTTP_PROXY'
   },
+  redis: {
+    host: {
+      doc: 'Redis cache host',
+      format: String,
+      default: '127.0.0.1',
+      env: 'REDIS_HOST'
+    },
+    username: {
+      doc: 'Redis cache username',
+      format: String,
+      default: '',
+      env: 'REDIS_USERNAME'
+    },
+    password: {
+      doc: 'Redis cache password',
+      format: '*',
+      default: '',
+      sensitive: true,
+      env: 'REDIS_PASSWORD'
+    },
+    keyPrefix: {
+      doc: 'Redis cache key prefix name used to isolate the cached results across multiple clients',
+      format: String,
+      default: 'cff-chart-prototype:',
+      env: 'REDIS_KEY_PREFIX'
+    },
+    useSingleInstanceCache: {
+      doc: 'Connect to a single instance of redis instead of a cluster.',
+      format: Boolean,
+      default: !isProduction,
+      env: 'USE_SINGLE_INSTANCE_CACHE'
+    },
+    useTLS: {
+      doc: 'Connect to redis using TLS',
+      format: Boolean,
+      default: isProduction,
+      env: 'REDIS_TLS'
+    }
+  },
+  apiCache: {
+    enabled: {
+      doc: 'Cache Environment Agency API responses on the server',
+      format: Boolean,
+      default: !isTest,
+      env: 'API_CACHE_ENABLED'
+    },
+    engine: {
+      doc: 'Backend cache is written to',
+      format: ['memory', 'redis'],
+      default: 'memory',
+      env: 'API_CACHE_ENGINE'
+    },
+    generateTimeout: {
+      doc: 'How long in milliseconds a cache miss waits for the upstream API before giving up',
+      format: Number,
+      default: 20000,
+      env: 'API_CACHE_GENERATE_TIMEOUT'
+    },
+    ttl: {
+      station: {
+        doc: 'How long in milliseconds station metadata is cached',
+        format: Number,
+        default: 6 * oneHourMs,
+        env: 'API_CACHE_STATION_TTL'
+      },
+      readings: {
+        doc: 'How long in milliseconds station readings are cached',
+        format: Number,
+        default: 5 * oneMinuteMs,
+        env: 'API_CACHE_READINGS_TTL'
+      },
+      search: {
+        doc: 'How long in milliseconds station search results are cached',
+        format: Number,
+        default: oneHourMs,
+        env: 'API_CACHE_SEARCH_TTL'
+      },
+      forecast: {
+        doc: 'How long in milliseconds forecasts from the forecast endpoint are cached',
+        format: Number,
+        default: 15 * oneMinuteMs,
+        env: 'API_CACHE_FORECAST_TTL'
+      },
+      warnings: {
+        doc: 'How long in milliseconds the flood warnings and alerts in force are cached',
+        format: Number,
+        default: 5 * oneMinuteMs,
+        env: 'API_CACHE_WARNINGS_TTL'
+      }
+    }
+  },
+  nearbyLevels: {
+    radiusKm: {
+      doc: 'How far in kilometres from a station the nearby levels page looks for other stations',
+      format: Number,
+      default: 5,
+      env: 'NEARBY_LEVELS_RADIUS_KM'
+    }
+  },
+  trend: {
+    windowMinutes: {
+      doc: 'How many minutes of readings up to the latest one the trend and rate of change are worked out over',
+      format: 'nat',
+      default: 60,
+      env: 'TREND_WINDOW_MINUTES'
+    }
+  },
+  chart: {
+    canvasPointThreshold: {
+      doc: 'Above how many observed and forecast points the station chart draws its lines on a canvas rather than as SVG paths',
+      format: 'nat',
+      default: 1000,
+      env: 'CHART_CANVAS_POINT_THRESHOLD'
+    }
+  },
+  forecast: {
+    source: {
+      doc: 'Where river level forecasts are read from: a file drop directory, an HTTP endpoint, the development fixture, or nowhere',
+      format: ['file', 'http', 'fixture', 'none'],
+      default: isDevelopment ? 'fixture' : 'none',
+      env: 'FORECAST_SOURCE'
+    },
+    directory: {
+      doc: 'File drop directory of forecasts named <stationId>.json, relative to the app root',
+      format: String,
+      default: 'data/forecasts',
+      env: 'FORECAST_DIRECTORY'
+    },
+    url: {
+      doc: 'Forecast endpoint URL, with {stationId} where the station ID goes',
+      format: String,
+      nullable: true,
+      default: null,
+      env: 'FORECAST_URL'
+    }
+  },
   isSecureContextEnabled: {
     doc: 'Enable Secure Context',
     format: Boolean,
@@ -263,6 +401,66 @@ export const config = convict({
         default: 'https://environment.data.gov.uk/hydrology',
         env: 'API_HYDROLOGY_BASE_URL'
       }
+    },
+    retry: {
+      attempts: {
+        doc: 'Maximum attempts for an idempotent upstream request, including the first',
+        format: 'nat',
+        default: isTest ? 1 : 3,
+        env: 'API_RETRY_ATTEMPTS'
+      },
+      baseDelay: {
+        doc: 'Backoff in milliseconds before the first retry, doubled for each retry after that',
+        format: 'nat',
+        default: 250,
+        env: 'API_RETRY_BASE_DELAY'
+      },
+      maxDelay: {
+        doc: 'Longest wait in milliseconds between attempts. A longer Retry-After fails the request instead',
+        format: 'nat',
+        default: 5000,
+        env: 'API_RETRY_MAX_DELAY'
+      }
+    },
+    circuitBreaker: {
+      enabled: {
+        doc: 'Fail fast while an upstream host is unhealthy',
+        format: Boolean,
+        default: !isTest,
+        env: 'API_CIRCUIT_BREAKER_ENABLED'
+      },
+      failureThreshold: {
+        doc: 'Consecutive failed attempts against a host before its circuit opens',
+        format: 'nat',
+        default: 5,
+        env: 'API_CIRCUIT_BREAKER_FAILURE_THRESHOLD'
+      },
+      resetTimeout: {
+        doc: 'How long in milliseconds an open circuit fails fast before letting a trial request through',
+        format: 'nat',
+        default: 30000,
+        env: 'API_CIRCUIT_BREAKER_RESET_TIMEOUT'
+      }
+    },
+    connectionPool: {
+      connections: {
+        doc: 'Maximum open connections per upstream origin',
+        format: 'nat',
+        default: 10,
+        env: 'API_POOL_CONNECTIONS'
+      },
+      keepAliveTimeout: {
+        doc: 'How long in milliseconds an idle connection is kept open for reuse',
+        format: 'nat',
+        default: 15000,
+        env: 'API_POOL_KEEP_ALIVE_TIMEOUT'
+      },
+      keepAliveMaxTimeout: {
+        doc: 'Upper limit in milliseconds on a keep-alive timeout hinted by the upstream server',
+        format: 'nat',
+        default: 15000,
+        env: 'API_POOL_KEEP_ALIVE_MAX_TIMEOUT'
+      }
     }
   }
 
@@ -0,0 +1,88 @@
+import { Client, Policy } from '@hapi/catbox'
+import { config } from '../config/config.js'
+import { getCacheEngine } from '../common/helpers/cache-engine.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+
+const logger = createLogger()
+
+export const CACHE_SEGMENTS = {
+  station: 'station',
+  readings: 'readings',
+  search: 'search',
+  forecast: 'forecast',
+  warnings: 'warnings'
+}
+
+let clientPromise = null
+const policies = new Map()
+
+function startClient() {
+  if (!clientPromise) {
+    const client = new Client(getCacheEngine(config.get('apiCache.engine')))
+    clientPromise = client.start()
+      .then(() => client)
+      .catch((error) => {
+        logger.error(`API cache failed to start, calling upstream directly: ${error.message}`)
+        clientPromise = null
+        return null
+      })
+  }
+
+  return clientPromise
+}
+
+function getPolicy(segment, client) {
+  if (!policies.has(segment)) {
+    policies.set(segment, new Policy({
+      expiresIn: config.get(`apiCache.ttl.${segment}`),
+      generateTimeout: config.get('apiCache.generateTimeout'),
+      generateFunc: (key) => key.generate(),
+      generateOnReadError: true,
+      generateIgnoreWriteError: true
+    }, client, segment))
+  }
+
+  return policies.get(segment)
+}
+
+/**
+ * Return a cached value for segment/id, calling generate on a miss
+ * Concurrent misses for the same id share a single generate call.
+ * Errors thrown by generate are passed to every caller and nothing is cached.
+ */
+export async function withApiCache(segment, id, generate) {
+  if (!config.get('apiCache.enabled')) {
+    return generate()
+  }
+
+  const client = await startClient()
+
+  if (!client) {
+    return generate()
+  }
+
+  return getPolicy(segment, client).get({ id: String(id), generate })
+}
+
+/**
+ * Hit/miss counters per segment, for the health endpoints
+ */
+export function getApiCacheStats() {
+  return Object.fromEntries(
+    Array.from(policies.entries()).map(([segment, policy]) => [segment, { ...policy.stats }])
+  )
+}
+
+/**
+ * Stop the cache client and forget all policies
+ */
+export async function stopApiCache() {
+  const client = await clientPromise
+
+  policies.clear()
+  clientPromise = null
+
+  if (client) {
+    await client.stop()
+  }
+}
@@ -0,0 +1,116 @@
+import { config } from '../config/config.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import { CircuitOpen } from './upstream-errors.js'
+
+const logger = createLogger()
+
+export const CIRCUIT_STATES = {
+  closed: 'closed',
+  open: 'open',
+  halfOpen: 'half-open'
+}
+
+/**
+ * Per-host breaker: opens after failureThreshold consecutive failures, fails fast for resetTimeout,
+ * then lets a single trial request through and closes again if it succeeds
+ */
+class CircuitBreaker {
+  constructor(host) {
+    this.host = host
+    this.state = CIRCUIT_STATES.closed
+    this.failures = 0
+    this.openedAt = null
+    this.trialInFlight = false
+  }
+
+  /**
+   * Throw CircuitOpen if a request to this host should not be attempted now
+   */
+  beforeRequest(url, now = Date.now()) {
+    if (this.state === CIRCUIT_STATES.open && now - this.openedAt >= config.get('api.circuitBreaker.resetTimeout')) {
+      this.state = CIRCUIT_STATES.halfOpen
+      this.trialInFlight = false
+    }
+
+    if (this.state === CIRCUIT_STATES.closed) {
+      return
+    }
+
+    if (this.state === CIRCUIT_STATES.halfOpen && !this.trialInFlight) {
+      this.trialInFlight = true
+      return
+    }
+
+    throw new CircuitOpen(`Circuit open for ${this.host}, not calling upstream`, { url })
+  }
+
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.closed) {
+      logger.info(`Circuit closed for ${this.host}`)
+    }
+    this.state = CIRCUIT_STATES.closed
+    this.failures = 0
+    this.openedAt = null
+    this.trialInFlight = false
+  }
+
+  recordFailure(now = Date.now()) {
+    this.failures += 1
+    this.trialInFlight = false
+
+    if (this.state === CIRCUIT_STATES.halfOpen || this.failures >= config.get('api.circuitBreaker.failureThreshold')) {
+      if (this.state !== CIRCUIT_STATES.open) {
+        logger.warn(`Circuit opened for ${this.host} after ${this.failures} consecutive failures`)
+      }
+      this.state = CIRCUIT_STATES.open
+      this.openedAt = now
+    }
+  }
+
+  isOpen() {
+    return this.state === CIRCUIT_STATES.open
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + config.get('api.circuitBreaker.resetTimeout')).toISOString() : null
+    }
+  }
+}
+
+const breakers = new Map()
+
+/**
+ * Breaker for the host of url, or null when circuit breaking is disabled
+ */
+export function getCircuitBreaker(url) {
+  if (!config.get('api.circuitBreaker.enabled')) {
+    return null
+  }
+
+  const { host } = new URL(url)
+  if (!breakers.has(host)) {
+    breakers.set(host, new CircuitBreaker(host))
+  }
+
+  return breakers.get(host)
+}
+
+/**
+ * State of every breaker seen so far, keyed by host, for the health endpoints
+ */
+export function getCircuitBreakerStates() {
+  return Object.fromEntries(
+    Array.from(breakers.entries()).map(([host, breaker]) => [host, breaker.toJSON()])
+  )
+}
+
+/**
+ * Forget all breaker state
+ */
+export function resetCircuitBreakers() {
+  breakers.clear()
+}
@@ -1,19 +1,47 @@
-import { ProxyAgent } from 'undici'
+import { utcHour } from 'd3-time'
 import { config } from '../config/config.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import { withApiCache, CACHE_SEGMENTS } from './api-cache.js'
+import {
+  UpstreamError,
+  StationNotFound,
+  UpstreamUnavailable,
+  UpstreamTimeout,
+  UpstreamBadPayload,
+  MeasureNotFound,
+  CircuitOpen,
+  isUnavailableStatus
+} from './upstream-errors.js'
+import { getBackoffDelay, parseRetryAfter, sleep } from './retry.js'
+import { getCircuitBreaker } from './circuit-breaker.js'
+import { getDispatcher } from './http-dispatcher.js'
+import { calculateTrend } from '../client/javascripts/trend.js'
+import { getStationState } from './station-state.js'
+
+const logger = createLogger()
 
 const API_BASE_URL = config.get('api.floodMonitoring.baseUrl')
 
 const DEFAULT_TIMEOUT_MS = 15000
 
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS'])
+
+export const DEFAULT_READINGS_WINDOW_DAYS = 5
+// Boreholes report infrequently and change slowly, so a year is the shortest window that shows anything
+export const GROUNDWATER_READINGS_WINDOW_DAYS = 365
+const READINGS_PAGE_SIZE = 2000
+const MAX_READINGS_PAGES = 50
+const DEFAULT_SEARCH_LIMIT = 50
+
 const DEFAULT_HEADERS = {
   'User-Agent': 'cff-chart-prototype/1.0 (https://github.com/DEFRA/cff-chart-prototype)'
 }
 
 /**
- * Fetch via proxy using Node.js native fetch
+ * Single fetch attempt via proxy using Node.js native fetch
  * To use the fetch dispatcher option on Node.js native fetch, Node.js v18.2.0 or greater is required
  */
-export function proxyFetch(url, options = {}) {
+async function fetchOnce(url, options) {
   const proxyUrlConfig = config.get('httpProxy') // bound to HTTP_PROXY
   const timeoutMs = options.timeout || DEFAULT_TIMEOUT_MS
 
@@ -30,40 +58,113 @@ export function proxyFetch(url, options = {}) {
 
   // Create abort controller for timeout
   const controller = new AbortController()
-  const timeoutId = setTimeout(() => {
-    console.warn(`[TIMEOUT] Fetch request exceeded ${timeoutMs}ms timeout for: ${url}`)
-    controller.abort()
-  }, timeoutMs)
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs)
 
   const fetchOptions = {
     ...mergedOptions,
-    signal: controller.signal
+    signal: controller.signal,
+    // Shared per proxy URL so connections are pooled and kept alive between requests
+    dispatcher: getDispatcher(proxyUrlConfig)
+  }
+
+  let response
+  try {
+    response = await fetch(url, fetchOptions)
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new UpstreamTimeout(`Request exceeded ${timeoutMs}ms timeout`, { url, cause: error })
+    }
+    throw new UpstreamUnavailable(`Request failed: ${error.message}`, { url, cause: error })
+  } finally {
+    clearTimeout(timeoutId)
+  }
+
+  if (isUnavailableStatus(response.status)) {
+    throw new UpstreamUnavailable(`Upstream responded ${response.status} ${response.statusText}`, {
+      url,
+      status: response.status,
+      retryAfterMs: parseRetryAfter(response.headers?.get('retry-after'))
+    })
   }
 
-  if (!proxyUrlConfig) {
-    console.log(`[PROXY] No HTTP_PROXY set - using direct fetch for: ${url}`)
-    return fetch(url, fetchOptions).finally(() => clearTimeout(timeoutId))
+  return response
+}
+
+function isRetryable(error) {
+  return (error instanceof UpstreamUnavailable || error instanceof UpstreamTimeout) && !(error instanceof CircuitOpen)
+}
+
+/**
+ * Delay before the next attempt, or null if the upstream asked us to wait longer than maxDelay
+ */
+function getRetryDelay(retry, error) {
+  const retryConfig = config.get('api.retry')
+
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    return error.retryAfterMs <= retryConfig.maxDelay ? error.retryAfterMs : null
+  }
+
+  return getBackoffDelay(retry, retryConfig)
+}
+
+/**
+ * Fetch from the Environment Agency APIs, with retries and a per-host circuit breaker
+ * Idempotent requests are retried with backoff on timeouts, network errors and 5xx/429 responses.
+ * Rejects with UpstreamTimeout or UpstreamUnavailable (CircuitOpen when failing fast) once attempts run out.
+ * Other responses, including 4xx, are returned for the caller to interpret.
+ */
+export async function proxyFetch(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase()
+  const attempts = IDEMPOTENT_METHODS.has(method) ? config.get('api.retry.attempts') : 1
+  const breaker = getCircuitBreaker(url)
+
+  for (let attempt = 1; ; attempt++) {
+    breaker?.beforeRequest(url)
+
+    try {
+      const response = await fetchOnce(url, options)
+      breaker?.recordSuccess()
+      return response
+    } catch (error) {
+      // Any failure settles a half-open breaker's trial, so it isn't left waiting on a trial that has already ended
+      breaker?.recordFailure()
+
+      if (!isRetryable(error)) {
+        throw error
+      }
+
+      const delay = attempt < attempts && !breaker?.isOpen() ? getRetryDelay(attempt, error) : null
+      if (delay === null) {
+        throw error
+      }
+
+      logger.warn(`${error.message} for ${url}, retrying in ${delay}ms (attempt ${attempt + 1} of ${attempts})`)
+      await sleep(delay)
+    }
   }
+}
 
-  console.log(`[PROXY] Using proxy ${proxyUrlConfig} for: ${url}`)
+/**
+ * Parse a JSON response body, checking items is an array when present
+ */
+export async function readJson(response, url) {
+  let data
   try {
-    return fetch(url, {
-      ...fetchOptions,
-      dispatcher: new ProxyAgent({
-        uri: proxyUrlConfig,
-        keepAliveTimeout: DEFAULT_TIMEOUT_MS,
-        keepAliveMaxTimeout: DEFAULT_TIMEOUT_MS
-      })
-    }).finally(() => clearTimeout(timeoutId))
+    data = await response.json()
   } catch (error) {
-    clearTimeout(timeoutId)
-    console.error(`[PROXY] Error setting up proxy for ${url}:`, error)
-    throw error
+    throw new UpstreamBadPayload(`Response was not valid JSON: ${error.message}`, { url, status: response.status, cause: error })
+  }
+
+  if (data === null || typeof data !== 'object' || ('items' in data && !Array.isArray(data.items))) {
+    throw new UpstreamBadPayload('Response did not contain an items list', { url, status: response.status })
   }
+
+  return data
 }
 
 /**
  * Fetch stageScale data from its URL if returned as a reference string
+ * Percentile data is optional, so any failure here leaves the station without it
  */
 async function resolveStageScale(stageScale) {
   if (!stageScale || typeof stageScale !== 'string') {
@@ -74,54 +175,87 @@ async function resolveStageScale(stageScale) {
     if (!response.ok) { return null }
     const data = await response.json()
     return data.items || null
-  } catch {
+  } catch (error) {
+    logger.warn({ err: error }, `Unable to resolve stageScale from ${stageScale}`)
     return null
   }
 }
 
+async function fetchStationItems(stationId, query) {
+  const url = `${API_BASE_URL}/id/stations?${query}`
+  const response = await proxyFetch(url)
+
+  if (response.status === 404) {
+    throw new StationNotFound(stationId, { url, status: response.status })
+  }
+
+  if (!response.ok) {
+    throw new UpstreamError(`Failed to fetch station: ${response.status} ${response.statusText}`, { url, status: response.status })
+  }
+
+  const data = await readJson(response, url)
+  // The API returns an array of stations in items
+  return { items: data.items || [], url, status: response.status }
+}
+
+/**
+ * Look a station up by RLOI ID, falling back to its station reference
+ * Rain gauges have no RLOI ID, so they are only found by reference
+ */
+async function fetchStation(stationId) {
+  let result = await fetchStationItems(stationId, `RLOIid=${encodeURIComponent(stationId)}`)
+
+  if (!result.items.length) {
+    result = await fetchStationItems(stationId, `stationReference=${encodeURIComponent(stationId)}`)
+  }
+
+  if (!result.items.length) {
+    throw new StationNotFound(stationId, { url: result.url, status: result.status })
+  }
+
+  const station = result.items[0]
+  // stageScale may be returned as a URL reference - resolve it to get the actual values
+  station.stageScale = await resolveStageScale(station.stageScale)
+  return station
+}
+
 /**
- * Fetch station details by RLOI ID (Check for Flooding ID)
+ * Fetch station details by RLOI ID (Check for Flooding ID) or station reference
+ * Cached, so the readings lookup below reuses the same station record
+ * Rejects with StationNotFound, or another UpstreamError if the API call fails
  */
 export async function getStation(stationId) {
-  const url = `${API_BASE_URL}/id/stations?RLOIid=${stationId}`
   try {
-    console.log(`Fetching station from: ${url}`)
-    const response = await proxyFetch(url)
-    console.log(`Station API response status: ${response.status} ${response.statusText}`)
-
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => 'Unable to read error response')
-      throw new Error(`Failed to fetch station: ${response.status} ${response.statusText} - ${errorText}`)
-    }
-    const data = await response.json()
-    // The API returns an array of stations in items
-    if (data.items && data.items.length > 0) {
-      const station = data.items[0]
-      // stageScale may be returned as a URL reference - resolve it to get the actual values
-      station.stageScale = await resolveStageScale(station.stageScale)
-      console.log(`Station data retrieved successfully for ${stationId}`)
-      return station
-    }
-    console.log(`No station items found for ${stationId}`)
-    return null
+    return await withApiCache(CACHE_SEGMENTS.station, stationId, () => fetchStation(stationId))
   } catch (error) {
-    // Log everything on the error object
-    console.error(`Error fetching station from ${url}:`)
-    console.error('Error details:', error)
-    console.error('Error keys:', Object.keys(error))
-    console.error('Error cause:', error.cause)
-    if (error.cause) {
-      console.error('Cause keys:', Object.keys(error.cause))
-      console.error('Cause details:', JSON.stringify(error.cause, Object.getOwnPropertyNames(error.cause)))
+    if (!(error instanceof StationNotFound)) {
+      logger.error({ err: error }, `Error fetching station ${stationId}`)
     }
-    return null
+    throw error
   }
 }
 
+function isUsableMeasure(measure) {
+  return !measure.unitName || measure.unitName !== '---'
+}
+
+function getMeasureId(measure) {
+  return measure['@id'].split('/').pop()
+}
+
+function getMeasureLabel(measure) {
+  const details = [measure.qualifier, measure.unitName].filter(Boolean).join(', ')
+  const name = measure.parameterName || measure.parameter || 'Measure'
+  return details ? `${name} (${details})` : name
+}
+
+/**
+ * Default measure for a station: a level measure, preferring unit m, then Stage, then not Downstream
+ */
 function findLevelMeasure(measures) {
   const levelMeasures = measures.filter(m =>
     (m.parameterName === 'Water Level' || m.parameter === 'level') &&
-    (!m.unitName || m.unitName !== '---')
+    isUsableMeasure(m)
   )
 
   if (levelMeasures.length === 0) {
@@ -134,58 +268,213 @@ function findLevelMeasure(measures) {
     levelMeasures[0]
 }
 
+// Check for Flooding station types for the flood-monitoring API's station types, which it lists as URIs under type
+const STATION_TYPES_BY_API_TYPE = {
+  Coastal: 'C',
+  Groundwater: 'G'
+}
+
+// The API type searched for each station type
+const API_TYPES_BY_STATION_TYPE = {
+  S: 'SingleLevel',
+  M: 'MultiTraceLevel',
+  C: 'Coastal',
+  G: 'Groundwater'
+}
+
 /**
- * Fetch station readings/measurements
+ * Station type: S river, C coastal or tidal, G groundwater, M multi-level
+ * RLOI records carry stationType; flood-monitoring records only their API types, so coastal and groundwater stations are recognised from those
  */
-export async function getStationReadings(stationId, since = null) {
-  const stationUrl = `${API_BASE_URL}/id/stations?RLOIid=${stationId}`
-  try {
-    console.log(`Fetching station for readings from: ${stationUrl}`)
-    const stationResponse = await proxyFetch(stationUrl)
-    if (!stationResponse.ok) {
-      console.error(`Station fetch for readings failed: ${stationResponse.status} ${stationResponse.statusText}`)
-      throw new Error('Station not found')
-    }
-    const stationData = await stationResponse.json()
-    if (!stationData.items || stationData.items.length === 0) {
-      console.log(`No station items found for readings: ${stationId}`)
-      return []
-    }
+export function getStationType(station) {
+  if (station?.stationType) {
+    return station.stationType
+  }
 
-    const station = stationData.items[0]
-    const levelMeasure = station.measures?.length > 0 ? findLevelMeasure(station.measures) : null
-    if (!levelMeasure) {
-      return []
-    }
+  const apiTypes = [station?.type ?? []].flat().map(type => String(type).split('/').pop())
+  const apiType = apiTypes.find(type => STATION_TYPES_BY_API_TYPE[type])
+
+  return apiType ? STATION_TYPES_BY_API_TYPE[apiType] : 'S'
+}
+
+/**
+ * RLOI ID of a station, or null if it has none
+ * The flood-monitoring API gives RLOIid as a list for stations with more than one; the first is used
+ */
+export function getRloiId(station) {
+  return [station?.RLOIid ?? []].flat()[0] ?? null
+}
 
-    const measureId = levelMeasure['@id'].split('/').pop()
-    const url = `${API_BASE_URL}/data/readings?measure=${measureId}&_sorted&_limit=500`
-    console.log('Fetching readings from:', url)
-    const response = await proxyFetch(url)
+/**
+ * Check for Flooding ID for a station: its RLOI ID, or its station reference for a rain gauge
+ */
+export function getStationId(station) {
+  return getRloiId(station) ?? station?.stationReference ?? null
+}
+
+function isRainfallMeasure(measure) {
+  return measure?.parameter === 'rainfall'
+}
+
+/**
+ * Default measure for a station: its level measure, or its rainfall measure for a rain gauge
+ */
+function findDefaultMeasure(measures) {
+  return findLevelMeasure(measures) ||
+    measures.find(m => isRainfallMeasure(m) && isUsableMeasure(m)) ||
+    null
+}
+
+/**
+ * Every usable measure a station has, for the measure switcher
+ * The measure findDefaultMeasure would pick is flagged isDefault
+ */
+export function listMeasures(station) {
+  const measures = (station?.measures || []).filter(isUsableMeasure)
+  const defaultMeasure = findDefaultMeasure(measures)
+
+  return measures.map(measure => ({
+    id: getMeasureId(measure),
+    label: getMeasureLabel(measure),
+    parameter: measure.parameter || null,
+    qualifier: measure.qualifier || null,
+    unitName: measure.unitName || null,
+    isDefault: measure === defaultMeasure
+  }))
+}
+
+/**
+ * The measure a level station is charted by (see listMeasures), or null for a rain gauge
+ */
+export function getLevelMeasure(station) {
+  const measure = listMeasures(station).find(m => m.isDefault)
+  return isRainfallMeasure(measure) ? null : measure ?? null
+}
+
+const TELEMETRY_TYPES_BY_STATION_TYPE = {
+  C: 'tide',
+  G: 'groundwater'
+}
+
+/**
+ * Chart data type for a station's measure (see listMeasures)
+ * Rainfall is drawn as bars, coastal levels as a tide that can fall below zero, borehole levels against their seasonal
+ * envelope, and everything else as a river line
+ */
+export function getTelemetryType(measure, station = null) {
+  if (isRainfallMeasure(measure)) {
+    return 'rainfall'
+  }
+
+  return TELEMETRY_TYPES_BY_STATION_TYPE[getStationType(station)] || 'river'
+}
+
+/**
+ * The station measure with the given ID, or the default measure when no ID is given
+ * Rejects an ID the station does not have with MeasureNotFound
+ */
+function selectMeasure(station, stationId, measureId) {
+  const measures = station.measures || []
+
+  if (!measureId) {
+    return findDefaultMeasure(measures)
+  }
+
+  const measure = measures.find(m => isUsableMeasure(m) && getMeasureId(m) === measureId)
+  if (!measure) {
+    throw new MeasureNotFound(stationId, measureId)
+  }
+
+  return measure
+}
+
+/**
+ * Days of readings shown for a station by default: GROUNDWATER_READINGS_WINDOW_DAYS for boreholes, otherwise DEFAULT_READINGS_WINDOW_DAYS
+ */
+export function getDefaultWindowDays(station) {
+  return getStationType(station) === 'G' ? GROUNDWATER_READINGS_WINDOW_DAYS : DEFAULT_READINGS_WINDOW_DAYS
+}
+
+/**
+ * Start of the default readings window, windowDays (DEFAULT_READINGS_WINDOW_DAYS unless given) before now
+ */
+export function getDefaultWindowStart(now = new Date(), windowDays = DEFAULT_READINGS_WINDOW_DAYS) {
+  const start = new Date(now)
+  start.setDate(start.getDate() - windowDays)
+  return start
+}
+
+async function fetchReadingsPage(measureId, since, offset) {
+  const url = `${API_BASE_URL}/data/readings?measure=${measureId}&since=${since.toISOString()}&_sorted&_limit=${READINGS_PAGE_SIZE}&_offset=${offset}`
+  const response = await proxyFetch(url)
+
+  if (!response.ok) {
+    throw new UpstreamError(`Failed to fetch readings: ${response.status} ${response.statusText}`, { url, status: response.status })
+  }
+
+  const data = await readJson(response, url)
+  if (!data.items) {
+    throw new UpstreamBadPayload('Response did not contain an items list', { url, status: response.status })
+  }
+
+  return data.items
+}
 
-    if (!response.ok) {
-      console.error('Readings API error:', response.status, response.statusText)
-      throw new Error(`Failed to fetch readings: ${response.statusText}`)
+/**
+ * Page through every reading for a measure since the given time, newest first
+ */
+async function fetchReadings(measureId, since) {
+  const readings = []
+
+  for (let page = 0; page < MAX_READINGS_PAGES; page++) {
+    const items = await fetchReadingsPage(measureId, since, page * READINGS_PAGE_SIZE)
+    readings.push(...items)
+
+    if (items.length < READINGS_PAGE_SIZE) {
+      return readings
     }
+  }
 
-    const data = await response.json()
-    console.log('Readings data:', data.items?.length, 'items')
-    return data.items || []
-  } catch (error) {
-    console.error('Error fetching readings:', JSON.stringify({
-      name: error.name,
-      message: error.message,
-      cause: error.cause,
-      code: error.code
-    }, null, 2))
+  logger.warn(`Stopped paging readings for ${measureId} after ${MAX_READINGS_PAGES} pages, window since ${since.toISOString()} may be incomplete`)
+  return readings
+}
+
+/**
+ * Fetch station readings/measurements
+ * Pages through the API until every reading since `since` is fetched, defaulting to the station's window (see getDefaultWindowDays)
+ * since is taken back to the start of its hour, so there can be readings from up to an hour before it
+ * Reads selectedMeasureId when given (see listMeasures), otherwise the default level or rainfall measure.
+ * Resolves to [] only when the station has neither; upstream failures reject with an UpstreamError
+ */
+export async function getStationReadings(stationId, since = null, selectedMeasureId = null) {
+  const station = await getStation(stationId)
+
+  const measure = selectMeasure(station, stationId, selectedMeasureId)
+  if (!measure) {
     return []
   }
+
+  const measureId = getMeasureId(measure)
+  // since is taken back to the hour, so callers asking for nearby times share a cache entry rather than each adding one
+  const sinceHour = since ? utcHour.floor(new Date(since)) : null
+  // The default window moves with the clock, so it is cached by measure alone and refreshed by the readings TTL
+  const cacheKey = sinceHour ? `${measureId}:${sinceHour.toISOString()}` : measureId
+
+  try {
+    return await withApiCache(CACHE_SEGMENTS.readings, cacheKey, () => fetchReadings(measureId, sinceHour ?? getDefaultWindowStart(new Date(), getDefaultWindowDays(station))))
+  } catch (error) {
+    logger.error({ err: error }, `Error fetching readings for station ${stationId}`)
+    throw error
+  }
 }
 
 /**
  * Format station data for the view
+ * trend and trendRate (units per hour, null with too few readings) are worked out over trend.windowMinutes (see calculateTrend)
+ * The state and stage levels come from stageScale (see getStationState), which defaults to the station's; pass null
+ * when the readings are not for the level measure the stage scale describes
  */
-export function formatStationData(station, readings) {
+export function formatStationData(station, readings, { stageScale = station?.stageScale } = {}) {
   if (!station) return null
 
   // Get the most recent reading by date (readings might not be sorted correctly)
@@ -196,23 +485,10 @@ export function formatStationData(station, readings) {
     : null
   const latestValue = latestReading?.value || 0
 
-  // Calculate trend (simplified - compare to reading from 1 hour ago)
-  let trend = 'steady'
-  if (readings.length > 4) {
-    const hourAgoReading = readings[readings.length - 5]?.value
-    if (hourAgoReading) {
-      if (latestValue > hourAgoReading + 0.05) trend = 'rising'
-      else if (latestValue < hourAgoReading - 0.05) trend = 'falling'
-    }
-  }
+  const { trend, rate } = calculateTrend(readings, { windowMinutes: config.get('trend.windowMinutes') })
 
-  // Determine state based on percentiles (if available)
-  let state = 'normal'
-  if (station.stageScale) {
-    const typical = station.stageScale.typicalRangeHigh || 1.0
-    if (latestValue > typical) state = 'high'
-    else if (latestValue < (station.stageScale.typicalRangeLow || 0)) state = 'low'
-  }
+  const stationState = getStationState(stageScale, latestReading?.value)
+  const hasTypicalRange = Number.isFinite(stationState?.typicalRangeLow) && Number.isFinite(stationState?.typicalRangeHigh)
 
   const latestDate = latestReading?.dateTime ? new Date(latestReading.dateTime) : new Date()
 
@@ -223,19 +499,23 @@ export function formatStationData(station, readings) {
     id: stationRef,
     name: station.label || station.town || station.stationReference || 'Unknown',
     river: station.riverName || 'Unknown River',
-    type: station.stationType || 'S',
+    type: getStationType(station),
     recentValue: {
       value: latestValue.toFixed(2),
       formattedTime: latestDate.toLocaleTimeString('en-GB', { hour: 'numeric', minute: '2-digit', hour12: true }),
       latestDayFormatted: latestDate.toLocaleDateString('en-GB', { day: 'numeric', month: 'long' })
     },
+    rloiId: getRloiId(station),
     trend,
-    state,
-    stateInformation: station.stageScale
-      ? `${station.stageScale.typicalRangeLow?.toFixed(2) || '0.00'}m to ${station.stageScale.typicalRangeHigh?.toFixed(2) || '1.00'}m`
-      : 'Data not available',
-    typicalRangeHigh: station.stageScale?.typicalRangeHigh ?? null,
-    hasPercentiles: !!station.stageScale,
+    trendRate: rate,
+    state: stationState?.state ?? null,
+    stateDescription: stationState?.description ?? null,
+    stateInformation: hasTypicalRange
+      ? `${stationState.typicalRangeLow.toFixed(2)}m to ${stationState.typicalRangeHigh.toFixed(2)}m`
+      : null,
+    typicalRangeHigh: stationState?.typicalRangeHigh ?? null,
+    stageLevels: stationState?.levels ?? [],
+    hasPercentiles: !!stationState?.state,
     isActive: station.status === 'Active' || !station.status,
     status: station.status?.toLowerCase() || 'active',
     lat: station.lat,
@@ -245,15 +525,17 @@ export function formatStationData(station, readings) {
 
 /**
  * Format readings for chart
+ * Only readings inside the window are kept; start defaults to the last DEFAULT_READINGS_WINDOW_DAYS and end to no limit
+ * unitName is the measure's unit (see listMeasures), used by the chart to label and clamp values
+ * type is the chart data type (see getTelemetryType)
  */
-export function formatTelemetryData(readings) {
-  // Filter to last 5 days only
-  const fiveDaysAgo = new Date()
-  fiveDaysAgo.setDate(fiveDaysAgo.getDate() - 5)
+export function formatTelemetryData(readings, { start = getDefaultWindowStart(), end = null, unitName = 'm', type = 'river' } = {}) {
+  const startDate = new Date(start)
+  const endDate = end ? new Date(end) : null
 
   const filteredReadings = readings.filter(reading => {
     const readingDate = new Date(reading.dateTime)
-    return readingDate >= fiveDaysAgo
+    return readingDate >= startDate && (!endDate || readingDate <= endDate)
   })
 
   const observed = filteredReadings.map(reading => ({
@@ -266,7 +548,8 @@ export function formatTelemetryData(readings) {
     observed,
     forecast: [],
     latestDateTime: filteredReadings.length > 0 ? filteredReadings[filteredReadings.length - 1].dateTime : new Date().toISOString(),
-    type: 'river',
+    type,
+    unitName: unitName || 'm',
     cacheStartDateTime: filteredReadings.length > 0 ? filteredReadings[0].dateTime : new Date().toISOString(),
     cacheEndDateTime: filteredReadings.length > 0 ? filteredReadings[filteredReadings.length - 1].dateTime : new Date().toISOString()
   }
@@ -274,25 +557,40 @@ export function formatTelemetryData(readings) {
 
 /**
  * Search for stations
+ * label matches a name exactly and search any part of one. stationType is one of the types from getStationType or an
+ * API type. lat, long and dist (in km) together find the stations around a point. limit and offset page through the
+ * results
  */
 export async function searchStations(query = {}) {
-  try {
-    const params = new URLSearchParams()
-    if (query.label) params.append('label', query.label)
-    if (query.stationType) params.append('type', query.stationType)
-    if (query.riverName) params.append('riverName', query.riverName)
+  const params = new URLSearchParams()
+  if (query.label) params.append('label', query.label)
+  if (query.search) params.append('search', query.search)
+  if (query.town) params.append('town', query.town)
+  if (query.stationType) params.append('type', API_TYPES_BY_STATION_TYPE[query.stationType] || query.stationType)
+  if (query.riverName) params.append('riverName', query.riverName)
+  if (Number.isFinite(query.lat) && Number.isFinite(query.long) && Number.isFinite(query.dist)) {
+    params.append('lat', String(query.lat))
+    params.append('long', String(query.long))
+    params.append('dist', String(query.dist))
+  }
+  params.append('_limit', String(query.limit || DEFAULT_SEARCH_LIMIT))
+  if (query.offset > 0) params.append('_offset', String(query.offset))
 
-    const url = `${API_BASE_URL}/id/stations?${params.toString()}&_limit=50`
-    const response = await proxyFetch(url)
+  const url = `${API_BASE_URL}/id/stations?${params.toString()}`
 
-    if (!response.ok) {
-      throw new Error(`Failed to search stations: ${response.statusText}`)
-    }
+  try {
+    return await withApiCache(CACHE_SEGMENTS.search, params.toString(), async () => {
+      const response = await proxyFetch(url)
 
-    const data = await response.json()
-    return data.items
+      if (!response.ok) {
+        throw new UpstreamError(`Failed to search stations: ${response.status} ${response.statusText}`, { url, status: response.status })
+      }
+
+      const data = await readJson(response, url)
+      return data.items || []
+    })
   } catch (error) {
-    console.error('Error searching stations:', error)
-    return []
+    logger.error({ err: error }, 'Error searching stations')
+    throw error
   }
 }
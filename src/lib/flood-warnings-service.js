@@ -0,0 +1,127 @@
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { config } from '../config/config.js'
+import { proxyFetch, readJson } from './flood-service.js'
+import { withApiCache, CACHE_SEGMENTS } from './api-cache.js'
+import { UpstreamError } from './upstream-errors.js'
+import { formatTime, formatDay } from '../client/javascripts/utils.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+
+const logger = createLogger()
+
+const FIXTURE_PATH = 'data/flood-warnings/fixture.json'
+// Hosts a local stub of the flood monitoring API runs on. Their hostnames, or any hostname with "stub" in it, mean
+// warnings come from the fixture instead, as stubs don't serve /id/floods
+const STUB_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]'])
+const TARGET_AREA_URL = 'https://check-for-flooding.service.gov.uk/target-area'
+
+/**
+ * Flood warning severities in force, most severe first. Level 4, warning no longer in force, is left out
+ */
+export const SEVERITIES = {
+  1: 'Severe flood warning',
+  2: 'Flood warning',
+  3: 'Flood alert'
+}
+
+const LOWEST_SEVERITY_IN_FORCE = 3
+
+/**
+ * Whether a flood monitoring API base URL points at a local stub
+ */
+export function isStubUrl(url) {
+  try {
+    const { hostname } = new URL(url)
+    return STUB_HOSTNAMES.has(hostname) || hostname.includes('stub')
+  } catch {
+    return false
+  }
+}
+
+// "River Teme, Leigh Brook" or "Herefordshire and Worcestershire" as separate, comparable names
+function splitNames(names) {
+  return String(names || '')
+    .split(/,|\band\b/i)
+    .map(name => name.trim().toLowerCase().replace(/^river\s+/, ''))
+    .filter(Boolean)
+}
+
+/**
+ * Warning from a /id/floods item, or null when it isn't in force
+ */
+export function parseWarning(item) {
+  const severityLevel = Number(item?.severityLevel)
+
+  if (!SEVERITIES[severityLevel]) {
+    return null
+  }
+
+  const raisedAt = new Date(item.timeRaised)
+  const hasRaisedAt = !Number.isNaN(raisedAt.getTime())
+
+  return {
+    id: item.floodAreaID,
+    area: item.description || item.eaAreaName || 'Unknown area',
+    severityLevel,
+    severity: SEVERITIES[severityLevel],
+    message: item.message || null,
+    counties: splitNames(item.floodArea?.county),
+    rivers: splitNames(item.floodArea?.riverOrSea),
+    raisedAt: hasRaisedAt ? raisedAt.toISOString() : null,
+    raisedTime: hasRaisedAt ? formatTime(raisedAt) : null,
+    raisedDay: hasRaisedAt ? formatDay(raisedAt) : null,
+    url: item.floodAreaID ? `${TARGET_AREA_URL}/${encodeURIComponent(item.floodAreaID)}` : null
+  }
+}
+
+/**
+ * Whether a warning covers the station's river, or its county when the station record gives one
+ */
+export function matchesStation(warning, station) {
+  const [river] = splitNames(station?.riverName)
+  const [county] = splitNames(station?.county)
+
+  return (!!river && warning.rivers.includes(river)) || (!!county && warning.counties.includes(county))
+}
+
+async function fetchFloods() {
+  const url = `${config.get('api.floodMonitoring.baseUrl')}/id/floods?min-severity=${LOWEST_SEVERITY_IN_FORCE}`
+
+  return withApiCache(CACHE_SEGMENTS.warnings, 'in-force', async () => {
+    const response = await proxyFetch(url)
+
+    if (!response.ok) {
+      throw new UpstreamError(`Failed to fetch flood warnings: ${response.status} ${response.statusText}`, { url, status: response.status })
+    }
+
+    const data = await readJson(response, url)
+    return data.items || []
+  })
+}
+
+async function readFloodsFixture() {
+  const payload = JSON.parse(await readFile(path.resolve(config.get('root'), FIXTURE_PATH), 'utf8'))
+  return payload.items || []
+}
+
+/**
+ * Flood warnings and alerts in force, most severe first and then most recently raised
+ * Read from the fixture when the flood monitoring API base URL is a local stub (see isStubUrl). Resolves to an empty
+ * list when they could not be read, as the station page is still useful without them, so failures are logged rather
+ * than thrown
+ */
+export async function getFloodWarnings() {
+  const baseUrl = config.get('api.floodMonitoring.baseUrl')
+
+  try {
+    const items = isStubUrl(baseUrl) ? await readFloodsFixture() : await fetchFloods()
+
+    return items
+      .map(parseWarning)
+      .filter(Boolean)
+      .sort((a, b) => a.severityLevel - b.severityLevel || (Date.parse(b.raisedAt) || 0) - (Date.parse(a.raisedAt) || 0))
+  } catch (error) {
+    logger.warn({ err: error }, 'Could not read flood warnings')
+    return []
+  }
+}
@@ -0,0 +1,197 @@
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { config } from '../config/config.js'
+import { proxyFetch } from './flood-service.js'
+import { withApiCache, CACHE_SEGMENTS } from './api-cache.js'
+import { UpstreamError, UpstreamBadPayload } from './upstream-errors.js'
+import { formatTime, formatDay } from '../client/javascripts/utils.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+
+const logger = createLogger()
+
+const MS_PER_HOUR = 60 * 60 * 1000
+const HOURS_PER_DAY = 24
+// Lead times up to this long are given in hours, longer ones in days
+const MAX_LEAD_TIME_HOURS = 48
+// Station IDs are only used in file names when they are plain, so a request can't reach outside the directory
+const FILE_SAFE_STATION_ID = /^[\w-]+$/
+const HTTP_NOT_FOUND = 404
+
+function isReadingValue(value) {
+  return value !== null && value !== '' && Number.isFinite(Number(value))
+}
+
+// Likely range around a forecast reading, given as lower and upper or as 10th and 90th percentiles (p10, p90)
+function getBounds(reading) {
+  const lower = reading.lower ?? reading.p10
+  const upper = reading.upper ?? reading.p90
+
+  if (!isReadingValue(lower) || !isReadingValue(upper) || Number(lower) > Number(upper)) {
+    return {}
+  }
+
+  return { lower: Number(lower), upper: Number(upper) }
+}
+
+/**
+ * Forecast from a JSON payload of the form { issuedAt, readings: [{ dateTime, value, lower?, upper? }] }
+ * Readings without a valid time or a numeric value are dropped and the rest sorted oldest first. Bounds are kept
+ * when both are numeric and in order (see getBounds).
+ * Null when no readings are left; a payload without an issue time or readings list throws UpstreamBadPayload
+ */
+export function parseForecast(payload) {
+  const issuedAt = new Date(payload?.issuedAt)
+
+  if (Number.isNaN(issuedAt.getTime()) || !Array.isArray(payload.readings)) {
+    throw new UpstreamBadPayload('Forecast did not contain an issuedAt time and a readings list')
+  }
+
+  const readings = payload.readings
+    .filter(reading => !Number.isNaN(new Date(reading?.dateTime).getTime()) && isReadingValue(reading.value))
+    .map(reading => ({ dateTime: new Date(reading.dateTime).toISOString(), value: Number(reading.value), ...getBounds(reading) }))
+    .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
+
+  return readings.length ? { issuedAt: issuedAt.toISOString(), readings } : null
+}
+
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null
+    }
+    throw error
+  }
+}
+
+function getForecastPath(directory, stationId) {
+  return path.resolve(config.get('root'), directory, `${stationId}.json`)
+}
+
+// Forecasts dropped into forecast.directory by the forecasting system, one file per station
+async function readForecastFile(stationId) {
+  const payload = await readJsonFile(getForecastPath(config.get('forecast.directory'), stationId))
+  return payload && parseForecast(payload)
+}
+
+// Development fixture: lead times in hours, issued at the start of the current hour so the forecast is always ahead
+async function readForecastFixture(stationId) {
+  const payload = await readJsonFile(getForecastPath('data/forecasts/fixture', stationId))
+
+  if (!payload) {
+    return null
+  }
+
+  const issuedAt = new Date()
+  issuedAt.setUTCMinutes(0, 0, 0)
+
+  return parseForecast({
+    issuedAt: issuedAt.toISOString(),
+    readings: (payload.readings || []).map(({ hoursAhead, ...reading }) => ({
+      ...reading,
+      dateTime: new Date(issuedAt.getTime() + (hoursAhead * MS_PER_HOUR))
+    }))
+  })
+}
+
+async function fetchForecast(stationId) {
+  const template = config.get('forecast.url')
+
+  if (!template) {
+    throw new UpstreamError('FORECAST_URL must be set to read forecasts over HTTP')
+  }
+
+  const url = template.replace('{stationId}', encodeURIComponent(stationId))
+
+  return withApiCache(CACHE_SEGMENTS.forecast, stationId, async () => {
+    const response = await proxyFetch(url)
+
+    if (response.status === HTTP_NOT_FOUND) {
+      return null
+    }
+
+    if (!response.ok) {
+      throw new UpstreamError(`Failed to fetch forecast: ${response.status} ${response.statusText}`, { url, status: response.status })
+    }
+
+    return parseForecast(await response.json())
+  })
+}
+
+const FORECAST_SOURCES = {
+  file: readForecastFile,
+  http: fetchForecast,
+  fixture: readForecastFixture,
+  none: async () => null
+}
+
+/**
+ * Latest forecast for a station from the configured forecast.source, as { issuedAt, readings }
+ * Resolves to null when there is no forecast, it has already run out, or it could not be read. A missing forecast
+ * never stops the station page from showing observed readings, so failures are logged rather than thrown
+ */
+export async function getForecast(stationId, now = new Date()) {
+  const source = config.get('forecast.source')
+
+  if (source === 'none' || !FILE_SAFE_STATION_ID.test(String(stationId))) {
+    return null
+  }
+
+  try {
+    const forecast = await FORECAST_SOURCES[source](String(stationId))
+    return forecast && new Date(forecast.readings.at(-1).dateTime) > now ? forecast : null
+  } catch (error) {
+    logger.warn({ err: error }, `Could not read forecast for station ${stationId} from ${source}`)
+    return null
+  }
+}
+
+/**
+ * Telemetry (see formatTelemetryData) with the forecast readings after the latest observed reading and forecastIssuedAt
+ */
+export function attachForecast(telemetry, forecast) {
+  if (!forecast) {
+    return telemetry
+  }
+
+  const latestObserved = new Date(telemetry.latestDateTime)
+
+  return {
+    ...telemetry,
+    forecast: forecast.readings
+      .filter(reading => new Date(reading.dateTime) > latestObserved)
+      .map(reading => ({ ...reading, err: false })),
+    forecastIssuedAt: forecast.issuedAt
+  }
+}
+
+function formatLeadTime(ms) {
+  const hours = Math.max(Math.round(ms / MS_PER_HOUR), 1)
+
+  if (hours <= MAX_LEAD_TIME_HOURS) {
+    return hours === 1 ? '1 hour' : `${hours} hours`
+  }
+
+  return `${Math.round(hours / HOURS_PER_DAY)} days`
+}
+
+/**
+ * When a forecast was issued and how far ahead of now it runs, formatted for the station page
+ */
+export function describeForecast(forecast, now = new Date()) {
+  if (!forecast) {
+    return null
+  }
+
+  const issuedAt = new Date(forecast.issuedAt)
+  const endsAt = new Date(forecast.readings.at(-1).dateTime)
+
+  return {
+    issuedTime: formatTime(issuedAt),
+    issuedDay: formatDay(issuedAt),
+    endTime: formatTime(endsAt),
+    endDay: formatDay(endsAt),
+    leadTime: formatLeadTime(endsAt - now)
+  }
+}
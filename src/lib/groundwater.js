@@ -0,0 +1,99 @@
+import { getDayOfYear } from '../client/javascripts/seasonal-envelope.js'
+
+// Day-of-year slots, including 29 February
+const DAYS_IN_LEAP_YEAR = 366
+// Each day's envelope uses the daily means within this many days either side, from every year on record
+const SEASON_WINDOW_DAYS = 7
+// With fewer years on record there is not enough history to say what is normal for the time of year
+const MIN_YEARS_ON_RECORD = 3
+const PERCENT = 100
+
+/**
+ * Groundwater states from the Environment Agency water situation reports, highest first
+ * minPercentile is the share of levels on record for the time of year that a level must be at or above
+ */
+export const GROUNDWATER_STATES = [
+  { minPercentile: 95, state: 'exceptionally high' },
+  { minPercentile: 87, state: 'notably high' },
+  { minPercentile: 72, state: 'above normal' },
+  { minPercentile: 28, state: 'normal' },
+  { minPercentile: 13, state: 'below normal' },
+  { minPercentile: 5, state: 'notably low' },
+  { minPercentile: 0, state: 'exceptionally low' }
+]
+
+function getDailyMeans(readings) {
+  const days = new Map()
+
+  for (const reading of readings) {
+    const value = Number(reading.value)
+    const date = new Date(reading.dateTime)
+    if (!Number.isFinite(value) || Number.isNaN(date.getTime())) {
+      continue
+    }
+
+    const key = date.toISOString().slice(0, 10)
+    const day = days.get(key) || { year: date.getUTCFullYear(), dayOfYear: getDayOfYear(date), sum: 0, count: 0 }
+    day.sum += value
+    day.count++
+    days.set(key, day)
+  }
+
+  return [...days.values()].map(day => ({ year: day.year, dayOfYear: day.dayOfYear, value: day.sum / day.count }))
+}
+
+/**
+ * Daily means on record for each day of the year, sorted
+ */
+function getSeasonalValues(dailyMeans) {
+  const slots = Array.from({ length: DAYS_IN_LEAP_YEAR }, () => [])
+
+  for (const day of dailyMeans) {
+    for (let offset = -SEASON_WINDOW_DAYS; offset <= SEASON_WINDOW_DAYS; offset++) {
+      slots[(day.dayOfYear + offset + DAYS_IN_LEAP_YEAR) % DAYS_IN_LEAP_YEAR].push(day.value)
+    }
+  }
+
+  return slots.map(values => values.sort((a, b) => a - b))
+}
+
+function getMedian(sorted) {
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+// Ties count half, so a level equal to every value on record is at the 50th percentile
+function getPercentileRank(value, sorted) {
+  const below = sorted.filter(v => v < value).length
+  const equal = sorted.filter(v => v === value).length
+  return ((below + (equal / 2)) / sorted.length) * PERCENT
+}
+
+/**
+ * Seasonal context for a borehole, from its stored historic readings
+ * envelope has the min, median and max daily mean on record for each day of the year, and state describes the latest
+ * reading against the levels on record for its time of year (see GROUNDWATER_STATES).
+ * Null when there are fewer than MIN_YEARS_ON_RECORD years of history
+ */
+export function getGroundwaterContext(historicReadings, readings) {
+  const dailyMeans = getDailyMeans(historicReadings || [])
+  const years = new Set(dailyMeans.map(day => day.year))
+
+  if (years.size < MIN_YEARS_ON_RECORD) {
+    return null
+  }
+
+  const seasonalValues = getSeasonalValues(dailyMeans)
+
+  const envelope = seasonalValues
+    .map((values, dayOfYear) => values.length ? { dayOfYear, min: values[0], median: getMedian(values), max: values.at(-1) } : null)
+    .filter(Boolean)
+
+  const latest = (readings || []).reduce((found, reading) => !found || new Date(reading.dateTime) > new Date(found.dateTime) ? reading : found, null)
+  const values = latest ? seasonalValues[getDayOfYear(new Date(latest.dateTime))] : []
+  const state = values.length && Number.isFinite(Number(latest.value))
+    ? GROUNDWATER_STATES.find(band => getPercentileRank(Number(latest.value), values) >= band.minPercentile).state
+    : null
+
+  return { envelope, state, recordStartYear: Math.min(...years) }
+}
@@ -0,0 +1,70 @@
+import { readFile, stat } from 'node:fs/promises'
+import path from 'node:path'
+import { config } from '../config/config.js'
+import { aggregateReadings } from '../client/javascripts/aggregation.js'
+
+// Each station's file as last read, with the tiers built from it, so a file is only read and parsed, and its tiers only
+// built, again once it changes, e.g. when the admin page fetches it anew
+const storedData = new Map()
+
+/**
+ * Resolve the path of the pre-fetched historic data file for a station
+ */
+export function getHistoricDataPath(stationId) {
+  return path.resolve(config.get('root'), 'data', 'historic', `${stationId}.json`)
+}
+
+async function parseHistoricData(filePath) {
+  try {
+    const { readings, tiers } = JSON.parse(await readFile(filePath, 'utf8'))
+    return { readings: readings || [], tiers: { ...tiers } }
+  } catch {
+    return { readings: [], tiers: {} }
+  }
+}
+
+async function readHistoricData(stationId) {
+  const filePath = getHistoricDataPath(stationId)
+  let modifiedAt
+
+  try {
+    ({ mtimeMs: modifiedAt } = await stat(filePath))
+  } catch {
+    return { readings: [], tiers: {} }
+  }
+
+  const stored = storedData.get(stationId)
+  if (stored?.modifiedAt === modifiedAt) {
+    return stored.data
+  }
+
+  // The promise is kept, so requests arriving while the file is read share the one read
+  const data = parseHistoricData(filePath)
+  storedData.set(stationId, { modifiedAt, data })
+  return data
+}
+
+/**
+ * Load pre-fetched historic readings for a station, or an empty array if none are stored
+ */
+export async function loadHistoricReadings(stationId) {
+  const { readings } = await readHistoricData(stationId)
+  return readings
+}
+
+/**
+ * Load one aggregation tier of a station's pre-fetched historic readings (see buildTiers), or an empty array if none
+ * are stored. Files stored before tiers were kept have them built from their readings, once for each version of the file
+ */
+export async function loadHistoricTier(stationId, tier) {
+  const { readings, tiers } = await readHistoricData(stationId)
+  tiers[tier] ??= aggregateReadings(readings, tier)
+  return tiers[tier]
+}
+
+/**
+ * Forget the historic data read so far
+ */
+export function resetHistoricStore() {
+  storedData.clear()
+}
@@ -0,0 +1,76 @@
+import { Agent, Pool, ProxyAgent } from 'undici'
+import { config } from '../config/config.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+
+const logger = createLogger()
+
+const DIRECT = 'direct'
+
+const dispatchers = new Map()
+
+function getPoolOptions() {
+  return {
+    connections: config.get('api.connectionPool.connections'),
+    keepAliveTimeout: config.get('api.connectionPool.keepAliveTimeout'),
+    keepAliveMaxTimeout: config.get('api.connectionPool.keepAliveMaxTimeout')
+  }
+}
+
+/**
+ * Build a dispatcher whose per-origin pools are recorded so their stats can be reported
+ */
+function createDispatcher(proxyUrl) {
+  const pools = new Map()
+  const factory = (origin, options) => {
+    const pool = new Pool(origin, options)
+    const entry = pools.get(origin)
+    pools.set(origin, { pool, created: (entry?.created ?? 0) + 1 })
+    return pool
+  }
+
+  const options = { ...getPoolOptions(), factory }
+  const dispatcher = proxyUrl ? new ProxyAgent({ uri: proxyUrl, ...options }) : new Agent(options)
+  // Origin only, so proxy credentials never reach logs or the health endpoint
+  const proxy = proxyUrl ? new URL(proxyUrl).origin : null
+
+  logger.info(`Created ${proxy ? `proxy dispatcher for ${proxy}` : 'direct dispatcher'} with ${options.connections} connections per origin`)
+  return { proxy, dispatcher, pools }
+}
+
+/**
+ * Shared dispatcher for upstream requests, created on first use for each proxy URL
+ * A null proxyUrl gets a direct (unproxied) dispatcher.
+ */
+export function getDispatcher(proxyUrl = null) {
+  const key = proxyUrl || DIRECT
+  if (!dispatchers.has(key)) {
+    dispatchers.set(key, createDispatcher(proxyUrl))
+  }
+
+  return dispatchers.get(key).dispatcher
+}
+
+/**
+ * Connection pool stats per dispatcher and upstream origin, for the health endpoints
+ * created counts how many pools have been built for an origin; it stays at 1 while connections are reused
+ */
+export function getDispatcherStats() {
+  return Array.from(dispatchers.values()).map(({ proxy, pools }) => ({
+    proxy,
+    origins: Object.fromEntries(
+      Array.from(pools.entries()).map(([origin, { pool, created }]) => {
+        const { connected, free, pending, queued, running, size } = pool.stats
+        return [origin, { connected, free, pending, queued, running, size, created }]
+      })
+    )
+  }))
+}
+
+/**
+ * Close every shared dispatcher, letting in-flight requests finish
+ */
+export async function closeDispatchers() {
+  const closing = Array.from(dispatchers.values()).map(({ dispatcher }) => dispatcher.close())
+  dispatchers.clear()
+  await Promise.all(closing)
+}
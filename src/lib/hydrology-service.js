@@ -2,6 +2,7 @@ import { writeFile, mkdir } from 'node:fs/promises'
 import path from 'node:path'
 import { proxyFetch } from './flood-service.js'
 import { config } from '../config/config.js'
+import { buildTiers } from '../client/javascripts/aggregation.js'
 
 const HYDROLOGY_BASE_URL = config.get('api.hydrology.baseUrl')
 const THREE_YEARS = 3
@@ -50,20 +51,30 @@ export async function lookupStationByRLOI(rloiId) {
   }
 }
 
-function downsampleToHourly(readings) {
-  const hourlyMap = new Map()
+// Readings as stored, oldest first with only their time and value
+function toStoredReadings(rawReadings) {
+  return rawReadings
+    .map(({ dateTime, value }) => ({ dateTime, value }))
+    .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
+}
 
-  for (const reading of readings) {
-    const date = new Date(reading.dateTime)
-    const hourKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}T${String(date.getHours()).padStart(2, '0')}:00:00`
+/**
+ * Historic data file for a station: its readings and their hourly, daily and weekly aggregation tiers (see
+ * buildTiers), which are worked out once here rather than on every chart request
+ */
+export function buildHistoricData(meta, rawReadings) {
+  const readings = toStoredReadings(rawReadings)
+  const { hourly, daily, weekly } = buildTiers(readings)
 
-    if (!hourlyMap.has(hourKey)) {
-      hourlyMap.set(hourKey, { dateTime: reading.dateTime, value: reading.value })
-    }
+  return {
+    meta: {
+      ...meta,
+      rawPointCount: rawReadings.length,
+      tierPointCounts: { raw: readings.length, hourly: hourly.length, daily: daily.length, weekly: weekly.length }
+    },
+    readings,
+    tiers: { hourly, daily, weekly }
   }
-
-  return Array.from(hourlyMap.values())
-    .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
 }
 
 export async function fetchHistoricReadings(rloiId, stationInfo) {
@@ -84,23 +95,15 @@ export async function fetchHistoricReadings(rloiId, stationInfo) {
   }
 
   const data = await response.json()
-  const rawReadings = data.items || []
-  const hourlyReadings = downsampleToHourly(rawReadings)
-
-  const result = {
-    meta: {
-      rloiId,
-      hydrologyStationId: guid,
-      measureId,
-      name,
-      fetchedAt: new Date().toISOString(),
-      startDate,
-      endDate,
-      rawPointCount: rawReadings.length,
-      hourlyPointCount: hourlyReadings.length
-    },
-    readings: hourlyReadings
-  }
+  const result = buildHistoricData({
+    rloiId,
+    hydrologyStationId: guid,
+    measureId,
+    name,
+    fetchedAt: new Date().toISOString(),
+    startDate,
+    endDate
+  }, data.items || [])
 
   const outputDir = path.resolve(config.get('root'), 'data', 'historic')
   await mkdir(outputDir, { recursive: true })
@@ -0,0 +1,93 @@
+import { config } from '../config/config.js'
+import { searchStations, getStationReadings, getStationId, getLevelMeasure, formatStationData } from './flood-service.js'
+import { formatValue, formatTime } from '../client/javascripts/utils.js'
+import { formatRate } from '../client/javascripts/trend.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+
+const logger = createLogger()
+
+const EARTH_RADIUS_KM = 6371
+const DEGREES_TO_RADIANS = Math.PI / 180
+const MS_PER_HOUR = 60 * 60 * 1000
+// Each nearby station costs an upstream readings call, so the list stops at the closest few
+export const MAX_NEARBY_STATIONS = 20
+// Stations that haven't reported for this long are listed without a latest value
+const LATEST_READING_HOURS = 24
+
+/**
+ * Great-circle distance in kilometres between two points with lat and long in degrees
+ */
+export function getDistanceKm(from, to) {
+  const lat1 = Number(from?.lat) * DEGREES_TO_RADIANS
+  const lat2 = Number(to?.lat) * DEGREES_TO_RADIANS
+  const deltaLat = lat2 - lat1
+  const deltaLong = (Number(to?.long) - Number(from?.long)) * DEGREES_TO_RADIANS
+  const a = (Math.sin(deltaLat / 2) ** 2) + (Math.cos(lat1) * Math.cos(lat2) * (Math.sin(deltaLong / 2) ** 2))
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+// Readings since the start of the hour a day back, so page views within the hour share cached readings
+function getReadingsSince(now) {
+  const since = new Date(now.getTime() - (LATEST_READING_HOURS * MS_PER_HOUR))
+  since.setUTCMinutes(0, 0, 0)
+  return since
+}
+
+async function getLatest(id, station, measure, since) {
+  try {
+    const readings = await getStationReadings(id, since)
+
+    if (!readings.length) {
+      return null
+    }
+
+    const formatted = formatStationData(station, readings, { stageScale: null })
+    const latestReading = readings.reduce((latest, reading) => new Date(reading.dateTime) > new Date(latest.dateTime) ? reading : latest)
+
+    return {
+      value: formatValue(formatted.recentValue.value, measure.unitName),
+      time: formatTime(new Date(latestReading.dateTime)),
+      day: formatted.recentValue.latestDayFormatted,
+      trend: formatted.trend,
+      trendRate: Number.isFinite(formatted.trendRate) ? formatRate(formatted.trendRate, measure.unitName) : null
+    }
+  } catch (error) {
+    logger.warn({ err: error }, `Could not read the latest level for nearby station ${id}`)
+    return null
+  }
+}
+
+/**
+ * Level stations within nearbyLevels.radiusKm of a station, closest first, up to MAX_NEARBY_STATIONS
+ * Each has its distance and its latest reading with trend, or latest: null when it has not reported in the last day or
+ * its readings could not be read. Rain gauges and the station itself are left out.
+ * Resolves to null when the station has no location; a failed station search rejects with an UpstreamError
+ */
+export async function getNearbyLevels(station, now = new Date()) {
+  const lat = Number(station?.lat)
+  const long = Number(station?.long)
+
+  if (!Number.isFinite(lat) || !Number.isFinite(long)) {
+    return null
+  }
+
+  const radiusKm = config.get('nearbyLevels.radiusKm')
+  const stationId = getStationId(station)
+  const candidates = await searchStations({ lat, long, dist: radiusKm })
+  const since = getReadingsSince(now)
+
+  const nearby = candidates
+    .map(other => ({ station: other, id: getStationId(other), measure: getLevelMeasure(other), distanceKm: getDistanceKm({ lat, long }, other) }))
+    .filter(({ id, measure, distanceKm }) => id && id !== stationId && measure && distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, MAX_NEARBY_STATIONS)
+
+  return Promise.all(nearby.map(async ({ station: other, id, measure, distanceKm }) => ({
+    id,
+    name: other.label || other.town || id,
+    river: other.riverName || null,
+    distance: `${distanceKm.toFixed(1)}km`,
+    latest: await getLatest(id, other, measure, since)
+  })))
+}
@@ -0,0 +1,32 @@
+const RETRY_AFTER_SECONDS = /^\d+$/
+const ONE_SECOND_MS = 1000
+
+/**
+ * Exponential backoff with full jitter: a random delay up to baseDelay * 2^(retry - 1), capped at maxDelay
+ */
+export function getBackoffDelay(retry, { baseDelay, maxDelay }, random = Math.random) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (retry - 1))
+  return Math.round(random() * ceiling)
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header, given as seconds or an HTTP date
+ * Returns null when the header is missing or unreadable
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) {
+    return null
+  }
+
+  const value = header.trim()
+  if (RETRY_AFTER_SECONDS.test(value)) {
+    return Number(value) * ONE_SECOND_MS
+  }
+
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - now)
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
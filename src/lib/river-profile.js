@@ -0,0 +1,222 @@
+import { scaleLinear, scalePoint } from 'd3-scale'
+import { line as d3Line } from 'd3-shape'
+import { searchStations, getStation, getStationReadings, getStationId, getLevelMeasure, getDefaultWindowStart, DEFAULT_READINGS_WINDOW_DAYS } from './flood-service.js'
+import { getStationState } from './station-state.js'
+import { formatValue, formatTime, formatDay, getRangePercent, toNumber } from '../client/javascripts/utils.js'
+import { getDistanceKm } from './nearby-levels.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+
+const logger = createLogger()
+
+// Each station costs a station and a readings call, so long rivers are cut short
+export const MAX_RIVER_STATIONS = 40
+// A river's search results also give its rain gauges and other stations without a level measure, so enough are asked
+// for that its level stations can still go past MAX_RIVER_STATIONS. The search is one call however many it gives
+export const RIVER_SEARCH_LIMIT = 500
+
+const SPARKLINE = { width: 160, height: 40, padding: 2 }
+const PROFILE = { width: 640, height: 240, top: 16, right: 16, bottom: 32, left: 48 }
+// The profile always shows the typical range with some room either side, widening for levels outside it
+const PROFILE_MIN_PERCENT = -50
+const PROFILE_MAX_PERCENT = 150
+
+// Stations in the order their downstream links give, or null unless the links chain every station
+function orderByLinks(stations) {
+  const byId = new Map(stations.map(station => [station.id, station]))
+  const linked = new Set(stations.map(station => station.downstreamId).filter(id => byId.has(id)))
+  const sources = stations.filter(station => !linked.has(station.id))
+
+  if (sources.length !== 1) {
+    return null
+  }
+
+  const ordered = []
+  let station = sources[0]
+  while (station && !ordered.includes(station)) {
+    ordered.push(station)
+    station = byId.get(station.downstreamId)
+  }
+
+  return ordered.length === stations.length ? ordered : null
+}
+
+// Stations chained nearest to nearest, starting from one of the two stations furthest apart
+function orderByLocation(stations) {
+  const located = stations.filter(station => station.lat !== null && station.long !== null)
+  const unlocated = stations.filter(station => !located.includes(station))
+  let start = located[0]
+  let furthest = -1
+
+  located.forEach(from => located.forEach(to => {
+    const distance = getDistanceKm(from, to)
+    if (distance > furthest) {
+      furthest = distance
+      start = from
+    }
+  }))
+
+  const ordered = start ? [start] : []
+  const remaining = new Set(located.filter(station => station !== start))
+
+  while (remaining.size) {
+    const last = ordered[ordered.length - 1]
+    const next = [...remaining].reduce((nearest, station) => getDistanceKm(last, station) < getDistanceKm(last, nearest) ? station : nearest)
+    ordered.push(next)
+    remaining.delete(next)
+  }
+
+  return [...ordered, ...unlocated]
+}
+
+/**
+ * Stations in order along a river, upstream first
+ * Stations are chained by their downstream links (downstreamId) where these join every station; otherwise by location,
+ * nearest to nearest from one end. A chain by location runs upstream first when the ends' station datums (the height
+ * levels are measured from) say which end is higher. isDirectionKnown is false when nothing says which way the river
+ * flows
+ */
+export function orderStations(stations) {
+  const linked = orderByLinks(stations)
+
+  if (linked) {
+    return { stations: linked, isDirectionKnown: true }
+  }
+
+  const ordered = orderByLocation(stations)
+  const first = ordered[0]?.datum ?? null
+  const last = ordered[ordered.length - 1]?.datum ?? null
+
+  if (first === null || last === null || first === last) {
+    return { stations: ordered, isDirectionKnown: false }
+  }
+
+  return { stations: first > last ? ordered : ordered.reverse(), isDirectionKnown: true }
+}
+
+/**
+ * SVG path and extent for a small sparkline of readings
+ * Null with fewer than two readings
+ */
+export function buildSparkline(readings, { width = SPARKLINE.width, height = SPARKLINE.height } = {}) {
+  const points = readings
+    .map(reading => ({ time: new Date(reading.dateTime).getTime(), value: toNumber(reading.value) }))
+    .filter(point => point.value !== null && Number.isFinite(point.time))
+    .sort((a, b) => a.time - b.time)
+
+  if (points.length < 2) {
+    return null
+  }
+
+  const values = points.map(point => point.value)
+  const min = values.reduce((low, value) => Math.min(low, value))
+  const max = values.reduce((high, value) => Math.max(high, value))
+  const x = scaleLinear().domain([points[0].time, points[points.length - 1].time]).range([SPARKLINE.padding, width - SPARKLINE.padding])
+  // A flat line is drawn across the middle
+  const y = scaleLinear().domain(min === max ? [min - 1, max + 1] : [min, max]).range([height - SPARKLINE.padding, SPARKLINE.padding])
+
+  return {
+    width,
+    height,
+    path: d3Line().x(point => x(point.time)).y(point => y(point.value))(points),
+    min,
+    max
+  }
+}
+
+/**
+ * SVG geometry for the river profile: each station's latest level as a percentage of its typical range, upstream on
+ * the left, over a band showing the typical range. Stations without a range are left as gaps in the line
+ */
+export function buildProfileChart(stations) {
+  const { width, height, top, right, bottom, left } = PROFILE
+  const percents = stations.map(station => station.rangePercent).filter(percent => percent !== null)
+  const low = percents.reduce((lowest, percent) => Math.min(lowest, percent), PROFILE_MIN_PERCENT)
+  const high = percents.reduce((highest, percent) => Math.max(highest, percent), PROFILE_MAX_PERCENT)
+  const x = scalePoint().domain(stations.map(station => station.id)).range([left, width - right]).padding(0.5)
+  const y = scaleLinear().domain([low, high]).range([height - bottom, top]).nice()
+  const points = stations.map((station, index) => ({
+    id: station.id,
+    number: index + 1,
+    name: station.name,
+    x: x(station.id),
+    y: station.rangePercent === null ? null : y(station.rangePercent),
+    state: station.state
+  }))
+
+  return {
+    width,
+    height,
+    band: { x: left, y: y(100), width: width - left - right, height: y(0) - y(100) },
+    path: d3Line().defined(point => point.y !== null).x(point => point.x).y(point => point.y)(points),
+    points,
+    ticks: y.ticks(5).map(percent => ({ y: y(percent), label: `${percent}%` })),
+    axisY: height - bottom
+  }
+}
+
+async function getProfileStation(searchResult, measure) {
+  const id = getStationId(searchResult)
+  const profileStation = {
+    id,
+    name: searchResult.label || searchResult.town || id,
+    lat: toNumber(searchResult.lat),
+    long: toNumber(searchResult.long),
+    downstreamId: searchResult.downstreamStation ? String(searchResult.downstreamStation).split('/').pop() : null,
+    datum: null,
+    latest: null,
+    rangePercent: null,
+    state: null,
+    sparkline: null
+  }
+
+  try {
+    const [station, readings] = await Promise.all([getStation(id), getStationReadings(id)])
+    const since = getDefaultWindowStart(new Date(), DEFAULT_READINGS_WINDOW_DAYS).getTime()
+    const recent = readings.filter(reading => new Date(reading.dateTime).getTime() >= since)
+    const latestReading = recent.reduce((latest, reading) => !latest || reading.dateTime > latest.dateTime ? reading : latest, null)
+    const stationState = getStationState(station.stageScale, latestReading?.value)
+
+    profileStation.datum = toNumber(station.stageScale?.datum)
+    profileStation.sparkline = buildSparkline(recent)
+
+    if (latestReading) {
+      const latestDate = new Date(latestReading.dateTime)
+      profileStation.latest = {
+        value: formatValue(latestReading.value, measure.unitName),
+        time: formatTime(latestDate),
+        day: formatDay(latestDate)
+      }
+      profileStation.rangePercent = getRangePercent(latestReading.value, stationState?.typicalRangeLow, stationState?.typicalRangeHigh)
+      profileStation.state = stationState?.state ?? null
+    }
+  } catch (error) {
+    logger.warn({ err: error }, `Could not read levels for station ${id} on the river profile`)
+  }
+
+  return profileStation
+}
+
+/**
+ * Level stations along a river, upstream first (see orderStations), each with its latest level against its typical
+ * range and a sparkline of the last 5 days, plus the profile chart. isTruncated says there were more level stations than
+ * MAX_RIVER_STATIONS. A station whose levels could not be read is kept, without them; a failed search rejects with an
+ * UpstreamError
+ */
+export async function getRiverProfile(riverName) {
+  const results = await searchStations({ riverName, limit: RIVER_SEARCH_LIMIT })
+  const levelStations = results
+    .map(result => ({ result, measure: getLevelMeasure(result) }))
+    .filter(({ result, measure }) => measure && getStationId(result))
+  const stations = await Promise.all(levelStations
+    .slice(0, MAX_RIVER_STATIONS)
+    .map(({ result, measure }) => getProfileStation(result, measure)))
+  const { stations: ordered, isDirectionKnown } = orderStations(stations)
+
+  return {
+    river: riverName,
+    stations: ordered,
+    isDirectionKnown,
+    isTruncated: levelStations.length > MAX_RIVER_STATIONS,
+    chart: ordered.length ? buildProfileChart(ordered) : null
+  }
+}
@@ -0,0 +1,143 @@
+import { MeasureNotFound } from './upstream-errors.js'
+import { getStation, getStationReadings, getStationId, getRloiId, getTelemetryType, getDefaultWindowDays, getDefaultWindowStart, listMeasures } from './flood-service.js'
+import { getStationState } from './station-state.js'
+import { getStationStatus } from './station-search.js'
+import { loadHistoricTier } from './historic-store.js'
+import { filterDataByTimeRange } from '../client/javascripts/historic-data.js'
+import { TIERS, TIER_BY_RANGE, aggregateReadings, getTierForRange, getTierForWindow, getBucketStart } from '../client/javascripts/aggregation.js'
+import { toNumber } from '../client/javascripts/utils.js'
+
+// Readings can be asked for in any aggregation tier
+export const READING_RESOLUTIONS = TIERS
+
+// The chart's time ranges, see filterDataByTimeRange
+export const HISTORIC_RANGES = Object.keys(TIER_BY_RANGE)
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+// Readings can be asked for as far back as the longest chart time range, 5 years
+const MAX_READINGS_WINDOW_DAYS = 5 * 365
+
+/**
+ * The earliest start getReadingsWindow can be asked for, MAX_READINGS_WINDOW_DAYS before now
+ */
+export function getEarliestReadingsStart(now = new Date()) {
+  return getDefaultWindowStart(now, MAX_READINGS_WINDOW_DAYS)
+}
+
+function findMeasure(stationData, measureId) {
+  return listMeasures(stationData).find(m => measureId ? m.id === measureId : m.isDefault) ?? null
+}
+
+/**
+ * Station metadata: its IDs, name, river, type, status, location, and the measures it has (see listMeasures)
+ * Rejects with StationNotFound or another UpstreamError
+ */
+export async function getStationDetails(stationId) {
+  const stationData = await getStation(stationId)
+  const measure = findMeasure(stationData)
+
+  return {
+    id: getStationId(stationData) ?? stationId,
+    rloiId: getRloiId(stationData),
+    name: stationData.label || stationData.town || stationId,
+    river: stationData.riverName || null,
+    town: stationData.town || null,
+    type: getTelemetryType(measure, stationData),
+    status: getStationStatus(stationData),
+    lat: toNumber(stationData.lat),
+    long: toNumber(stationData.long),
+    measures: listMeasures(stationData)
+  }
+}
+
+// Readings from the realtime API over the station's default window, from start when it is later
+function getLiveReadings(stationId, liveStart, windowStart, windowEnd, measure) {
+  if (windowEnd < liveStart) {
+    return []
+  }
+
+  // Only a start later than the default window needs its own readings call, see getStationReadings
+  return getStationReadings(stationId, windowStart > liveStart ? windowStart : null, measure)
+}
+
+/**
+ * A station's readings between start and end in an aggregation tier (see aggregateReadings), for its default measure or the
+ * one given. start defaults to the station's default window (see getDefaultWindowDays) and end to now. resolution
+ * defaults to the tier a chart of the window is drawn from (see getTierForWindow)
+ * The realtime API is only read over the default window. Readings before it come from the station's pre-fetched
+ * historic readings in the tier (see loadHistoricTier), which are of the default measure only
+ * Rejects with StationNotFound, MeasureNotFound or another UpstreamError
+ */
+export async function getReadingsWindow(stationId, { start = null, end = null, resolution = null, measure = null } = {}) {
+  const stationData = await getStation(stationId)
+  const selectedMeasure = findMeasure(stationData, measure)
+  if (measure && !selectedMeasure) {
+    throw new MeasureNotFound(stationId, measure)
+  }
+
+  const now = new Date()
+  const liveStart = getDefaultWindowStart(now, getDefaultWindowDays(stationData))
+  const windowStart = start ? new Date(start) : liveStart
+  const windowEnd = end ? new Date(end) : now
+  const tier = resolution ?? getTierForWindow((windowEnd - windowStart) / MS_PER_DAY)
+  const [liveReadings, storedReadings] = await Promise.all([
+    getLiveReadings(stationId, liveStart, windowStart, windowEnd, measure),
+    windowStart < liveStart && selectedMeasure?.isDefault ? loadHistoricTier(stationId, tier) : []
+  ])
+  // Stored readings stop where the realtime readings' first bucket starts, so no reading is counted in both
+  const liveFrom = getBucketStart(liveStart, tier)
+  const inWindow = [
+    ...storedReadings.filter(reading => new Date(reading.dateTime) < liveFrom),
+    ...liveReadings.filter(reading => new Date(reading.dateTime) >= liveFrom)
+  ].filter(reading => {
+    const date = new Date(reading.dateTime)
+    return date >= windowStart && date <= windowEnd
+  })
+
+  return {
+    stationId,
+    measureId: selectedMeasure?.id ?? null,
+    unitName: selectedMeasure?.unitName ?? null,
+    start: windowStart.toISOString(),
+    end: end ? new Date(end).toISOString() : null,
+    resolution: tier,
+    readings: aggregateReadings(inWindow, tier)
+  }
+}
+
+/**
+ * A station's pre-fetched historic readings for a chart time range, from the aggregation tier stored for the resolution
+ * asked for, or the one the range is drawn from (see TIER_BY_RANGE). Historic readings are of the default level
+ * measure. Stations without any give an empty list
+ * Rejects with StationNotFound or another UpstreamError
+ */
+export async function getHistoricAggregates(stationId, { range, resolution = getTierForRange(range) } = {}) {
+  const [stationData, historicReadings] = await Promise.all([getStation(stationId), loadHistoricTier(stationId, resolution)])
+
+  return {
+    stationId,
+    unitName: findMeasure(stationData)?.unitName ?? null,
+    range,
+    resolution,
+    readings: filterDataByTimeRange(historicReadings, range)
+  }
+}
+
+/**
+ * A station's thresholds from its stage scale: the top and bottom of its typical range and its record levels (see
+ * getStationState). Values are null, and levels empty, for those the stage scale doesn't give
+ * Rejects with StationNotFound or another UpstreamError
+ */
+export async function getThresholds(stationId) {
+  const stationData = await getStation(stationId)
+  const stationState = getStationState(stationData.stageScale, null)
+
+  return {
+    stationId,
+    unitName: findMeasure(stationData)?.unitName ?? null,
+    typicalRangeLow: stationState?.typicalRangeLow ?? null,
+    typicalRangeHigh: stationState?.typicalRangeHigh ?? null,
+    levels: (stationState?.levels ?? []).map(({ id, label, value, dateTime }) => ({ id, label, value, dateTime }))
+  }
+}
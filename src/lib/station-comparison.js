@@ -0,0 +1,72 @@
+import { getStation, getStationReadings, getLevelMeasure, formatStationData, formatTelemetryData, getDefaultWindowStart, getDefaultWindowDays } from './flood-service.js'
+import { getStationState } from './station-state.js'
+import { StationNotFound } from './upstream-errors.js'
+import { formatValue } from '../client/javascripts/utils.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+
+const logger = createLogger()
+
+// One colour each in the comparison palettes, and few enough lines to tell apart
+export const MAX_COMPARE_STATIONS = 6
+
+/**
+ * Station IDs from a comma separated list, without blanks or repeats
+ */
+export function parseStationIds(ids) {
+  return [...new Set(String(ids ?? '').split(',').map(id => id.trim()).filter(Boolean))]
+}
+
+async function getSeries(id) {
+  const [stationData, readings] = await Promise.all([getStation(id), getStationReadings(id)])
+  const station = formatStationData(stationData, readings)
+  const measure = getLevelMeasure(stationData)
+  const stationState = getStationState(stationData.stageScale, null)
+  const telemetry = formatTelemetryData(readings, {
+    start: getDefaultWindowStart(new Date(), getDefaultWindowDays(stationData)),
+    unitName: measure?.unitName
+  })
+
+  return {
+    id: station.id,
+    name: station.name,
+    river: stationData.riverName || null,
+    unitName: telemetry.unitName,
+    typicalRangeLow: stationState?.typicalRangeLow ?? null,
+    typicalRangeHigh: stationState?.typicalRangeHigh ?? null,
+    typicalRange: Number.isFinite(stationState?.typicalRangeLow) && Number.isFinite(stationState?.typicalRangeHigh)
+      ? `${formatValue(stationState.typicalRangeLow, telemetry.unitName)} to ${formatValue(stationState.typicalRangeHigh, telemetry.unitName)}`
+      : null,
+    latest: readings.length
+      ? { value: formatValue(station.recentValue.value, telemetry.unitName), time: station.recentValue.formattedTime, day: station.recentValue.latestDayFormatted }
+      : null,
+    observed: telemetry.observed.map(({ dateTime, value }) => ({ dateTime, value }))
+  }
+}
+
+/**
+ * Observed series for each station to compare, in the order asked for, with its typical range for normalising
+ * Stations that can't be loaded are listed in missing with the reason, so the rest can still be compared. When none
+ * can be loaded the first failure is thrown, as there is nothing to show
+ */
+export async function getComparison(ids) {
+  const results = await Promise.allSettled(ids.map(getSeries))
+  const series = results.filter(result => result.status === 'fulfilled').map(result => result.value)
+  const missing = results
+    .map((result, index) => ({ result, id: ids[index] }))
+    .filter(({ result }) => result.status === 'rejected')
+    .map(({ result, id }) => {
+      logger.warn({ err: result.reason }, `Could not load station ${id} to compare`)
+      return { id, reason: result.reason instanceof StationNotFound ? 'not found' : 'could not be loaded' }
+    })
+
+  if (!series.length && ids.length) {
+    throw results[0].reason
+  }
+
+  return {
+    series,
+    missing,
+    // Levels in different units can only be compared against their typical ranges
+    hasMixedUnits: new Set(series.map(({ unitName }) => unitName)).size > 1
+  }
+}
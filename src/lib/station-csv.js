@@ -0,0 +1,90 @@
+import { Readable } from 'node:stream'
+import { mergeData, filterDataByTimeRange, getTimeRangeLabel } from '../client/javascripts/historic-data.js'
+import { formatFileSize } from '../client/javascripts/utils.js'
+
+export const CSV_RANGES = ['5d', '1m', '6m', '1y', '3y', '5y']
+export const DEFAULT_CSV_RANGE = '5d'
+
+const CSV_COLUMNS = ['dateTime', 'value']
+
+function escapeCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+}
+
+function toCsvRow(values) {
+  return `${values.map(escapeCsvValue).join(',')}\n`
+}
+
+function buildMetadataRows(station, range, generatedAt) {
+  return [
+    ['Station', station.name],
+    ['River', station.river],
+    ['RLOI ID', station.id],
+    ['Latitude', station.lat],
+    ['Longitude', station.long],
+    ['Time range', getTimeRangeLabel(range)],
+    ['Generated', generatedAt.toISOString()]
+  ]
+}
+
+function buildReadingRow(reading) {
+  return toCsvRow([new Date(reading.dateTime).toISOString(), reading.value])
+}
+
+/**
+ * Merge realtime and historic observations and apply a chart time range, as the chart does
+ */
+export function getObservedForRange(realtimeObserved, historicReadings, range) {
+  const merged = mergeData(historicReadings, realtimeObserved) || []
+  return filterDataByTimeRange(merged, range)
+}
+
+/**
+ * Build the CSV header: station metadata rows, a blank separator line, then the column names
+ */
+export function buildCsvHeader(station, range, generatedAt = new Date()) {
+  const metadata = buildMetadataRows(station, range, generatedAt).map(toCsvRow).join('')
+  return `${metadata}\n${toCsvRow(CSV_COLUMNS)}`
+}
+
+function * generateStationCsv(station, observed, range, generatedAt) {
+  yield buildCsvHeader(station, range, generatedAt)
+
+  for (const reading of observed) {
+    yield buildReadingRow(reading)
+  }
+}
+
+/**
+ * Stream a station's CSV: the header (see buildCsvHeader), then a row per observed reading as it is read, so a
+ * long range is never held in memory as one string
+ */
+export function createStationCsvStream(station, observed, range, generatedAt = new Date()) {
+  return Readable.from(generateStationCsv(station, observed, range, generatedAt), { objectMode: false })
+}
+
+/**
+ * Estimate the download size of a station CSV so the page can label the link
+ * headerBytes and rowBytes let the client re-estimate the size for other ranges
+ */
+export function estimateCsvSize(station, observed, range) {
+  const headerBytes = Buffer.byteLength(buildCsvHeader(station, range))
+  const bodyBytes = observed.reduce((total, reading) => total + Buffer.byteLength(buildReadingRow(reading)), 0)
+  const rowBytes = observed.length > 0 ? Math.ceil(bodyBytes / observed.length) : 0
+  const bytes = headerBytes + bodyBytes
+
+  return {
+    bytes,
+    headerBytes,
+    rowBytes,
+    label: formatFileSize(bytes)
+  }
+}
+
+/**
+ * Filename for a station CSV download
+ */
+export function getCsvFilename(stationId, range) {
+  return `station-${String(stationId).replaceAll(/[^\w-]/g, '')}-${range}.csv`
+}
@@ -0,0 +1,89 @@
+import { searchStations, getStationId, getRloiId, getStationType } from './flood-service.js'
+
+export const SEARCH_PAGE_SIZE = 20
+// Type-ahead lists a handful of names, enough to pick from without scrolling
+export const SUGGESTION_LIMIT = 8
+
+// Station types that can be searched for, see getStationType
+export const STATION_TYPE_OPTIONS = [
+  { value: 'S', text: 'River' },
+  { value: 'M', text: 'River with more than one level' },
+  { value: 'C', text: 'Sea or tidal river' },
+  { value: 'G', text: 'Groundwater' }
+]
+
+const STATION_TYPE_NAMES = Object.fromEntries(STATION_TYPE_OPTIONS.map(({ value, text }) => [value, text]))
+
+// Status is a URI such as http://environment.data.gov.uk/flood-monitoring/def/core/statusActive
+const STATION_STATUSES = {
+  statusActive: 'Active',
+  statusSuspended: 'Suspended',
+  statusClosed: 'Closed',
+  statusukcmf: 'Active'
+}
+
+/**
+ * Whether a search has anything to search for, as an empty search would list every station
+ */
+export function hasSearchTerms({ name, town, river, type } = {}) {
+  return !!(name || town || river || type)
+}
+
+/**
+ * Station status from its API status URI, or null when the API doesn't give one
+ */
+export function getStationStatus(station) {
+  const status = [station?.status ?? []].flat()[0]
+  return status ? STATION_STATUSES[String(status).split('/').pop()] ?? null : null
+}
+
+/**
+ * Search result for a station: the ID the station page opens it by, its RLOI ID if it has one, and its river, town,
+ * type and status
+ */
+export function formatSearchResult(station) {
+  return {
+    id: getStationId(station),
+    rloiId: getRloiId(station),
+    name: station.label || station.town || getStationId(station),
+    river: station.riverName || null,
+    town: station.town || null,
+    type: STATION_TYPE_NAMES[getStationType(station)] ?? null,
+    status: getStationStatus(station)
+  }
+}
+
+/**
+ * A page of stations matching the name (any part of it), town, river and station type given
+ * One more station than fits on the page is asked for, to tell whether there is a next page
+ */
+export async function findStations({ name, town, river, type, page = 1 } = {}) {
+  if (!hasSearchTerms({ name, town, river, type })) {
+    return { results: [], page: 1, hasPrevious: false, hasNext: false }
+  }
+
+  const stations = await searchStations({
+    search: name,
+    town,
+    riverName: river,
+    stationType: type,
+    limit: SEARCH_PAGE_SIZE + 1,
+    offset: (page - 1) * SEARCH_PAGE_SIZE
+  })
+
+  return {
+    results: stations.slice(0, SEARCH_PAGE_SIZE).map(formatSearchResult).filter(result => result.id),
+    page,
+    hasPrevious: page > 1,
+    hasNext: stations.length > SEARCH_PAGE_SIZE
+  }
+}
+
+/**
+ * Stations whose name contains the text, for type-ahead
+ */
+export async function suggestStations(text) {
+  const stations = await searchStations({ search: text, limit: SUGGESTION_LIMIT })
+
+  return stations.map(formatSearchResult).filter(result => result.id)
+}
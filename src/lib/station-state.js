@@ -0,0 +1,104 @@
+import { timeFormat } from 'd3-time-format'
+import { toNumber } from '../client/javascripts/utils.js'
+
+// Levels within this many metres of a record are described as close to it
+const NEAR_RECORD_METRES = 0.1
+const CM_PER_METRE = 100
+
+const formatMonth = timeFormat('%B %Y')
+
+/**
+ * Reference levels from the stage scale, offered as chart thresholds in Style C
+ */
+export const STAGE_LEVELS = [
+  { id: 'highest-recent', key: 'highestRecent', label: 'highest level in recent years' },
+  { id: 'max-on-record', key: 'maxOnRecord', label: 'highest level on record' },
+  { id: 'min-on-record', key: 'minOnRecord', label: 'lowest level on record' }
+]
+
+// The stage scale gives each reference level as { dateTime, value }
+function toLevel(level) {
+  const value = toNumber(level?.value)
+  const date = new Date(level?.dateTime)
+
+  if (value === null) {
+    return null
+  }
+
+  return Number.isNaN(date.getTime())
+    ? { value, dateTime: null, month: null }
+    : { value, dateTime: date.toISOString(), month: formatMonth(date) }
+}
+
+function getState(value, typicalRangeLow, typicalRangeHigh) {
+  if (typicalRangeLow === null || typicalRangeHigh === null) {
+    return null
+  }
+
+  if (value > typicalRangeHigh) {
+    return 'high'
+  }
+
+  return value < typicalRangeLow ? 'low' : 'normal'
+}
+
+function formatCentimetres(metres) {
+  return `${Math.max(Math.round(metres * CM_PER_METRE), 1)}cm`
+}
+
+/**
+ * Where the value sits against the records, most notable first
+ * Reaching the highest recent level is not called the highest since the record, as the stage scale doesn't say whether a
+ * higher reading came between the record and the recent years it covers
+ */
+function describeLevel(value, { highestRecent, maxOnRecord, minOnRecord }) {
+  if (maxOnRecord && value >= maxOnRecord.value) {
+    return 'Highest on record'
+  }
+
+  if (maxOnRecord && maxOnRecord.value - value <= NEAR_RECORD_METRES) {
+    return `Within ${formatCentimetres(maxOnRecord.value - value)} of the highest on record`
+  }
+
+  if (highestRecent && value >= highestRecent.value) {
+    return 'Highest in recent years'
+  }
+
+  if (minOnRecord && value <= minOnRecord.value) {
+    return 'Lowest on record'
+  }
+
+  if (minOnRecord && value - minOnRecord.value <= NEAR_RECORD_METRES) {
+    return `Within ${formatCentimetres(value - minOnRecord.value)} of the lowest on record`
+  }
+
+  return null
+}
+
+/**
+ * State of a level station from its stage scale (see resolveStageScale) and latest value, in metres
+ * state is low, normal or high against the typical range, and null without one. description says where the value sits
+ * against the records, e.g. "Highest in recent years", or is null when there is nothing notable to say.
+ * levels are the stage scale's reference levels that it gives (see STAGE_LEVELS), with their values and dates.
+ * Null without a stage scale. Missing parts of the stage scale are left out rather than given defaults
+ */
+export function getStationState(stageScale, latestValue) {
+  if (!stageScale || typeof stageScale !== 'object') {
+    return null
+  }
+
+  const value = toNumber(latestValue)
+  const typicalRangeLow = toNumber(stageScale.typicalRangeLow)
+  const typicalRangeHigh = toNumber(stageScale.typicalRangeHigh)
+  const records = Object.fromEntries(STAGE_LEVELS.map(({ key }) => [key, toLevel(stageScale[key])]))
+
+  return {
+    state: value === null ? null : getState(value, typicalRangeLow, typicalRangeHigh),
+    description: value === null ? null : describeLevel(value, records),
+    typicalRangeLow,
+    typicalRangeHigh,
+    levels: STAGE_LEVELS
+      .filter(({ key }) => records[key])
+      .map(({ id, key, label }) => ({ id, label, ...records[key] }))
+  }
+}
@@ -0,0 +1,80 @@
+import http2 from 'node:http2'
+
+const { constants: httpConstants } = http2
+
+/**
+ * Base class for failures talking to the Environment Agency APIs
+ * Carries the upstream url and status so failures can be logged as structured errors
+ */
+export class UpstreamError extends Error {
+  constructor(message, { url = null, status = null, cause } = {}) {
+    super(message, { cause })
+    this.name = this.constructor.name
+    this.url = url
+    this.status = status
+    this.statusCode = httpConstants.HTTP_STATUS_BAD_GATEWAY
+  }
+}
+
+/**
+ * The upstream API answered, but has no station with the requested ID
+ */
+export class StationNotFound extends UpstreamError {
+  constructor(stationId, options = {}) {
+    super(`Could not find station with ID: ${stationId}`, options)
+    this.stationId = stationId
+    this.statusCode = httpConstants.HTTP_STATUS_NOT_FOUND
+  }
+}
+
+/**
+ * The station exists, but has no measure with the requested ID
+ */
+export class MeasureNotFound extends UpstreamError {
+  constructor(stationId, measureId, options = {}) {
+    super(`Station ${stationId} has no measure with ID: ${measureId}`, options)
+    this.stationId = stationId
+    this.measureId = measureId
+    this.statusCode = httpConstants.HTTP_STATUS_NOT_FOUND
+  }
+}
+
+/**
+ * The upstream API could not be reached or returned a 5xx/429 response
+ * retryAfterMs is set when the response carried a Retry-After header
+ */
+export class UpstreamUnavailable extends UpstreamError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, options)
+    this.retryAfterMs = retryAfterMs
+    this.statusCode = httpConstants.HTTP_STATUS_SERVICE_UNAVAILABLE
+  }
+}
+
+/**
+ * Not attempted, because the circuit breaker for the host is open
+ */
+export class CircuitOpen extends UpstreamUnavailable {}
+
+/**
+ * The upstream API did not respond before the request timeout
+ */
+export class UpstreamTimeout extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, options)
+    this.statusCode = httpConstants.HTTP_STATUS_SERVICE_UNAVAILABLE
+  }
+}
+
+/**
+ * The upstream API responded with something we could not parse or use
+ */
+export class UpstreamBadPayload extends UpstreamError {}
+
+/**
+ * True for responses that mean the upstream is down or shedding load, rather than a bad request
+ */
+export function isUnavailableStatus(status) {
+  return status === httpConstants.HTTP_STATUS_TOO_MANY_REQUESTS ||
+    status >= httpConstants.HTTP_STATUS_INTERNAL_SERVER_ERROR
+}
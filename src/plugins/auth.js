@@ -1,5 +1,6 @@
 import http2 from 'node:http2'
 import Boom from '@hapi/boom'
+import { isApiRequest } from '../common/helpers/api-error.js'
 
 const { constants: httpConstants } = http2
 
@@ -32,11 +33,12 @@ export const auth = {
       })
 
       // Add onPreResponse handler to redirect unauthenticated requests
+      // The JSON API answers 401 instead, as its callers can't follow a redirect to the login page
       server.ext('onPreResponse', (request, h) => {
         const response = request.response
 
         // Check if the response indicates an authentication error
-        if (response.isBoom && response.output.statusCode === httpConstants.HTTP_STATUS_UNAUTHORIZED && request.path !== '/login') {
+        if (response.isBoom && response.output.statusCode === httpConstants.HTTP_STATUS_UNAUTHORIZED && request.path !== '/login' && !isApiRequest(request)) {
           return h.redirect('/login').takeover()
         }
 
@@ -3,6 +3,12 @@ import { health } from '../routes/health.js'
 import { healthCheck } from '../routes/health-check.js'
 import { index } from '../routes/index.js'
 import { station } from '../routes/station.js'
+import { stationCsv } from '../routes/station-csv.js'
+import { nearbyLevels } from '../routes/nearby-levels.js'
+import { stationSearch } from '../routes/station-search.js'
+import { riverProfile } from '../routes/river-profile.js'
+import { compare } from '../routes/compare.js'
+import { api } from '../routes/api.js'
 import { login } from '../routes/login.js'
 import { admin } from '../routes/admin.js'
 import { serveStaticFiles } from '../common/helpers/serve-static-files.js'
@@ -17,6 +23,12 @@ export const router = {
       await server.route(login)
       await server.route(index)
       await server.route(station)
+      await server.route(stationCsv)
+      await server.route(nearbyLevels)
+      await server.route(stationSearch)
+      await server.route(riverProfile)
+      await server.route(compare)
+      await server.route(api)
       await server.route(admin)
       await server.register([serveStaticFiles])
     }
@@ -0,0 +1,112 @@
+import Joi from 'joi'
+import { config } from '../config/config.js'
+import { API_PREFIX, toApiError, failApiValidation } from '../common/helpers/api-error.js'
+import {
+  READING_RESOLUTIONS,
+  HISTORIC_RANGES,
+  getStationDetails,
+  getReadingsWindow,
+  getHistoricAggregates,
+  getThresholds,
+  getEarliestReadingsStart
+} from '../lib/station-api.js'
+
+const stationParams = Joi.object({
+  id: Joi.string().pattern(/^[\w-]+$/).max(50).required()
+})
+
+// A start no earlier than getEarliestReadingsStart, worked out when the request is made as it moves with the clock
+function validateReadingsStart(value, helpers) {
+  const earliest = getEarliestReadingsStart()
+  return value < earliest ? helpers.error('date.min', { limit: earliest }) : value
+}
+
+// Responses can be cached for as long as the server caches what they are made from, see apiCache.ttl
+function cacheFor(segment) {
+  return { expiresIn: config.get(`apiCache.ttl.${segment}`), privacy: 'private' }
+}
+
+export const api = [
+  {
+    method: 'GET',
+    path: `${API_PREFIX}/stations/{id}`,
+    options: {
+      cache: cacheFor('station'),
+      validate: {
+        params: stationParams,
+        failAction: failApiValidation
+      }
+    },
+    handler: async function (request) {
+      try {
+        return await getStationDetails(request.params.id)
+      } catch (error) {
+        throw toApiError(request, error, 'Failed to load station')
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: `${API_PREFIX}/stations/{id}/readings`,
+    options: {
+      cache: cacheFor('readings'),
+      validate: {
+        params: stationParams,
+        query: Joi.object({
+          start: Joi.date().iso().custom(validateReadingsStart),
+          end: Joi.date().iso().when('start', { is: Joi.exist(), then: Joi.date().min(Joi.ref('start')) }),
+          resolution: Joi.string().valid(...READING_RESOLUTIONS),
+          measure: Joi.string().max(200)
+        }),
+        failAction: failApiValidation
+      }
+    },
+    handler: async function (request) {
+      try {
+        return await getReadingsWindow(request.params.id, request.query)
+      } catch (error) {
+        throw toApiError(request, error, 'Failed to load station readings')
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: `${API_PREFIX}/stations/{id}/historic`,
+    options: {
+      cache: cacheFor('station'),
+      validate: {
+        params: stationParams,
+        query: Joi.object({
+          range: Joi.string().valid(...HISTORIC_RANGES).required(),
+          resolution: Joi.string().valid(...READING_RESOLUTIONS)
+        }),
+        failAction: failApiValidation
+      }
+    },
+    handler: async function (request) {
+      try {
+        return await getHistoricAggregates(request.params.id, request.query)
+      } catch (error) {
+        throw toApiError(request, error, 'Failed to load historic readings')
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: `${API_PREFIX}/stations/{id}/thresholds`,
+    options: {
+      cache: cacheFor('station'),
+      validate: {
+        params: stationParams,
+        failAction: failApiValidation
+      }
+    },
+    handler: async function (request) {
+      try {
+        return await getThresholds(request.params.id)
+      } catch (error) {
+        throw toApiError(request, error, 'Failed to load station thresholds')
+      }
+    }
+  }
+]
@@ -0,0 +1,36 @@
+import Joi from 'joi'
+import { getComparison, parseStationIds, MAX_COMPARE_STATIONS } from '../lib/station-comparison.js'
+import { upstreamErrorView } from '../common/helpers/upstream-error-view.js'
+import { COMPARISON_PALETTES, DEFAULT_PALETTE } from '../client/javascripts/comparison-palettes.js'
+
+const PALETTE_ITEMS = Object.entries(COMPARISON_PALETTES).map(([value, { name }]) => ({ value, text: name, selected: value === DEFAULT_PALETTE }))
+
+export const compare = {
+  method: 'GET',
+  path: '/compare',
+  options: {
+    validate: {
+      query: Joi.object({
+        ids: Joi.string().trim().max(200).allow('').default('')
+      })
+    }
+  },
+  handler: async function (request, h) {
+    const ids = parseStationIds(request.query.ids)
+    const viewModel = { ids: ids.join(','), maxStations: MAX_COMPARE_STATIONS, series: [], missing: [], hasMixedUnits: false, error: null, paletteItems: PALETTE_ITEMS }
+
+    if (ids.length > MAX_COMPARE_STATIONS) {
+      return h.view('compare.njk', { ...viewModel, error: `Enter up to ${MAX_COMPARE_STATIONS} station IDs` })
+    }
+
+    try {
+      if (ids.length) {
+        request.logger.info(`Comparing stations ${ids.join(', ')}`)
+      }
+
+      return h.view('compare.njk', { ...viewModel, ...(await getComparison(ids)) })
+    } catch (error) {
+      return upstreamErrorView(request, h, error, 'Failed to load stations to compare')
+    }
+  }
+}
@@ -1,4 +1,6 @@
 import { proxyFetch } from '../lib/flood-service.js'
+import { getCircuitBreakerStates } from '../lib/circuit-breaker.js'
+import { getDispatcherStats } from '../lib/http-dispatcher.js'
 
 /**
  * Extended health check endpoint that also tests external API connectivity
@@ -39,6 +41,7 @@ export const healthCheck = {
       request.logger.error('Environment Agency API connectivity test failed:', error)
       results.externalApis.environmentAgency = {
         reachable: false,
+        status: error.status,
         error: error.message,
         errorType: error.name,
         errorCause: error.cause?.message || error.cause,
@@ -46,6 +49,10 @@ export const healthCheck = {
       }
     }
 
+    // Read after the connectivity test so it reflects that attempt
+    results.circuitBreakers = getCircuitBreakerStates()
+    results.connectionPools = getDispatcherStats()
+
     return h.response(results).code(200)
   }
 }
@@ -0,0 +1,36 @@
+import Joi from 'joi'
+import { getStation, formatStationData } from '../lib/flood-service.js'
+import { getNearbyLevels } from '../lib/nearby-levels.js'
+import { upstreamErrorView } from '../common/helpers/upstream-error-view.js'
+import { config } from '../config/config.js'
+
+export const nearbyLevels = {
+  method: 'GET',
+  path: '/river-and-sea-levels/rloi/{id}',
+  options: {
+    validate: {
+      params: Joi.object({
+        id: Joi.string().required()
+      })
+    }
+  },
+  handler: async function (request, h) {
+    const { id } = request.params
+
+    try {
+      request.logger.info(`Finding levels near station ${id}`)
+
+      const stationData = await getStation(id)
+      const station = formatStationData(stationData, [])
+      const levels = await getNearbyLevels(stationData)
+
+      return h.view('nearby-levels.njk', {
+        station,
+        levels,
+        radiusKm: config.get('nearbyLevels.radiusKm')
+      })
+    } catch (error) {
+      return upstreamErrorView(request, h, error, 'Failed to load nearby levels')
+    }
+  }
+}
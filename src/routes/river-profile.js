@@ -0,0 +1,33 @@
+import Joi from 'joi'
+import { getRiverProfile, MAX_RIVER_STATIONS } from '../lib/river-profile.js'
+import { upstreamErrorView } from '../common/helpers/upstream-error-view.js'
+
+export const riverProfile = {
+  method: 'GET',
+  path: '/river-profile',
+  options: {
+    validate: {
+      query: Joi.object({
+        river: Joi.string().trim().max(100).required(),
+        chartStyle: Joi.string().valid('styleA', 'styleB', 'styleC').default('styleA')
+      })
+    }
+  },
+  handler: async function (request, h) {
+    const { river, chartStyle } = request.query
+
+    try {
+      request.logger.info(`Building river profile for ${river}`)
+
+      const profile = await getRiverProfile(river)
+
+      return h.view('river-profile.njk', {
+        ...profile,
+        chartStyle,
+        maxStations: MAX_RIVER_STATIONS
+      })
+    } catch (error) {
+      return upstreamErrorView(request, h, error, 'Failed to load the river profile')
+    }
+  }
+}
@@ -0,0 +1,49 @@
+import Joi from 'joi'
+import { getStation, getStationReadings, listMeasures, formatStationData, formatTelemetryData } from '../lib/flood-service.js'
+import { upstreamErrorView } from '../common/helpers/upstream-error-view.js'
+import { loadHistoricReadings } from '../lib/historic-store.js'
+import { CSV_RANGES, DEFAULT_CSV_RANGE, getObservedForRange, createStationCsvStream, getCsvFilename } from '../lib/station-csv.js'
+
+export const stationCsv = {
+  method: 'GET',
+  path: '/station-csv/{id}',
+  options: {
+    validate: {
+      params: Joi.object({
+        id: Joi.string().required()
+      }),
+      query: Joi.object({
+        range: Joi.string().valid(...CSV_RANGES).default(DEFAULT_CSV_RANGE),
+        measure: Joi.string()
+      })
+    }
+  },
+  handler: async function (request, h) {
+    const { id } = request.params
+    const { range, measure = null } = request.query
+
+    try {
+      request.logger.info(`Building CSV for station ${id}, range: ${range}`)
+
+      const [stationData, readings, storedHistoricData] = await Promise.all([
+        getStation(id),
+        getStationReadings(id, null, measure),
+        loadHistoricReadings(id)
+      ])
+
+      // Pre-fetched historic data is for the default level measure only
+      const isDefaultMeasure = !measure || listMeasures(stationData).some(m => m.id === measure && m.isDefault)
+      const historicData = isDefaultMeasure ? storedHistoricData : []
+
+      const station = formatStationData(stationData, readings)
+      const telemetry = formatTelemetryData(readings)
+      const observed = getObservedForRange(telemetry.observed, historicData, range)
+
+      return h.response(createStationCsvStream(station, observed, range))
+        .type('text/csv; charset=utf-8')
+        .header('Content-Disposition', `attachment; filename="${getCsvFilename(station.id, range)}"`)
+    } catch (error) {
+      return upstreamErrorView(request, h, error, 'Failed to build station data CSV')
+    }
+  }
+}
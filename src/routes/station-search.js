@@ -0,0 +1,77 @@
+import Joi from 'joi'
+import http2 from 'node:http2'
+import { findStations, suggestStations, hasSearchTerms, STATION_TYPE_OPTIONS } from '../lib/station-search.js'
+import { upstreamErrorView } from '../common/helpers/upstream-error-view.js'
+
+const { constants: httpConstants } = http2
+
+const CHART_STYLES = ['styleA', 'styleB', 'styleC']
+const SEARCH_TEXT = Joi.string().trim().max(100).allow('')
+
+export const stationSearch = [
+  {
+    method: 'GET',
+    path: '/station-search',
+    options: {
+      validate: {
+        query: Joi.object({
+          name: SEARCH_TEXT,
+          town: SEARCH_TEXT,
+          river: SEARCH_TEXT,
+          type: Joi.string().valid('', ...STATION_TYPE_OPTIONS.map(option => option.value)),
+          chartStyle: Joi.string().valid(...CHART_STYLES).default('styleA'),
+          page: Joi.number().integer().min(1).default(1)
+        })
+      }
+    },
+    handler: async function (request, h) {
+      const { chartStyle, ...search } = request.query
+
+      try {
+        if (hasSearchTerms(search)) {
+          request.logger.info(`Searching stations: ${JSON.stringify(search)}`)
+        }
+
+        const { results, page, hasPrevious, hasNext } = await findStations(search)
+        // Page links keep the search and chart style, changing only the page
+        const pageUrl = (pageNumber) => `/station-search?${new URLSearchParams({ ...request.query, page: pageNumber })}`
+
+        return h.view('station-search.njk', {
+          search,
+          chartStyle,
+          hasSearched: hasSearchTerms(search),
+          results,
+          page,
+          previousUrl: hasPrevious ? pageUrl(page - 1) : null,
+          nextUrl: hasNext ? pageUrl(page + 1) : null,
+          typeItems: [
+            { value: '', text: 'Any type' },
+            ...STATION_TYPE_OPTIONS.map(option => ({ ...option, selected: option.value === search.type }))
+          ]
+        })
+      } catch (error) {
+        return upstreamErrorView(request, h, error, 'Failed to search for stations')
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/station-search/suggestions',
+    options: {
+      validate: {
+        query: Joi.object({
+          q: Joi.string().trim().min(2).max(100).required()
+        })
+      }
+    },
+    handler: async function (request, h) {
+      try {
+        return { items: await suggestStations(request.query.q) }
+      } catch (error) {
+        request.logger.warn({ err: error }, 'Failed to suggest stations')
+        return h.response({ message: 'Station suggestions are not available at the moment' })
+          .code(error.statusCode ?? httpConstants.HTTP_STATUS_INTERNAL_SERVER_ERROR)
+      }
+    }
+  }
+]
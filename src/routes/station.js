@@ -1,64 +1,105 @@
-import { readFile } from 'node:fs/promises'
-import path from 'node:path'
-import { getStation, getStationReadings, formatStationData, formatTelemetryData } from '../lib/flood-service.js'
+import { getStation, getStationReadings, getTelemetryType, getDefaultWindowDays, getDefaultWindowStart, listMeasures, formatStationData, formatTelemetryData } from '../lib/flood-service.js'
+import { upstreamErrorView } from '../common/helpers/upstream-error-view.js'
+import { loadHistoricReadings } from '../lib/historic-store.js'
+import { getUnit } from '../client/javascripts/utils.js'
+import { formatRate, formatTrendWindow } from '../client/javascripts/trend.js'
 import { config } from '../config/config.js'
+import { DEFAULT_CSV_RANGE, getObservedForRange, estimateCsvSize } from '../lib/station-csv.js'
+import { getGroundwaterContext } from '../lib/groundwater.js'
+import { getForecast, attachForecast, describeForecast } from '../lib/forecast-service.js'
+import { getFloodWarnings, matchesStation } from '../lib/flood-warnings-service.js'
+import { API_PREFIX } from '../common/helpers/api-error.js'
 
-async function loadHistoricData(stationId) {
-  try {
-    const historicPath = path.resolve(config.get('root'), 'data', 'historic', `${stationId}.json`)
-    const raw = await readFile(historicPath, 'utf8')
-    const parsed = JSON.parse(raw)
-    return parsed.readings || []
-  } catch {
-    return []
-  }
-}
+// Accumulation periods for rainfall bars, see RAINFALL_PERIODS in the chart's rainfall module
+const RAINFALL_PERIOD_OPTIONS = [
+  { value: '15m', text: '15 minutes' },
+  { value: '1h', text: '1 hour', selected: true },
+  { value: '1d', text: '1 day' }
+]
+
+// Forecasts are of the station's level, so are only drawn on level charts
+const FORECAST_TELEMETRY_TYPES = new Set(['river', 'tide'])
+
+// Chart time ranges shown first, matching the readings window for the station (see getDefaultWindowDays)
+const DEFAULT_TIME_RANGE = '5d'
+const GROUNDWATER_TIME_RANGE = '1y'
 
 export const station = {
   method: 'GET',
   path: '/station',
   handler: async function (request, h) {
-    const { stationId = '3089', chartStyle = 'styleA' } = request.query
+    const { stationId = '3089', chartStyle = 'styleA', measure = null } = request.query
 
     try {
-      request.logger.info(`Fetching station data for ID: ${stationId}, style: ${chartStyle}`)
+      request.logger.info(`Fetching station data for ID: ${stationId}, style: ${chartStyle}, measure: ${measure ?? 'default'}`)
 
       // Fetch real data from Environment Agency API + load pre-fetched historic data
-      const [stationData, readings, historicData] = await Promise.all([
+      const [stationData, readings, storedHistoricData, storedForecast, warningsInForce] = await Promise.all([
         getStation(stationId),
-        getStationReadings(stationId),
-        loadHistoricData(stationId)
+        getStationReadings(stationId, null, measure),
+        loadHistoricReadings(stationId),
+        getForecast(stationId),
+        getFloodWarnings()
       ])
 
-      if (!stationData) {
-        request.logger.warn(`Station not found or API call failed for ID: ${stationId}`)
-        return h.view('error.njk', {
-          error: 'Station not found',
-          message: `Could not find station with ID: ${stationId}`
-        }).code(404)
-      }
+      const measures = listMeasures(stationData)
+      const selectedMeasure = measures.find(m => measure ? m.id === measure : m.isDefault) ?? null
+      // Pre-fetched historic data, forecasts and the stage scale are for the default level measure only
+      const isDefaultMeasure = !measure || !!selectedMeasure?.isDefault
+      const historicData = isDefaultMeasure ? storedHistoricData : []
 
       // Format data for the template
-      const station = formatStationData(stationData, readings)
-      const telemetry = formatTelemetryData(readings)
+      const station = formatStationData(stationData, readings, { stageScale: isDefaultMeasure ? stationData.stageScale : null })
+      const observedTelemetry = formatTelemetryData(readings, {
+        start: getDefaultWindowStart(new Date(), getDefaultWindowDays(stationData)),
+        unitName: selectedMeasure?.unitName,
+        type: getTelemetryType(selectedMeasure, stationData)
+      })
+      const forecast = FORECAST_TELEMETRY_TYPES.has(observedTelemetry.type) && isDefaultMeasure ? storedForecast : null
+      const trendWindowMinutes = config.get('trend.windowMinutes')
+      // The chart tooltip gives the rate at each reading over the same window as the page
+      const telemetry = { ...attachForecast(observedTelemetry, forecast), trendWindowMinutes }
+      // Borehole levels are read against the range on record for the time of year
+      const groundwater = telemetry.type === 'groundwater' ? getGroundwaterContext(historicData, readings) : null
+      if (groundwater) {
+        telemetry.envelope = groundwater.envelope
+      }
+      const csvSize = estimateCsvSize(station, getObservedForRange(telemetry.observed, historicData, DEFAULT_CSV_RANGE), DEFAULT_CSV_RANGE)
 
       if (historicData.length > 0) {
         request.logger.info(`Loaded ${historicData.length} pre-fetched historic readings for station ${stationId}`)
       }
 
+      // Historic readings are loaded by the chart from the JSON API when a longer range is picked, so the page only
+      // says where they are and the highest of them, for the highest level reference line
+      const historicHighest = historicData.reduce((highest, reading) => Number.isFinite(Number(reading.value)) ? Math.max(highest, Number(reading.value)) : highest, Number.NEGATIVE_INFINITY)
+
       return h.view('station.njk', {
         station,
         telemetry,
         chartStyle,
-        historicData
+        historicUrl: historicData.length ? `${API_PREFIX}/stations/${encodeURIComponent(stationId)}/historic` : null,
+        historicHighest: Number.isFinite(historicHighest) ? historicHighest : null,
+        canvasPointThreshold: config.get('chart.canvasPointThreshold'),
+        groundwater,
+        floodWarnings: warningsInForce.filter(warning => matchesStation(warning, stationData)),
+        trendRate: Number.isFinite(station.trendRate) ? formatRate(station.trendRate, telemetry.unitName) : null,
+        trendWindow: formatTrendWindow(trendWindowMinutes),
+        forecast: telemetry.forecast?.length ? describeForecast(forecast) : null,
+        defaultTimeRange: telemetry.type === 'groundwater' ? GROUNDWATER_TIME_RANGE : DEFAULT_TIME_RANGE,
+        csvSize,
+        unit: getUnit(telemetry.unitName),
+        rainfallPeriodOptions: RAINFALL_PERIOD_OPTIONS,
+        measures,
+        selectedMeasure,
+        measureOptions: measures.map(m => ({
+          value: m.id,
+          text: m.isDefault ? `${m.label} (default)` : m.label,
+          selected: m.id === selectedMeasure?.id
+        }))
       })
     } catch (error) {
-      request.logger.error('Error loading station data:', error)
-
-      return h.view('error.njk', {
-        error: 'Failed to load station data',
-        message: error.message
-      }).code(500)
+      return upstreamErrorView(request, h, error, 'Failed to load station data')
     }
   }
 }
@@ -14,6 +14,8 @@ import { setupProxy } from './common/helpers/proxy/setup-proxy.js'
 import { requestTracing } from './common/helpers/request-tracing.js'
 import { requestLogger } from './common/helpers/logging/request-logger.js'
 import { secureContext } from './common/helpers/secure-context/secure-context.js'
+import { stopApiCache } from './lib/api-cache.js'
+import { closeDispatchers } from './lib/http-dispatcher.js'
 
 export async function createServer() {
   setupProxy()
@@ -72,5 +74,8 @@ export async function createServer() {
 
   server.ext('onPreResponse', catchAll)
 
+  server.events.on('stop', stopApiCache)
+  server.events.on('stop', closeDispatchers)
+
   return server
 }
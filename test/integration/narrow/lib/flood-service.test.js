@@ -1,17 +1,26 @@
 import { describe, test, expect } from 'vitest'
 import { getStation, getStationReadings } from '../../../../src/lib/flood-service.js'
+import { UpstreamError, StationNotFound } from '../../../../src/lib/upstream-errors.js'
 
 const VALID_STATION_ID = 3089
 const INVALID_STATION_ID = 999999
 
+// Network connectivity may be intermittent in test environment, so upstream
+// failures other than StationNotFound skip the test
+function isConnectivityIssue(result) {
+  const skip = result instanceof UpstreamError && !(result instanceof StationNotFound)
+  if (skip) {
+    console.warn(`Test skipped: Network connectivity issue (${result.name})`)
+  }
+  return skip
+}
+
 describe('Flood Service Integration Tests', () => {
   describe('getStation', () => {
     test('Should fetch station data by RLOIid', async () => {
-      const result = await getStation(VALID_STATION_ID)
+      const result = await getStation(VALID_STATION_ID).catch(error => error)
 
-      // Network connectivity may be intermittent in test environment
-      if (result === null) {
-        console.warn('Test skipped: Network connectivity issue (DNS resolution failed)')
+      if (isConnectivityIssue(result)) {
         return
       }
 
@@ -26,25 +35,32 @@ describe('Flood Service Integration Tests', () => {
       expect(result.measures.length).toBeGreaterThan(0)
     }, 20000)
 
-    test('Should return null for non-existent station', async () => {
-      const result = await getStation(INVALID_STATION_ID)
+    test('Should reject with StationNotFound for non-existent station', async () => {
+      const result = await getStation(INVALID_STATION_ID).catch(error => error)
+
+      if (isConnectivityIssue(result)) {
+        return
+      }
 
-      expect(result).toBeNull()
+      expect(result).toBeInstanceOf(StationNotFound)
     }, 20000)
 
     test('Should handle invalid station ID gracefully', async () => {
-      const result = await getStation('invalid')
+      const result = await getStation('invalid').catch(error => error)
+
+      if (isConnectivityIssue(result)) {
+        return
+      }
 
-      expect(result).toBeNull()
+      expect(result).toBeInstanceOf(StationNotFound)
     }, 20000)
   })
 
   describe('getStationReadings', () => {
     test('Should fetch telemetry readings for station 3089', async () => {
-      const result = await getStationReadings(VALID_STATION_ID)
+      const result = await getStationReadings(VALID_STATION_ID).catch(error => error)
 
-      if (result.length === 0) {
-        console.warn('Test skipped: Network connectivity issue (no readings returned)')
+      if (isConnectivityIssue(result)) {
         return
       }
 
@@ -61,16 +77,19 @@ describe('Flood Service Integration Tests', () => {
     }, 20000)
 
     test('Should return limited number of readings', async () => {
-      const result = await getStationReadings(VALID_STATION_ID)
+      const result = await getStationReadings(VALID_STATION_ID).catch(error => error)
+
+      if (isConnectivityIssue(result)) {
+        return
+      }
 
       expect(result.length).toBeLessThanOrEqual(10000)
     }, 20000)
 
     test('Should return readings in sorted order', async () => {
-      const result = await getStationReadings(VALID_STATION_ID)
+      const result = await getStationReadings(VALID_STATION_ID).catch(error => error)
 
-      if (result.length === 0) {
-        console.warn('Test skipped: Network connectivity issue (no readings returned)')
+      if (isConnectivityIssue(result)) {
         return
       }
 
@@ -85,10 +104,14 @@ describe('Flood Service Integration Tests', () => {
       expect(isAscending || isDescending).toBe(true)
     }, 20000)
 
-    test('Should return empty array for non-existent station', async () => {
-      const result = await getStationReadings(INVALID_STATION_ID)
+    test('Should reject with StationNotFound for non-existent station', async () => {
+      const result = await getStationReadings(INVALID_STATION_ID).catch(error => error)
+
+      if (isConnectivityIssue(result)) {
+        return
+      }
 
-      expect(result).toEqual([])
+      expect(result).toBeInstanceOf(StationNotFound)
     }, 20000)
   })
 })
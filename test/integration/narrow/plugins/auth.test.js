@@ -31,6 +31,10 @@ vi.mock('../../../../src/lib/flood-service.js', () => ({
       value: 1.245
     }
   ]),
+  listMeasures: vi.fn().mockReturnValue([]),
+  getTelemetryType: vi.fn().mockReturnValue('river'),
+  getDefaultWindowDays: vi.fn().mockReturnValue(5),
+  getDefaultWindowStart: vi.fn().mockImplementation(() => new Date()),
   formatStationData: vi.fn().mockImplementation((stationData, readings) => {
     return {
       id: stationData?.RLOIid || '3089',
@@ -0,0 +1,294 @@
+import { describe, beforeAll, afterAll, test, expect, vi } from 'vitest'
+import { createServer } from '../../../../src/server.js'
+import { config } from '../../../../src/config/config.js'
+import { getStationReadings } from '../../../../src/lib/flood-service.js'
+import { loadHistoricTier } from '../../../../src/lib/historic-store.js'
+
+const { ONE_HOUR_MS, now, READINGS, HISTORIC_READINGS } = vi.hoisted(() => {
+  const ONE_HOUR_MS = 60 * 60 * 1000
+  const now = Date.now()
+  // Two readings in the hour before last and one in the last hour, all within the last 3 hours
+  const hourBeforeLast = (Math.floor(now / ONE_HOUR_MS) - 2) * ONE_HOUR_MS
+
+  return {
+    ONE_HOUR_MS,
+    now,
+    READINGS: [
+      { dateTime: new Date(hourBeforeLast + (ONE_HOUR_MS * 1.25)).toISOString(), value: 1.4 },
+      { dateTime: new Date(hourBeforeLast + (ONE_HOUR_MS / 2)).toISOString(), value: 1.2 },
+      { dateTime: new Date(hourBeforeLast).toISOString(), value: 1.0 }
+    ],
+    HISTORIC_READINGS: [
+      { dateTime: new Date(now - (20 * 24 * ONE_HOUR_MS)).toISOString(), value: 0.5 },
+      { dateTime: new Date(now - ONE_HOUR_MS).toISOString(), value: 0.9 }
+    ]
+  }
+})
+
+vi.mock('../../../../src/lib/flood-service.js', async () => {
+  const actual = await vi.importActual('../../../../src/lib/flood-service.js')
+  const { StationNotFound, MeasureNotFound, UpstreamTimeout } = await vi.importActual('../../../../src/lib/upstream-errors.js')
+
+  return {
+    ...actual,
+    getStation: vi.fn().mockImplementation((stationId) => {
+      if (stationId === '3089') {
+        return Promise.resolve({
+          RLOIid: '3089',
+          label: 'Knightwick',
+          riverName: 'River Teme',
+          town: 'Knightwick',
+          status: 'http://environment.data.gov.uk/flood-monitoring/def/core/statusActive',
+          lat: 52.2,
+          long: -2.39,
+          measures: [{
+            '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/3089-level-stage-i-15_min-mASD',
+            parameter: 'level',
+            qualifier: 'Stage',
+            unitName: 'mASD'
+          }],
+          stageScale: {
+            typicalRangeLow: 0.2,
+            typicalRangeHigh: 1.4,
+            maxOnRecord: { dateTime: '2007-07-21T09:00:00Z', value: 5.6 }
+          }
+        })
+      }
+      if (stationId === 'slow') {
+        return Promise.reject(new UpstreamTimeout('Request exceeded 15000ms timeout'))
+      }
+      return Promise.reject(new StationNotFound(stationId))
+    }),
+    getStationReadings: vi.fn().mockImplementation((stationId, since, measure) => {
+      if (measure && measure !== '3089-level-stage-i-15_min-mASD') {
+        return Promise.reject(new MeasureNotFound(stationId, measure))
+      }
+      return Promise.resolve(READINGS)
+    })
+  }
+})
+
+vi.mock('../../../../src/lib/historic-store.js', async () => {
+  const { aggregateReadings } = await vi.importActual('../../../../src/client/javascripts/aggregation.js')
+
+  return {
+    loadHistoricReadings: vi.fn().mockResolvedValue(HISTORIC_READINGS),
+    loadHistoricTier: vi.fn().mockImplementation((stationId, tier) => Promise.resolve(aggregateReadings(HISTORIC_READINGS, tier)))
+  }
+})
+
+describe('JSON API routes', () => {
+  let server
+  let authCookie
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+
+    // Login to get authenticated session
+    const loginResponse = await server.inject({
+      method: 'POST',
+      url: '/login',
+      payload: { password: config.get('prototypePassword') }
+    })
+    authCookie = loginResponse.headers['set-cookie'][0].split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  function get(url) {
+    return server.inject({ method: 'GET', url, headers: { cookie: authCookie } })
+  }
+
+  describe('GET /api/v1/stations/{id}', () => {
+    test('Should return the station metadata with caching headers', async () => {
+      const { result, statusCode, headers } = await get('/api/v1/stations/3089')
+
+      expect(statusCode).toBe(200)
+      expect(headers['content-type']).toContain('application/json')
+      expect(headers['cache-control']).toBe(`max-age=${config.get('apiCache.ttl.station') / 1000}, must-revalidate, private`)
+      expect(result).toMatchObject({
+        id: '3089',
+        name: 'Knightwick',
+        river: 'River Teme',
+        type: 'river',
+        status: 'Active',
+        lat: 52.2,
+        long: -2.39
+      })
+      expect(result.measures).toEqual([expect.objectContaining({ id: '3089-level-stage-i-15_min-mASD', unitName: 'mASD', isDefault: true })])
+    })
+
+    test('Should return a JSON 404 for an unknown station, without caching it', async () => {
+      const { result, statusCode, headers } = await get('/api/v1/stations/9999')
+
+      expect(statusCode).toBe(404)
+      expect(headers['cache-control']).toBe('no-cache')
+      expect(result).toEqual({ statusCode: 404, error: 'Not Found', message: 'Could not find station with ID: 9999' })
+    })
+
+    test('Should return a JSON 503 when the upstream service is not responding', async () => {
+      const { result, statusCode } = await get('/api/v1/stations/slow')
+
+      expect(statusCode).toBe(503)
+      expect(result).toEqual({
+        statusCode: 503,
+        error: 'Service Unavailable',
+        message: 'The Environment Agency flood monitoring service is not responding at the moment'
+      })
+    })
+  })
+
+  describe('GET /api/v1/stations/{id}/readings', () => {
+    test('Should return the default window of readings oldest first', async () => {
+      const { result, statusCode, headers } = await get('/api/v1/stations/3089/readings')
+
+      expect(statusCode).toBe(200)
+      expect(headers['cache-control']).toBe(`max-age=${config.get('apiCache.ttl.readings') / 1000}, must-revalidate, private`)
+      expect(result).toMatchObject({ stationId: '3089', measureId: '3089-level-stage-i-15_min-mASD', unitName: 'mASD', resolution: 'raw', end: null })
+      expect(result.readings.map(reading => reading.value)).toEqual([1.0, 1.2, 1.4])
+    })
+
+    test('Should read from the start given at the resolution asked for', async () => {
+      const start = new Date(now - (3 * ONE_HOUR_MS)).toISOString()
+
+      const { result, statusCode } = await get(`/api/v1/stations/3089/readings?start=${start}&resolution=hourly`)
+
+      expect(statusCode).toBe(200)
+      expect(getStationReadings).toHaveBeenLastCalledWith('3089', new Date(start), null)
+      expect(result.start).toBe(start)
+      expect(result.readings).toHaveLength(2)
+      expect(result.readings[0]).toMatchObject({ min: 1.0, max: 1.2, count: 2 })
+      expect(result.readings[0].value).toBeCloseTo(1.1)
+    })
+
+    test('Should read before the realtime window from the pre-fetched historic readings', async () => {
+      const start = new Date(now - (21 * 24 * ONE_HOUR_MS)).toISOString()
+
+      const { result, statusCode } = await get(`/api/v1/stations/3089/readings?start=${start}`)
+
+      expect(statusCode).toBe(200)
+      expect(getStationReadings).toHaveBeenLastCalledWith('3089', null, null)
+      expect(loadHistoricTier).toHaveBeenLastCalledWith('3089', 'raw')
+      // The historic reading from an hour ago is within the realtime window, so the realtime readings are used there
+      expect(result.readings.map(reading => reading.value)).toEqual([0.5, 1.0, 1.2, 1.4])
+    })
+
+    test('Should not call the realtime API for a window that ends before its readings start', async () => {
+      getStationReadings.mockClear()
+      const start = new Date(now - (21 * 24 * ONE_HOUR_MS)).toISOString()
+      const end = new Date(now - (10 * 24 * ONE_HOUR_MS)).toISOString()
+
+      const { result, statusCode } = await get(`/api/v1/stations/3089/readings?start=${start}&end=${end}`)
+
+      expect(statusCode).toBe(200)
+      expect(getStationReadings).not.toHaveBeenCalled()
+      expect(result.readings.map(reading => reading.value)).toEqual([0.5])
+    })
+
+    test('Should default the resolution to the tier a chart of the window is drawn from', async () => {
+      const start = new Date(now - (200 * 24 * ONE_HOUR_MS)).toISOString()
+
+      const { result, statusCode } = await get(`/api/v1/stations/3089/readings?start=${start}`)
+
+      expect(statusCode).toBe(200)
+      expect(result.resolution).toBe('hourly')
+      expect(result.readings[0]).toHaveProperty('count')
+    })
+
+    test('Should return a JSON 400 naming the invalid parameter', async () => {
+      const { result, statusCode } = await get('/api/v1/stations/3089/readings?resolution=minutely')
+
+      expect(statusCode).toBe(400)
+      expect(result).toMatchObject({ statusCode: 400, error: 'Bad Request', validation: { source: 'query', keys: ['resolution'] } })
+      expect(result.message).toContain('"resolution" must be one of [raw, hourly, daily, weekly]')
+    })
+
+    test('Should return a JSON 400 for an end before the start', async () => {
+      const { statusCode } = await get('/api/v1/stations/3089/readings?start=2026-01-16T12:00:00Z&end=2026-01-15T12:00:00Z')
+
+      expect(statusCode).toBe(400)
+    })
+
+    test('Should read up to an end given without a start', async () => {
+      const end = READINGS[1].dateTime
+
+      const { result, statusCode } = await get(`/api/v1/stations/3089/readings?end=${end}`)
+
+      expect(statusCode).toBe(200)
+      expect(result.end).toBe(end)
+      expect(result.readings.map(reading => reading.value)).toEqual([1.0, 1.2])
+    })
+
+    test('Should return a JSON 400 for a start before the longest chart range', async () => {
+      const start = new Date(now - (6 * 365 * 24 * ONE_HOUR_MS)).toISOString()
+
+      const { result, statusCode } = await get(`/api/v1/stations/3089/readings?start=${start}`)
+
+      expect(statusCode).toBe(400)
+      expect(result.validation).toEqual({ source: 'query', keys: ['start'] })
+      expect(getStationReadings).not.toHaveBeenCalledWith('3089', new Date(start), null)
+    })
+
+    test('Should return a JSON 404 for a measure the station does not have', async () => {
+      const { result, statusCode } = await get('/api/v1/stations/3089/readings?measure=3089-flow')
+
+      expect(statusCode).toBe(404)
+      expect(result.message).toBe('Station 3089 has no measure with ID: 3089-flow')
+    })
+  })
+
+  describe('GET /api/v1/stations/{id}/historic', () => {
+    test('Should return the historic readings for the range at the resolution it needs', async () => {
+      const { result, statusCode } = await get('/api/v1/stations/3089/historic?range=3y')
+
+      expect(statusCode).toBe(200)
+      expect(result).toMatchObject({ stationId: '3089', unitName: 'mASD', range: '3y', resolution: 'daily' })
+      expect(result.readings).toHaveLength(2)
+      expect(result.readings[0]).toMatchObject({ value: 0.5, min: 0.5, max: 0.5, count: 1 })
+    })
+
+    test('Should keep to the range and resolution asked for', async () => {
+      const { result } = await get('/api/v1/stations/3089/historic?range=5d&resolution=raw')
+
+      expect(result.readings).toEqual([HISTORIC_READINGS[1]])
+    })
+
+    test('Should need a range', async () => {
+      const { statusCode } = await get('/api/v1/stations/3089/historic')
+
+      expect(statusCode).toBe(400)
+    })
+  })
+
+  describe('GET /api/v1/stations/{id}/thresholds', () => {
+    test('Should return the typical range and record levels', async () => {
+      const { result, statusCode } = await get('/api/v1/stations/3089/thresholds')
+
+      expect(statusCode).toBe(200)
+      expect(result).toEqual({
+        stationId: '3089',
+        unitName: 'mASD',
+        typicalRangeLow: 0.2,
+        typicalRangeHigh: 1.4,
+        levels: [{ id: 'max-on-record', label: 'highest level on record', value: 5.6, dateTime: '2007-07-21T09:00:00.000Z' }]
+      })
+    })
+  })
+
+  test('Should answer unauthenticated requests with a JSON 401 rather than the login page', async () => {
+    const { result, statusCode } = await server.inject({ method: 'GET', url: '/api/v1/stations/3089' })
+
+    expect(statusCode).toBe(401)
+    expect(result).toMatchObject({ statusCode: 401, error: 'Unauthorized' })
+  })
+
+  test('Should return a JSON 404 for an unknown API path', async () => {
+    const { result, statusCode } = await get('/api/v1/unknown')
+
+    expect(statusCode).toBe(404)
+    expect(result).toMatchObject({ statusCode: 404, error: 'Not Found' })
+  })
+})
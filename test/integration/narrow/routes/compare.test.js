@@ -0,0 +1,146 @@
+import { describe, beforeAll, afterAll, beforeEach, test, expect, vi } from 'vitest'
+import { createServer } from '../../../../src/server.js'
+import { config } from '../../../../src/config/config.js'
+import { getComparison } from '../../../../src/lib/station-comparison.js'
+import { StationNotFound } from '../../../../src/lib/upstream-errors.js'
+
+const SERIES = [
+  {
+    id: '3089',
+    name: 'Knightwick',
+    river: 'River Teme',
+    unitName: 'm',
+    typicalRangeLow: 0.2,
+    typicalRangeHigh: 1.4,
+    typicalRange: '0.20m to 1.40m',
+    latest: { value: '0.80m', time: '11:00am', day: '16 January' },
+    observed: [{ dateTime: '2026-01-16T11:00:00Z', value: 0.8 }]
+  },
+  {
+    id: '7041',
+    name: 'Powick',
+    river: null,
+    unitName: 'm',
+    typicalRangeLow: null,
+    typicalRangeHigh: null,
+    typicalRange: null,
+    latest: null,
+    observed: []
+  }
+]
+
+vi.mock('../../../../src/lib/station-comparison.js', async () => {
+  const { MAX_COMPARE_STATIONS, parseStationIds } = await vi.importActual('../../../../src/lib/station-comparison.js')
+  return { MAX_COMPARE_STATIONS, parseStationIds, getComparison: vi.fn() }
+})
+
+describe('Compare route', () => {
+  let server
+  let authCookie
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+
+    // Login to get authenticated session
+    const loginResponse = await server.inject({
+      method: 'POST',
+      url: '/login',
+      payload: { password: config.get('prototypePassword') }
+    })
+    authCookie = loginResponse.headers['set-cookie'][0].split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  beforeEach(() => {
+    getComparison.mockReset()
+  })
+
+  test('Should ask for the stations to compare', async () => {
+    getComparison.mockResolvedValueOnce({ series: [], missing: [], hasMixedUnits: false })
+
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/compare',
+      headers: { cookie: authCookie }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toContain('Compare levels')
+    expect(result).toContain('name="ids"')
+    expect(result).not.toContain('id="comparison-chart"')
+  })
+
+  test('Should chart the stations with a legend and their latest levels', async () => {
+    getComparison.mockResolvedValueOnce({ series: SERIES, missing: [], hasMixedUnits: false })
+
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/compare?ids=3089,+7041,3089',
+      headers: { cookie: authCookie }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(getComparison).toHaveBeenCalledWith(['3089', '7041'])
+    expect(result).toContain('value="3089,7041"')
+    expect(result).toContain('id="comparison-chart"')
+    expect(result).toContain('id="comparison-legend"')
+    expect(result).toContain('id="comparison-palette"')
+    expect(result).toContain('River Teme at Knightwick')
+    expect(result).toContain('0.20m to 1.40m')
+    expect(result).toContain('No recent reading')
+    expect(result).toContain('window.flood.comparison')
+  })
+
+  test('Should only compare against normal ranges for stations in different units', async () => {
+    getComparison.mockResolvedValueOnce({ series: SERIES, missing: [], hasMixedUnits: true })
+
+    const { result } = await server.inject({
+      method: 'GET',
+      url: '/compare?ids=3089,7041',
+      headers: { cookie: authCookie }
+    })
+
+    expect(result).toContain('These stations measure in different units')
+    expect(result).toMatch(/id="comparison-normalise"[^>]*checked[^>]*disabled/)
+  })
+
+  test('Should say which stations could not be shown', async () => {
+    getComparison.mockResolvedValueOnce({ series: SERIES.slice(0, 1), missing: [{ id: '9999', reason: 'not found' }], hasMixedUnits: false })
+
+    const { result } = await server.inject({
+      method: 'GET',
+      url: '/compare?ids=3089,9999',
+      headers: { cookie: authCookie }
+    })
+
+    expect(result).toContain('Station 9999 not found, so it is not shown.')
+  })
+
+  test('Should refuse too many stations', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/compare?ids=1,2,3,4,5,6,7',
+      headers: { cookie: authCookie }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(getComparison).not.toHaveBeenCalled()
+    expect(result).toContain('Enter up to 6 station IDs')
+  })
+
+  test('Should return 404 when none of the stations are found', async () => {
+    getComparison.mockRejectedValueOnce(new StationNotFound('9999'))
+
+    const { statusCode } = await server.inject({
+      method: 'GET',
+      url: '/compare?ids=9999',
+      headers: { cookie: authCookie }
+    })
+
+    expect(statusCode).toBe(404)
+  })
+})
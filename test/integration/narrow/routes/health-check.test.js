@@ -239,3 +239,66 @@ describe('Health Check Connectivity route - Error cases', () => {
     expect(typeof result.externalApis.environmentAgency.stack).toBe('string')
   })
 })
+
+describe('Health Check Connectivity route - Circuit breakers', () => {
+  let server
+
+  beforeEach(async () => {
+    server = await createServer()
+    await server.initialize()
+  })
+
+  afterEach(async () => {
+    await server.stop({ timeout: 0 })
+    vi.restoreAllMocks()
+  })
+
+  test('Should report circuit breaker state per host', async () => {
+    const floodServiceModule = await import('../../../../src/lib/flood-service.js')
+    const circuitBreakerModule = await import('../../../../src/lib/circuit-breaker.js')
+    const { CircuitOpen } = await import('../../../../src/lib/upstream-errors.js')
+
+    vi.spyOn(floodServiceModule, 'proxyFetch').mockRejectedValueOnce(
+      new CircuitOpen('Circuit open for environment.data.gov.uk, not calling upstream')
+    )
+    vi.spyOn(circuitBreakerModule, 'getCircuitBreakerStates').mockReturnValueOnce({
+      'environment.data.gov.uk': {
+        state: 'open',
+        consecutiveFailures: 5,
+        openedAt: '2026-01-16T12:00:00.000Z',
+        retryAt: '2026-01-16T12:00:30.000Z'
+      }
+    })
+
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: HEALTH_CONNECTIVITY_PATH
+    })
+
+    expect(statusCode).toBe(HTTP_OK)
+    expect(result.externalApis.environmentAgency.reachable).toBe(false)
+    expect(result.externalApis.environmentAgency.errorType).toBe('CircuitOpen')
+    expect(result.circuitBreakers['environment.data.gov.uk'].state).toBe('open')
+  })
+
+  test('Should report connection pool stats', async () => {
+    const floodServiceModule = await import('../../../../src/lib/flood-service.js')
+    const httpDispatcherModule = await import('../../../../src/lib/http-dispatcher.js')
+
+    vi.spyOn(floodServiceModule, 'proxyFetch').mockRejectedValueOnce(new Error(NETWORK_ERROR_MESSAGE))
+    vi.spyOn(httpDispatcherModule, 'getDispatcherStats').mockReturnValueOnce([{
+      proxy: null,
+      origins: {
+        'https://environment.data.gov.uk': { connected: 1, free: 1, pending: 0, queued: 0, running: 0, size: 0, created: 1 }
+      }
+    }])
+
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: HEALTH_CONNECTIVITY_PATH
+    })
+
+    expect(statusCode).toBe(HTTP_OK)
+    expect(result.connectionPools[0].origins['https://environment.data.gov.uk'].created).toBe(1)
+  })
+})
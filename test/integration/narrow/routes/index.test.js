@@ -45,4 +45,18 @@ describe('Index route', () => {
     expect(statusCode).toBe(200)
     expect(headers['content-type']).toContain('text/html')
   })
+
+  test('Should offer station search and type-ahead suggestions', async () => {
+    const { result } = await server.inject({
+      method: 'GET',
+      url: '/',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(result).toContain('href="/station-search"')
+    expect(result).toContain('data-station-suggestions="/station-search/suggestions"')
+    expect(result).toContain('<datalist id="station-suggestions"></datalist>')
+  })
 })
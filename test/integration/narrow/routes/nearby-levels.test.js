@@ -0,0 +1,114 @@
+import { describe, beforeAll, afterAll, test, expect, vi } from 'vitest'
+import { createServer } from '../../../../src/server.js'
+import { config } from '../../../../src/config/config.js'
+
+// Mock the flood-service to avoid external API calls
+vi.mock('../../../../src/lib/flood-service.js', async () => {
+  const { StationNotFound } = await vi.importActual('../../../../src/lib/upstream-errors.js')
+
+  return {
+    getStation: vi.fn().mockImplementation((stationId) => {
+      if (stationId === '3089' || stationId === '4001') {
+        return Promise.resolve({
+          RLOIid: stationId,
+          label: 'Test Station',
+          riverName: 'Test River',
+          lat: stationId === '3089' ? 52.2 : null,
+          long: stationId === '3089' ? -2.3 : null
+        })
+      }
+      return Promise.reject(new StationNotFound(stationId))
+    }),
+    formatStationData: vi.fn().mockImplementation((stationData) => ({
+      id: stationData.RLOIid,
+      name: stationData.label,
+      river: stationData.riverName
+    }))
+  }
+})
+
+vi.mock('../../../../src/lib/nearby-levels.js', () => ({
+  getNearbyLevels: vi.fn().mockImplementation((station) => Promise.resolve(station.lat === null
+    ? null
+    : [
+        { id: '2001', name: 'Upstream Bridge', river: 'Test River', distance: '1.1km', latest: { value: '1.20m', time: '12:30pm', day: '16 January', trend: 'rising', trendRate: '+0.20m/hr' } },
+        { id: 'E2002', name: 'Downstream Weir', river: null, distance: '3.4km', latest: null }
+      ]))
+}))
+
+describe('Nearby levels route', () => {
+  let server
+  let authCookie
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+
+    // Login to get authenticated session
+    const loginResponse = await server.inject({
+      method: 'POST',
+      url: '/login',
+      payload: { password: config.get('prototypePassword') }
+    })
+    authCookie = loginResponse.headers['set-cookie'][0].split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  test('Should redirect unauthenticated users to login', async () => {
+    const { statusCode, headers } = await server.inject({
+      method: 'GET',
+      url: '/river-and-sea-levels/rloi/3089'
+    })
+
+    expect(statusCode).toBe(302)
+    expect(headers.location).toBe('/login')
+  })
+
+  test('Should list nearby stations with their latest value, trend and a link to their chart', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/river-and-sea-levels/rloi/3089',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toContain('Levels near Test Station')
+    expect(result).toContain('Measuring stations within 5km, closest first.')
+    expect(result).toContain('<a href="/station?stationId=2001" class="govuk-link">Test River at Upstream Bridge</a>')
+    expect(result).toContain('1.20m <span class="govuk-body-s">at 12:30pm on 16 January</span>')
+    expect(result).toContain('Rising <span class="govuk-body-s">+0.20m/hr</span>')
+    expect(result).toContain('No reading in the last day')
+    expect(result.indexOf('Upstream Bridge')).toBeLessThan(result.indexOf('Downstream Weir'))
+  })
+
+  test('Should say when the station has no location', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/river-and-sea-levels/rloi/4001',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toContain('We do not have a location for this measuring station')
+  })
+
+  test('Should return 404 for non-existent station', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/river-and-sea-levels/rloi/999999',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(404)
+    expect(result).toContain('Station not found')
+  })
+})
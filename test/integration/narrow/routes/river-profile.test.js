@@ -0,0 +1,92 @@
+import { describe, beforeAll, afterAll, test, expect, vi } from 'vitest'
+import { createServer } from '../../../../src/server.js'
+import { config } from '../../../../src/config/config.js'
+import { getRiverProfile, buildProfileChart } from '../../../../src/lib/river-profile.js'
+
+const STATIONS = [
+  { id: '2001', name: 'Knightwick', latest: { value: '1.20m', time: '12:30pm', day: '16 January' }, rangePercent: 83.3, state: 'normal', sparkline: { width: 160, height: 40, path: 'M2,38L158,2' } },
+  { id: '2002', name: 'Powick', latest: null, rangePercent: null, state: null, sparkline: null }
+]
+
+vi.mock('../../../../src/lib/river-profile.js', async () => {
+  const { MAX_RIVER_STATIONS, buildProfileChart } = await vi.importActual('../../../../src/lib/river-profile.js')
+  return { MAX_RIVER_STATIONS, buildProfileChart, getRiverProfile: vi.fn() }
+})
+
+describe('River profile route', () => {
+  let server
+  let authCookie
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+
+    // Login to get authenticated session
+    const loginResponse = await server.inject({
+      method: 'POST',
+      url: '/login',
+      payload: { password: config.get('prototypePassword') }
+    })
+    authCookie = loginResponse.headers['set-cookie'][0].split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  test('Should chart the stations along the river upstream first with a sparkline each', async () => {
+    getRiverProfile.mockResolvedValueOnce({ river: 'River Teme', stations: STATIONS, isDirectionKnown: true, isTruncated: false, chart: buildProfileChart(STATIONS) })
+
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/river-profile?river=River+Teme&chartStyle=styleB',
+      headers: { cookie: authCookie }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(getRiverProfile).toHaveBeenCalledWith('River Teme')
+    expect(result).toContain('Levels along the River Teme')
+    expect(result).toContain('Measuring stations from upstream to downstream.')
+    expect(result).toContain('id="river-profile-chart"')
+    expect(result).toContain('<a href="/station?stationId=2001&amp;chartStyle=styleB" class="govuk-link">Knightwick</a>')
+    expect(result).toContain('83% of normal range (normal)')
+    expect(result).toContain('<path d="M2,38L158,2"></path>')
+    expect(result).toContain('No reading in the last 5 days')
+    expect(result.indexOf('Knightwick')).toBeLessThan(result.indexOf('Powick'))
+  })
+
+  test('Should say when the direction of flow is not known', async () => {
+    getRiverProfile.mockResolvedValueOnce({ river: 'River Teme', stations: STATIONS, isDirectionKnown: false, isTruncated: true, chart: null })
+
+    const { result } = await server.inject({
+      method: 'GET',
+      url: '/river-profile?river=River+Teme',
+      headers: { cookie: authCookie }
+    })
+
+    expect(result).toContain('We do not know which end is upstream.')
+    expect(result).toContain('Only the first 40 found are shown.')
+  })
+
+  test('Should say when the river has no stations', async () => {
+    getRiverProfile.mockResolvedValueOnce({ river: 'River Nowhere', stations: [], isDirectionKnown: false, isTruncated: false, chart: null })
+
+    const { result } = await server.inject({
+      method: 'GET',
+      url: '/river-profile?river=River+Nowhere',
+      headers: { cookie: authCookie }
+    })
+
+    expect(result).toContain('There are no river level measuring stations on the River Nowhere.')
+  })
+
+  test('Should need a river', async () => {
+    const { statusCode } = await server.inject({
+      method: 'GET',
+      url: '/river-profile',
+      headers: { cookie: authCookie }
+    })
+
+    expect(statusCode).toBe(400)
+  })
+})
@@ -0,0 +1,172 @@
+import { describe, beforeAll, afterAll, test, expect, vi } from 'vitest'
+import { createServer } from '../../../../src/server.js'
+import { config } from '../../../../src/config/config.js'
+
+const ONE_HOUR_MS = 60 * 60 * 1000
+const TWENTY_DAYS_MS = 20 * 24 * ONE_HOUR_MS
+const now = Date.now()
+const recentDateTime = new Date(now - ONE_HOUR_MS).toISOString()
+const olderDateTime = new Date(now - TWENTY_DAYS_MS).toISOString()
+
+// Mock the flood-service to avoid external API calls
+vi.mock('../../../../src/lib/flood-service.js', async () => {
+  const { StationNotFound, UpstreamTimeout } = await vi.importActual('../../../../src/lib/upstream-errors.js')
+  const { listMeasures } = await vi.importActual('../../../../src/lib/flood-service.js')
+
+  return {
+    getStation: vi.fn().mockImplementation((stationId) => {
+      if (stationId === '3089') {
+        return Promise.resolve({
+          RLOIid: '3089',
+          label: 'Test Station',
+          riverName: 'Test River',
+          measures: [{
+            '@id': 'http://example.com/id/measures/3089-level-stage-i-15_min-mASD',
+            parameter: 'level',
+            qualifier: 'Stage',
+            unitName: 'mASD'
+          }, {
+            '@id': 'http://example.com/id/measures/3089-level-downstage-i-15_min-mASD',
+            parameter: 'level',
+            qualifier: 'Downstream Stage',
+            unitName: 'mASD'
+          }]
+        })
+      } else if (stationId === 'slow') {
+        return Promise.reject(new UpstreamTimeout('Request exceeded 15000ms timeout'))
+      }
+      return Promise.reject(new StationNotFound(stationId))
+    }),
+    listMeasures,
+    getStationReadings: vi.fn().mockImplementation(() => Promise.resolve([
+      { dateTime: recentDateTime, value: 1.245 }
+    ])),
+    formatStationData: vi.fn().mockImplementation((stationData) => ({
+      id: stationData.RLOIid,
+      name: stationData.label,
+      river: stationData.riverName,
+      lat: 51.5,
+      long: -0.1
+    })),
+    formatTelemetryData: vi.fn().mockImplementation((readings) => ({
+      observed: readings.map(r => ({ dateTime: r.dateTime, value: r.value }))
+    }))
+  }
+})
+
+vi.mock('../../../../src/lib/historic-store.js', () => ({
+  loadHistoricReadings: vi.fn().mockImplementation(() => Promise.resolve([
+    { dateTime: olderDateTime, value: 0.5 }
+  ]))
+}))
+
+describe('Station CSV route', () => {
+  let server
+  let authCookie
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+
+    // Login to get authenticated session
+    const loginResponse = await server.inject({
+      method: 'POST',
+      url: '/login',
+      payload: { password: config.get('prototypePassword') }
+    })
+    authCookie = loginResponse.headers['set-cookie'][0].split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  test('Should download the last 5 days as CSV by default', async () => {
+    const { result, statusCode, headers } = await server.inject({
+      method: 'GET',
+      url: '/station-csv/3089',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(headers['content-type']).toContain('text/csv')
+    expect(headers['content-disposition']).toBe('attachment; filename="station-3089-5d.csv"')
+    expect(result).toContain('Station,Test Station')
+    expect(result).toContain('Time range,last 5 days')
+    expect(result).toContain('dateTime,value')
+    expect(result).toContain(`${recentDateTime},1.245`)
+    expect(result).not.toContain(`${olderDateTime},0.5`)
+  })
+
+  test('Should include merged historic data for longer ranges', async () => {
+    const { result, statusCode, headers } = await server.inject({
+      method: 'GET',
+      url: '/station-csv/3089?range=1m',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(headers['content-disposition']).toBe('attachment; filename="station-3089-1m.csv"')
+    expect(result).toContain(`${olderDateTime},0.5`)
+    expect(result.indexOf(olderDateTime)).toBeLessThan(result.indexOf(recentDateTime))
+  })
+
+  test('Should leave out historic data for a non-default measure', async () => {
+    const floodService = await import('../../../../src/lib/flood-service.js')
+
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station-csv/3089?range=1m&measure=3089-level-downstage-i-15_min-mASD',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(floodService.getStationReadings).toHaveBeenCalledWith('3089', null, '3089-level-downstage-i-15_min-mASD')
+    expect(result).toContain(`${recentDateTime},1.245`)
+    expect(result).not.toContain(olderDateTime)
+  })
+
+  test('Should reject an unknown range', async () => {
+    const { statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station-csv/3089?range=10y',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(400)
+  })
+
+  test('Should return 404 for non-existent station', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station-csv/999999',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(404)
+    expect(result).toContain('Station not found')
+  })
+
+  test('Should return 503 with a retry link when the upstream API times out', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station-csv/slow?range=1m',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(503)
+    expect(result).toContain('href="/station-csv/slow?range=1m"')
+  })
+})
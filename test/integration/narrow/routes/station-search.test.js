@@ -0,0 +1,134 @@
+import { describe, beforeAll, afterAll, test, expect, vi } from 'vitest'
+import { createServer } from '../../../../src/server.js'
+import { config } from '../../../../src/config/config.js'
+import { searchStations } from '../../../../src/lib/flood-service.js'
+
+const KNIGHTWICK = {
+  RLOIid: '2001',
+  label: 'Knightwick',
+  town: 'Knightwick',
+  riverName: 'River Teme',
+  status: 'http://environment.data.gov.uk/flood-monitoring/def/core/statusActive'
+}
+
+// Mock the flood-service to avoid external API calls
+vi.mock('../../../../src/lib/flood-service.js', async () => {
+  const { getStationId, getRloiId, getStationType } = await vi.importActual('../../../../src/lib/flood-service.js')
+  return { getStationId, getRloiId, getStationType, searchStations: vi.fn() }
+})
+
+describe('Station search routes', () => {
+  let server
+  let authCookie
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+
+    // Login to get authenticated session
+    const loginResponse = await server.inject({
+      method: 'POST',
+      url: '/login',
+      payload: { password: config.get('prototypePassword') }
+    })
+    authCookie = loginResponse.headers['set-cookie'][0].split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  test('Should show the search form without searching', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station-search',
+      headers: { cookie: authCookie }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toContain('Find a measuring station')
+    expect(result).not.toContain('station-search-results')
+    expect(searchStations).not.toHaveBeenCalled()
+  })
+
+  test('Should list matching stations linking to their chart in the chosen style', async () => {
+    searchStations.mockResolvedValueOnce([KNIGHTWICK])
+
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station-search?name=Knight&river=River+Teme&chartStyle=styleC',
+      headers: { cookie: authCookie }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(searchStations).toHaveBeenCalledWith(expect.objectContaining({ search: 'Knight', riverName: 'River Teme', offset: 0 }))
+    expect(result).toContain('<a href="/station?stationId=2001&amp;chartStyle=styleC" class="govuk-link">Knightwick</a>')
+    expect(result).toContain('<td class="govuk-table__cell">2001</td>')
+    expect(result).toContain('<td class="govuk-table__cell">River Teme</td>')
+    expect(result).toContain('<td class="govuk-table__cell">Active</td>')
+    expect(result).not.toContain('govuk-pagination')
+  })
+
+  test('Should link to the next page when there are more results', async () => {
+    searchStations.mockResolvedValueOnce(Array.from({ length: 21 }, (_v, i) => ({ ...KNIGHTWICK, RLOIid: String(3000 + i) })))
+
+    const { result } = await server.inject({
+      method: 'GET',
+      url: '/station-search?town=Worcester',
+      headers: { cookie: authCookie }
+    })
+
+    expect(result).toContain('govuk-pagination__next')
+    expect(result).toContain('page=2')
+    expect(result).not.toContain('govuk-pagination__prev')
+  })
+
+  test('Should say when nothing matches', async () => {
+    searchStations.mockResolvedValueOnce([])
+
+    const { result } = await server.inject({
+      method: 'GET',
+      url: '/station-search?name=Nowhere',
+      headers: { cookie: authCookie }
+    })
+
+    expect(result).toContain('No measuring stations match your search')
+  })
+
+  test('Should reject an unknown station type', async () => {
+    const { statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station-search?type=X',
+      headers: { cookie: authCookie }
+    })
+
+    expect(statusCode).toBe(400)
+  })
+
+  test('Should suggest stations as JSON', async () => {
+    searchStations.mockResolvedValueOnce([KNIGHTWICK])
+
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station-search/suggestions?q=Knight',
+      headers: { cookie: authCookie }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result.items).toEqual([expect.objectContaining({ id: '2001', name: 'Knightwick', river: 'River Teme' })])
+  })
+
+  test('Should give an error status when suggestions could not be read', async () => {
+    const { UpstreamUnavailable } = await vi.importActual('../../../../src/lib/upstream-errors.js')
+    searchStations.mockRejectedValueOnce(new UpstreamUnavailable('Upstream down'))
+
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station-search/suggestions?q=Knight',
+      headers: { cookie: authCookie }
+    })
+
+    expect(statusCode).toBe(503)
+    expect(result.message).toBe('Station suggestions are not available at the moment')
+  })
+})
@@ -3,29 +3,10 @@ import { createServer } from '../../../../src/server.js'
 import { config } from '../../../../src/config/config.js'
 
 // Mock the flood-service to avoid external API calls
-vi.mock('../../../../src/lib/flood-service.js', () => ({
-  getStation: vi.fn().mockImplementation((stationId) => {
-    if (stationId === '3089') {
-      return Promise.resolve({
-        '@id': 'http://environment.data.gov.uk/flood-monitoring/id/stations/3089',
-        RLOIid: '3089',
-        label: 'Test Station',
-        stationReference: 'E3089',
-        riverName: 'Test River',
-        town: 'Test Town',
-        measures: [{
-          '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/3089-level-stage-i-15_min-mASD',
-          parameter: 'level',
-          parameterName: 'Water Level',
-          unitName: 'mASD'
-        }]
-      })
-    } else if (stationId === '999999' || stationId === 'invalid') {
-      return Promise.resolve(null)
-    }
-    return Promise.resolve(null)
-  }),
-  getStationReadings: vi.fn().mockResolvedValue([
+vi.mock('../../../../src/lib/flood-service.js', async () => {
+  const { StationNotFound, UpstreamUnavailable, MeasureNotFound } = await vi.importActual('../../../../src/lib/upstream-errors.js')
+  const { listMeasures, getTelemetryType, getDefaultWindowDays, getDefaultWindowStart } = await vi.importActual('../../../../src/lib/flood-service.js')
+  const readings = [
     {
       '@id': 'http://environment.data.gov.uk/flood-monitoring/data/readings/3089-level-stage-i-15_min-mASD/2024-01-01T00:00:00Z',
       dateTime: '2024-01-01T00:00:00Z',
@@ -38,36 +19,180 @@ vi.mock('../../../../src/lib/flood-service.js', () => ({
       measure: 'http://environment.data.gov.uk/flood-monitoring/id/measures/3089-level-stage-i-15_min-mASD',
       value: 1.245
     }
-  ]),
-  formatStationData: vi.fn().mockImplementation((stationData, readings) => {
-    return {
-      id: stationData?.RLOIid || '3089',
-      name: stationData?.label || 'Test Station',
-      river: stationData?.riverName || 'Test River',
-      type: 'S',
-      recentValue: {
-        value: '1.25',
-        formattedTime: '12:15am',
-        latestDayFormatted: '1 January'
-      },
-      trend: 'rising',
-      state: 'normal',
-      stateInformation: '0.50m to 2.00m',
-      hasPercentiles: true,
-      isActive: true,
-      status: 'active',
-      lat: 51.5,
-      long: -0.1,
-      rloiId: stationData?.RLOIid || '3089'
-    }
-  }),
-  formatTelemetryData: vi.fn().mockImplementation((readings) => ({
-    observed: readings?.map(r => ({
-      dateTime: r.dateTime,
-      value: r.value
-    })) || []
+  ]
+
+  return {
+    getStation: vi.fn().mockImplementation((stationId) => {
+      if (stationId === '3089') {
+        return Promise.resolve({
+          '@id': 'http://environment.data.gov.uk/flood-monitoring/id/stations/3089',
+          RLOIid: '3089',
+          label: 'Test Station',
+          stationReference: 'E3089',
+          riverName: 'Test River',
+          town: 'Test Town',
+          measures: [{
+            '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/3089-level-stage-i-15_min-mASD',
+            parameter: 'level',
+            parameterName: 'Water Level',
+            unitName: 'mASD'
+          }]
+        })
+      } else if (stationId === '7001') {
+        return Promise.resolve({
+          RLOIid: '7001',
+          label: 'Weir Station',
+          riverName: 'Test River',
+          measures: [{
+            '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/7001-level-stage-i-15_min-mASD',
+            parameter: 'level',
+            parameterName: 'Water Level',
+            qualifier: 'Stage',
+            unitName: 'mASD'
+          }, {
+            '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/7001-level-downstage-i-15_min-mASD',
+            parameter: 'level',
+            parameterName: 'Water Level',
+            qualifier: 'Downstream Stage',
+            unitName: 'mASD'
+          }, {
+            '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/7001-flow--i-15_min-m3_s',
+            parameter: 'flow',
+            parameterName: 'Flow',
+            unitName: 'm3/s'
+          }]
+        })
+      } else if (stationId === 'E7050') {
+        return Promise.resolve({
+          stationReference: 'E7050',
+          label: 'Rain Gauge',
+          measures: [{
+            '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/E7050-rainfall-tipping_bucket_raingauge-t-15_min-mm',
+            parameter: 'rainfall',
+            parameterName: 'Rainfall',
+            qualifier: 'Tipping Bucket Raingauge',
+            unitName: 'mm'
+          }]
+        })
+      } else if (stationId === '8001') {
+        return Promise.resolve({
+          RLOIid: '8001',
+          label: 'Harbour',
+          stationType: 'C',
+          measures: [{
+            '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/8001-level-tidal_level-i-15_min-mAOD',
+            parameter: 'level',
+            parameterName: 'Water Level',
+            qualifier: 'Tidal Level',
+            unitName: 'mAOD'
+          }]
+        })
+      } else if (stationId === '9001') {
+        return Promise.resolve({
+          RLOIid: '9001',
+          label: 'Chalk Farm Borehole',
+          stationType: 'G',
+          measures: [{
+            '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/9001-level-groundwater-i-1_h-mAOD',
+            parameter: 'level',
+            parameterName: 'Groundwater',
+            qualifier: 'Groundwater',
+            unitName: 'mAOD'
+          }]
+        })
+      } else if (stationId === 'unavailable') {
+        return Promise.reject(new UpstreamUnavailable('Upstream responded 503 Service Unavailable', { status: 503 }))
+      }
+      return Promise.reject(new StationNotFound(stationId))
+    }),
+    getStationReadings: vi.fn().mockImplementation((stationId, since, measureId) => measureId === 'unknown-measure'
+      ? Promise.reject(new MeasureNotFound(stationId, measureId))
+      : Promise.resolve(readings)),
+    listMeasures,
+    getTelemetryType,
+    getDefaultWindowDays,
+    getDefaultWindowStart,
+    formatStationData: vi.fn().mockImplementation((stationData, readings) => {
+      return {
+        id: stationData?.RLOIid || '3089',
+        name: stationData?.label || 'Test Station',
+        river: stationData?.riverName || 'Test River',
+        type: stationData?.stationType || 'S',
+        recentValue: {
+          value: '1.25',
+          formattedTime: '12:15am',
+          latestDayFormatted: '1 January'
+        },
+        trend: 'rising',
+        trendRate: 0.123,
+        state: 'normal',
+        stateDescription: 'Highest in recent years',
+        stateInformation: '0.50m to 2.00m',
+        typicalRangeHigh: 2,
+        stageLevels: [{ id: 'max-on-record', label: 'highest level on record', value: 2.5, dateTime: '2020-02-16T08:00:00.000Z', month: 'February 2020' }],
+        hasPercentiles: true,
+        isActive: true,
+        status: 'active',
+        lat: 51.5,
+        long: -0.1,
+        rloiId: stationData?.RLOIid || '3089'
+      }
+    }),
+    formatTelemetryData: vi.fn().mockImplementation((readings, { unitName, type = 'river' } = {}) => ({
+      observed: readings?.map(r => ({
+        dateTime: r.dateTime,
+        value: r.value
+      })) || [],
+      forecast: [],
+      latestDateTime: readings?.at(-1)?.dateTime,
+      unitName: unitName || 'm',
+      type
+    }))
+  }
+})
+
+// Three years of daily borehole levels, rising by 1m a year
+vi.mock('../../../../src/lib/historic-store.js', async () => {
+  const actual = await vi.importActual('../../../../src/lib/historic-store.js')
+  const boreholeReadings = Array.from({ length: 3 * 365 }, (_v, day) => ({
+    dateTime: new Date(Date.UTC(2021, 0, 1 + day)).toISOString().slice(0, 19),
+    value: Math.floor(day / 365)
   }))
-}))
+
+  return {
+    ...actual,
+    loadHistoricReadings: vi.fn().mockImplementation((stationId) => stationId === '9001'
+      ? Promise.resolve(boreholeReadings)
+      : actual.loadHistoricReadings(stationId))
+  }
+})
+
+// A forecast issued an hour ago, running 36 hours ahead, for station 3089 and the rain gauge
+vi.mock('../../../../src/lib/forecast-service.js', async () => {
+  const actual = await vi.importActual('../../../../src/lib/forecast-service.js')
+  const hours = (n) => new Date(Date.now() + (n * 60 * 60 * 1000)).toISOString()
+
+  return {
+    ...actual,
+    getForecast: vi.fn().mockImplementation((stationId) => Promise.resolve(['3089', 'E7050'].includes(stationId)
+      ? { issuedAt: hours(-1), readings: [{ dateTime: hours(-1), value: 1.3 }, { dateTime: hours(36), value: 1.5 }] }
+      : null))
+  }
+})
+
+// An alert on another river and a warning on the stations' Test River
+vi.mock('../../../../src/lib/flood-warnings-service.js', async () => {
+  const actual = await vi.importActual('../../../../src/lib/flood-warnings-service.js')
+  const items = [
+    { floodAreaID: '034FWFTEST', description: 'Test River at Test Town', severityLevel: 2, timeRaised: '2024-01-01T10:30:00', floodArea: { county: 'Testshire', riverOrSea: 'Test River' } },
+    { floodAreaID: '034WAFOTHER', description: 'Other River at Elsewhere', severityLevel: 3, timeRaised: '2024-01-01T09:00:00', floodArea: { county: 'Othershire', riverOrSea: 'Other River' } }
+  ]
+
+  return {
+    ...actual,
+    getFloodWarnings: vi.fn().mockResolvedValue(items.map(actual.parseWarning))
+  }
+})
 
 describe('Station route', () => {
   let server
@@ -113,6 +238,8 @@ describe('Station route', () => {
     expect(result).toContain('level at')
     expect(result).toContain('Latest at')
     expect(result).toContain('Height')
+    expect(result).toContain('href="/river-and-sea-levels/rloi/3089"')
+    expect(result).toContain('href="/river-profile?river=Test%20River&amp;chartStyle=styleA"')
   }, 10000)
 
   test('Should load station page with specified station ID', async () => {
@@ -156,6 +283,21 @@ describe('Station route', () => {
     expect(result).toContain('Station not found')
   }, 10000)
 
+  test('Should return 503 with a retry link when the upstream API is unavailable', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=unavailable',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(503)
+    expect(result).toContain('Failed to load station data')
+    expect(result).toContain('href="/station?stationId=unavailable"')
+    expect(result).toContain('Try again')
+  }, 10000)
+
   test('Should accept dataType query parameter', async () => {
     const { result, statusCode } = await server.inject({
       method: 'GET',
@@ -197,6 +339,72 @@ describe('Station route', () => {
     expect(result).toContain('observed')
   }, 10000)
 
+  test('Should describe the state and offer the stage levels as reference lines in Style C', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=3089&chartStyle=styleC',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toContain('<span class="defra-flood-statistics__detail">Highest in recent years</span>')
+    expect(result).toContain('The normal range is 0.50m to 2.00m.')
+    expect(result).toContain('data-threshold-id="top-normal"')
+    expect(result).toContain('data-threshold-id="max-on-record"')
+    expect(result).toContain('Show highest level on record')
+    expect(result).not.toContain('(0.50m)')
+  }, 10000)
+
+  test('Should show flood warnings in force on the station\'s river', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=3089',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toContain('Flood warnings and alerts in force')
+    expect(result).toContain('<strong>Flood warning</strong>')
+    expect(result).toContain('href="https://check-for-flooding.service.gov.uk/target-area/034FWFTEST"')
+    expect(result).toContain('(issued 10:30am on 1 January)')
+    expect(result).toContain('There is 1 flood warning or alert in force for this area.')
+    expect(result).not.toContain('Other River at Elsewhere')
+  }, 10000)
+
+  test('Should say when there are no flood warnings for the station', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=E7050',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).not.toContain('Flood warnings and alerts in force')
+    expect(result).toContain('There are no flood warnings or alerts in force for this area.')
+  }, 10000)
+
+  test('Should show the trend with its rate over the trend window', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=3089',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toContain('Rising')
+    expect(result).toContain('<span class="defra-flood-statistics__detail">+0.12m/hr</span>')
+    expect(result).toContain('The trend is the average rate of change over the last hour.')
+    expect(result).toContain('"trendWindowMinutes":60')
+  }, 10000)
+
   test('Should include chart container in response', async () => {
     const { result, statusCode } = await server.inject({
       method: 'GET',
@@ -211,7 +419,7 @@ describe('Station route', () => {
     expect(result).toContain('defra-line-chart')
   }, 10000)
 
-  test('Should include historicData in model for station with pre-fetched data', async () => {
+  test('Should link to the CSV download with a size estimate', async () => {
     const { result, statusCode } = await server.inject({
       method: 'GET',
       url: '/station?stationId=3089',
@@ -221,10 +429,148 @@ describe('Station route', () => {
     })
 
     expect(statusCode).toBe(200)
-    expect(result).toContain('historicData')
+    expect(result).toContain('href="/station-csv/3089?range=5d"')
+    expect(result).toMatch(/Download data CSV \(\d+(\.\d)?[KM]B\)/)
+    expect(result).not.toContain('(12KB)')
+  }, 10000)
+
+  test('Should not show the measure switcher for a single-measure station', async () => {
+    const { result } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=3089',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(result).not.toContain('id="measure-switcher"')
+  }, 10000)
+
+  test('Should show a measure switcher with the default measure selected', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=7001',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toContain('id="measure-switcher"')
+    expect(result).toMatch(/<option value="7001-level-stage-i-15_min-mASD" selected>Water Level \(Stage, mASD\) \(default\)<\/option>/)
+    expect(result).toContain('<option value="7001-level-downstage-i-15_min-mASD">Water Level (Downstream Stage, mASD)</option>')
+    expect(result).toContain('href="/station-csv/7001?range=5d"')
+  }, 10000)
+
+  test('Should load readings for the requested measure', async () => {
+    const floodService = await import('../../../../src/lib/flood-service.js')
+
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=7001&measure=7001-level-downstage-i-15_min-mASD',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(floodService.getStationReadings).toHaveBeenCalledWith('7001', null, '7001-level-downstage-i-15_min-mASD')
+    expect(result).toMatch(/<option value="7001-level-downstage-i-15_min-mASD" selected>/)
+    expect(result).toContain('href="/station-csv/7001?range=5d&amp;measure=7001-level-downstage-i-15_min-mASD"')
   }, 10000)
 
-  test('Should include empty historicData for station without pre-fetched data', async () => {
+  test('Should label the chart and latest value in metres for a level measure', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=7001',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toContain('Height in metres over the')
+    expect(result).toMatch(/1\.25m\s*<\/span>/)
+  }, 10000)
+
+  test('Should label the chart and latest value in cubic metres per second for a flow measure', async () => {
+    const floodService = await import('../../../../src/lib/flood-service.js')
+
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=7001&measure=7001-flow--i-15_min-m3_s',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(floodService.formatTelemetryData).toHaveBeenCalledWith(expect.any(Array), { start: expect.any(Date), unitName: 'm3/s', type: 'river' })
+    expect(result).toContain('Flow in cubic metres per second over the')
+    expect(result).toContain('1.25 m³/s')
+    expect(result).toContain('"unitName":"m3/s"')
+  }, 10000)
+
+  test('Should chart a rain gauge as rainfall with accumulation controls', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=E7050',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toContain('Rainfall in millimetres over the')
+    expect(result).toContain('"type":"rainfall"')
+    expect(result).toContain('id="rainfall-period"')
+    expect(result).toMatch(/<option value="1h" selected>1 hour<\/option>/)
+    expect(result).toContain('id="rainfall-cumulative"')
+    expect(result).not.toContain('>Trend<')
+  }, 10000)
+
+  test('Should chart a coastal station as tide against Ordnance Datum', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=8001',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toMatch(/<h1[^>]*>\s*Sea level at Harbour\s*<\/h1>/)
+    expect(result).not.toContain('Test River level')
+    expect(result).toContain('Height in metres above Ordnance Datum over the')
+    expect(result).toContain('"type":"tide"')
+    expect(result).toContain('"unitName":"mAOD"')
+  }, 10000)
+
+  test('Should chart a borehole over a year against its seasonal envelope', async () => {
+    const floodService = await import('../../../../src/lib/flood-service.js')
+
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=9001',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    const [, { start }] = floodService.formatTelemetryData.mock.calls.at(-1)
+    expect(statusCode).toBe(200)
+    expect(Date.now() - start.getTime()).toBeGreaterThan(364 * 24 * 60 * 60 * 1000)
+    expect(result).toMatch(/<h1[^>]*>\s*Groundwater level at Chalk Farm Borehole\s*<\/h1>/)
+    expect(result).toContain('Height in metres above Ordnance Datum over the <span id="chart-time-range">last year</span>')
+    expect(result).toContain('"type":"groundwater"')
+    expect(result).toContain('"envelope":[{"dayOfYear":0,"min":0,"median":1,"max":2}')
+    expect(result).toContain("defaultTimeRange: '1y'")
+    expect(result).toMatch(/recorded at this time of year since 2021\.">\s*Normal\s*<\/span>/)
+    expect(result).toContain('Range of levels recorded at this time of year since 2021.')
+    expect(result).not.toContain('Normal range')
+  }, 10000)
+
+  test('Should chart the forecast and say when it was issued', async () => {
     const { result, statusCode } = await server.inject({
       method: 'GET',
       url: '/station?stationId=3089',
@@ -234,6 +580,91 @@ describe('Station route', () => {
     })
 
     expect(statusCode).toBe(200)
-    expect(result).toContain('historicData')
+    expect(result).toMatch(/Forecast issued at \d{1,2}:\d{2}[ap]m on \d{1,2} \w+\. It runs to \d{1,2}:\d{2}[ap]m on \d{1,2} \w+, 36 hours ahead\./)
+    expect(result).toMatch(/"forecast":\[\{"dateTime":"[^"]+","value":1\.3,"err":false\}/)
+    expect(result).toContain('"forecastIssuedAt"')
+  }, 10000)
+
+  test('Should not chart a level forecast over rainfall', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=E7050',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).not.toContain('Forecast issued at')
+    expect(result).toContain('"forecast":[]')
+  }, 10000)
+
+  test('Should not show rainfall controls or hide reference lines for a level station', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=3089&chartStyle=styleC',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).not.toContain('id="rainfall-period"')
+    expect(result).toContain('id="chart-threshold-controls"')
+  }, 10000)
+
+  test('Should not show level reference lines for a rain gauge', async () => {
+    const { result } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=E7050&chartStyle=styleC',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(result).not.toContain('id="chart-threshold-controls"')
+  }, 10000)
+
+  test('Should return 404 for a measure the station does not have', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=7001&measure=unknown-measure',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(404)
+    expect(result).toContain('Measure not found')
+  }, 10000)
+
+  test('Should point the chart at the historic API rather than inline the readings for a station with pre-fetched data', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=3089',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toContain('historicUrl: "/api/v1/stations/3089/historic"')
+    expect(result).toMatch(/historicHighest: \d/)
+    expect(result).toContain(`canvasPointThreshold: ${config.get('chart.canvasPointThreshold')}`)
+    expect(result).not.toContain('historicData')
+  }, 10000)
+
+  test('Should give no historic API for a station without pre-fetched data', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/station?stationId=7001',
+      headers: {
+        cookie: authCookie
+      }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(result).toContain('historicUrl: null')
+    expect(result).toContain('historicHighest: null')
   }, 10000)
 })
@@ -0,0 +1,144 @@
+import { describe, test, expect } from 'vitest'
+import {
+  TIERS,
+  TIER_BY_RANGE,
+  getTierForRange,
+  getTierForWindow,
+  getBucketStart,
+  aggregateReadings,
+  buildTiers,
+  toChartReadings,
+  countReadings
+} from '../../../../src/client/javascripts/aggregation.js'
+
+const READINGS = [
+  { dateTime: '2026-01-16T11:15:00Z', value: 1.4 },
+  { dateTime: '2026-01-16T10:45:00Z', value: 1.2 },
+  { dateTime: '2026-01-16T10:00:00Z', value: 1.0 },
+  { dateTime: '2026-01-15T23:45:00Z', value: 0.6 },
+  { dateTime: '2026-01-16T10:30:00Z', value: null }
+]
+
+describe('aggregation', () => {
+  describe('getTierForRange', () => {
+    test('should draw every chart time range from a known tier', () => {
+      expect(Object.values(TIER_BY_RANGE).every(tier => TIERS.includes(tier))).toBe(true)
+      expect(getTierForRange('1m')).toBe('raw')
+      expect(getTierForRange('3y')).toBe('daily')
+    })
+
+    test('should use raw readings for a range it does not know', () => {
+      expect(getTierForRange('10y')).toBe('raw')
+    })
+  })
+
+  describe('getTierForWindow', () => {
+    test('should use the tier of the shortest chart time range covering the window', () => {
+      expect(getTierForWindow(5)).toBe('raw')
+      expect(getTierForWindow(20)).toBe('raw')
+      expect(getTierForWindow(90)).toBe('hourly')
+      expect(getTierForWindow(365)).toBe('hourly')
+      expect(getTierForWindow(400)).toBe('daily')
+      expect(getTierForWindow(4 * 365)).toBe('weekly')
+      expect(getTierForWindow(10 * 365)).toBe('weekly')
+    })
+  })
+
+  describe('getBucketStart', () => {
+    test('should give the start of the UTC hour, day or week from Sunday', () => {
+      expect(getBucketStart('2026-01-16T11:15:00Z', 'hourly').toISOString()).toBe('2026-01-16T11:00:00.000Z')
+      expect(getBucketStart('2026-01-16T11:15:00Z', 'daily').toISOString()).toBe('2026-01-16T00:00:00.000Z')
+      expect(getBucketStart('2026-01-16T11:15:00Z', 'weekly').toISOString()).toBe('2026-01-11T00:00:00.000Z')
+      expect(getBucketStart('2026-01-16T11:15:00Z', 'raw').toISOString()).toBe('2026-01-16T11:15:00.000Z')
+    })
+  })
+
+  describe('aggregateReadings', () => {
+    test('should give raw readings oldest first without those that have no value', () => {
+      expect(aggregateReadings(READINGS)).toEqual([
+        { dateTime: '2026-01-15T23:45:00.000Z', value: 0.6 },
+        { dateTime: '2026-01-16T10:00:00.000Z', value: 1.0 },
+        { dateTime: '2026-01-16T10:45:00.000Z', value: 1.2 },
+        { dateTime: '2026-01-16T11:15:00.000Z', value: 1.4 }
+      ])
+    })
+
+    test('should give the min, mean and max of each hour', () => {
+      const hourly = aggregateReadings(READINGS, 'hourly')
+
+      expect(hourly.map(reading => reading.dateTime)).toEqual(['2026-01-15T23:00:00.000Z', '2026-01-16T10:00:00.000Z', '2026-01-16T11:00:00.000Z'])
+      expect(hourly[1]).toMatchObject({ min: 1.0, max: 1.2, count: 2 })
+      expect(hourly[1].value).toBeCloseTo(1.1)
+    })
+
+    test('should give the min, mean and max of each UTC day', () => {
+      const daily = aggregateReadings(READINGS, 'daily')
+
+      expect(daily).toHaveLength(2)
+      expect(daily[0]).toEqual({ dateTime: '2026-01-15T00:00:00.000Z', value: 0.6, min: 0.6, max: 0.6, count: 1 })
+      expect(daily[1]).toMatchObject({ dateTime: '2026-01-16T00:00:00.000Z', min: 1.0, max: 1.4, count: 3 })
+    })
+
+    test('should give weeks from Sunday', () => {
+      const weekly = aggregateReadings([
+        { dateTime: '2026-01-10T12:00:00Z', value: 0.4 },
+        { dateTime: '2026-01-11T00:00:00Z', value: 0.6 },
+        { dateTime: '2026-01-17T23:59:00Z', value: 0.8 }
+      ], 'weekly')
+
+      expect(weekly.map(reading => reading.dateTime)).toEqual(['2026-01-04T00:00:00.000Z', '2026-01-11T00:00:00.000Z'])
+      expect(weekly[1]).toMatchObject({ min: 0.6, max: 0.8, count: 2 })
+    })
+
+    test('should weight aggregated readings by how many readings they stand for', () => {
+      const daily = aggregateReadings([
+        { dateTime: '2026-01-16T10:00:00.000Z', value: 1.0, min: 0.8, max: 1.2, count: 3 },
+        { dateTime: '2026-01-16T11:00:00.000Z', value: 2.0, min: 2.0, max: 2.0, count: 1 }
+      ], 'daily')
+
+      expect(daily).toEqual([{ dateTime: '2026-01-16T00:00:00.000Z', value: 1.25, min: 0.8, max: 2.0, count: 4 }])
+    })
+  })
+
+  describe('buildTiers', () => {
+    test('should build every tier, keeping the highest and lowest readings', () => {
+      const tiers = buildTiers(READINGS)
+
+      expect(Object.keys(tiers)).toEqual(TIERS)
+      expect(tiers.raw).toHaveLength(4)
+      expect(tiers.hourly).toHaveLength(3)
+      expect(tiers.daily).toHaveLength(2)
+      expect(tiers.weekly).toHaveLength(1)
+      expect(tiers.weekly[0]).toMatchObject({ dateTime: '2026-01-11T00:00:00.000Z', min: 0.6, max: 1.4, count: 4 })
+      expect(tiers.weekly[0].value).toBeCloseTo(1.05)
+    })
+  })
+
+  describe('toChartReadings', () => {
+    test('should draw aggregated readings at their lowest and highest', () => {
+      expect(toChartReadings([{ dateTime: '2026-01-16T00:00:00.000Z', value: 1.1, min: 0.9, max: 1.4, count: 24 }]))
+        .toEqual([
+          { dateTime: '2026-01-16T00:00:00.000Z', value: 0.9, count: 24 },
+          { dateTime: '2026-01-16T00:00:00.000Z', value: 1.4, count: 0 }
+        ])
+      expect(toChartReadings([{ dateTime: '2026-01-16T10:00:00.000Z', value: 1.2 }]))
+        .toEqual([{ dateTime: '2026-01-16T10:00:00.000Z', value: 1.2, count: 1 }])
+    })
+
+    test('should draw the nearer of a reading\'s lowest and highest to the reading before it first', () => {
+      const readings = toChartReadings([
+        { dateTime: '2026-01-15T00:00:00.000Z', value: 1.5, min: 1.0, max: 2.0, count: 24 },
+        { dateTime: '2026-01-16T00:00:00.000Z', value: 1.5, min: 1.2, max: 1.9, count: 24 },
+        { dateTime: '2026-01-17T00:00:00.000Z', value: 1.0, min: 1.0, max: 1.0, count: 24 }
+      ])
+      expect(readings.map(reading => reading.value)).toEqual([1.0, 2.0, 1.9, 1.2, 1.0])
+      expect(countReadings(readings)).toBe(72)
+    })
+  })
+
+  describe('countReadings', () => {
+    test('should count the readings each chart reading stands for', () => {
+      expect(countReadings([{ count: 24 }, { count: 1 }, {}])).toBe(26)
+    })
+  })
+})
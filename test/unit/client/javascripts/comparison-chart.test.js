@@ -0,0 +1,163 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import { JSDOM } from 'jsdom'
+import {
+  comparisonChart,
+  formatComparisonValue,
+  getSeriesStyle,
+  getValuesAt,
+  toChartSeries
+} from '../../../../src/client/javascripts/comparison-chart.js'
+import { COMPARISON_PALETTES } from '../../../../src/client/javascripts/comparison-palettes.js'
+
+const UPSTREAM = {
+  id: '3089',
+  name: 'Knightwick',
+  unitName: 'm',
+  typicalRangeLow: 0.2,
+  typicalRangeHigh: 1.4,
+  observed: [
+    { dateTime: '2026-01-16T11:00:00Z', value: 0.8 },
+    { dateTime: '2026-01-16T10:00:00Z', value: 0.5 }
+  ]
+}
+const DOWNSTREAM = {
+  id: '7041',
+  name: 'Powick',
+  unitName: 'm',
+  typicalRangeLow: null,
+  typicalRangeHigh: null,
+  observed: [
+    { dateTime: '2026-01-16T10:00:00Z', value: 12.1 },
+    { dateTime: '2026-01-16T11:00:00Z', value: 12.3 }
+  ]
+}
+
+describe('comparison-chart', () => {
+  describe('getSeriesStyle', () => {
+    test('should give each series its own colour and dash from the palette', () => {
+      const first = getSeriesStyle(0, 'tol-bright')
+      const second = getSeriesStyle(1, 'tol-bright')
+
+      expect(first).toEqual({ colour: COMPARISON_PALETTES['tol-bright'].colours[0], dash: null })
+      expect(second.colour).not.toBe(first.colour)
+      expect(second.dash).not.toBeNull()
+    })
+
+    test('should fall back to the default palette', () => {
+      expect(getSeriesStyle(0, 'unknown').colour).toBe(COMPARISON_PALETTES['okabe-ito'].colours[0])
+    })
+  })
+
+  describe('toChartSeries', () => {
+    test('should sort each station by time', () => {
+      const [upstream] = toChartSeries([UPSTREAM])
+
+      expect(upstream.points.map(point => point.value)).toEqual([0.5, 0.8])
+      expect(upstream.canNormalise).toBe(true)
+    })
+
+    test('should normalise to the typical range, leaving out stations without one', () => {
+      const [upstream, downstream] = toChartSeries([UPSTREAM, DOWNSTREAM], { normalise: true })
+
+      expect(upstream.points[0].value).toBeCloseTo(25)
+      expect(upstream.points[1].value).toBeCloseTo(50)
+      expect(downstream.canNormalise).toBe(false)
+      expect(downstream.points).toEqual([])
+    })
+  })
+
+  describe('getValuesAt', () => {
+    test('should give every series its nearest value to the time', () => {
+      const chartSeries = toChartSeries([UPSTREAM, DOWNSTREAM])
+      const values = getValuesAt(chartSeries, new Date('2026-01-16T10:50:00Z').getTime())
+
+      expect(values.map(({ id, value }) => ({ id, value }))).toEqual([{ id: '3089', value: 0.8 }, { id: '7041', value: 12.3 }])
+    })
+
+    test('should give no value without a reading close to the time', () => {
+      const values = getValuesAt(toChartSeries([UPSTREAM]), new Date('2026-01-16T18:00:00Z').getTime())
+
+      expect(values[0].value).toBeNull()
+    })
+  })
+
+  describe('formatComparisonValue', () => {
+    test('should format values with their unit or against the normal range', () => {
+      expect(formatComparisonValue(0.8, 'm', false)).toBe('0.80m')
+      expect(formatComparisonValue(49.6, 'm', true)).toBe('50% of normal range')
+      expect(formatComparisonValue(null, 'm', false)).toBe('No reading')
+    })
+  })
+
+  describe('comparisonChart', () => {
+    let dom
+    let previousDocument
+
+    beforeEach(() => {
+      dom = new JSDOM('<body><ul id="comparison-legend"></ul><div id="comparison-chart"></div></body>')
+      previousDocument = globalThis.document
+      globalThis.document = dom.window.document
+    })
+
+    afterEach(() => {
+      globalThis.document = previousDocument
+    })
+
+    function getLine(id) {
+      return document.querySelector(`.comparison-line--${id}`)
+    }
+
+    test('should draw a line for each station with a legend button', () => {
+      comparisonChart('comparison-chart', [UPSTREAM, DOWNSTREAM], { legendId: 'comparison-legend' })
+
+      const buttons = document.querySelectorAll('#comparison-legend button')
+      expect(document.querySelectorAll('.comparison-line')).toHaveLength(2)
+      expect(getLine('3089').getAttribute('stroke')).toBe(COMPARISON_PALETTES['okabe-ito'].colours[0])
+      expect([...buttons].map(button => button.textContent)).toEqual(['Knightwick', 'Powick'])
+      expect(buttons[0].getAttribute('aria-pressed')).toBe('true')
+    })
+
+    test('should hide and show a line from its legend button', () => {
+      comparisonChart('comparison-chart', [UPSTREAM, DOWNSTREAM], { legendId: 'comparison-legend' })
+
+      document.querySelector('[data-series-id="7041"]').click()
+      expect(getLine('7041').classList.contains('comparison-line--hidden')).toBe(true)
+      expect(document.querySelector('[data-series-id="7041"]').getAttribute('aria-pressed')).toBe('false')
+
+      document.querySelector('[data-series-id="7041"]').click()
+      expect(getLine('7041').classList.contains('comparison-line--hidden')).toBe(false)
+    })
+
+    test('should change palette and normalise on request', () => {
+      const chart = comparisonChart('comparison-chart', [UPSTREAM, DOWNSTREAM], { legendId: 'comparison-legend' })
+
+      chart.setPalette('tol-bright')
+      expect(getLine('3089').getAttribute('stroke')).toBe(COMPARISON_PALETTES['tol-bright'].colours[0])
+
+      chart.setNormalise(true)
+      expect(getLine('7041').classList.contains('comparison-line--hidden')).toBe(true)
+      expect(document.querySelector('[data-series-id="7041"]').disabled).toBe(true)
+      expect(document.querySelector('[data-series-id="7041"]').textContent).toBe('Powick (no normal range)')
+      expect(Number(document.querySelector('.comparison-normal-range').getAttribute('height'))).toBeGreaterThan(0)
+    })
+
+    test('should list every shown station in the tooltip at the hovered time', () => {
+      comparisonChart('comparison-chart', [UPSTREAM, DOWNSTREAM], { legendId: 'comparison-legend' })
+      const svg = document.querySelector('#comparison-chart svg')
+
+      svg.dispatchEvent(new dom.window.MouseEvent('mousemove', { clientX: 300, clientY: 100 }))
+
+      const rows = [...document.querySelectorAll('.defra-comparison-chart__tooltip-row')].map(row => row.textContent)
+      expect(document.querySelector('.defra-comparison-chart__tooltip').classList.contains('defra-comparison-chart__tooltip--visible')).toBe(true)
+      expect(rows).toHaveLength(2)
+      expect(rows[0]).toMatch(/^Knightwick: /)
+      expect(rows[1]).toMatch(/^Powick: /)
+    })
+
+    test('should give null without a container', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+
+      expect(comparisonChart('missing', [UPSTREAM])).toBeNull()
+    })
+  })
+})
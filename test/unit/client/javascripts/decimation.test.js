@@ -0,0 +1,118 @@
+import { describe, test, expect } from 'vitest'
+import { largestTriangleThreeBuckets, minMaxDecimate, decimate } from '../../../../src/client/javascripts/decimation.js'
+import { processData } from '../../../../src/client/javascripts/line-chart-data.js'
+
+const START = Date.UTC(2026, 0, 1)
+const FIFTEEN_MINUTES = 15 * 60 * 1000
+
+// A gently rising series with one short flood peak and one dip, 15 minutes apart
+function createSeries(length, { peakAt = Math.floor(length / 3), dipAt = Math.floor((length * 2) / 3) } = {}) {
+  return Array.from({ length }, (_, index) => {
+    let value = 1 + (index / length)
+    if (index === peakAt) {
+      value = 5
+    }
+    if (index === dipAt) {
+      value = 0.1
+    }
+    return { dateTime: new Date(START + (index * FIFTEEN_MINUTES)).toISOString(), value }
+  })
+}
+
+const values = (points) => points.map(point => point.value)
+
+describe('decimation', () => {
+  describe('largestTriangleThreeBuckets', () => {
+    test('should give threshold points including the first, last, highest and lowest', () => {
+      const data = createSeries(1000)
+      const result = largestTriangleThreeBuckets(data, 100)
+
+      expect(result.length).toBeGreaterThanOrEqual(100)
+      expect(result.length).toBeLessThanOrEqual(102)
+      expect(result[0]).toBe(data[0])
+      expect(result.at(-1)).toBe(data.at(-1))
+      expect(values(result)).toContain(5)
+      expect(values(result)).toContain(0.1)
+    })
+
+    test('should keep the order of the series', () => {
+      const data = createSeries(500).reverse()
+      const times = largestTriangleThreeBuckets(data, 50).map(point => new Date(point.dateTime).getTime())
+
+      expect(times).toEqual([...times].sort((a, b) => b - a))
+    })
+
+    test('should keep a series no longer than the threshold', () => {
+      const data = createSeries(10)
+
+      expect(largestTriangleThreeBuckets(data, 10)).toBe(data)
+      expect(largestTriangleThreeBuckets(data, 2)).toBe(data)
+    })
+  })
+
+  describe('minMaxDecimate', () => {
+    test('should keep the highest and lowest point of each column', () => {
+      const data = [
+        { dateTime: '2026-01-01T00:00:00Z', value: 1 },
+        { dateTime: '2026-01-01T00:15:00Z', value: 3 },
+        { dateTime: '2026-01-01T00:30:00Z', value: 0.5 },
+        { dateTime: '2026-01-01T00:45:00Z', value: 2 },
+        { dateTime: '2026-01-01T01:00:00Z', value: 1.5 },
+        { dateTime: '2026-01-01T01:15:00Z', value: 4 },
+        { dateTime: '2026-01-01T01:30:00Z', value: 1.2 },
+        { dateTime: '2026-01-01T01:45:00Z', value: 1 }
+      ]
+
+      expect(values(minMaxDecimate(data, 2))).toEqual([1, 3, 0.5, 4, 1])
+    })
+
+    test('should give at most two points a column and the ends', () => {
+      const result = minMaxDecimate(createSeries(5000), 400)
+
+      expect(result.length).toBeLessThanOrEqual(802)
+      expect(values(result)).toContain(5)
+      expect(values(result)).toContain(0.1)
+    })
+  })
+
+  describe('decimate', () => {
+    test('should keep a series with no more points than targeted', () => {
+      const data = createSeries(400)
+
+      expect(decimate(data, { width: 800, targetPoints: 500 })).toBe(data)
+    })
+
+    test('should use min/max columns when there are more points than the pixels can show', () => {
+      const data = createSeries(10000)
+      const result = decimate(data, { width: 300, targetPoints: 500 })
+
+      expect(result).toEqual(minMaxDecimate(data, 300))
+    })
+
+    test('should use Largest-Triangle-Three-Buckets otherwise', () => {
+      const data = createSeries(1200)
+      const result = decimate(data, { width: 800, targetPoints: 500 })
+
+      expect(result).toEqual(largestTriangleThreeBuckets(data, 500))
+    })
+
+    test('should always keep a one reading peak', () => {
+      for (const length of [700, 3000, 100000]) {
+        const data = createSeries(length, { peakAt: length - 7 })
+
+        expect(values(decimate(data, { width: 640, targetPoints: 500 }))).toContain(5)
+      }
+    })
+  })
+
+  describe('processData', () => {
+    test('should keep the peak of a long river series', () => {
+      const observed = createSeries(35000).reverse()
+      const { observedPoints } = processData({ type: 'river', observed, forecast: [] }, 1, 800)
+
+      expect(observedPoints.length).toBeLessThanOrEqual(1602)
+      expect(values(observedPoints)).toContain(5)
+      expect(values(observedPoints)).toContain(0.1)
+    })
+  })
+})
@@ -0,0 +1,38 @@
+import { describe, test, expect } from 'vitest'
+import { hasForecastRange, summariseForecast } from '../../../../src/client/javascripts/forecast.js'
+
+const FORECAST = [
+  { dateTime: '2024-01-01T12:00:00Z', value: 1.2, lower: 1.1, upper: 1.3 },
+  { dateTime: '2024-01-01T18:00:00Z', value: 1.5, lower: 1.2, upper: 1.9 },
+  { dateTime: '2024-01-02T06:00:00Z', value: 1.4, lower: 1, upper: 1.8 }
+]
+
+describe('hasForecastRange', () => {
+  test('should need both bounds', () => {
+    expect(hasForecastRange({ value: 1, lower: 0.9, upper: 1.1 })).toBe(true)
+    expect(hasForecastRange({ value: 1, lower: 0.9 })).toBe(false)
+    expect(hasForecastRange({ value: 1 })).toBe(false)
+    expect(hasForecastRange(null)).toBe(false)
+  })
+})
+
+describe('summariseForecast', () => {
+  test('should describe when the forecast runs, its peak and its likely range', () => {
+    expect(summariseForecast(FORECAST, 'm')).toBe(
+      'Forecast from 12:00pm, 1 Jan to 6:00am, 2 Jan. ' +
+      'The forecast peaks at 1.50m at 6:00pm, 1 Jan. ' +
+      'The forecast is uncertain: the level is likely to stay between 1.00m and 1.90m.'
+    )
+  })
+
+  test('should leave out the range when no point has bounds', () => {
+    const central = FORECAST.map(({ dateTime, value }) => ({ dateTime, value }))
+
+    expect(summariseForecast(central, 'm')).toBe('Forecast from 12:00pm, 1 Jan to 6:00am, 2 Jan. The forecast peaks at 1.50m at 6:00pm, 1 Jan.')
+  })
+
+  test('should be empty without a forecast', () => {
+    expect(summariseForecast([], 'm')).toBe('')
+    expect(summariseForecast(undefined, 'm')).toBe('')
+  })
+})
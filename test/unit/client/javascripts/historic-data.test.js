@@ -5,6 +5,7 @@ import {
   getTimeRangeLabel,
   downsampleForStyleB
 } from '../../../../src/client/javascripts/historic-data.js'
+import { processData } from '../../../../src/client/javascripts/line-chart-data.js'
 
 // Test constants
 const SAMPLE_DATETIME_1 = '2024-01-15T10:00:00'
@@ -161,61 +162,83 @@ describe('Historic Data Management', () => {
       expect(result).toEqual(data)
     })
 
-    test('should downsample to 30-minute intervals for 6m range', () => {
+    test('should downsample to hourly min and max for 6m range', () => {
       const data = [
-        createDataPoint('2024-01-15T10:00:00', 1.0),
-        createDataPoint('2024-01-15T10:15:00', 1.1),
-        createDataPoint('2024-01-15T10:30:00', 1.2),
-        createDataPoint('2024-01-15T10:45:00', 1.3),
-        createDataPoint('2024-01-15T11:00:00', 2.0),
-        createDataPoint('2024-01-15T11:15:00', 2.1),
-        createDataPoint('2024-01-15T11:30:00', 2.2),
-        createDataPoint('2024-01-15T12:00:00', 3.0)
+        createDataPoint('2024-01-15T10:00:00Z', 1.0),
+        createDataPoint('2024-01-15T10:15:00Z', 1.1),
+        createDataPoint('2024-01-15T10:30:00Z', 1.3),
+        createDataPoint('2024-01-15T10:45:00Z', 1.2),
+        createDataPoint('2024-01-15T11:00:00Z', 2.0),
+        createDataPoint('2024-01-15T11:15:00Z', 2.1),
+        createDataPoint('2024-01-15T11:30:00Z', 2.2),
+        createDataPoint('2024-01-15T12:00:00Z', 3.0)
       ]
       const result = downsampleForStyleB(data, '6m')
-      expect(result).toHaveLength(5)
-      expect(result[0].dateTime).toBe('2024-01-15T10:00:00')
-      expect(result[1].dateTime).toBe('2024-01-15T10:30:00')
-      expect(result[2].dateTime).toBe('2024-01-15T11:00:00')
-      expect(result[3].dateTime).toBe('2024-01-15T11:30:00')
-      expect(result[4].dateTime).toBe('2024-01-15T12:00:00')
+      expect(result).toEqual([
+        { dateTime: '2024-01-15T10:00:00.000Z', value: 1.0, count: 4 },
+        { dateTime: '2024-01-15T10:00:00.000Z', value: 1.3, count: 0 },
+        { dateTime: '2024-01-15T11:00:00.000Z', value: 2.0, count: 3 },
+        { dateTime: '2024-01-15T11:00:00.000Z', value: 2.2, count: 0 },
+        { dateTime: '2024-01-15T12:00:00.000Z', value: 3.0, count: 1 }
+      ])
     })
 
-    test('should downsample to 30-minute intervals for 1y range', () => {
+    test('should downsample to hourly min and max for 1y range', () => {
       const data = [
-        createDataPoint('2024-01-15T00:00:00', 1.0),
-        createDataPoint('2024-01-15T00:15:00', 1.1),
-        createDataPoint('2024-01-15T00:30:00', 2.0),
-        createDataPoint('2024-01-15T00:45:00', 2.1),
-        createDataPoint('2024-01-15T01:00:00', 3.0),
-        createDataPoint('2024-01-15T01:30:00', 4.0)
+        createDataPoint('2024-01-15T00:00:00Z', 1.0),
+        createDataPoint('2024-01-15T00:15:00Z', 1.1),
+        createDataPoint('2024-01-15T00:30:00Z', 2.0),
+        createDataPoint('2024-01-15T00:45:00Z', 2.1),
+        createDataPoint('2024-01-15T01:00:00Z', 3.0),
+        createDataPoint('2024-01-15T01:30:00Z', 4.0)
       ]
       const result = downsampleForStyleB(data, '1y')
       expect(result).toHaveLength(4)
-      expect(result[0].dateTime).toBe('2024-01-15T00:00:00')
-      expect(result[1].dateTime).toBe('2024-01-15T00:30:00')
-      expect(result[2].dateTime).toBe('2024-01-15T01:00:00')
-      expect(result[3].dateTime).toBe('2024-01-15T01:30:00')
+      expect(result[0]).toEqual({ dateTime: '2024-01-15T00:00:00.000Z', value: 1.0, count: 4 })
+      expect(result[1]).toEqual({ dateTime: '2024-01-15T00:00:00.000Z', value: 2.1, count: 0 })
+      expect(result[2]).toEqual({ dateTime: '2024-01-15T01:00:00.000Z', value: 3.0, count: 2 })
+      expect(result[3]).toEqual({ dateTime: '2024-01-15T01:00:00.000Z', value: 4.0, count: 0 })
     })
 
-    test('should downsample to weekly max for 5y range', () => {
+    test('should downsample to daily min and max for 3y range', () => {
+      const data = [
+        createDataPoint('2024-01-15T00:00:00Z', 1.0),
+        createDataPoint('2024-01-15T18:00:00Z', 1.8),
+        createDataPoint('2024-01-16T06:00:00Z', 1.2)
+      ]
+      const result = downsampleForStyleB(data, '3y')
+      expect(result.map(point => point.value)).toEqual([1.0, 1.8, 1.2])
+    })
+
+    test('should downsample to weekly min and max for 5y range', () => {
       const data = [
         createDataPoint('2024-01-14T10:00:00', 1.5), // Sunday week 1
-        createDataPoint('2024-01-15T14:00:00', 2.5), // Monday week 1 - max
+        createDataPoint('2024-01-15T14:00:00', 2.5), // Monday week 1
         createDataPoint('2024-01-16T18:00:00', 2.0), // Tuesday week 1
         createDataPoint('2024-01-21T10:00:00', 3.0), // Sunday week 2
-        createDataPoint('2024-01-22T14:00:00', 3.5), // Monday week 2 - max
+        createDataPoint('2024-01-22T14:00:00', 3.5), // Monday week 2
         createDataPoint('2024-01-28T10:00:00', 1.0)  // Sunday week 3
       ]
       const result = downsampleForStyleB(data, '5y')
-      // Should have 3 weeks, one max value per week
-      expect(result).toHaveLength(3)
-      // Week starting Jan 14: max is 2.5
-      expect(result[0].value).toBe(2.5)
-      // Week starting Jan 21: max is 3.5
-      expect(result[1].value).toBe(3.5)
-      // Week starting Jan 28: max is 1.0
-      expect(result[2].value).toBe(1.0)
+      // Weeks starting Jan 14 and Jan 21 are drawn at their lowest then highest, the one reading of Jan 28 once
+      expect(result.map(point => point.value)).toEqual([1.5, 2.5, 3.0, 3.5, 1.0])
+      expect(result.reduce((total, point) => total + point.count, 0)).toBe(data.length)
+    })
+
+    test.each(['6m', '1y', '3y', '5y'])('should keep the lowest and highest readings of a %s series once drawn', (range) => {
+      const days = { '6m': 180, '1y': 365, '3y': 3 * 365, '5y': 5 * 365 }[range]
+      const start = Date.UTC(2020, 0, 1)
+      const data = Array.from({ length: days * 48 }, (_, index) => createDataPoint(
+        new Date(start + index * MILLISECONDS_PER_HOUR / 2).toISOString(),
+        1 + 0.2 * Math.sin(index / 100)
+      ))
+      data[Math.floor(data.length / 3)].value = 0.1
+      data[Math.floor(data.length * 2 / 3)].value = 4.2
+
+      const { observedPoints } = processData({ type: 'river', observed: downsampleForStyleB(data, range).reverse() })
+      const values = observedPoints.map(point => point.value)
+      expect(Math.min(...values)).toBe(0.1)
+      expect(Math.max(...values)).toBe(4.2)
     })
 
     test('should handle empty array', () => {
@@ -224,9 +247,9 @@ describe('Historic Data Management', () => {
     })
 
     test('should handle single data point', () => {
-      const data = [createDataPoint('2024-01-15T10:00:00', 1.5)]
+      const data = [createDataPoint('2024-01-15T10:00:00Z', 1.5)]
       const result = downsampleForStyleB(data, '6m')
-      expect(result).toEqual(data)
+      expect(result).toEqual([{ dateTime: '2024-01-15T10:00:00.000Z', value: 1.5, count: 1 }])
     })
 
     test('should handle unknown range by returning original data', () => {
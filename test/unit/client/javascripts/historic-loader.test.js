@@ -0,0 +1,79 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createHistoricLoader } from '../../../../src/client/javascripts/historic-loader.js'
+import { toChartReadings } from '../../../../src/client/javascripts/aggregation.js'
+
+const URL = '/api/v1/stations/3089/historic'
+const HOURLY = [{ dateTime: '2026-01-16T10:00:00.000Z', value: 1.2, min: 1.2, max: 1.2, count: 1 }]
+const DAILY = [{ dateTime: '2026-01-16T00:00:00.000Z', value: 1.1, min: 0.9, max: 1.4, count: 24 }]
+
+function createStorage() {
+  const items = new Map()
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: vi.fn((key, value) => items.set(key, value))
+  }
+}
+
+describe('historic-loader', () => {
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn())
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  function respondWith(readings) {
+    fetch.mockResolvedValue({ ok: true, json: async () => ({ readings }) })
+  }
+
+  describe('createHistoricLoader', () => {
+    test('should ask the API for a range once', async () => {
+      respondWith(DAILY)
+      const loader = createHistoricLoader(URL, { storage: createStorage() })
+
+      expect(loader.get('3y')).toBeNull()
+      const [first, second] = await Promise.all([loader.load('3y'), loader.load('3y')])
+      await loader.load('3y')
+
+      expect(fetch).toHaveBeenCalledTimes(1)
+      expect(fetch).toHaveBeenCalledWith(`${URL}?range=3y`, { headers: { Accept: 'application/json' } })
+      expect(first).toBe(second)
+      expect(loader.get('3y')).toEqual(toChartReadings(DAILY))
+    })
+
+    test('should keep loaded ranges for the session', async () => {
+      respondWith(HOURLY)
+      const storage = createStorage()
+      await createHistoricLoader(URL, { storage }).load('1y')
+
+      const reloaded = createHistoricLoader(URL, { storage })
+
+      expect(reloaded.get('1y')).toEqual(toChartReadings(HOURLY))
+      await reloaded.load('1y')
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    test('should still load when the session storage is full', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      respondWith(HOURLY)
+      const storage = createStorage()
+      storage.setItem.mockImplementation(() => { throw new Error('QuotaExceededError') })
+      const loader = createHistoricLoader(URL, { storage })
+
+      await expect(loader.load('1y')).resolves.toEqual(toChartReadings(HOURLY))
+      expect(loader.get('1y')).toEqual(toChartReadings(HOURLY))
+    })
+
+    test('should reject a failed request and ask again next time', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 503 })
+      respondWith(HOURLY)
+      const loader = createHistoricLoader(URL, { storage: null })
+
+      await expect(loader.load('6m')).rejects.toThrow('Historic readings request failed: 503')
+      await expect(loader.load('6m')).resolves.toEqual(toChartReadings(HOURLY))
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+  })
+})
@@ -0,0 +1,130 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import { JSDOM } from 'jsdom'
+import { select } from 'd3-selection'
+import { scaleLinear, scaleTime } from 'd3-scale'
+import { createCanvasLayer, createLinesRenderer } from '../../../../src/client/javascripts/line-chart-canvas.js'
+
+const START = Date.UTC(2024, 0, 1)
+const FIFTEEN_MINUTES = 15 * 60 * 1000
+
+function createPoints(length, start = START) {
+  return Array.from({ length }, (_, index) => ({ dateTime: new Date(start + (index * FIFTEEN_MINUTES)).toISOString(), value: 1 + (index % 5) }))
+}
+
+function createContext() {
+  const calls = []
+  const record = (name) => vi.fn((...args) => calls.push([name, ...args]))
+
+  return {
+    calls,
+    beginPath: record('beginPath'),
+    moveTo: record('moveTo'),
+    lineTo: record('lineTo'),
+    bezierCurveTo: record('bezierCurveTo'),
+    closePath: record('closePath'),
+    fill: record('fill'),
+    stroke: record('stroke'),
+    setLineDash: record('setLineDash'),
+    setTransform: record('setTransform'),
+    clearRect: record('clearRect')
+  }
+}
+
+describe('line-chart-canvas', () => {
+  let previousDocument
+  let previousRatio
+  let container
+  let svg
+  let xScale
+  let yScale
+
+  beforeEach(() => {
+    const dom = new JSDOM(`
+      <div id="line-chart">
+        <svg>
+          <g class="observed"><path class="observed-area"></path><path class="observed-line"></path></g>
+          <g class="forecast"><path class="forecast-area"></path><path class="forecast-band"></path><path class="forecast-line"></path></g>
+        </svg>
+      </div>
+    `)
+
+    previousDocument = globalThis.document
+    previousRatio = globalThis.devicePixelRatio
+    globalThis.document = dom.window.document
+    globalThis.devicePixelRatio = 2
+    container = dom.window.document.getElementById('line-chart')
+    svg = select(container.querySelector('svg'))
+    xScale = scaleTime().domain([new Date(START), new Date(START + (2000 * FIFTEEN_MINUTES))]).range([0, 600])
+    yScale = scaleLinear().domain([0, 6]).range([300, 0])
+  })
+
+  afterEach(() => {
+    globalThis.document = previousDocument
+    globalThis.devicePixelRatio = previousRatio
+  })
+
+  test('should put the canvas under the SVG, hidden from screen readers', () => {
+    const { canvas } = createCanvasLayer(container, svg)
+
+    expect(container.firstElementChild).toBe(canvas)
+    expect(canvas.className).toBe('defra-line-chart__canvas')
+    expect(canvas.getAttribute('aria-hidden')).toBe('true')
+  })
+
+  test('should draw SVG paths up to the point threshold', () => {
+    const layer = createCanvasLayer(container, svg)
+    layer.canvas.getContext = vi.fn()
+    const renderLines = createLinesRenderer(layer, { pointThreshold: 100 })
+
+    renderLines(svg, createPoints(100), [], xScale, yScale, 300, 'river', 'm')
+
+    expect(svg.select('.observed-line').attr('d')).toBeTruthy()
+    expect(layer.canvas.getContext).not.toHaveBeenCalled()
+  })
+
+  test('should draw on the canvas above the point threshold, sized to the plot area', () => {
+    const layer = createCanvasLayer(container, svg)
+    const context = createContext()
+    layer.canvas.getContext = vi.fn(() => context)
+    const renderLines = createLinesRenderer(layer, { pointThreshold: 100, getMargin: () => ({ top: 20, left: 15 }) })
+
+    renderLines(svg, createPoints(80), createPoints(40, START + (80 * FIFTEEN_MINUTES)), xScale, yScale, 300, 'river', 'm')
+
+    expect(svg.select('.observed-line').attr('d')).toBeNull()
+    expect(svg.select('.forecast-line').attr('d')).toBeNull()
+    expect(layer.canvas.width).toBe(1200)
+    expect(layer.canvas.height).toBe(600)
+    expect(layer.canvas.style.width).toBe('600px')
+    expect(layer.canvas.style.left).toBe('15px')
+    expect(layer.canvas.style.top).toBe('20px')
+    expect(context.calls).toContainEqual(['setTransform', 2, 0, 0, 2, 0, 0])
+    // Observed area and line, then forecast area and dashed line
+    expect(context.fill).toHaveBeenCalledTimes(2)
+    expect(context.stroke).toHaveBeenCalledTimes(2)
+    expect(context.calls).toContainEqual(['setLineDash', [5, 5]])
+  })
+
+  test('should clear the canvas and go back to SVG paths when the points drop below the threshold', () => {
+    const layer = createCanvasLayer(container, svg)
+    const context = createContext()
+    layer.canvas.getContext = vi.fn(() => context)
+    const renderLines = createLinesRenderer(layer, { pointThreshold: 100 })
+
+    renderLines(svg, createPoints(500), [], xScale, yScale, 300, 'river', 'm')
+    context.clearRect.mockClear()
+    renderLines(svg, createPoints(50), [], xScale, yScale, 300, 'river', 'm')
+
+    expect(context.clearRect).toHaveBeenCalledWith(0, 0, 1200, 600)
+    expect(svg.select('.observed-line').attr('d')).toBeTruthy()
+  })
+
+  test('should draw SVG paths where canvas is not supported', () => {
+    const layer = createCanvasLayer(container, svg)
+    layer.canvas.getContext = vi.fn(() => null)
+    const renderLines = createLinesRenderer(layer, { pointThreshold: 100 })
+
+    renderLines(svg, createPoints(500), [], xScale, yScale, 300, 'river', 'm')
+
+    expect(svg.select('.observed-line').attr('d')).toBeTruthy()
+  })
+})
@@ -0,0 +1,72 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import { JSDOM } from 'jsdom'
+import { select } from 'd3-selection'
+import { scaleLinear, scaleTime } from 'd3-scale'
+import { renderBars } from '../../../../src/client/javascripts/line-chart-render.js'
+import { accumulateRainfall } from '../../../../src/client/javascripts/rainfall.js'
+
+const HEIGHT = 100
+
+const POINTS = accumulateRainfall([
+  { dateTime: '2024-01-01T01:00:00Z', value: 1 },
+  { dateTime: '2024-01-01T02:00:00Z', value: 3 },
+  { dateTime: '2024-01-01T03:00:00Z', value: 2 }
+], '1h')
+
+describe('renderBars', () => {
+  let previousDocument
+  let svg
+  let xScale
+  let yScale
+
+  beforeEach(() => {
+    const dom = new JSDOM(`
+      <svg>
+        <g class="rainfall-bars"></g>
+        <path class="rainfall-cumulative-line"></path>
+        <text class="rainfall-cumulative-label"></text>
+      </svg>
+    `)
+
+    previousDocument = globalThis.document
+    globalThis.document = dom.window.document
+    svg = select(dom.window.document.querySelector('svg'))
+    xScale = scaleTime().domain([new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T03:00:00Z')]).range([0, 300])
+    yScale = scaleLinear().domain([0, 4]).range([HEIGHT, 0])
+  })
+
+  afterEach(() => {
+    globalThis.document = previousDocument
+  })
+
+  test('draws one bar per period spanning it, standing on zero', () => {
+    renderBars(svg, POINTS, xScale, yScale, HEIGHT)
+
+    const bars = svg.selectAll('.rainfall-bar').nodes().map(node => select(node))
+    expect(bars).toHaveLength(3)
+    expect(bars.map(bar => Number(bar.attr('x')))).toEqual([0, 100, 200])
+    expect(bars.map(bar => Number(bar.attr('width')))).toEqual([99, 99, 99])
+    expect(bars.map(bar => Number(bar.attr('height')))).toEqual([25, 75, 50])
+  })
+
+  test('replaces bars on re-render', () => {
+    renderBars(svg, POINTS, xScale, yScale, HEIGHT)
+    renderBars(svg, POINTS.slice(0, 1), xScale, yScale, HEIGHT)
+
+    expect(svg.selectAll('.rainfall-bar').size()).toBe(1)
+  })
+
+  test('leaves the running total hidden unless asked for', () => {
+    renderBars(svg, POINTS, xScale, yScale, HEIGHT)
+
+    expect(svg.select('.rainfall-cumulative-line').attr('d')).toBeNull()
+    expect(svg.select('.rainfall-cumulative-label').text()).toBe('')
+  })
+
+  test('draws the running total and labels it with the total', () => {
+    renderBars(svg, POINTS, xScale, yScale, HEIGHT, { showCumulative: true, unitName: 'mm' })
+
+    expect(svg.select('.rainfall-cumulative-line').attr('d')).toMatch(/^M100,83\.3+\d*L200,33\.3+\d*L300,0$/)
+    expect(svg.select('.rainfall-cumulative-label').text()).toBe('6.0mm total')
+  })
+})
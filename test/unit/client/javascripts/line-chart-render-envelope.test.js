@@ -0,0 +1,45 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import { JSDOM } from 'jsdom'
+import { select } from 'd3-selection'
+import { scaleLinear, scaleTime } from 'd3-scale'
+import { renderEnvelope } from '../../../../src/client/javascripts/line-chart-render.js'
+
+const POINTS = [
+  { dateTime: '2024-01-01T00:00:00.000Z', min: 1, median: 2, max: 3 },
+  { dateTime: '2024-01-02T00:00:00.000Z', min: 1, median: 2, max: 3 }
+]
+
+describe('renderEnvelope', () => {
+  let previousDocument
+  let container
+  let xScale
+  let yScale
+
+  beforeEach(() => {
+    const dom = new JSDOM('<svg><g class="envelope"></g></svg>')
+
+    previousDocument = globalThis.document
+    globalThis.document = dom.window.document
+    container = select(dom.window.document.querySelector('.envelope'))
+    xScale = scaleTime().domain([new Date('2024-01-01T00:00:00Z'), new Date('2024-01-02T00:00:00Z')]).range([0, 100])
+    yScale = scaleLinear().domain([0, 4]).range([80, 0])
+  })
+
+  afterEach(() => {
+    globalThis.document = previousDocument
+  })
+
+  test('draws the range as a band and the median as a line', () => {
+    renderEnvelope(container, POINTS, xScale, yScale)
+
+    expect(container.select('.envelope-range').attr('d')).toBe('M0,20L100,20L100,60L0,60Z')
+    expect(container.select('.envelope-median').attr('d')).toBe('M0,40L100,40')
+  })
+
+  test('clears the envelope when there is nothing on record', () => {
+    renderEnvelope(container, POINTS, xScale, yScale)
+    renderEnvelope(container, [], xScale, yScale)
+
+    expect(container.selectAll('*').size()).toBe(0)
+  })
+})
@@ -0,0 +1,58 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import { JSDOM } from 'jsdom'
+import { select } from 'd3-selection'
+import { scaleLinear, scaleTime } from 'd3-scale'
+import { renderLines } from '../../../../src/client/javascripts/line-chart-render.js'
+
+const OBSERVED = [
+  { dateTime: '2024-01-01T00:00:00Z', value: 1 }
+]
+
+describe('renderLines forecast band', () => {
+  let previousDocument
+  let svg
+  let xScale
+  let yScale
+
+  beforeEach(() => {
+    const dom = new JSDOM(`
+      <svg>
+        <g class="observed"><path class="observed-area"></path><path class="observed-line"></path></g>
+        <g class="forecast"><path class="forecast-area"></path><path class="forecast-band"></path><path class="forecast-line"></path></g>
+      </svg>
+    `)
+
+    previousDocument = globalThis.document
+    globalThis.document = dom.window.document
+    svg = select(dom.window.document.querySelector('svg'))
+    xScale = scaleTime().domain([new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T02:00:00Z')]).range([0, 100])
+    yScale = scaleLinear().domain([0, 4]).range([80, 0])
+  })
+
+  afterEach(() => {
+    globalThis.document = previousDocument
+  })
+
+  test('draws the likely range between the lower and upper bounds', () => {
+    const forecast = [
+      { dateTime: '2024-01-01T01:00:00Z', value: 2, lower: 1, upper: 3 },
+      { dateTime: '2024-01-01T02:00:00Z', value: 2, lower: 1, upper: 3 }
+    ]
+
+    renderLines(svg, OBSERVED, forecast, xScale, yScale, 80, 'river', 'm')
+
+    expect(svg.select('.forecast-band').attr('d')).toBe('M50,20L100,20L100,60L50,60Z')
+    expect(svg.select('.forecast-line').attr('d')).toBe('M50,40L100,40')
+  })
+
+  test('draws no band when the forecast has no bounds', () => {
+    const forecast = [
+      { dateTime: '2024-01-01T01:00:00Z', value: 2 },
+      { dateTime: '2024-01-01T02:00:00Z', value: 2 }
+    ]
+
+    renderLines(svg, OBSERVED, forecast, xScale, yScale, 80, 'river', 'm')
+
+    expect(svg.select('.forecast-band').attr('d')).toBeNull()
+  })
+})
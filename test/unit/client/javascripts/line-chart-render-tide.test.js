@@ -0,0 +1,80 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import { JSDOM } from 'jsdom'
+import { select } from 'd3-selection'
+import { scaleLinear, scaleTime } from 'd3-scale'
+import { renderTideMarkers, renderDatumLine } from '../../../../src/client/javascripts/line-chart-render.js'
+
+const EXTREMES = [
+  { dateTime: '2024-01-01T03:00:00Z', value: 3, kind: 'high' },
+  { dateTime: '2024-01-01T09:00:00Z', value: -2.85, kind: 'low' },
+  { dateTime: '2024-01-02T03:00:00Z', value: 3.2, kind: 'high' }
+]
+
+describe('tide chart rendering', () => {
+  let previousDocument
+  let svg
+  let xScale
+  let yScale
+
+  beforeEach(() => {
+    const dom = new JSDOM(`
+      <svg>
+        <g class="tide-markers"></g>
+        <g class="datum"></g>
+      </svg>
+    `)
+
+    previousDocument = globalThis.document
+    globalThis.document = dom.window.document
+    svg = select(dom.window.document.querySelector('svg'))
+    xScale = scaleTime().domain([new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T12:00:00Z')]).range([0, 120])
+    yScale = scaleLinear().domain([-4, 4]).range([80, 0])
+  })
+
+  afterEach(() => {
+    globalThis.document = previousDocument
+  })
+
+  describe('renderTideMarkers', () => {
+    test('marks and labels the high and low water in view', () => {
+      renderTideMarkers(svg.select('.tide-markers'), EXTREMES, xScale, yScale, 'mAOD')
+
+      const markers = svg.selectAll('.tide-marker')
+      expect(markers.size()).toBe(2)
+      expect(markers.nodes().map(node => node.getAttribute('class'))).toEqual(['tide-marker tide-marker--high', 'tide-marker tide-marker--low'])
+      expect(markers.nodes().map(node => node.getAttribute('transform'))).toEqual(['translate(30,10)', 'translate(90,68.5)'])
+      expect(svg.selectAll('.tide-marker text').nodes().map(node => node.textContent)).toEqual(['High tide 3.00m', 'Low tide -2.85m'])
+    })
+
+    test('leaves out labels when too many turning points are in view', () => {
+      const many = Array.from({ length: 30 }, (_v, i) => ({
+        dateTime: new Date(Date.UTC(2024, 0, 1, 0, i * 20)).toISOString(),
+        value: i % 2 === 0 ? 3 : -3,
+        kind: i % 2 === 0 ? 'high' : 'low'
+      }))
+
+      renderTideMarkers(svg.select('.tide-markers'), many, xScale, yScale, 'mAOD')
+
+      expect(svg.selectAll('.tide-marker').size()).toBe(30)
+      expect(svg.selectAll('.tide-marker text').size()).toBe(0)
+    })
+  })
+
+  describe('renderDatumLine', () => {
+    test('draws a labelled zero line across the chart', () => {
+      renderDatumLine(svg.select('.datum'), 120, yScale, 'Ordnance Datum')
+
+      expect(svg.select('.datum__line').attr('y1')).toBe('40')
+      expect(svg.select('.datum__line').attr('x2')).toBe('120')
+      expect(svg.select('.datum__label').text()).toBe('0m Ordnance Datum')
+    })
+
+    test('draws nothing when zero is out of view or there is no datum', () => {
+      renderDatumLine(svg.select('.datum'), 120, scaleLinear().domain([1, 4]).range([80, 0]), 'Ordnance Datum')
+      expect(svg.select('.datum').selectAll('*').size()).toBe(0)
+
+      renderDatumLine(svg.select('.datum'), 120, yScale, null)
+      expect(svg.select('.datum').selectAll('*').size()).toBe(0)
+    })
+  })
+})
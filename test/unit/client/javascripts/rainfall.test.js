@@ -0,0 +1,99 @@
+import { describe, test, expect } from 'vitest'
+import {
+  accumulateRainfall,
+  fitRainfallPeriod,
+  DEFAULT_RAINFALL_PERIOD
+} from '../../../../src/client/javascripts/rainfall.js'
+
+// Fifteen minute tipping bucket readings, newest first as the API returns them
+const READINGS = [
+  { dateTime: '2024-01-02T00:15:00Z', value: 0.4 },
+  { dateTime: '2024-01-02T00:00:00Z', value: 0.2 },
+  { dateTime: '2024-01-01T23:45:00Z', value: 0.1 },
+  { dateTime: '2024-01-01T23:30:00Z', value: 0.2 },
+  { dateTime: '2024-01-01T23:15:00Z', value: 0 }
+]
+const MS_PER_HOUR = 60 * 60 * 1000
+
+function readingsEvery15Minutes(hours) {
+  const start = new Date('2024-01-01T00:00:00Z').getTime()
+  return Array.from({ length: hours * 4 }, (_v, i) => ({
+    dateTime: new Date(start + (i * MS_PER_HOUR / 4)).toISOString(),
+    value: 0.2
+  }))
+}
+
+describe('accumulateRainfall', () => {
+  test('should total readings into the hour they end in, oldest first', () => {
+    const result = accumulateRainfall(READINGS, '1h')
+
+    expect(result.map(p => p.periodEnd)).toEqual(['2024-01-02T00:00:00.000Z', '2024-01-02T01:00:00.000Z'])
+    expect(result.map(p => p.value)).toEqual([0.5, 0.4])
+  })
+
+  test('should describe each period and centre it on its bar', () => {
+    const [first] = accumulateRainfall(READINGS, '1h')
+
+    expect(first).toMatchObject({
+      period: '1h',
+      periodStart: '2024-01-01T23:00:00.000Z',
+      periodEnd: '2024-01-02T00:00:00.000Z',
+      dateTime: '2024-01-01T23:30:00.000Z'
+    })
+  })
+
+  test('should keep a running total', () => {
+    const result = accumulateRainfall(READINGS, '15m')
+
+    expect(result).toHaveLength(5)
+    expect(result.map(p => p.cumulative)).toEqual([0, 0.2, 0.3, 0.5, 0.9])
+  })
+
+  test('should total whole UTC days', () => {
+    const result = accumulateRainfall(READINGS, '1d')
+
+    expect(result.map(p => [p.periodStart, p.value])).toEqual([
+      ['2024-01-01T00:00:00.000Z', 0.5],
+      ['2024-01-02T00:00:00.000Z', 0.4]
+    ])
+  })
+
+  test('should skip errored and non-numeric readings', () => {
+    const result = accumulateRainfall([
+      { dateTime: '2024-01-01T00:15:00Z', value: 0.2 },
+      { dateTime: '2024-01-01T00:30:00Z', value: 5, err: true },
+      { dateTime: '2024-01-01T00:45:00Z', value: null }
+    ], '1h')
+
+    expect(result).toHaveLength(1)
+    expect(result[0].value).toBe(0.2)
+  })
+
+  test('should fall back to the default period for an unknown one', () => {
+    expect(accumulateRainfall(READINGS, 'weekly')[0].period).toBe(DEFAULT_RAINFALL_PERIOD)
+  })
+
+  test('should return no bars for no readings', () => {
+    expect(accumulateRainfall([], '1h')).toEqual([])
+    expect(accumulateRainfall(undefined, '1h')).toEqual([])
+  })
+})
+
+describe('fitRainfallPeriod', () => {
+  test('should keep the requested period when the bars fit', () => {
+    expect(fitRainfallPeriod('15m', readingsEvery15Minutes(5 * 24))).toBe('15m')
+  })
+
+  test('should move to a coarser period when there would be too many bars', () => {
+    expect(fitRainfallPeriod('15m', readingsEvery15Minutes(30 * 24))).toBe('1h')
+    expect(fitRainfallPeriod('1h', readingsEvery15Minutes(60 * 24))).toBe('1d')
+  })
+
+  test('should never go finer than requested', () => {
+    expect(fitRainfallPeriod('1d', readingsEvery15Minutes(24))).toBe('1d')
+  })
+
+  test('should use the default period for an unknown one', () => {
+    expect(fitRainfallPeriod('weekly', [])).toBe(DEFAULT_RAINFALL_PERIOD)
+  })
+})
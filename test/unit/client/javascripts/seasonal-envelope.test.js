@@ -0,0 +1,42 @@
+import { describe, test, expect } from 'vitest'
+import { getDayOfYear, expandEnvelope } from '../../../../src/client/javascripts/seasonal-envelope.js'
+
+const ENVELOPE = [
+  { dayOfYear: 364, min: 1, median: 2, max: 3 },
+  { dayOfYear: 365, min: 1.5, median: 2.5, max: 3.5 },
+  { dayOfYear: 0, min: 2, median: 3, max: 4 },
+  { dayOfYear: 1, min: 2.5, median: 3.5, max: 4.5 }
+]
+
+describe('getDayOfYear', () => {
+  test('should count days from 1 January in UTC', () => {
+    expect(getDayOfYear(new Date('2024-01-01T00:00:00Z'))).toBe(0)
+    expect(getDayOfYear(new Date('2024-01-01T23:59:00Z'))).toBe(0)
+    expect(getDayOfYear(new Date('2023-12-31T12:00:00Z'))).toBe(364)
+    expect(getDayOfYear(new Date('2024-12-31T12:00:00Z'))).toBe(365)
+  })
+})
+
+describe('expandEnvelope', () => {
+  test('should give one point a day across the range, across the turn of the year', () => {
+    const points = expandEnvelope(ENVELOPE, new Date('2024-12-30T09:00:00Z'), new Date('2025-01-02T09:00:00Z'))
+
+    expect(points).toEqual([
+      { dateTime: '2024-12-30T00:00:00.000Z', min: 1, median: 2, max: 3 },
+      { dateTime: '2024-12-31T00:00:00.000Z', min: 1.5, median: 2.5, max: 3.5 },
+      { dateTime: '2025-01-01T00:00:00.000Z', min: 2, median: 3, max: 4 },
+      { dateTime: '2025-01-02T00:00:00.000Z', min: 2.5, median: 3.5, max: 4.5 }
+    ])
+  })
+
+  test('should leave out days with nothing on record', () => {
+    const points = expandEnvelope(ENVELOPE, new Date('2025-01-01T00:00:00Z'), new Date('2025-01-05T00:00:00Z'))
+
+    expect(points.map(point => point.dateTime)).toEqual(['2025-01-01T00:00:00.000Z', '2025-01-02T00:00:00.000Z'])
+  })
+
+  test('should give nothing without an envelope', () => {
+    expect(expandEnvelope(null, new Date('2025-01-01T00:00:00Z'), new Date('2025-01-05T00:00:00Z'))).toEqual([])
+    expect(expandEnvelope([], new Date('2025-01-01T00:00:00Z'), new Date('2025-01-05T00:00:00Z'))).toEqual([])
+  })
+})
@@ -0,0 +1,78 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import { JSDOM } from 'jsdom'
+import { getSuggestionLabel, setupStationSuggestions } from '../../../../src/client/javascripts/station-suggestions.js'
+
+describe('station-suggestions', () => {
+  let dom
+  let input
+  let list
+  let previousDocument
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <body>
+        <input id="stationId" list="station-suggestions" data-station-suggestions="/station-search/suggestions" />
+        <datalist id="station-suggestions"></datalist>
+      </body>
+    `)
+
+    previousDocument = globalThis.document
+    globalThis.document = dom.window.document
+    globalThis.fetch = vi.fn()
+
+    input = document.getElementById('stationId')
+    list = document.getElementById('station-suggestions')
+  })
+
+  afterEach(() => {
+    globalThis.document = previousDocument
+    vi.restoreAllMocks()
+  })
+
+  function type(text) {
+    input.value = text
+    input.dispatchEvent(new dom.window.Event('input'))
+  }
+
+  function respondWith(items) {
+    globalThis.fetch.mockResolvedValue({ ok: true, json: async () => ({ items }) })
+  }
+
+  test('should label a station with its river', () => {
+    expect(getSuggestionLabel({ name: 'Knightwick', river: 'River Teme' })).toBe('River Teme at Knightwick')
+    expect(getSuggestionLabel({ name: 'Avonmouth', river: null })).toBe('Avonmouth')
+  })
+
+  test('should offer matching stations by ID', async () => {
+    respondWith([{ id: '2001', name: 'Knightwick', river: 'River Teme' }])
+    setupStationSuggestions(input, { delay: 0 })
+
+    type('Knight')
+
+    await vi.waitFor(() => expect(list.children).toHaveLength(1))
+    expect(globalThis.fetch).toHaveBeenCalledWith('/station-search/suggestions?q=Knight', expect.anything())
+    expect(list.children[0].value).toBe('2001')
+    expect(list.children[0].textContent).toBe('River Teme at Knightwick')
+  })
+
+  test('should not search for short text or RLOI IDs', async () => {
+    setupStationSuggestions(input, { delay: 0 })
+
+    type('K')
+    type('3089')
+    await new Promise(resolve => setTimeout(resolve, 10))
+
+    expect(globalThis.fetch).not.toHaveBeenCalled()
+  })
+
+  test('should leave the list empty when suggestions fail', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    globalThis.fetch.mockRejectedValue(new Error('Network error'))
+    setupStationSuggestions(input, { delay: 0 })
+
+    type('Knight')
+
+    await vi.waitFor(() => expect(console.warn).toHaveBeenCalled())
+    expect(list.children).toHaveLength(0)
+  })
+})
@@ -0,0 +1,61 @@
+import { describe, test, expect } from 'vitest'
+import { findTideExtremes } from '../../../../src/client/javascripts/tide.js'
+
+const MS_PER_HOUR = 60 * 60 * 1000
+const TIDAL_PERIOD_HOURS = 12.42
+const START = new Date('2024-01-01T00:00:00Z').getTime()
+
+// Semi-diurnal tide around Ordnance Datum, sampled every 15 minutes, starting at mid tide on the flood
+function tideSeries(hours, { amplitude = 3, noise = 0 } = {}) {
+  return Array.from({ length: hours * 4 }, (_v, i) => {
+    const time = START + (i * MS_PER_HOUR / 4)
+    const phase = (2 * Math.PI * (time - START)) / (TIDAL_PERIOD_HOURS * MS_PER_HOUR)
+    return {
+      dateTime: new Date(time).toISOString(),
+      value: (amplitude * Math.sin(phase)) + (i % 2 === 0 ? noise : -noise)
+    }
+  })
+}
+
+describe('findTideExtremes', () => {
+  test('should find alternating high and low water, oldest first', () => {
+    const result = findTideExtremes(tideSeries(48))
+
+    expect(result.map(turn => turn.kind)).toEqual(['high', 'low', 'high', 'low', 'high', 'low', 'high', 'low'])
+    expect(result[0].value).toBeCloseTo(3, 1)
+    expect(result[1].value).toBeCloseTo(-3, 1)
+  })
+
+  test('should place high water about a quarter of a tide after mid tide', () => {
+    const [firstHigh] = findTideExtremes(tideSeries(24))
+    const hoursAfterStart = (new Date(firstHigh.dateTime).getTime() - START) / MS_PER_HOUR
+
+    expect(hoursAfterStart).toBeCloseTo(TIDAL_PERIOD_HOURS / 4, 0)
+  })
+
+  test('should not split a tide on noise near mid level', () => {
+    const result = findTideExtremes(tideSeries(24, { noise: 0.2 }))
+
+    expect(result.map(turn => turn.kind)).toEqual(['high', 'low', 'high', 'low'])
+  })
+
+  test('should not report the ends of the series as turning points', () => {
+    // Starts at high water and ends part way up the flood
+    const series = tideSeries(19).slice(12)
+
+    const result = findTideExtremes(series)
+
+    expect(result.map(turn => turn.kind)).toEqual(['low', 'high'])
+    expect(result.every(turn => turn.dateTime !== series[0].dateTime)).toBe(true)
+  })
+
+  test('should accept readings newest first', () => {
+    expect(findTideExtremes(tideSeries(24).reverse())).toEqual(findTideExtremes(tideSeries(24)))
+  })
+
+  test('should find nothing in a flat or too short series', () => {
+    expect(findTideExtremes([])).toEqual([])
+    expect(findTideExtremes(tideSeries(1).slice(0, 2))).toEqual([])
+    expect(findTideExtremes(tideSeries(2).map(r => ({ ...r, value: 1 })))).toEqual([])
+  })
+})
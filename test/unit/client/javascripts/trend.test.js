@@ -0,0 +1,110 @@
+import { describe, test, expect } from 'vitest'
+import { calculateTrend, createTrendCalculator, formatRate, formatTrendWindow, INSUFFICIENT_DATA } from '../../../../src/client/javascripts/trend.js'
+
+// Readings every 15 minutes up to 12:00, changing by step each time
+function readingsEvery15Minutes(count, start, step) {
+  const end = new Date('2024-01-01T12:00:00Z').getTime()
+  return Array.from({ length: count }, (_, i) => ({
+    dateTime: new Date(end - ((count - 1 - i) * 15 * 60 * 1000)).toISOString(),
+    value: start + (i * step)
+  }))
+}
+
+describe('calculateTrend', () => {
+  test('should give the rate of change in units per hour', () => {
+    const { trend, rate } = calculateTrend(readingsEvery15Minutes(5, 1, 0.05))
+
+    expect(trend).toBe('rising')
+    expect(rate).toBeCloseTo(0.2, 5)
+  })
+
+  test('should call small changes steady and drops falling', () => {
+    expect(calculateTrend(readingsEvery15Minutes(5, 1, 0.005)).trend).toBe('steady')
+    expect(calculateTrend(readingsEvery15Minutes(5, 1, -0.05)).trend).toBe('falling')
+  })
+
+  test('should not depend on the order of the readings', () => {
+    const readings = readingsEvery15Minutes(5, 1, 0.05)
+
+    expect(calculateTrend([...readings].reverse()).rate).toBeCloseTo(0.2, 5)
+  })
+
+  test('should only use readings within the window', () => {
+    const readings = [
+      { dateTime: '2024-01-01T09:00:00Z', value: 5 },
+      ...readingsEvery15Minutes(5, 1, 0.05)
+    ]
+
+    expect(calculateTrend(readings).rate).toBeCloseTo(0.2, 5)
+  })
+
+  test('should give insufficient data when the window is sparse', () => {
+    const insufficient = { trend: INSUFFICIENT_DATA, rate: null }
+
+    expect(calculateTrend([])).toEqual(insufficient)
+    expect(calculateTrend(null)).toEqual(insufficient)
+    expect(calculateTrend(readingsEvery15Minutes(2, 1, 0.05))).toEqual(insufficient)
+    // Three readings in the last 20 minutes of an hour-long window
+    expect(calculateTrend([
+      { dateTime: '2024-01-01T11:40:00Z', value: 1 },
+      { dateTime: '2024-01-01T11:50:00Z', value: 1.1 },
+      { dateTime: '2024-01-01T12:00:00Z', value: 1.2 }
+    ])).toEqual(insufficient)
+  })
+
+  test('should ignore readings without a numeric value', () => {
+    const readings = readingsEvery15Minutes(5, 1, 0.05)
+    readings[1].value = null
+    readings[2].value = 'n/a'
+
+    expect(calculateTrend(readings).rate).toBeCloseTo(0.2, 5)
+  })
+
+  test('should use the given window and end time', () => {
+    const readings = [
+      ...readingsEvery15Minutes(9, 1, 0.05),
+      { dateTime: '2024-01-01T12:15:00Z', value: 0 }
+    ]
+
+    expect(calculateTrend(readings, { windowMinutes: 120, end: '2024-01-01T12:00:00Z' }).rate).toBeCloseTo(0.2, 5)
+  })
+})
+
+describe('createTrendCalculator', () => {
+  test('should give the same trends as calculateTrend up to each end time', () => {
+    const readings = [
+      ...readingsEvery15Minutes(9, 1, 0.05),
+      { dateTime: '2024-01-01T12:15:00Z', value: 0 },
+      { dateTime: '2024-01-01T10:20:00Z', value: null }
+    ].reverse()
+    const getTrendAt = createTrendCalculator(readings, { windowMinutes: 60 })
+
+    for (const end of ['2024-01-01T10:45:00Z', '2024-01-01T11:30:00Z', '2024-01-01T12:00:00Z', '2024-01-01T12:15:00Z', '2024-01-01T09:00:00Z']) {
+      expect(getTrendAt(end)).toEqual(calculateTrend(readings, { windowMinutes: 60, end }))
+    }
+  })
+
+  test('should give insufficient data without readings', () => {
+    expect(createTrendCalculator(null)('2024-01-01T12:00:00Z')).toEqual({ trend: INSUFFICIENT_DATA, rate: null })
+  })
+})
+
+describe('formatRate', () => {
+  test('should sign the rate and give it per hour', () => {
+    expect(formatRate(0.123, 'm')).toBe('+0.12m/hr')
+    expect(formatRate(-0.05, 'mAOD')).toBe('-0.05m/hr')
+    expect(formatRate(-0.001, 'm')).toBe('0.00m/hr')
+  })
+
+  test('should spell out per hour for units that are already a rate', () => {
+    expect(formatRate(1.5, 'm3/s')).toBe('+1.50 m³/s per hour')
+  })
+})
+
+describe('formatTrendWindow', () => {
+  test('should give the window in hours or minutes', () => {
+    expect(formatTrendWindow(60)).toBe('hour')
+    expect(formatTrendWindow(180)).toBe('3 hours')
+    expect(formatTrendWindow(30)).toBe('30 minutes')
+  })
+})
@@ -1,5 +1,5 @@
 import { describe, test, expect } from 'vitest'
-import { simplify, forEach } from '../../../../src/client/javascripts/utils.js'
+import { simplify, forEach, formatFileSize, getUnit, formatValue, formatTime, formatDay, clampsAtZero, getRangePercent, toNumber } from '../../../../src/client/javascripts/utils.js'
 
 // Test constants
 const TEST_DATETIME = '2024-01-01T00:00:00Z'
@@ -107,3 +107,93 @@ describe('simplify', () => {
     expect(result.at(-1)).toEqual({ ...points.at(-1), isSignificant: true })
   })
 })
+
+describe('formatFileSize', () => {
+  test('should format sizes below 1MB in whole kilobytes', () => {
+    expect(formatFileSize(12 * 1024)).toBe('12KB')
+    expect(formatFileSize(1536)).toBe('2KB')
+  })
+
+  test('should never report less than 1KB', () => {
+    expect(formatFileSize(0)).toBe('1KB')
+    expect(formatFileSize(200)).toBe('1KB')
+  })
+
+  test('should format sizes of 1MB and above in megabytes', () => {
+    expect(formatFileSize(1024 * 1024)).toBe('1.0MB')
+    expect(formatFileSize(1.44 * 1024 * 1024)).toBe('1.4MB')
+  })
+})
+
+describe('getUnit', () => {
+  test('should treat level datums and a missing unit as metres', () => {
+    expect(getUnit('mASD')).toMatchObject({ symbol: 'm', quantity: 'Height', description: 'metres' })
+    expect(getUnit('mAOD').symbol).toBe('m')
+    expect(getUnit(undefined).symbol).toBe('m')
+  })
+
+  test('should recognise flow in either spelling', () => {
+    expect(getUnit('m3/s')).toMatchObject({ symbol: 'm³/s', quantity: 'Flow', noun: 'flow', nonNegative: true })
+    expect(getUnit('m³/s')).toBe(getUnit('m3/s'))
+  })
+
+  test('should recognise rainfall in millimetres', () => {
+    expect(getUnit('mm')).toMatchObject({ symbol: 'mm', quantity: 'Rainfall', description: 'millimetres', nonNegative: true })
+  })
+
+  test('should show an unknown unit as given', () => {
+    expect(getUnit('l/s')).toMatchObject({ symbol: 'l/s', quantity: 'Value', nonNegative: false })
+  })
+})
+
+describe('formatValue', () => {
+  test('should append the unit symbol', () => {
+    expect(formatValue(0.5, 'mASD')).toBe('0.50m')
+    expect(formatValue(12.4, 'm3/s')).toBe('12.40 m³/s')
+    expect(formatValue(3, 'm3/s', 0)).toBe('3 m³/s')
+  })
+})
+
+describe('clampsAtZero', () => {
+  test('should clamp river levels and any flow', () => {
+    expect(clampsAtZero('river', 'mASD')).toBe(true)
+    expect(clampsAtZero('tide', 'm3/s')).toBe(true)
+    expect(clampsAtZero('tide', 'mAOD')).toBe(false)
+  })
+})
+
+describe('getRangePercent', () => {
+  test('should give where the value sits in the typical range', () => {
+    expect(getRangePercent(0.5, 0.2, 1.4)).toBeCloseTo(25)
+    expect(getRangePercent(1.7, 0.2, 1.4)).toBeCloseTo(125)
+    expect(getRangePercent(0.1, 0.2, 1.4)).toBeCloseTo(-8.33, 1)
+  })
+
+  test('should give null without a range', () => {
+    expect(getRangePercent(0.5, null, 1.4)).toBeNull()
+    expect(getRangePercent(0.5, 1.4, 1.4)).toBeNull()
+    expect(getRangePercent(null, 0.2, 1.4)).toBeNull()
+  })
+})
+
+describe('toNumber', () => {
+  test('should give numbers and numeric strings as numbers, and null otherwise', () => {
+    expect(toNumber(1.4)).toBe(1.4)
+    expect(toNumber('52.2')).toBe(52.2)
+    expect(toNumber(0)).toBe(0)
+    expect(toNumber('')).toBeNull()
+    expect(toNumber(null)).toBeNull()
+    expect(toNumber(undefined)).toBeNull()
+    expect(toNumber('n/a')).toBeNull()
+  })
+})
+
+describe('formatTime and formatDay', () => {
+  test('should give times like 12:30pm and days like 16 January', () => {
+    const date = new Date(2026, 0, 16, 0, 30)
+
+    expect(formatTime(date)).toBe('12:30am')
+    expect(formatTime(new Date(2026, 0, 16, 15, 5))).toBe('3:05pm')
+    expect(formatDay(date)).toBe('16 January')
+  })
+})
@@ -0,0 +1,49 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest'
+import { Engine as CatboxRedis } from '@hapi/catbox-redis'
+import { Engine as CatboxMemory } from '@hapi/catbox-memory'
+import { getCacheEngine } from '../../../../src/common/helpers/cache-engine.js'
+import { config } from '../../../../src/config/config.js'
+
+const mockLoggerInfo = vi.fn()
+const mockLoggerError = vi.fn()
+
+vi.mock('@hapi/catbox-redis')
+vi.mock('@hapi/catbox-memory')
+vi.mock('../../../../src/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({
+    info: (...args) => mockLoggerInfo(...args),
+    error: (...args) => mockLoggerError(...args)
+  })
+}))
+
+describe('#getCacheEngine', () => {
+  beforeEach(() => {
+    config.set('isProduction', false)
+  })
+
+  test('Should setup Redis cache', () => {
+    getCacheEngine('redis')
+
+    expect(CatboxRedis).toHaveBeenCalledWith(expect.objectContaining({ client: expect.any(Object) }))
+    expect(mockLoggerInfo).toHaveBeenCalledWith('Using Redis cache')
+  })
+
+  test('Should setup In memory cache', () => {
+    getCacheEngine('memory')
+
+    expect(CatboxMemory).toHaveBeenCalled()
+    expect(mockLoggerInfo).toHaveBeenCalledWith('Using Catbox Memory cache')
+    expect(mockLoggerError).not.toHaveBeenCalled()
+  })
+
+  test('Should log a warning when using In memory cache in production', () => {
+    config.set('isProduction', true)
+
+    getCacheEngine()
+
+    expect(CatboxMemory).toHaveBeenCalled()
+    expect(mockLoggerError).toHaveBeenCalledWith(
+      'Catbox Memory is for local development only, it should not be used in production!'
+    )
+  })
+})
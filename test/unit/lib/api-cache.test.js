@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { config } from '../../../src/config/config.js'
+import { withApiCache, getApiCacheStats, stopApiCache, CACHE_SEGMENTS } from '../../../src/lib/api-cache.js'
+
+const CACHE_SETTINGS = {
+  'apiCache.enabled': true,
+  'apiCache.engine': 'memory',
+  'apiCache.generateTimeout': 1000,
+  'apiCache.ttl.station': 60000,
+  'apiCache.ttl.readings': 60000,
+  'apiCache.ttl.search': 60000,
+  isProduction: false
+}
+
+vi.mock('../../../src/config/config.js', () => ({
+  config: {
+    get: vi.fn()
+  }
+}))
+
+vi.mock('../../../src/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}))
+
+describe('api-cache', () => {
+  beforeEach(() => {
+    config.get.mockImplementation((key) => CACHE_SETTINGS[key] ?? null)
+  })
+
+  afterEach(async () => {
+    await stopApiCache()
+  })
+
+  it('should only call generate once for repeated requests', async () => {
+    const generate = vi.fn().mockResolvedValue({ RLOIid: '3089' })
+
+    const first = await withApiCache(CACHE_SEGMENTS.station, '3089', generate)
+    const second = await withApiCache(CACHE_SEGMENTS.station, '3089', generate)
+
+    expect(first).toEqual({ RLOIid: '3089' })
+    expect(second).toEqual({ RLOIid: '3089' })
+    expect(generate).toHaveBeenCalledTimes(1)
+  })
+
+  it('should share a single generate call between concurrent requests', async () => {
+    let resolveGenerate
+    const generate = vi.fn(() => new Promise((resolve) => { resolveGenerate = resolve }))
+
+    const requests = Promise.all([
+      withApiCache(CACHE_SEGMENTS.readings, 'measure-1', generate),
+      withApiCache(CACHE_SEGMENTS.readings, 'measure-1', generate),
+      withApiCache(CACHE_SEGMENTS.readings, 'measure-1', generate)
+    ])
+
+    await vi.waitFor(() => expect(generate).toHaveBeenCalled())
+    resolveGenerate([{ value: 0.5 }])
+
+    expect(await requests).toEqual([[{ value: 0.5 }], [{ value: 0.5 }], [{ value: 0.5 }]])
+    expect(generate).toHaveBeenCalledTimes(1)
+  })
+
+  it('should keep segments and ids separate', async () => {
+    const generate = vi.fn().mockImplementation(async () => generate.mock.calls.length)
+
+    await withApiCache(CACHE_SEGMENTS.station, '3089', generate)
+    await withApiCache(CACHE_SEGMENTS.station, '7041', generate)
+    await withApiCache(CACHE_SEGMENTS.search, '3089', generate)
+
+    expect(generate).toHaveBeenCalledTimes(3)
+  })
+
+  it('should not cache failures', async () => {
+    const generate = vi.fn()
+      .mockRejectedValueOnce(new Error('Upstream down'))
+      .mockResolvedValueOnce('recovered')
+
+    await expect(withApiCache(CACHE_SEGMENTS.station, '3089', generate)).rejects.toThrow('Upstream down')
+    expect(await withApiCache(CACHE_SEGMENTS.station, '3089', generate)).toBe('recovered')
+    expect(generate).toHaveBeenCalledTimes(2)
+  })
+
+  it('should call generate every time when the cache is disabled', async () => {
+    config.get.mockImplementation((key) => key === 'apiCache.enabled' ? false : CACHE_SETTINGS[key])
+    const generate = vi.fn().mockResolvedValue('fresh')
+
+    await withApiCache(CACHE_SEGMENTS.station, '3089', generate)
+    await withApiCache(CACHE_SEGMENTS.station, '3089', generate)
+
+    expect(generate).toHaveBeenCalledTimes(2)
+    expect(getApiCacheStats()).toEqual({})
+  })
+
+  it('should report hits and generates per segment', async () => {
+    const generate = vi.fn().mockResolvedValue('value')
+
+    await withApiCache(CACHE_SEGMENTS.search, 'label=Bridge', generate)
+    await withApiCache(CACHE_SEGMENTS.search, 'label=Bridge', generate)
+
+    expect(getApiCacheStats().search).toMatchObject({ gets: 2, generates: 1, hits: 1 })
+  })
+})
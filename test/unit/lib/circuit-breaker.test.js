@@ -0,0 +1,108 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import { config } from '../../../src/config/config.js'
+import { getCircuitBreaker, getCircuitBreakerStates, resetCircuitBreakers, CIRCUIT_STATES } from '../../../src/lib/circuit-breaker.js'
+import { CircuitOpen } from '../../../src/lib/upstream-errors.js'
+
+const TEST_URL = 'http://example.com/id/stations'
+const OTHER_HOST_URL = 'http://other.example.com/id/stations'
+const FAILURE_THRESHOLD = 3
+const RESET_TIMEOUT_MS = 1000
+
+function openCircuit(breaker, now) {
+  for (let i = 0; i < FAILURE_THRESHOLD; i++) {
+    breaker.beforeRequest(TEST_URL, now)
+    breaker.recordFailure(now)
+  }
+}
+
+describe('circuit-breaker', () => {
+  beforeEach(() => {
+    config.set('api.circuitBreaker.enabled', true)
+    config.set('api.circuitBreaker.failureThreshold', FAILURE_THRESHOLD)
+    config.set('api.circuitBreaker.resetTimeout', RESET_TIMEOUT_MS)
+  })
+
+  afterEach(() => {
+    config.set('api.circuitBreaker.enabled', false)
+    resetCircuitBreakers()
+  })
+
+  test('returns null when disabled', () => {
+    config.set('api.circuitBreaker.enabled', false)
+
+    expect(getCircuitBreaker(TEST_URL)).toBeNull()
+  })
+
+  test('keeps one breaker per host', () => {
+    expect(getCircuitBreaker(TEST_URL)).toBe(getCircuitBreaker(`${TEST_URL}?RLOIid=3089`))
+    expect(getCircuitBreaker(TEST_URL)).not.toBe(getCircuitBreaker(OTHER_HOST_URL))
+  })
+
+  test('opens after consecutive failures and fails fast', () => {
+    const breaker = getCircuitBreaker(TEST_URL)
+    const now = Date.now()
+
+    openCircuit(breaker, now)
+
+    expect(breaker.isOpen()).toBe(true)
+    expect(() => breaker.beforeRequest(TEST_URL, now + 1)).toThrow(CircuitOpen)
+  })
+
+  test('a success resets the failure count', () => {
+    const breaker = getCircuitBreaker(TEST_URL)
+
+    breaker.recordFailure()
+    breaker.recordFailure()
+    breaker.recordSuccess()
+    breaker.recordFailure()
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.closed)
+  })
+
+  test('lets one trial request through after the reset timeout', () => {
+    const breaker = getCircuitBreaker(TEST_URL)
+    const now = Date.now()
+    openCircuit(breaker, now)
+
+    expect(() => breaker.beforeRequest(TEST_URL, now + RESET_TIMEOUT_MS)).not.toThrow()
+    expect(breaker.state).toBe(CIRCUIT_STATES.halfOpen)
+    expect(() => breaker.beforeRequest(TEST_URL, now + RESET_TIMEOUT_MS)).toThrow(CircuitOpen)
+
+    breaker.recordSuccess()
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.closed)
+  })
+
+  test('reopens when the trial request fails', () => {
+    const breaker = getCircuitBreaker(TEST_URL)
+    const now = Date.now()
+    openCircuit(breaker, now)
+
+    breaker.beforeRequest(TEST_URL, now + RESET_TIMEOUT_MS)
+    breaker.recordFailure(now + RESET_TIMEOUT_MS)
+
+    expect(breaker.isOpen()).toBe(true)
+    expect(() => breaker.beforeRequest(TEST_URL, now + RESET_TIMEOUT_MS + 1)).toThrow(CircuitOpen)
+  })
+
+  test('reports state per host', () => {
+    const now = Date.parse('2026-01-16T12:00:00Z')
+    openCircuit(getCircuitBreaker(TEST_URL), now)
+    getCircuitBreaker(OTHER_HOST_URL)
+
+    expect(getCircuitBreakerStates()).toEqual({
+      'example.com': {
+        state: 'open',
+        consecutiveFailures: FAILURE_THRESHOLD,
+        openedAt: '2026-01-16T12:00:00.000Z',
+        retryAt: '2026-01-16T12:00:01.000Z'
+      },
+      'other.example.com': {
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: null,
+        retryAt: null
+      }
+    })
+  })
+})
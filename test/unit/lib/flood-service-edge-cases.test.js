@@ -28,7 +28,8 @@ describe('flood-service edge cases', () => {
 
       expect(result).toBeDefined()
       expect(result.recentValue.value).toBe('0.00')
-      expect(result.trend).toBe('steady')
+      expect(result.trend).toBe('insufficient data')
+      expect(result.trendRate).toBeNull()
     })
 
     test('should handle readings with missing dateTime in trend calculation', () => {
@@ -104,9 +105,10 @@ describe('flood-service edge cases', () => {
 
       const result = formatStationData(stationNoScale, readings)
 
-      expect(result.state).toBe('normal')
+      expect(result.state).toBeNull()
       expect(result.hasPercentiles).toBe(false)
-      expect(result.stateInformation).toBe('Data not available')
+      expect(result.stateInformation).toBeNull()
+      expect(result.stageLevels).toEqual([])
     })
 
     test('should return null for null station', () => {
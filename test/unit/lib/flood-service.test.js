@@ -1,5 +1,18 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest'
-import { formatStationData, formatTelemetryData, getStation, getStationReadings, searchStations, proxyFetch } from '../../../src/lib/flood-service.js'
+import { ProxyAgent } from 'undici'
+import { config } from '../../../src/config/config.js'
+import { formatStationData, formatTelemetryData, getDefaultWindowDays, getStation, getStationReadings, getStationType, getTelemetryType, listMeasures, searchStations, proxyFetch } from '../../../src/lib/flood-service.js'
+import { resetCircuitBreakers } from '../../../src/lib/circuit-breaker.js'
+import { closeDispatchers } from '../../../src/lib/http-dispatcher.js'
+import {
+  UpstreamError,
+  StationNotFound,
+  UpstreamUnavailable,
+  UpstreamTimeout,
+  UpstreamBadPayload,
+  MeasureNotFound,
+  CircuitOpen
+} from '../../../src/lib/upstream-errors.js'
 
 // Test constants
 const TEST_API_URL = 'http://example.com/api'
@@ -64,6 +77,175 @@ describe('flood-service - proxyFetch', () => {
       expect(callArgs[1]).toBeDefined()
       expect(callArgs[0]).toBe(TEST_API_URL)
     })
+
+    it('should share one ProxyAgent dispatcher between requests', async () => {
+      config.set('httpProxy', 'http://proxy.example.com:8080')
+      globalThis.fetch.mockResolvedValue({ ok: true, status: 200 })
+
+      await proxyFetch(TEST_API_URL)
+      await proxyFetch(TEST_API_URL)
+
+      const [first, second] = globalThis.fetch.mock.calls.map(([, options]) => options.dispatcher)
+      expect(first).toBeInstanceOf(ProxyAgent)
+      expect(second).toBe(first)
+
+      config.set('httpProxy', null)
+      globalThis.fetch.mockReset()
+      await closeDispatchers()
+    })
+
+    it('should return 4xx responses for the caller to handle', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' })
+
+      const response = await proxyFetch(TEST_API_URL)
+
+      expect(response.status).toBe(404)
+    })
+
+    it('should throw UpstreamUnavailable on a 5xx response', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Service Unavailable' })
+
+      await expect(proxyFetch(TEST_API_URL)).rejects.toMatchObject({
+        name: 'UpstreamUnavailable',
+        url: TEST_API_URL,
+        status: 503,
+        statusCode: 503
+      })
+    })
+
+    it('should throw UpstreamUnavailable on a 429 response', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 429, statusText: 'Too Many Requests' })
+
+      await expect(proxyFetch(TEST_API_URL)).rejects.toBeInstanceOf(UpstreamUnavailable)
+    })
+
+    it('should throw UpstreamUnavailable when fetch rejects', async () => {
+      const networkError = new Error(NETWORK_ERROR_MESSAGE)
+      globalThis.fetch.mockRejectedValueOnce(networkError)
+
+      const error = await proxyFetch(TEST_API_URL).catch(e => e)
+
+      expect(error).toBeInstanceOf(UpstreamUnavailable)
+      expect(error.cause).toBe(networkError)
+    })
+
+    it('should throw UpstreamTimeout when the request is aborted by the timeout', async () => {
+      globalThis.fetch.mockImplementationOnce((url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new Error('aborted')))
+      }))
+
+      await expect(proxyFetch(TEST_API_URL, { timeout: 5 })).rejects.toBeInstanceOf(UpstreamTimeout)
+    })
+  })
+})
+
+describe('flood-service - proxyFetch retries and circuit breaker', () => {
+  const unavailable = (headers = {}) => ({
+    ok: false,
+    status: 503,
+    statusText: 'Service Unavailable',
+    headers: new Headers(headers)
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    config.set('api.retry.attempts', 3)
+    config.set('api.retry.baseDelay', 1)
+    config.set('api.retry.maxDelay', 50)
+  })
+
+  afterEach(() => {
+    config.set('api.retry.attempts', 1)
+    config.set('api.circuitBreaker.enabled', false)
+    resetCircuitBreakers()
+    globalThis.fetch.mockReset()
+    vi.restoreAllMocks()
+  })
+
+  it('should retry a GET until it succeeds', async () => {
+    globalThis.fetch
+      .mockRejectedValueOnce(new Error(NETWORK_ERROR_MESSAGE))
+      .mockResolvedValueOnce(unavailable())
+      .mockResolvedValueOnce({ ok: true, status: 200 })
+
+    const response = await proxyFetch(TEST_API_URL)
+
+    expect(response.status).toBe(200)
+    expect(globalThis.fetch).toHaveBeenCalledTimes(3)
+  })
+
+  it('should give up after the configured attempts', async () => {
+    globalThis.fetch.mockResolvedValue(unavailable())
+
+    await expect(proxyFetch(TEST_API_URL)).rejects.toBeInstanceOf(UpstreamUnavailable)
+    expect(globalThis.fetch).toHaveBeenCalledTimes(3)
+  })
+
+  it('should not retry a 4xx response', async () => {
+    globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' })
+
+    await proxyFetch(TEST_API_URL)
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('should not retry a non-idempotent request', async () => {
+    globalThis.fetch.mockResolvedValue(unavailable())
+
+    await expect(proxyFetch(TEST_API_URL, { method: 'POST' })).rejects.toBeInstanceOf(UpstreamUnavailable)
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('should wait for Retry-After before retrying', async () => {
+    const sleepSpy = vi.spyOn(globalThis, 'setTimeout')
+    globalThis.fetch
+      .mockResolvedValueOnce(unavailable({ 'Retry-After': '0' }))
+      .mockResolvedValueOnce({ ok: true, status: 200 })
+
+    await proxyFetch(TEST_API_URL)
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2)
+    expect(sleepSpy).toHaveBeenCalledWith(expect.any(Function), 0)
+  })
+
+  it('should fail without retrying when Retry-After is longer than the max delay', async () => {
+    globalThis.fetch.mockResolvedValue(unavailable({ 'Retry-After': '120' }))
+
+    await expect(proxyFetch(TEST_API_URL)).rejects.toMatchObject({ retryAfterMs: 120000 })
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('should fail fast once the circuit is open', async () => {
+    config.set('api.circuitBreaker.enabled', true)
+    config.set('api.circuitBreaker.failureThreshold', 2)
+    globalThis.fetch.mockResolvedValue(unavailable())
+
+    await expect(proxyFetch(TEST_API_URL)).rejects.toBeInstanceOf(UpstreamUnavailable)
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2)
+
+    await expect(proxyFetch(TEST_API_URL)).rejects.toBeInstanceOf(CircuitOpen)
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it('should let another trial through after a half-open trial fails with an error that is not retried', async () => {
+    const resetTimeout = config.get('api.circuitBreaker.resetTimeout')
+    config.set('api.retry.attempts', 1)
+    config.set('api.circuitBreaker.enabled', true)
+    config.set('api.circuitBreaker.failureThreshold', 1)
+    config.set('api.circuitBreaker.resetTimeout', 0)
+    globalThis.fetch
+      .mockResolvedValueOnce(unavailable())
+      // No response to read a status from, which fails with a TypeError rather than an UpstreamError
+      .mockResolvedValueOnce(undefined)
+      .mockResolvedValueOnce({ ok: true, status: 200 })
+
+    try {
+      await expect(proxyFetch(TEST_API_URL)).rejects.toBeInstanceOf(UpstreamUnavailable)
+      await expect(proxyFetch(TEST_API_URL)).rejects.toBeInstanceOf(TypeError)
+      await expect(proxyFetch(TEST_API_URL)).resolves.toMatchObject({ status: 200 })
+    } finally {
+      config.set('api.circuitBreaker.resetTimeout', resetTimeout)
+    }
   })
 })
 
@@ -97,45 +279,87 @@ describe('flood-service - getStation', () => {
       })
     })
 
-    it('should return null when API response is not ok', async () => {
+    it('should throw StationNotFound when API responds 404', async () => {
       globalThis.fetch.mockResolvedValueOnce({
         ok: false,
+        status: 404,
         statusText: 'Not Found'
       })
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => { })
-      const result = await getStation('99999')
+      await expect(getStation('99999')).rejects.toMatchObject({
+        name: 'StationNotFound',
+        stationId: '99999',
+        statusCode: 404
+      })
+    })
 
-      expect(result).toBeNull()
-      expect(consoleSpy).toHaveBeenCalled()
-      consoleSpy.mockRestore()
+    it('should throw UpstreamError when API responds with another client error', async () => {
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        statusText: 'Bad Request'
+      })
+
+      const error = await getStation('99999').catch(e => e)
+
+      expect(error).toBeInstanceOf(UpstreamError)
+      expect(error).not.toBeInstanceOf(StationNotFound)
+      expect(error.status).toBe(400)
+    })
+
+    it('should throw StationNotFound when neither RLOI ID nor station reference matches', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [] }) })
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [] }) })
+
+      await expect(getStation('99999')).rejects.toBeInstanceOf(StationNotFound)
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('/id/stations?RLOIid=99999')
+      expect(globalThis.fetch.mock.calls[1][0]).toContain('/id/stations?stationReference=99999')
+    })
+
+    it('should find a rain gauge by station reference', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [] }) })
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [{ stationReference: 'E7050', label: 'Rain Gauge' }] }) })
+
+      const result = await getStation('E7050')
+
+      expect(result).toMatchObject({ stationReference: 'E7050' })
     })
 
-    it('should return null when no items in response', async () => {
+    it('should throw UpstreamBadPayload when response is not JSON', async () => {
       globalThis.fetch.mockResolvedValueOnce({
         ok: true,
-        json: async () => ({ items: [] })
+        status: 200,
+        json: async () => { throw new SyntaxError('Unexpected token <') }
       })
 
-      const result = await getStation('99999')
-
-      expect(result).toBeNull()
+      await expect(getStation('3089')).rejects.toBeInstanceOf(UpstreamBadPayload)
     })
 
-    it('should return null on fetch error', async () => {
+    it('should throw UpstreamUnavailable on fetch error', async () => {
       globalThis.fetch.mockRejectedValueOnce(new Error(NETWORK_ERROR_MESSAGE))
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => { })
-      const result = await getStation('3089')
-
-      expect(result).toBeNull()
-      expect(consoleSpy).toHaveBeenCalled()
-      consoleSpy.mockRestore()
+      await expect(getStation('3089')).rejects.toBeInstanceOf(UpstreamUnavailable)
     })
   })
 })
 
 describe('flood-service - getStationReadings', () => {
+  const READINGS_PAGE_SIZE = 2000
+
+  const mockLevelStation = () => globalThis.fetch.mockResolvedValueOnce({
+    ok: true,
+    json: async () => ({
+      items: [{
+        measures: [{
+          '@id': TEST_MEASURE_ID,
+          parameterName: 'Water Level'
+        }]
+      }]
+    })
+  })
+
   beforeEach(() => {
     vi.clearAllMocks()
   })
@@ -177,7 +401,66 @@ describe('flood-service - getStationReadings', () => {
       consoleSpy.mockRestore()
     })
 
-    it('should return empty array when readings data has no items property', async () => {
+    it('should request readings since the start of the default window', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(new Date(SAMPLE_DATETIME_5))
+      mockLevelStation()
+      globalThis.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ items: [] }) })
+
+      await getStationReadings('3089')
+
+      const readingsUrl = globalThis.fetch.mock.calls[1][0]
+      expect(readingsUrl).toContain('measure=123')
+      expect(readingsUrl).toContain('since=2026-01-11T13:00:00.000Z')
+      expect(readingsUrl).toContain('_offset=0')
+      vi.useRealTimers()
+    })
+
+    it('should request a year of readings for a borehole', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(new Date(SAMPLE_DATETIME_5))
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          items: [{
+            type: ['http://environment.data.gov.uk/flood-monitoring/def/core/Groundwater'],
+            measures: [{ '@id': TEST_MEASURE_ID, parameter: 'level', parameterName: 'Groundwater', qualifier: 'Groundwater' }]
+          }]
+        })
+      })
+      globalThis.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ items: [] }) })
+
+      await getStationReadings('F1906')
+
+      expect(globalThis.fetch.mock.calls[1][0]).toContain('since=2025-01-16T13:00:00.000Z')
+      vi.useRealTimers()
+    })
+
+    it('should honour since for incremental fetches, from the start of its hour', async () => {
+      mockLevelStation()
+      globalThis.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ items: [] }) })
+
+      await getStationReadings('3089', SAMPLE_DATETIME_3)
+
+      expect(globalThis.fetch.mock.calls[1][0]).toContain('since=2026-01-16T12:00:00.000Z')
+    })
+
+    it('should page through readings until a short page is returned', async () => {
+      const fullPage = Array.from({ length: READINGS_PAGE_SIZE }, (_, i) => ({ dateTime: SAMPLE_DATETIME_1, value: i }))
+      mockLevelStation()
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ items: fullPage }) })
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [{ dateTime: SAMPLE_DATETIME_1, value: 0.5 }] }) })
+
+      const result = await getStationReadings('3089')
+
+      expect(result).toHaveLength(READINGS_PAGE_SIZE + 1)
+      expect(globalThis.fetch).toHaveBeenCalledTimes(3)
+      expect(globalThis.fetch.mock.calls[1][0]).toContain(`_limit=${READINGS_PAGE_SIZE}&_offset=0`)
+      expect(globalThis.fetch.mock.calls[2][0]).toContain(`_limit=${READINGS_PAGE_SIZE}&_offset=${READINGS_PAGE_SIZE}`)
+    })
+
+    it('should throw UpstreamBadPayload when readings data has no items property', async () => {
       globalThis.fetch.mockResolvedValueOnce({
         ok: true,
         json: async () => ({
@@ -195,35 +478,25 @@ describe('flood-service - getStationReadings', () => {
         json: async () => ({})
       })
 
-      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => { })
-      const result = await getStationReadings('3089')
-
-      expect(result).toEqual([])
-      consoleSpy.mockRestore()
+      await expect(getStationReadings('3089')).rejects.toBeInstanceOf(UpstreamBadPayload)
     })
 
-    it('should return empty array when station not found', async () => {
+    it('should throw StationNotFound when station not found', async () => {
       globalThis.fetch.mockResolvedValueOnce({
         ok: false,
+        status: 404,
         statusText: 'Not Found'
       })
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => { })
-      const result = await getStationReadings('99999')
-
-      expect(result).toEqual([])
-      consoleSpy.mockRestore()
+      await expect(getStationReadings('99999')).rejects.toBeInstanceOf(StationNotFound)
     })
 
-    it('should return empty array when station has no items', async () => {
-      globalThis.fetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({ items: [] })
-      })
-
-      const result = await getStationReadings('99999')
+    it('should throw StationNotFound when station has no items', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [] }) })
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [] }) })
 
-      expect(result).toEqual([])
+      await expect(getStationReadings('99999')).rejects.toBeInstanceOf(StationNotFound)
     })
 
     it('should return empty array when station has no measures', async () => {
@@ -257,7 +530,7 @@ describe('flood-service - getStationReadings', () => {
       expect(result).toEqual([])
     })
 
-    it('should return empty array when readings API fails', async () => {
+    it('should throw UpstreamUnavailable when readings API fails', async () => {
       globalThis.fetch.mockResolvedValueOnce({
         ok: true,
         json: async () => ({
@@ -276,25 +549,192 @@ describe('flood-service - getStationReadings', () => {
         statusText: 'Server Error'
       })
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => { })
-      const result = await getStationReadings('3089')
-
-      expect(result).toEqual([])
-      consoleSpy.mockRestore()
+      await expect(getStationReadings('3089')).rejects.toMatchObject({
+        name: 'UpstreamUnavailable',
+        status: 500
+      })
     })
 
-    it('should return empty array on fetch error', async () => {
+    it('should throw UpstreamUnavailable on fetch error', async () => {
       globalThis.fetch.mockRejectedValueOnce(new Error(NETWORK_ERROR_MESSAGE))
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => { })
-      const result = await getStationReadings('3089')
-
-      expect(result).toEqual([])
-      consoleSpy.mockRestore()
+      await expect(getStationReadings('3089')).rejects.toBeInstanceOf(UpstreamUnavailable)
     })
   })
 })
 
+describe('flood-service - measures', () => {
+  const stageMeasure = {
+    '@id': 'http://example.com/id/measures/7001-level-stage-i-15_min-mASD',
+    parameter: 'level',
+    parameterName: 'Water Level',
+    qualifier: 'Stage',
+    unitName: 'mASD'
+  }
+  const downstreamMeasure = {
+    '@id': 'http://example.com/id/measures/7001-level-downstage-i-15_min-mASD',
+    parameter: 'level',
+    parameterName: 'Water Level',
+    qualifier: 'Downstream Stage',
+    unitName: 'mASD'
+  }
+  const flowMeasure = {
+    '@id': 'http://example.com/id/measures/7001-flow--i-15_min-m3_s',
+    parameter: 'flow',
+    parameterName: 'Flow',
+    qualifier: '',
+    unitName: 'm3/s'
+  }
+  const unusableMeasure = {
+    '@id': 'http://example.com/id/measures/7001-level-stage-i-15_min----',
+    parameter: 'level',
+    parameterName: 'Water Level',
+    unitName: '---'
+  }
+  const station = { measures: [downstreamMeasure, stageMeasure, flowMeasure, unusableMeasure] }
+
+  afterEach(() => {
+    globalThis.fetch.mockReset()
+  })
+
+  it('should list every usable measure and flag the default', () => {
+    expect(listMeasures(station)).toEqual([
+      {
+        id: '7001-level-downstage-i-15_min-mASD',
+        label: 'Water Level (Downstream Stage, mASD)',
+        parameter: 'level',
+        qualifier: 'Downstream Stage',
+        unitName: 'mASD',
+        isDefault: false
+      },
+      {
+        id: '7001-level-stage-i-15_min-mASD',
+        label: 'Water Level (Stage, mASD)',
+        parameter: 'level',
+        qualifier: 'Stage',
+        unitName: 'mASD',
+        isDefault: true
+      },
+      {
+        id: '7001-flow--i-15_min-m3_s',
+        label: 'Flow (m3/s)',
+        parameter: 'flow',
+        qualifier: null,
+        unitName: 'm3/s',
+        isDefault: false
+      }
+    ])
+  })
+
+  it('should return no measures for a station without any', () => {
+    expect(listMeasures({})).toEqual([])
+    expect(listMeasures(null)).toEqual([])
+  })
+
+  it('should fetch readings for the selected measure', async () => {
+    globalThis.fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [station] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [] }) })
+
+    await getStationReadings('7001', null, '7001-level-downstage-i-15_min-mASD')
+
+    expect(globalThis.fetch.mock.calls[1][0]).toContain('measure=7001-level-downstage-i-15_min-mASD&')
+  })
+
+  it('should fetch readings for the default measure when none is selected', async () => {
+    globalThis.fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [station] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [] }) })
+
+    await getStationReadings('7001')
+
+    expect(globalThis.fetch.mock.calls[1][0]).toContain('measure=7001-level-stage-i-15_min-mASD&')
+  })
+
+  it('should throw MeasureNotFound for a measure the station does not have', async () => {
+    globalThis.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ items: [station] }) })
+
+    const error = await getStationReadings('7001', null, '7001-level-stage-i-15_min----').catch(e => e)
+
+    expect(error).toBeInstanceOf(MeasureNotFound)
+    expect(error.statusCode).toBe(404)
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('should default a rain gauge to its rainfall measure', async () => {
+    const rainGauge = {
+      measures: [{
+        '@id': 'http://example.com/id/measures/E7050-rainfall-tipping_bucket_raingauge-t-15_min-mm',
+        parameter: 'rainfall',
+        parameterName: 'Rainfall',
+        qualifier: 'Tipping Bucket Raingauge',
+        unitName: 'mm'
+      }]
+    }
+    globalThis.fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [rainGauge] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [] }) })
+
+    await getStationReadings('E7050')
+
+    expect(listMeasures(rainGauge)[0]).toMatchObject({ parameter: 'rainfall', isDefault: true })
+    expect(globalThis.fetch.mock.calls[1][0]).toContain('measure=E7050-rainfall-tipping_bucket_raingauge-t-15_min-mm&')
+  })
+
+  it('should chart rainfall measures as rainfall and everything else as river', () => {
+    expect(getTelemetryType({ parameter: 'rainfall' })).toBe('rainfall')
+    expect(getTelemetryType({ parameter: 'flow' })).toBe('river')
+    expect(getTelemetryType(null)).toBe('river')
+  })
+
+  it('should chart levels at coastal stations as tide', () => {
+    expect(getTelemetryType({ parameter: 'level' }, { stationType: 'C' })).toBe('tide')
+    expect(getTelemetryType({ parameter: 'rainfall' }, { stationType: 'C' })).toBe('rainfall')
+  })
+
+  it('should chart levels at boreholes as groundwater', () => {
+    expect(getTelemetryType({ parameter: 'level' }, { stationType: 'G' })).toBe('groundwater')
+  })
+
+  it('should default boreholes to a year of readings and everything else to 5 days', () => {
+    expect(getDefaultWindowDays({ stationType: 'G' })).toBe(365)
+    expect(getDefaultWindowDays({ stationType: 'S' })).toBe(5)
+    expect(getDefaultWindowDays(null)).toBe(5)
+  })
+})
+
+describe('flood-service - getStationType', () => {
+  it('should use the RLOI station type when there is one', () => {
+    expect(getStationType({ stationType: 'M' })).toBe('M')
+  })
+
+  it('should recognise coastal stations from their API types', () => {
+    expect(getStationType({
+      type: [
+        'http://environment.data.gov.uk/flood-monitoring/def/core/Coastal',
+        'http://environment.data.gov.uk/flood-monitoring/def/core/SingleLevel'
+      ]
+    })).toBe('C')
+    expect(getStationType({ type: 'http://environment.data.gov.uk/flood-monitoring/def/core/Coastal' })).toBe('C')
+  })
+
+  it('should recognise boreholes from their API types', () => {
+    expect(getStationType({ type: ['http://environment.data.gov.uk/flood-monitoring/def/core/Groundwater'] })).toBe('G')
+  })
+
+  it('should default to a river station', () => {
+    expect(getStationType({ type: ['http://environment.data.gov.uk/flood-monitoring/def/core/SingleLevel'] })).toBe('S')
+    expect(getStationType({})).toBe('S')
+    expect(getStationType(null)).toBe('S')
+  })
+
+  it('should give formatted coastal stations type C', () => {
+    const result = formatStationData({ label: 'Avonmouth', type: ['http://environment.data.gov.uk/flood-monitoring/def/core/Coastal'] }, [])
+
+    expect(result.type).toBe('C')
+  })
+})
+
 describe('flood-service - searchStations', () => {
   beforeEach(() => {
     vi.clearAllMocks()
@@ -322,6 +762,28 @@ describe('flood-service - searchStations', () => {
       expect(result[0].label).toBe('Station 1')
     })
 
+    it('should search around a point', async () => {
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ items: [] })
+      })
+
+      await searchStations({ lat: 52.2, long: -2.3, dist: 5 })
+
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('/id/stations?lat=52.2&long=-2.3&dist=5&_limit=50')
+    })
+
+    it('should search by part of a name and town for a station type, a page at a time', async () => {
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ items: [] })
+      })
+
+      await searchStations({ search: 'Knight', town: 'Worcester', stationType: 'C', limit: 21, offset: 20 })
+
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('/id/stations?search=Knight&town=Worcester&type=Coastal&_limit=21&_offset=20')
+    })
+
     it('should handle empty query object', async () => {
       globalThis.fetch.mockResolvedValueOnce({
         ok: true,
@@ -335,27 +797,23 @@ describe('flood-service - searchStations', () => {
       expect(result).toEqual([])
     })
 
-    it('should return empty array on API error', async () => {
+    it('should throw UpstreamError on API error', async () => {
       globalThis.fetch.mockResolvedValueOnce({
         ok: false,
+        status: 400,
         statusText: 'Bad Request'
       })
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => { })
-      const result = await searchStations({ label: 'Test' })
-
-      expect(result).toEqual([])
-      consoleSpy.mockRestore()
+      await expect(searchStations({ label: 'Test' })).rejects.toMatchObject({
+        name: 'UpstreamError',
+        status: 400
+      })
     })
 
-    it('should return empty array on fetch error', async () => {
+    it('should throw UpstreamUnavailable on fetch error', async () => {
       globalThis.fetch.mockRejectedValueOnce(new Error(NETWORK_ERROR_MESSAGE))
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => { })
-      const result = await searchStations({ label: 'Test' })
-
-      expect(result).toEqual([])
-      consoleSpy.mockRestore()
+      await expect(searchStations({ label: 'Test' })).rejects.toBeInstanceOf(UpstreamUnavailable)
     })
   })
 })
@@ -459,6 +917,30 @@ describe('formatStationData - State Detection', () => {
 
     expect(result.state).toBe('high')
   })
+
+  it('should describe the latest value against the records and list the stage levels', () => {
+    const station = {
+      ...mockStation,
+      stageScale: {
+        ...mockStation.stageScale,
+        highestRecent: { dateTime: '2024-03-02T10:00:00Z', value: 2.1 },
+        maxOnRecord: { dateTime: '2020-02-16T08:00:00Z', value: 2.5 }
+      }
+    }
+
+    const result = formatStationData(station, [{ dateTime: SAMPLE_DATETIME_5, value: 2.2 }])
+
+    expect(result.stateDescription).toBe('Highest in recent years')
+    expect(result.stageLevels.map(level => level.id)).toEqual(['highest-recent', 'max-on-record'])
+  })
+
+  it('should not give a state without a stage scale for the readings', () => {
+    const result = formatStationData(mockStation, [{ dateTime: SAMPLE_DATETIME_5, value: 2 }], { stageScale: null })
+
+    expect(result.state).toBeNull()
+    expect(result.typicalRangeHigh).toBeNull()
+    expect(result.stageLevels).toEqual([])
+  })
 })
 
 describe('formatStationData - Edge Cases', () => {
@@ -477,7 +959,7 @@ describe('formatStationData - Edge Cases', () => {
     const result = formatStationData(mockStation, [])
 
     expect(result.recentValue.value).toBe('0.00')
-    expect(result.trend).toBe('steady')
+    expect(result.trend).toBe('insufficient data')
   })
 
   it('should return null for null station', () => {
@@ -498,8 +980,8 @@ describe('formatStationData - Edge Cases', () => {
 
     const result = formatStationData(stationWithoutScale, readings)
 
-    expect(result.state).toBe('normal')
-    expect(result.stateInformation).toBe('Data not available')
+    expect(result.state).toBeNull()
+    expect(result.stateInformation).toBeNull()
     expect(result.hasPercentiles).toBe(false)
   })
 
@@ -566,7 +1048,7 @@ describe('formatStationData - Edge Cases', () => {
     expect(result.status).toBe('closed')
   })
 
-  it('should handle readings with less than 5 items for trend', () => {
+  it('should not give a trend from fewer than 3 readings', () => {
     const readings = [
       { dateTime: SAMPLE_DATETIME_1, value: 0.5 },
       { dateTime: SAMPLE_DATETIME_2, value: 0.6 }
@@ -574,11 +1056,11 @@ describe('formatStationData - Edge Cases', () => {
 
     const result = formatStationData(mockStation, readings)
 
-    expect(result.trend).toBe('steady')
+    expect(result.trend).toBe('insufficient data')
+    expect(result.trendRate).toBeNull()
   })
 
-  it('should handle readings where hourAgoReading has no value', () => {
-    // Create 6 readings where the 5th from end has no value
+  it('should ignore readings without a value in the trend', () => {
     const readings = [
       { dateTime: '2026-01-16T11:00:00Z', value: 0.5 },
       { dateTime: '2026-01-16T11:15:00Z' }, // Missing value - this will be hourAgoReading
@@ -590,8 +1072,8 @@ describe('formatStationData - Edge Cases', () => {
 
     const result = formatStationData(mockStation, readings)
 
-    // Should be steady since hourAgoReading (readings[1]) has no value
-    expect(result.trend).toBe('steady')
+    expect(result.trend).toBe('rising')
+    expect(result.trendRate).toBeCloseTo(0.2, 2)
   })
 
   it('should handle station with stageScale but latestValue equal to typical', () => {
@@ -623,6 +1105,12 @@ describe('formatStationData - Edge Cases', () => {
     expect(result.recentValue).toBeDefined()
     expect(result.recentValue.formattedTime).toBeDefined()
   })
+
+  it('should give the first RLOI ID of a station with more than one', () => {
+    const result = formatStationData({ ...mockStation, RLOIid: ['1234', '5678'] }, [])
+
+    expect(result.rloiId).toBe('1234')
+  })
 })
 
 describe('formatTelemetryData', () => {
@@ -648,6 +1136,33 @@ describe('formatTelemetryData', () => {
     vi.useRealTimers()
   })
 
+  it('should use a caller-supplied window', () => {
+    const readings = [
+      { dateTime: '2025-12-01T12:00:00Z', value: 0.4 },
+      { dateTime: '2026-01-02T12:00:00Z', value: 0.5 },
+      { dateTime: '2026-01-10T12:00:00Z', value: 0.6 },
+      { dateTime: '2026-01-16T12:00:00Z', value: 0.7 }
+    ]
+
+    const result = formatTelemetryData(readings, {
+      start: '2026-01-01T00:00:00Z',
+      end: new Date('2026-01-15T00:00:00Z')
+    })
+
+    expect(result.observed.map(r => r.value)).toEqual([0.5, 0.6])
+  })
+
+  it('should carry the chart data type, defaulting to river', () => {
+    expect(formatTelemetryData([], { type: 'rainfall' }).type).toBe('rainfall')
+    expect(formatTelemetryData([]).type).toBe('river')
+  })
+
+  it('should carry the measure unit, defaulting to metres', () => {
+    expect(formatTelemetryData([], { unitName: 'm3/s' }).unitName).toBe('m3/s')
+    expect(formatTelemetryData([]).unitName).toBe('m')
+    expect(formatTelemetryData([], { unitName: null }).unitName).toBe('m')
+  })
+
   it('should handle empty readings', () => {
     const result = formatTelemetryData([])
 
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { readFile } from 'node:fs/promises'
+import { config } from '../../../src/config/config.js'
+import { proxyFetch } from '../../../src/lib/flood-service.js'
+import { isStubUrl, parseWarning, matchesStation, getFloodWarnings } from '../../../src/lib/flood-warnings-service.js'
+
+const ALERT = {
+  floodAreaID: '034WAF422',
+  description: 'River Teme at Knightwick and Broadwas',
+  severityLevel: 3,
+  message: 'Flooding of low-lying land is possible.',
+  timeRaised: '2026-01-16T08:15:00',
+  floodArea: { county: 'Herefordshire, Worcestershire', riverOrSea: 'River Teme, Leigh Brook' }
+}
+const WARNING = {
+  floodAreaID: '034FWFTEPOWICK',
+  description: 'River Teme at Powick',
+  severityLevel: 2,
+  timeRaised: '2026-01-16T10:30:00',
+  floodArea: { county: 'Worcestershire', riverOrSea: 'River Teme' }
+}
+const EARLIER_WARNING = { ...WARNING, floodAreaID: '034FWFSEWORCS', description: 'River Severn at Worcester', timeRaised: '2026-01-15T18:00:00' }
+const NO_LONGER_IN_FORCE = { ...WARNING, floodAreaID: '034FWFOLD', severityLevel: 4 }
+
+let settings
+
+vi.mock('../../../src/config/config.js', () => ({
+  config: {
+    get: vi.fn()
+  }
+}))
+
+vi.mock('../../../src/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}))
+
+vi.mock('node:fs/promises', () => ({
+  readFile: vi.fn()
+}))
+
+vi.mock('../../../src/lib/flood-service.js', async () => {
+  const { readJson } = await vi.importActual('../../../src/lib/flood-service.js')
+  return { proxyFetch: vi.fn(), readJson }
+})
+
+function jsonResponse(body, status = 200) {
+  return { ok: status < 400, status, statusText: status < 400 ? 'OK' : 'Error', json: async () => body }
+}
+
+describe('flood-warnings-service', () => {
+  beforeEach(() => {
+    settings = {
+      root: '/tmp/test-project',
+      'api.floodMonitoring.baseUrl': 'https://environment.data.gov.uk/flood-monitoring'
+    }
+    config.get.mockImplementation((key) => settings[key] ?? null)
+    proxyFetch.mockReset()
+    readFile.mockReset()
+  })
+
+  describe('isStubUrl', () => {
+    it('should recognise local and stub hosts', () => {
+      expect(isStubUrl('http://localhost:3001/flood-monitoring')).toBe(true)
+      expect(isStubUrl('http://127.0.0.1:3001')).toBe(true)
+      expect(isStubUrl('http://flood-api-stub:3001/flood-monitoring')).toBe(true)
+      expect(isStubUrl('https://environment.data.gov.uk/flood-monitoring')).toBe(false)
+      expect(isStubUrl('not a url')).toBe(false)
+    })
+  })
+
+  describe('parseWarning', () => {
+    it('should give the severity, area, rivers, counties and when it was raised', () => {
+      expect(parseWarning(ALERT)).toEqual({
+        id: '034WAF422',
+        area: 'River Teme at Knightwick and Broadwas',
+        severityLevel: 3,
+        severity: 'Flood alert',
+        message: 'Flooding of low-lying land is possible.',
+        counties: ['herefordshire', 'worcestershire'],
+        rivers: ['teme', 'leigh brook'],
+        raisedAt: '2026-01-16T08:15:00.000Z',
+        raisedTime: '8:15am',
+        raisedDay: '16 January',
+        url: 'https://check-for-flooding.service.gov.uk/target-area/034WAF422'
+      })
+    })
+
+    it('should give null for warnings no longer in force', () => {
+      expect(parseWarning(NO_LONGER_IN_FORCE)).toBeNull()
+      expect(parseWarning(null)).toBeNull()
+    })
+  })
+
+  describe('matchesStation', () => {
+    const warning = parseWarning(ALERT)
+
+    it('should match the station river', () => {
+      expect(matchesStation(warning, { riverName: 'River Teme' })).toBe(true)
+      expect(matchesStation(warning, { riverName: 'Leigh Brook' })).toBe(true)
+      expect(matchesStation(warning, { riverName: 'River Severn' })).toBe(false)
+    })
+
+    it('should match the station county when it has one', () => {
+      expect(matchesStation(warning, { riverName: 'River Severn', county: 'Worcestershire' })).toBe(true)
+      expect(matchesStation(warning, { county: 'Shropshire' })).toBe(false)
+      expect(matchesStation(warning, {})).toBe(false)
+    })
+  })
+
+  describe('getFloodWarnings', () => {
+    it('should fetch warnings in force, most severe and then most recent first', async () => {
+      proxyFetch.mockResolvedValue(jsonResponse({ items: [ALERT, EARLIER_WARNING, NO_LONGER_IN_FORCE, WARNING] }))
+
+      const result = await getFloodWarnings()
+
+      expect(proxyFetch).toHaveBeenCalledWith('https://environment.data.gov.uk/flood-monitoring/id/floods?min-severity=3')
+      expect(result.map(warning => warning.id)).toEqual(['034FWFTEPOWICK', '034FWFSEWORCS', '034WAF422'])
+    })
+
+    it('should read the fixture when the base URL is a stub', async () => {
+      settings['api.floodMonitoring.baseUrl'] = 'http://localhost:3001/flood-monitoring'
+      readFile.mockResolvedValue(JSON.stringify({ items: [WARNING] }))
+
+      const result = await getFloodWarnings()
+
+      expect(proxyFetch).not.toHaveBeenCalled()
+      expect(readFile).toHaveBeenCalledWith('/tmp/test-project/data/flood-warnings/fixture.json', 'utf8')
+      expect(result).toHaveLength(1)
+    })
+
+    it('should give no warnings when they could not be read', async () => {
+      proxyFetch.mockResolvedValue(jsonResponse({}, 500))
+
+      await expect(getFloodWarnings()).resolves.toEqual([])
+    })
+  })
+})
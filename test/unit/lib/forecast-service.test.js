@@ -0,0 +1,241 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { readFile } from 'node:fs/promises'
+import { config } from '../../../src/config/config.js'
+import { proxyFetch } from '../../../src/lib/flood-service.js'
+import { UpstreamBadPayload } from '../../../src/lib/upstream-errors.js'
+import { parseForecast, getForecast, attachForecast, describeForecast } from '../../../src/lib/forecast-service.js'
+
+const NOW = new Date('2026-01-16T13:20:00Z')
+const FORECAST = {
+  issuedAt: '2026-01-16T12:00:00.000Z',
+  readings: [
+    { dateTime: '2026-01-16T12:00:00.000Z', value: 0.2 },
+    { dateTime: '2026-01-16T18:00:00.000Z', value: 0.4 },
+    { dateTime: '2026-01-17T12:00:00.000Z', value: 0.3 }
+  ]
+}
+
+let settings
+
+vi.mock('../../../src/config/config.js', () => ({
+  config: {
+    get: vi.fn()
+  }
+}))
+
+vi.mock('../../../src/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}))
+
+vi.mock('node:fs/promises', () => ({
+  readFile: vi.fn()
+}))
+
+vi.mock('../../../src/lib/flood-service.js', () => ({
+  proxyFetch: vi.fn()
+}))
+
+function fileNotFound() {
+  return Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' })
+}
+
+describe('forecast-service', () => {
+  beforeEach(() => {
+    settings = {
+      root: '/tmp/test-project',
+      'forecast.source': 'file',
+      'forecast.directory': 'data/forecasts',
+      'forecast.url': null
+    }
+    config.get.mockImplementation((key) => settings[key] ?? null)
+  })
+
+  describe('parseForecast', () => {
+    it('should keep valid readings, oldest first', () => {
+      const result = parseForecast({
+        issuedAt: '2026-01-16T12:00:00Z',
+        readings: [
+          { dateTime: '2026-01-16T18:00:00Z', value: '0.4' },
+          { dateTime: '2026-01-16T15:00:00Z', value: 0.3 },
+          { dateTime: 'not a date', value: 0.5 },
+          { dateTime: '2026-01-16T21:00:00Z', value: null },
+          null
+        ]
+      })
+
+      expect(result).toEqual({
+        issuedAt: '2026-01-16T12:00:00.000Z',
+        readings: [
+          { dateTime: '2026-01-16T15:00:00.000Z', value: 0.3 },
+          { dateTime: '2026-01-16T18:00:00.000Z', value: 0.4 }
+        ]
+      })
+    })
+
+    it('should keep bounds given as lower and upper or as 10th and 90th percentiles', () => {
+      const result = parseForecast({
+        issuedAt: '2026-01-16T12:00:00Z',
+        readings: [
+          { dateTime: '2026-01-16T15:00:00Z', value: 0.3, lower: 0.2, upper: '0.45' },
+          { dateTime: '2026-01-16T18:00:00Z', value: 0.4, p10: 0.25, p90: 0.6 }
+        ]
+      })
+
+      expect(result.readings).toEqual([
+        { dateTime: '2026-01-16T15:00:00.000Z', value: 0.3, lower: 0.2, upper: 0.45 },
+        { dateTime: '2026-01-16T18:00:00.000Z', value: 0.4, lower: 0.25, upper: 0.6 }
+      ])
+    })
+
+    it('should drop bounds that are missing one end or out of order', () => {
+      const result = parseForecast({
+        issuedAt: '2026-01-16T12:00:00Z',
+        readings: [
+          { dateTime: '2026-01-16T15:00:00Z', value: 0.3, lower: 0.2 },
+          { dateTime: '2026-01-16T18:00:00Z', value: 0.4, lower: 0.6, upper: 0.3 }
+        ]
+      })
+
+      expect(result.readings).toEqual([
+        { dateTime: '2026-01-16T15:00:00.000Z', value: 0.3 },
+        { dateTime: '2026-01-16T18:00:00.000Z', value: 0.4 }
+      ])
+    })
+
+    it('should give null when no readings are usable', () => {
+      expect(parseForecast({ issuedAt: '2026-01-16T12:00:00Z', readings: [] })).toBeNull()
+    })
+
+    it('should reject a forecast without an issue time or readings list', () => {
+      expect(() => parseForecast({ readings: [] })).toThrow(UpstreamBadPayload)
+      expect(() => parseForecast({ issuedAt: '2026-01-16T12:00:00Z' })).toThrow(UpstreamBadPayload)
+      expect(() => parseForecast(null)).toThrow(UpstreamBadPayload)
+    })
+  })
+
+  describe('getForecast', () => {
+    it('should read the station file from the drop directory', async () => {
+      readFile.mockResolvedValue(JSON.stringify(FORECAST))
+
+      const result = await getForecast('3089', NOW)
+
+      expect(readFile).toHaveBeenCalledWith('/tmp/test-project/data/forecasts/3089.json', 'utf8')
+      expect(result).toEqual(FORECAST)
+    })
+
+    it('should give null when the station has no forecast file', async () => {
+      readFile.mockRejectedValue(fileNotFound())
+
+      expect(await getForecast('3089', NOW)).toBeNull()
+    })
+
+    it('should give null rather than throw when a forecast file is unreadable', async () => {
+      readFile.mockResolvedValue('{ not json')
+
+      expect(await getForecast('3089', NOW)).toBeNull()
+    })
+
+    it('should give null when the forecast has run out', async () => {
+      readFile.mockResolvedValue(JSON.stringify(FORECAST))
+
+      expect(await getForecast('3089', new Date('2026-01-17T12:00:00Z'))).toBeNull()
+    })
+
+    it('should not read files for station IDs that are not plain', async () => {
+      expect(await getForecast('../../etc/passwd', NOW)).toBeNull()
+      expect(readFile).not.toHaveBeenCalled()
+    })
+
+    it('should fetch from the endpoint when the source is http', async () => {
+      settings['forecast.source'] = 'http'
+      settings['forecast.url'] = 'https://forecasts.example.com/stations/{stationId}/forecast'
+      proxyFetch.mockResolvedValue({ ok: true, status: 200, json: async () => FORECAST })
+
+      const result = await getForecast('3089', NOW)
+
+      expect(proxyFetch).toHaveBeenCalledWith('https://forecasts.example.com/stations/3089/forecast')
+      expect(result).toEqual(FORECAST)
+    })
+
+    it('should give null when the endpoint has no forecast or fails', async () => {
+      settings['forecast.source'] = 'http'
+      settings['forecast.url'] = 'https://forecasts.example.com/stations/{stationId}/forecast'
+
+      proxyFetch.mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' })
+      expect(await getForecast('3089', NOW)).toBeNull()
+
+      proxyFetch.mockResolvedValueOnce({ ok: false, status: 500, statusText: 'Internal Server Error' })
+      expect(await getForecast('3089', NOW)).toBeNull()
+    })
+
+    it('should lay fixture lead times from the start of the current hour', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(NOW)
+      settings['forecast.source'] = 'fixture'
+      readFile.mockResolvedValue(JSON.stringify({ readings: [{ hoursAhead: 0, value: 0.2 }, { hoursAhead: 6, value: 0.4 }] }))
+
+      const result = await getForecast('3089', NOW)
+
+      expect(readFile).toHaveBeenCalledWith('/tmp/test-project/data/forecasts/fixture/3089.json', 'utf8')
+      expect(result).toEqual({
+        issuedAt: '2026-01-16T13:00:00.000Z',
+        readings: [
+          { dateTime: '2026-01-16T13:00:00.000Z', value: 0.2 },
+          { dateTime: '2026-01-16T19:00:00.000Z', value: 0.4 }
+        ]
+      })
+    })
+
+    it('should read nothing when the source is none', async () => {
+      settings['forecast.source'] = 'none'
+
+      expect(await getForecast('3089', NOW)).toBeNull()
+      expect(readFile).not.toHaveBeenCalled()
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+  })
+
+  describe('attachForecast', () => {
+    it('should add the readings after the latest observed reading and the issue time', () => {
+      const telemetry = { observed: [], forecast: [], latestDateTime: '2026-01-16T13:00:00Z', type: 'river' }
+
+      expect(attachForecast(telemetry, FORECAST)).toEqual({
+        observed: [],
+        forecast: [
+          { dateTime: '2026-01-16T18:00:00.000Z', value: 0.4, err: false },
+          { dateTime: '2026-01-17T12:00:00.000Z', value: 0.3, err: false }
+        ],
+        forecastIssuedAt: '2026-01-16T12:00:00.000Z',
+        latestDateTime: '2026-01-16T13:00:00Z',
+        type: 'river'
+      })
+    })
+
+    it('should leave telemetry alone without a forecast', () => {
+      const telemetry = { observed: [], forecast: [] }
+
+      expect(attachForecast(telemetry, null)).toBe(telemetry)
+    })
+  })
+
+  describe('describeForecast', () => {
+    it('should say when the forecast was issued and how far ahead it runs', () => {
+      expect(describeForecast(FORECAST, NOW)).toEqual({
+        issuedTime: '12:00pm',
+        issuedDay: '16 January',
+        endTime: '12:00pm',
+        endDay: '17 January',
+        leadTime: '23 hours'
+      })
+    })
+
+    it('should give longer lead times in days', () => {
+      const week = { ...FORECAST, readings: [{ dateTime: '2026-01-21T13:20:00.000Z', value: 0.3 }] }
+
+      expect(describeForecast(week, NOW).leadTime).toBe('5 days')
+    })
+  })
+})
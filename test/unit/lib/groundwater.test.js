@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest'
+import { getGroundwaterContext } from '../../../src/lib/groundwater.js'
+
+// One reading a day, as stored by the historic data fetch, at a level of 1m in the first year, 2m in the second and so on
+function historicYears(firstYear, years) {
+  const readings = []
+  for (let year = firstYear; year < firstYear + years; year++) {
+    for (let time = Date.UTC(year, 0, 1); time < Date.UTC(year + 1, 0, 1); time += 24 * 60 * 60 * 1000) {
+      readings.push({ dateTime: new Date(time).toISOString().slice(0, 19), value: year - firstYear + 1 })
+    }
+  }
+  return readings
+}
+
+const HISTORIC = historicYears(2021, 3)
+
+function latest(value) {
+  return [
+    { dateTime: '2024-06-14T09:00:00Z', value: 0 },
+    { dateTime: '2024-06-15T09:00:00Z', value }
+  ]
+}
+
+describe('groundwater', () => {
+  describe('getGroundwaterContext', () => {
+    it('should give the range and median on record for every day of the year', () => {
+      const { envelope, recordStartYear } = getGroundwaterContext(HISTORIC, latest(2))
+
+      expect(envelope).toHaveLength(366)
+      expect(envelope[165]).toEqual({ dayOfYear: 165, min: 1, median: 2, max: 3 })
+      expect(recordStartYear).toBe(2021)
+    })
+
+    it('should describe the latest level against levels on record for the time of year', () => {
+      expect(getGroundwaterContext(HISTORIC, latest(3.5)).state).toBe('exceptionally high')
+      expect(getGroundwaterContext(HISTORIC, latest(3)).state).toBe('above normal')
+      expect(getGroundwaterContext(HISTORIC, latest(2)).state).toBe('normal')
+      expect(getGroundwaterContext(HISTORIC, latest(1)).state).toBe('below normal')
+      expect(getGroundwaterContext(HISTORIC, latest(0.5)).state).toBe('exceptionally low')
+    })
+
+    it('should compare against nearby days in each year, not just the same date', () => {
+      const sparse = HISTORIC.filter(reading => !reading.dateTime.includes('-06-15T'))
+
+      expect(getGroundwaterContext(sparse, latest(2)).envelope[165]).toEqual({ dayOfYear: 165, min: 1, median: 2, max: 3 })
+    })
+
+    it('should give no state without a latest reading', () => {
+      expect(getGroundwaterContext(HISTORIC, []).state).toBeNull()
+    })
+
+    it('should give nothing with fewer than 3 years on record', () => {
+      expect(getGroundwaterContext(historicYears(2022, 2), latest(2))).toBeNull()
+      expect(getGroundwaterContext([], latest(2))).toBeNull()
+      expect(getGroundwaterContext(null, latest(2))).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { readFile, stat } from 'node:fs/promises'
+import { getHistoricDataPath, loadHistoricReadings, loadHistoricTier, resetHistoricStore } from '../../../src/lib/historic-store.js'
+
+vi.mock('../../../src/config/config.js', () => ({
+  config: {
+    get: vi.fn((key) => {
+      if (key === 'root') return '/tmp/test-project'
+      return null
+    })
+  }
+}))
+
+vi.mock('node:fs/promises', () => ({
+  readFile: vi.fn(),
+  stat: vi.fn()
+}))
+
+const ENOENT = Object.assign(new Error('ENOENT'), { code: 'ENOENT' })
+
+describe('historic-store', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    resetHistoricStore()
+    stat.mockResolvedValue({ mtimeMs: 1 })
+  })
+
+  describe('getHistoricDataPath', () => {
+    it('should resolve the station file under data/historic', () => {
+      expect(getHistoricDataPath('3089')).toBe('/tmp/test-project/data/historic/3089.json')
+    })
+  })
+
+  describe('loadHistoricReadings', () => {
+    it('should return the stored readings', async () => {
+      readFile.mockResolvedValue(JSON.stringify({
+        meta: { rloiId: '3089' },
+        readings: [{ dateTime: '2024-01-01T00:00:00', value: 0.2 }]
+      }))
+
+      const result = await loadHistoricReadings('3089')
+
+      expect(result).toEqual([{ dateTime: '2024-01-01T00:00:00', value: 0.2 }])
+    })
+
+    it('should return an empty array when the file has no readings', async () => {
+      readFile.mockResolvedValue(JSON.stringify({ meta: {} }))
+
+      expect(await loadHistoricReadings('3089')).toEqual([])
+    })
+
+    it('should return an empty array when no file is stored', async () => {
+      stat.mockRejectedValue(ENOENT)
+
+      expect(await loadHistoricReadings('1234')).toEqual([])
+      expect(readFile).not.toHaveBeenCalled()
+    })
+
+    it('should only read the file again once it has changed', async () => {
+      readFile
+        .mockResolvedValueOnce(JSON.stringify({ readings: [{ dateTime: '2024-01-01T00:00:00', value: 0.2 }] }))
+        .mockResolvedValueOnce(JSON.stringify({ readings: [{ dateTime: '2024-01-01T00:00:00', value: 0.3 }] }))
+
+      await loadHistoricReadings('3089')
+      expect(await loadHistoricReadings('3089')).toEqual([{ dateTime: '2024-01-01T00:00:00', value: 0.2 }])
+      expect(readFile).toHaveBeenCalledTimes(1)
+
+      stat.mockResolvedValue({ mtimeMs: 2 })
+
+      expect(await loadHistoricReadings('3089')).toEqual([{ dateTime: '2024-01-01T00:00:00', value: 0.3 }])
+      expect(readFile).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('loadHistoricTier', () => {
+    it('should return the stored tier', async () => {
+      const daily = [{ dateTime: '2024-01-01T00:00:00.000Z', value: 0.25, min: 0.2, max: 0.3, count: 2 }]
+      readFile.mockResolvedValue(JSON.stringify({ meta: {}, readings: [], tiers: { daily } }))
+
+      expect(await loadHistoricTier('3089', 'daily')).toEqual(daily)
+    })
+
+    it('should build the tier from the readings of a file stored without tiers', async () => {
+      readFile.mockResolvedValue(JSON.stringify({
+        meta: {},
+        readings: [
+          { dateTime: '2024-01-01T00:00:00Z', value: 0.2 },
+          { dateTime: '2024-01-01T12:00:00Z', value: 0.3 }
+        ]
+      }))
+
+      const result = await loadHistoricTier('3089', 'daily')
+
+      expect(result).toHaveLength(1)
+      expect(result[0]).toMatchObject({ dateTime: '2024-01-01T00:00:00.000Z', min: 0.2, max: 0.3, count: 2 })
+      // Built once, then kept until the file changes
+      expect(await loadHistoricTier('3089', 'daily')).toBe(result)
+      expect(readFile).toHaveBeenCalledTimes(1)
+    })
+
+    it('should return an empty array when no file is stored', async () => {
+      stat.mockRejectedValue(ENOENT)
+
+      expect(await loadHistoricTier('1234', 'weekly')).toEqual([])
+    })
+
+    it('should return an empty array when the file cannot be read', async () => {
+      readFile.mockResolvedValue('not json')
+
+      expect(await loadHistoricTier('3089', 'weekly')).toEqual([])
+    })
+  })
+})
@@ -151,7 +151,7 @@ describe('hydrology-service', () => {
       measureId: 'test-measure-i-900-m-qualified'
     }
 
-    it('should fetch readings, downsample to hourly, and write to disk', async () => {
+    it('should fetch readings, store them with their aggregation tiers, and write to disk', async () => {
       const rawReadings = [
         { dateTime: '2025-01-01T00:00:00', value: 1.0 },
         { dateTime: '2025-01-01T00:15:00', value: 1.1 },
@@ -172,19 +172,19 @@ describe('hydrology-service', () => {
       expect(result.meta.rloiId).toBe('3089')
       expect(result.meta.name).toBe('Test Station')
       expect(result.meta.rawPointCount).toBe(7)
-      expect(result.meta.hourlyPointCount).toBe(3)
-      expect(result.readings).toHaveLength(3)
-      expect(result.readings[0].dateTime).toBe('2025-01-01T00:00:00')
-      expect(result.readings[1].dateTime).toBe('2025-01-01T01:00:00')
-      expect(result.readings[2].dateTime).toBe('2025-01-01T02:00:00')
+      expect(result.meta.tierPointCounts).toEqual({ raw: 7, hourly: 3, daily: 1, weekly: 1 })
+      expect(result.readings).toHaveLength(7)
+      expect(result.tiers.hourly).toHaveLength(3)
+      expect(result.tiers.daily).toHaveLength(1)
+      expect(result.tiers.weekly).toHaveLength(1)
     })
 
-    it('should keep first reading per hour when downsampling', async () => {
+    it('should keep the highest and lowest reading of each hour in the hourly tier', async () => {
       const rawReadings = [
-        { dateTime: '2025-06-15T10:00:00', value: 2.0 },
-        { dateTime: '2025-06-15T10:15:00', value: 2.5 },
-        { dateTime: '2025-06-15T10:30:00', value: 3.0 },
-        { dateTime: '2025-06-15T10:45:00', value: 2.8 }
+        { dateTime: '2025-06-15T10:00:00Z', value: 2.0 },
+        { dateTime: '2025-06-15T10:15:00Z', value: 2.5 },
+        { dateTime: '2025-06-15T10:30:00Z', value: 3.0 },
+        { dateTime: '2025-06-15T10:45:00Z', value: 2.5 }
       ]
 
       proxyFetch.mockResolvedValueOnce({
@@ -194,8 +194,9 @@ describe('hydrology-service', () => {
 
       const result = await fetchHistoricReadings('1234', stationInfo)
 
-      expect(result.readings).toHaveLength(1)
-      expect(result.readings[0].value).toBe(2.0)
+      expect(result.tiers.hourly).toEqual([
+        { dateTime: '2025-06-15T10:00:00.000Z', value: 2.5, min: 2.0, max: 3.0, count: 4 }
+      ])
     })
 
     it('should sort readings chronologically', async () => {
@@ -255,7 +256,7 @@ describe('hydrology-service', () => {
 
       expect(result.readings).toHaveLength(0)
       expect(result.meta.rawPointCount).toBe(0)
-      expect(result.meta.hourlyPointCount).toBe(0)
+      expect(result.meta.tierPointCounts).toEqual({ raw: 0, hourly: 0, daily: 0, weekly: 0 })
     })
 
     it('should include correct date range in metadata', async () => {
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { searchStations, getStationReadings } from '../../../src/lib/flood-service.js'
+import { getDistanceKm, getNearbyLevels, MAX_NEARBY_STATIONS } from '../../../src/lib/nearby-levels.js'
+
+const NOW = new Date('2026-01-16T12:40:00Z')
+const LEVEL_MEASURE = { '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/2001-level-stage-i-15_min-m', parameter: 'level', unitName: 'm' }
+const RAINFALL_MEASURE = { '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/E1-rainfall-t-15_min-mm', parameter: 'rainfall', unitName: 'mm' }
+const STATION = { RLOIid: '1001', label: 'Home', riverName: 'River Teme', lat: 52.2, long: -2.3 }
+
+function nearbyStation(id, lat, overrides = {}) {
+  return { RLOIid: id, label: `Station ${id}`, riverName: 'River Teme', lat, long: -2.3, measures: [LEVEL_MEASURE], ...overrides }
+}
+
+// Rising by 0.05m every 15 minutes up to 12:30
+const READINGS = [0, 1, 2, 3, 4].map(i => ({
+  dateTime: new Date(Date.UTC(2026, 0, 16, 11, 30) + (i * 15 * 60 * 1000)).toISOString(),
+  value: 1 + (i * 0.05)
+}))
+
+vi.mock('../../../src/config/config.js', () => ({
+  config: {
+    get: vi.fn((key) => ({ 'nearbyLevels.radiusKm': 5, 'trend.windowMinutes': 60 })[key])
+  }
+}))
+
+vi.mock('../../../src/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}))
+
+vi.mock('../../../src/lib/flood-service.js', async () => {
+  const { getStationId, getLevelMeasure, formatStationData } = await vi.importActual('../../../src/lib/flood-service.js')
+  return { getStationId, getLevelMeasure, formatStationData, searchStations: vi.fn(), getStationReadings: vi.fn() }
+})
+
+describe('nearby-levels', () => {
+  beforeEach(() => {
+    searchStations.mockReset()
+    getStationReadings.mockReset()
+  })
+
+  describe('getDistanceKm', () => {
+    it('should give the great-circle distance', () => {
+      // A degree of latitude is about 111km
+      expect(getDistanceKm({ lat: 52, long: -2 }, { lat: 53, long: -2 })).toBeCloseTo(111.2, 1)
+      expect(getDistanceKm({ lat: 52, long: -2 }, { lat: 52, long: -2 })).toBe(0)
+    })
+  })
+
+  describe('getNearbyLevels', () => {
+    it('should search around the station and list the level stations closest first', async () => {
+      searchStations.mockResolvedValue([
+        nearbyStation('2002', 52.23),
+        STATION,
+        nearbyStation('2001', 52.21),
+        nearbyStation('E1', 52.205, { RLOIid: undefined, stationReference: 'E1', measures: [RAINFALL_MEASURE] }),
+        nearbyStation('2003', 52.3)
+      ])
+      getStationReadings.mockResolvedValue(READINGS)
+
+      const result = await getNearbyLevels(STATION, NOW)
+
+      expect(searchStations).toHaveBeenCalledWith({ lat: 52.2, long: -2.3, dist: 5 })
+      expect(result.map(level => level.id)).toEqual(['2001', '2002'])
+      expect(result[0]).toEqual({
+        id: '2001',
+        name: 'Station 2001',
+        river: 'River Teme',
+        distance: '1.1km',
+        latest: { value: '1.20m', time: '12:30pm', day: '16 January', trend: 'rising', trendRate: '+0.20m/hr' }
+      })
+    })
+
+    it('should read a day of readings from the start of the hour', async () => {
+      searchStations.mockResolvedValue([nearbyStation('2001', 52.21)])
+      getStationReadings.mockResolvedValue(READINGS)
+
+      await getNearbyLevels(STATION, NOW)
+
+      expect(getStationReadings).toHaveBeenCalledWith('2001', new Date('2026-01-15T12:00:00Z'))
+    })
+
+    it('should list a station without a latest value when its readings could not be read', async () => {
+      searchStations.mockResolvedValue([nearbyStation('2001', 52.21), nearbyStation('2002', 52.22)])
+      getStationReadings.mockImplementation((id) => id === '2001' ? Promise.reject(new Error('Upstream failed')) : Promise.resolve([]))
+
+      const result = await getNearbyLevels(STATION, NOW)
+
+      expect(result.map(level => level.latest)).toEqual([null, null])
+    })
+
+    it('should stop at the closest stations', async () => {
+      searchStations.mockResolvedValue(Array.from({ length: MAX_NEARBY_STATIONS + 5 }, (_v, i) => nearbyStation(String(3000 + i), 52.2 + (i * 0.001))))
+      getStationReadings.mockResolvedValue([])
+
+      const result = await getNearbyLevels(STATION, NOW)
+
+      expect(result).toHaveLength(MAX_NEARBY_STATIONS)
+      expect(result[0].id).toBe('3000')
+    })
+
+    it('should give null for a station without a location', async () => {
+      await expect(getNearbyLevels({ RLOIid: '1001' }, NOW)).resolves.toBeNull()
+      expect(searchStations).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,46 @@
+import { describe, test, expect } from 'vitest'
+import { getBackoffDelay, parseRetryAfter } from '../../../src/lib/retry.js'
+
+const RETRY_CONFIG = { baseDelay: 250, maxDelay: 5000 }
+
+describe('retry - getBackoffDelay', () => {
+  test('doubles the ceiling for each retry', () => {
+    const alwaysMax = () => 1
+
+    expect(getBackoffDelay(1, RETRY_CONFIG, alwaysMax)).toBe(250)
+    expect(getBackoffDelay(2, RETRY_CONFIG, alwaysMax)).toBe(500)
+    expect(getBackoffDelay(3, RETRY_CONFIG, alwaysMax)).toBe(1000)
+  })
+
+  test('caps the ceiling at maxDelay', () => {
+    expect(getBackoffDelay(10, RETRY_CONFIG, () => 1)).toBe(5000)
+  })
+
+  test('applies full jitter below the ceiling', () => {
+    expect(getBackoffDelay(3, RETRY_CONFIG, () => 0)).toBe(0)
+    expect(getBackoffDelay(3, RETRY_CONFIG, () => 0.5)).toBe(500)
+  })
+})
+
+describe('retry - parseRetryAfter', () => {
+  const now = Date.parse('2026-01-16T12:00:00Z')
+
+  test('reads delay seconds', () => {
+    expect(parseRetryAfter('3', now)).toBe(3000)
+    expect(parseRetryAfter(' 0 ', now)).toBe(0)
+  })
+
+  test('reads an HTTP date', () => {
+    expect(parseRetryAfter('Fri, 16 Jan 2026 12:00:10 GMT', now)).toBe(10000)
+  })
+
+  test('treats a date in the past as no wait', () => {
+    expect(parseRetryAfter('Fri, 16 Jan 2026 11:59:00 GMT', now)).toBe(0)
+  })
+
+  test('returns null for a missing or unreadable header', () => {
+    expect(parseRetryAfter(null, now)).toBeNull()
+    expect(parseRetryAfter('', now)).toBeNull()
+    expect(parseRetryAfter('soon', now)).toBeNull()
+  })
+})
@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { searchStations, getStation, getStationReadings } from '../../../src/lib/flood-service.js'
+import { orderStations, buildSparkline, buildProfileChart, getRiverProfile, MAX_RIVER_STATIONS, RIVER_SEARCH_LIMIT } from '../../../src/lib/river-profile.js'
+
+const LEVEL_MEASURE = { '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/2001-level-stage-i-15_min-m', parameter: 'level', unitName: 'm' }
+const RAINFALL_MEASURE = { '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/E1-rainfall-t-15_min-mm', parameter: 'rainfall', unitName: 'mm' }
+
+function searchResult(id, lat, overrides = {}) {
+  return { RLOIid: id, label: `Station ${id}`, riverName: 'River Teme', lat, long: -2.3, measures: [LEVEL_MEASURE], ...overrides }
+}
+
+function profileStation(id, lat, overrides = {}) {
+  return { id, name: `Station ${id}`, lat, long: -2.3, downstreamId: null, datum: null, rangePercent: null, state: null, ...overrides }
+}
+
+function readingsEndingNow(values) {
+  const now = Date.now()
+  return values.map((value, i) => ({ dateTime: new Date(now - ((values.length - 1 - i) * 15 * 60 * 1000)).toISOString(), value }))
+}
+
+vi.mock('../../../src/config/config.js', () => ({
+  config: {
+    get: vi.fn((key) => ({ 'nearbyLevels.radiusKm': 5, 'trend.windowMinutes': 60 })[key])
+  }
+}))
+
+vi.mock('../../../src/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}))
+
+vi.mock('../../../src/lib/flood-service.js', async () => {
+  const actual = await vi.importActual('../../../src/lib/flood-service.js')
+  return {
+    getStationId: actual.getStationId,
+    getLevelMeasure: actual.getLevelMeasure,
+    getDefaultWindowStart: actual.getDefaultWindowStart,
+    DEFAULT_READINGS_WINDOW_DAYS: actual.DEFAULT_READINGS_WINDOW_DAYS,
+    searchStations: vi.fn(),
+    getStation: vi.fn(),
+    getStationReadings: vi.fn()
+  }
+})
+
+describe('river-profile', () => {
+  beforeEach(() => {
+    searchStations.mockReset()
+    getStation.mockReset()
+    getStationReadings.mockReset()
+  })
+
+  describe('orderStations', () => {
+    it('should follow downstream links when they join every station', () => {
+      const result = orderStations([
+        profileStation('B', 52.1, { downstreamId: 'C' }),
+        profileStation('C', 52.3),
+        profileStation('A', 52.2, { downstreamId: 'B' })
+      ])
+
+      expect(result.stations.map(station => station.id)).toEqual(['A', 'B', 'C'])
+      expect(result.isDirectionKnown).toBe(true)
+    })
+
+    it('should chain stations by location, upstream first by station datum', () => {
+      const result = orderStations([
+        profileStation('middle', 52.2, { datum: 30 }),
+        profileStation('mouth', 52.0, { datum: 5 }),
+        profileStation('source', 52.5, { datum: 90, downstreamId: 'middle' })
+      ])
+
+      expect(result.stations.map(station => station.id)).toEqual(['source', 'middle', 'mouth'])
+      expect(result.isDirectionKnown).toBe(true)
+    })
+
+    it('should say when nothing gives the direction', () => {
+      const result = orderStations([
+        profileStation('middle', 52.2),
+        profileStation('south', 52.0),
+        profileStation('north', 52.5),
+        profileStation('nowhere', null, { long: null })
+      ])
+
+      expect(result.stations.map(station => station.id)).toEqual(['south', 'middle', 'north', 'nowhere'])
+      expect(result.isDirectionKnown).toBe(false)
+    })
+  })
+
+  describe('buildSparkline', () => {
+    it('should draw readings oldest first across the width', () => {
+      const result = buildSparkline([
+        { dateTime: '2026-01-16T12:00:00Z', value: 2 },
+        { dateTime: '2026-01-16T11:00:00Z', value: 1 }
+      ], { width: 100, height: 20 })
+
+      expect(result).toMatchObject({ width: 100, height: 20, min: 1, max: 2 })
+      expect(result.path).toBe('M2,18L98,2')
+    })
+
+    it('should give null with too few readings', () => {
+      expect(buildSparkline([{ dateTime: '2026-01-16T12:00:00Z', value: 2 }])).toBeNull()
+    })
+  })
+
+  describe('buildProfileChart', () => {
+    it('should place stations left to right with a gap for a station without a range', () => {
+      const chart = buildProfileChart([
+        profileStation('A', 52.5, { rangePercent: 50 }),
+        profileStation('B', 52.2),
+        profileStation('C', 52.0, { rangePercent: 180, state: 'high' })
+      ])
+
+      expect(chart.points.map(point => point.number)).toEqual([1, 2, 3])
+      expect(chart.points[0].x).toBeLessThan(chart.points[2].x)
+      expect(chart.points[1].y).toBeNull()
+      // Higher levels are nearer the top, and the band runs from 0% up to 100%
+      expect(chart.points[2].y).toBeLessThan(chart.points[0].y)
+      expect(chart.band.y).toBeLessThan(chart.points[0].y)
+      expect(chart.path).toContain('M')
+    })
+  })
+
+  describe('getRiverProfile', () => {
+    it('should collect the level stations on the river with their latest level against the typical range', async () => {
+      searchStations.mockResolvedValue([
+        searchResult('2002', 52.2),
+        searchResult('2001', 52.5),
+        searchResult('E1', 52.3, { RLOIid: undefined, stationReference: 'E1', measures: [RAINFALL_MEASURE] })
+      ])
+      getStation.mockImplementation((id) => Promise.resolve({
+        stageScale: { typicalRangeLow: 0.2, typicalRangeHigh: 1.4, datum: id === '2001' ? 60 : 40 }
+      }))
+      getStationReadings.mockResolvedValue(readingsEndingNow([0.4, 0.5]))
+
+      const result = await getRiverProfile('River Teme')
+
+      expect(searchStations).toHaveBeenCalledWith({ riverName: 'River Teme', limit: RIVER_SEARCH_LIMIT })
+      expect(result.stations.map(station => station.id)).toEqual(['2001', '2002'])
+      expect(result.isDirectionKnown).toBe(true)
+      expect(result.isTruncated).toBe(false)
+      expect(result.stations[0]).toMatchObject({ name: 'Station 2001', state: 'normal', latest: { value: '0.50m' } })
+      expect(result.stations[0].rangePercent).toBeCloseTo(25)
+      expect(result.stations[0].sparkline.path).toMatch(/^M/)
+      expect(result.chart.points).toHaveLength(2)
+    })
+
+    it('should only count level stations towards the limit', async () => {
+      const levelStations = Array.from({ length: MAX_RIVER_STATIONS }, (_, i) => searchResult(String(3000 + i), 52 + (i / 100)))
+      const rainGauges = Array.from({ length: 5 }, (_, i) => searchResult(`E${i}`, 52, { RLOIid: undefined, stationReference: `E${i}`, measures: [RAINFALL_MEASURE] }))
+      searchStations.mockResolvedValue([...levelStations, ...rainGauges])
+      getStation.mockResolvedValue({})
+      getStationReadings.mockResolvedValue([])
+
+      const result = await getRiverProfile('River Teme')
+
+      expect(result.stations).toHaveLength(MAX_RIVER_STATIONS)
+      expect(result.isTruncated).toBe(false)
+
+      searchStations.mockResolvedValue([...levelStations, searchResult('3999', 53), ...rainGauges])
+
+      await expect(getRiverProfile('River Teme')).resolves.toMatchObject({ isTruncated: true })
+    })
+
+    it('should keep a station whose levels could not be read', async () => {
+      searchStations.mockResolvedValue([searchResult('2001', 52.5)])
+      getStation.mockRejectedValue(new Error('Upstream failed'))
+      getStationReadings.mockResolvedValue([])
+
+      const result = await getRiverProfile('River Teme')
+
+      expect(result.stations[0]).toMatchObject({ id: '2001', latest: null, rangePercent: null, sparkline: null })
+    })
+
+    it('should give no stations for a river without any', async () => {
+      searchStations.mockResolvedValue([])
+
+      await expect(getRiverProfile('River Nowhere')).resolves.toMatchObject({ stations: [], chart: null })
+    })
+  })
+})
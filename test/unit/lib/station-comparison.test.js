@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { getStation, getStationReadings } from '../../../src/lib/flood-service.js'
+import { StationNotFound, UpstreamUnavailable } from '../../../src/lib/upstream-errors.js'
+import { getComparison, parseStationIds } from '../../../src/lib/station-comparison.js'
+
+const LEVEL_MEASURE = { '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/3089-level-stage-i-15_min-m', parameter: 'level', unitName: 'm' }
+const GROUNDWATER_MEASURE = { '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/8001-level-groundwater-i-15_min-mAOD', parameter: 'level', unitName: 'mAOD' }
+
+const STATIONS = {
+  3089: { RLOIid: '3089', label: 'Knightwick', riverName: 'River Teme', measures: [LEVEL_MEASURE], stageScale: { typicalRangeLow: 0.2, typicalRangeHigh: 1.4 } },
+  7041: { RLOIid: '7041', label: 'Powick', riverName: 'River Teme', measures: [LEVEL_MEASURE] },
+  8001: { RLOIid: '8001', label: 'Borehole', measures: [GROUNDWATER_MEASURE] }
+}
+
+function readingsEndingNow(values) {
+  const now = Date.now()
+  return values.map((value, i) => ({ dateTime: new Date(now - ((values.length - 1 - i) * 15 * 60 * 1000)).toISOString(), value }))
+}
+
+vi.mock('../../../src/config/config.js', () => ({
+  config: {
+    get: vi.fn((key) => ({ 'trend.windowMinutes': 60 })[key])
+  }
+}))
+
+vi.mock('../../../src/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}))
+
+vi.mock('../../../src/lib/flood-service.js', async () => {
+  const actual = await vi.importActual('../../../src/lib/flood-service.js')
+  return { ...actual, getStation: vi.fn(), getStationReadings: vi.fn() }
+})
+
+describe('station-comparison', () => {
+  beforeEach(() => {
+    getStation.mockReset()
+    getStationReadings.mockReset()
+    getStation.mockImplementation((id) => STATIONS[id] ? Promise.resolve(STATIONS[id]) : Promise.reject(new StationNotFound(id)))
+    getStationReadings.mockResolvedValue(readingsEndingNow([0.5, 0.8]))
+  })
+
+  describe('parseStationIds', () => {
+    it('should split the list, dropping blanks and repeats', () => {
+      expect(parseStationIds(' 3089, 7041,,3089 ')).toEqual(['3089', '7041'])
+      expect(parseStationIds('')).toEqual([])
+      expect(parseStationIds(undefined)).toEqual([])
+    })
+  })
+
+  describe('getComparison', () => {
+    it('should give each station its observed series and typical range in the order asked for', async () => {
+      const result = await getComparison(['7041', '3089'])
+
+      expect(result.series.map(series => series.id)).toEqual(['7041', '3089'])
+      expect(result.series[1]).toMatchObject({
+        name: 'Knightwick',
+        river: 'River Teme',
+        unitName: 'm',
+        typicalRangeLow: 0.2,
+        typicalRangeHigh: 1.4,
+        typicalRange: '0.20m to 1.40m',
+        latest: { value: '0.80m' }
+      })
+      expect(result.series[1].observed.map(point => point.value)).toEqual([0.5, 0.8])
+      expect(result.series[0].typicalRange).toBeNull()
+      expect(result.missing).toEqual([])
+      expect(result.hasMixedUnits).toBe(false)
+    })
+
+    it('should list the stations that could not be loaded and compare the rest', async () => {
+      getStationReadings.mockImplementation((id) => id === '7041' ? Promise.reject(new UpstreamUnavailable('Upstream down')) : Promise.resolve([]))
+
+      const result = await getComparison(['3089', '9999', '7041'])
+
+      expect(result.series.map(series => series.id)).toEqual(['3089'])
+      expect(result.series[0].latest).toBeNull()
+      expect(result.missing).toEqual([{ id: '9999', reason: 'not found' }, { id: '7041', reason: 'could not be loaded' }])
+    })
+
+    it('should say when the stations measure in different units', async () => {
+      const result = await getComparison(['3089', '8001'])
+
+      expect(result.hasMixedUnits).toBe(true)
+    })
+
+    it('should throw when no station could be loaded', async () => {
+      await expect(getComparison(['9999'])).rejects.toBeInstanceOf(StationNotFound)
+    })
+
+    it('should compare nothing without stations', async () => {
+      await expect(getComparison([])).resolves.toEqual({ series: [], missing: [], hasMixedUnits: false })
+    })
+  })
+})
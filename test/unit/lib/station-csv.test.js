@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { text } from 'node:stream/consumers'
+import {
+  getObservedForRange,
+  buildCsvHeader,
+  createStationCsvStream,
+  estimateCsvSize,
+  getCsvFilename
+} from '../../../src/lib/station-csv.js'
+
+const GENERATED_AT = new Date('2026-01-16T13:00:00Z')
+const STATION = {
+  id: '3089',
+  name: 'Beggearn Huish',
+  river: 'Washford River',
+  lat: 51.15,
+  long: -3.37
+}
+
+describe('station-csv', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(GENERATED_AT)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('getObservedForRange', () => {
+    it('should merge historic and realtime readings, preferring realtime values', () => {
+      const historic = [
+        { dateTime: '2026-01-14T12:00:00Z', value: 0.2 },
+        { dateTime: '2026-01-15T12:00:00Z', value: 0.3 }
+      ]
+      const realtime = [
+        { dateTime: '2026-01-15T12:00:00Z', value: 0.35 },
+        { dateTime: '2026-01-16T12:00:00Z', value: 0.4 }
+      ]
+
+      const result = getObservedForRange(realtime, historic, '5d')
+
+      expect(result.map(r => r.value)).toEqual([0.2, 0.35, 0.4])
+    })
+
+    it('should drop readings outside the requested range', () => {
+      const historic = [
+        { dateTime: '2025-10-01T12:00:00Z', value: 0.1 },
+        { dateTime: '2026-01-01T12:00:00Z', value: 0.2 }
+      ]
+
+      expect(getObservedForRange([], historic, '5d')).toEqual([])
+      expect(getObservedForRange([], historic, '1m')).toHaveLength(1)
+      expect(getObservedForRange([], historic, '6m')).toHaveLength(2)
+    })
+  })
+
+  describe('buildCsvHeader', () => {
+    it('should include station metadata followed by the column header', () => {
+      const header = buildCsvHeader(STATION, '1y', GENERATED_AT)
+      const lines = header.split('\n')
+
+      expect(lines[0]).toBe('Station,Beggearn Huish')
+      expect(lines[1]).toBe('River,Washford River')
+      expect(lines[2]).toBe('RLOI ID,3089')
+      expect(header).toContain('Time range,last year')
+      expect(header).toContain('Generated,2026-01-16T13:00:00.000Z')
+      expect(header.endsWith('\n\ndateTime,value\n')).toBe(true)
+    })
+
+    it('should quote values containing commas or quotes', () => {
+      const header = buildCsvHeader({ ...STATION, name: 'Bridge, "Upper"' }, '5d', GENERATED_AT)
+
+      expect(header).toContain('Station,"Bridge, ""Upper"""')
+    })
+  })
+
+  describe('createStationCsvStream', () => {
+    it('should write one row per reading with ISO timestamps', async () => {
+      const csv = await text(createStationCsvStream(STATION, [
+        { dateTime: '2026-01-16T12:00:00Z', value: 0.5 },
+        { dateTime: '2026-01-16T12:15:00Z', value: 0.51 }
+      ], '5d', GENERATED_AT))
+
+      expect(csv.endsWith('dateTime,value\n2026-01-16T12:00:00.000Z,0.5\n2026-01-16T12:15:00.000Z,0.51\n')).toBe(true)
+    })
+  })
+
+  describe('estimateCsvSize', () => {
+    it('should match the size of the generated CSV', async () => {
+      const observed = [
+        { dateTime: '2026-01-16T12:00:00Z', value: 0.5 },
+        { dateTime: '2026-01-16T12:15:00Z', value: 0.51 }
+      ]
+
+      const size = estimateCsvSize(STATION, observed, '5d')
+
+      expect(size.bytes).toBe(Buffer.byteLength(await text(createStationCsvStream(STATION, observed, '5d'))))
+      expect(size.headerBytes + (size.rowBytes * observed.length)).toBeGreaterThanOrEqual(size.bytes)
+      expect(size.label).toBe('1KB')
+    })
+
+    it('should report a zero row size when there are no readings', () => {
+      const size = estimateCsvSize(STATION, [], '5d')
+
+      expect(size.rowBytes).toBe(0)
+      expect(size.bytes).toBe(size.headerBytes)
+    })
+  })
+
+  describe('getCsvFilename', () => {
+    it('should include the station and range', () => {
+      expect(getCsvFilename('3089', '6m')).toBe('station-3089-6m.csv')
+    })
+
+    it('should strip characters that are unsafe in a filename', () => {
+      expect(getCsvFilename('../30"89', '5d')).toBe('station-3089-5d.csv')
+    })
+  })
+})
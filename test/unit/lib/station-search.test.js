@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { searchStations } from '../../../src/lib/flood-service.js'
+import { findStations, suggestStations, formatSearchResult, getStationStatus, hasSearchTerms, SEARCH_PAGE_SIZE, SUGGESTION_LIMIT } from '../../../src/lib/station-search.js'
+
+const KNIGHTWICK = {
+  RLOIid: '2001',
+  stationReference: '2001',
+  label: 'Knightwick',
+  town: 'Knightwick',
+  riverName: 'River Teme',
+  status: 'http://environment.data.gov.uk/flood-monitoring/def/core/statusActive',
+  type: ['http://environment.data.gov.uk/flood-monitoring/def/core/SingleLevel']
+}
+
+vi.mock('../../../src/config/config.js', () => ({
+  config: {
+    get: vi.fn(() => null)
+  }
+}))
+
+vi.mock('../../../src/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}))
+
+vi.mock('../../../src/lib/flood-service.js', async () => {
+  const { getStationId, getRloiId, getStationType } = await vi.importActual('../../../src/lib/flood-service.js')
+  return { getStationId, getRloiId, getStationType, searchStations: vi.fn() }
+})
+
+function stations(count) {
+  return Array.from({ length: count }, (_v, i) => ({ ...KNIGHTWICK, RLOIid: String(3000 + i) }))
+}
+
+describe('station-search', () => {
+  beforeEach(() => {
+    searchStations.mockReset()
+  })
+
+  describe('hasSearchTerms', () => {
+    it('should need at least one thing to search for', () => {
+      expect(hasSearchTerms({ name: 'Knight' })).toBe(true)
+      expect(hasSearchTerms({ type: 'G' })).toBe(true)
+      expect(hasSearchTerms({ name: '', town: '', river: '', type: '' })).toBe(false)
+      expect(hasSearchTerms()).toBe(false)
+    })
+  })
+
+  describe('getStationStatus', () => {
+    it('should name the status from its URI', () => {
+      expect(getStationStatus(KNIGHTWICK)).toBe('Active')
+      expect(getStationStatus({ status: ['http://environment.data.gov.uk/flood-monitoring/def/core/statusClosed'] })).toBe('Closed')
+      expect(getStationStatus({})).toBeNull()
+    })
+  })
+
+  describe('formatSearchResult', () => {
+    it('should give the station ID, RLOI ID, river, town, type and status', () => {
+      expect(formatSearchResult(KNIGHTWICK)).toEqual({
+        id: '2001',
+        rloiId: '2001',
+        name: 'Knightwick',
+        river: 'River Teme',
+        town: 'Knightwick',
+        type: 'River',
+        status: 'Active'
+      })
+    })
+
+    it('should open a rain gauge by its station reference', () => {
+      const result = formatSearchResult({ stationReference: 'E1234', label: 'Rain gauge', type: [] })
+
+      expect(result.id).toBe('E1234')
+      expect(result.rloiId).toBeNull()
+    })
+  })
+
+  describe('findStations', () => {
+    it('should search by name, town, river and type for the page asked for', async () => {
+      searchStations.mockResolvedValue(stations(3))
+
+      const result = await findStations({ name: 'Knight', town: 'Worcester', river: 'River Teme', type: 'S', page: 2 })
+
+      expect(searchStations).toHaveBeenCalledWith({
+        search: 'Knight',
+        town: 'Worcester',
+        riverName: 'River Teme',
+        stationType: 'S',
+        limit: SEARCH_PAGE_SIZE + 1,
+        offset: SEARCH_PAGE_SIZE
+      })
+      expect(result).toMatchObject({ page: 2, hasPrevious: true, hasNext: false })
+      expect(result.results).toHaveLength(3)
+    })
+
+    it('should say there is a next page when more stations match than fit on one', async () => {
+      searchStations.mockResolvedValue(stations(SEARCH_PAGE_SIZE + 1))
+
+      const result = await findStations({ name: 'Knight' })
+
+      expect(result.results).toHaveLength(SEARCH_PAGE_SIZE)
+      expect(result).toMatchObject({ page: 1, hasPrevious: false, hasNext: true })
+    })
+
+    it('should not search without anything to search for', async () => {
+      const result = await findStations({ name: '' })
+
+      expect(searchStations).not.toHaveBeenCalled()
+      expect(result.results).toEqual([])
+    })
+  })
+
+  describe('suggestStations', () => {
+    it('should suggest a few stations whose name contains the text', async () => {
+      searchStations.mockResolvedValue([KNIGHTWICK])
+
+      const result = await suggestStations('Knight')
+
+      expect(searchStations).toHaveBeenCalledWith({ search: 'Knight', limit: SUGGESTION_LIMIT })
+      expect(result.map(station => station.id)).toEqual(['2001'])
+    })
+  })
+})
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest'
+import { getStationState } from '../../../src/lib/station-state.js'
+
+const STAGE_SCALE = {
+  typicalRangeLow: 0.2,
+  typicalRangeHigh: 1.5,
+  highestRecent: { dateTime: '2024-03-02T10:00:00Z', value: 2.1 },
+  maxOnRecord: { dateTime: '2020-02-16T08:00:00Z', value: 2.5 },
+  minOnRecord: { dateTime: '2018-07-30T12:00:00Z', value: 0.05 }
+}
+
+describe('getStationState', () => {
+  it('should give the state against the typical range', () => {
+    expect(getStationState(STAGE_SCALE, 1.6).state).toBe('high')
+    expect(getStationState(STAGE_SCALE, 1.5).state).toBe('normal')
+    expect(getStationState(STAGE_SCALE, 0.19).state).toBe('low')
+  })
+
+  it('should list the stage levels with their dates', () => {
+    expect(getStationState(STAGE_SCALE, 1).levels).toEqual([
+      { id: 'highest-recent', label: 'highest level in recent years', value: 2.1, dateTime: '2024-03-02T10:00:00.000Z', month: 'March 2024' },
+      { id: 'max-on-record', label: 'highest level on record', value: 2.5, dateTime: '2020-02-16T08:00:00.000Z', month: 'February 2020' },
+      { id: 'min-on-record', label: 'lowest level on record', value: 0.05, dateTime: '2018-07-30T12:00:00.000Z', month: 'July 2018' }
+    ])
+  })
+
+  it('should describe values at or near the records', () => {
+    expect(getStationState(STAGE_SCALE, 2.6).description).toBe('Highest on record')
+    expect(getStationState(STAGE_SCALE, 2.46).description).toBe('Within 4cm of the highest on record')
+    expect(getStationState(STAGE_SCALE, 2.2).description).toBe('Highest in recent years')
+    expect(getStationState(STAGE_SCALE, 0.05).description).toBe('Lowest on record')
+    expect(getStationState(STAGE_SCALE, 0.1).description).toBe('Within 5cm of the lowest on record')
+  })
+
+  it('should not claim a highest in recent years below the highest recent level', () => {
+    expect(getStationState(STAGE_SCALE, 2).description).toBeNull()
+    expect(getStationState(STAGE_SCALE, 1).description).toBeNull()
+  })
+
+  it('should leave out what the stage scale does not give instead of using defaults', () => {
+    const result = getStationState({ typicalRangeHigh: 1.5, maxOnRecord: { value: 2.5 } }, 1)
+
+    expect(result.state).toBeNull()
+    expect(result.typicalRangeLow).toBeNull()
+    expect(result.typicalRangeHigh).toBe(1.5)
+    expect(result.levels).toEqual([
+      { id: 'max-on-record', label: 'highest level on record', value: 2.5, dateTime: null, month: null }
+    ])
+  })
+
+  it('should give no state or description without a latest value', () => {
+    const result = getStationState(STAGE_SCALE, undefined)
+
+    expect(result.state).toBeNull()
+    expect(result.description).toBeNull()
+    expect(result.levels).toHaveLength(3)
+  })
+
+  it('should return null without a stage scale', () => {
+    expect(getStationState(null, 1)).toBeNull()
+    expect(getStationState('https://environment.data.gov.uk/stagescale', 1)).toBeNull()
+  })
+})
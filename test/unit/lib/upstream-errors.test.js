@@ -0,0 +1,57 @@
+import { describe, test, expect } from 'vitest'
+import {
+  UpstreamError,
+  StationNotFound,
+  UpstreamUnavailable,
+  UpstreamTimeout,
+  UpstreamBadPayload,
+  isUnavailableStatus
+} from '../../../src/lib/upstream-errors.js'
+
+const TEST_URL = 'http://example.com/id/stations?RLOIid=3089'
+
+describe('upstream-errors', () => {
+  test('UpstreamError keeps the url, status and cause', () => {
+    const cause = new Error('socket hang up')
+    const error = new UpstreamError('Failed', { url: TEST_URL, status: 400, cause })
+
+    expect(error).toBeInstanceOf(Error)
+    expect(error.name).toBe('UpstreamError')
+    expect(error.url).toBe(TEST_URL)
+    expect(error.status).toBe(400)
+    expect(error.cause).toBe(cause)
+    expect(error.statusCode).toBe(502)
+  })
+
+  test('StationNotFound is a 404 naming the station', () => {
+    const error = new StationNotFound('99999', { url: TEST_URL })
+
+    expect(error).toBeInstanceOf(UpstreamError)
+    expect(error.name).toBe('StationNotFound')
+    expect(error.message).toBe('Could not find station with ID: 99999')
+    expect(error.stationId).toBe('99999')
+    expect(error.statusCode).toBe(404)
+  })
+
+  test.each([
+    [UpstreamUnavailable, 503],
+    [UpstreamTimeout, 503],
+    [UpstreamBadPayload, 502]
+  ])('%o maps to HTTP %i', (ErrorClass, statusCode) => {
+    const error = new ErrorClass('Failed', { url: TEST_URL })
+
+    expect(error).toBeInstanceOf(UpstreamError)
+    expect(error.name).toBe(ErrorClass.name)
+    expect(error.statusCode).toBe(statusCode)
+  })
+
+  test.each([
+    [200, false],
+    [404, false],
+    [429, true],
+    [500, true],
+    [503, true]
+  ])('isUnavailableStatus(%i) is %s', (status, expected) => {
+    expect(isUnavailableStatus(status)).toBe(expected)
+  })
+})